@@ -0,0 +1,155 @@
+'use strict';
+
+var bitcore = require('qtumcore-lib');
+var _ = bitcore.deps._;
+var $ = bitcore.util.preconditions;
+
+/**
+ * Access control of the API methods and Bus events that are available to the clients of the
+ * web service. A client is identified by an API key, and each key has a policy with lists of
+ * allowed and denied methods and events, where "*" will match any name. A method of a service,
+ * such as "qtumd.getInfo", is also matched by the namespace of the service, "qtumd.*", and by
+ * the name of the method without the namespace, "getInfo". Services mark the methods that use
+ * the wallet of qtumd or broadcast transactions as `restricted`, which are only allowed to
+ * policies with `allowRestricted`. Clients without a key are given the anonymous policy, which
+ * by default doesn't allow restricted methods.
+ *
+ * @param {Object} options
+ * @param {Object} options.keys - The policies by API key
+ * @param {Object|Boolean} options.anonymous - The policy of clients without an API key, or false
+ * to require an API key
+ */
+function AccessControl(options) {
+  if (!(this instanceof AccessControl)) {
+    return new AccessControl(options);
+  }
+  var self = this;
+  options = options || {};
+
+  var keys = options.keys || {};
+  $.checkArgument(_.isPlainObject(keys), 'Expected "accessControl.keys" to be an object');
+  self.keys = {};
+  Object.keys(keys).forEach(function(key) {
+    var name = (keys[key] && keys[key].name) || 'key';
+    self.keys[key] = self._createPolicy(name, keys[key], AccessControl.DEFAULT_KEY_POLICY);
+  });
+
+  if (options.anonymous === false) {
+    self.anonymous = null;
+  } else {
+    self.anonymous = self._createPolicy('anonymous', options.anonymous || {}, AccessControl.DEFAULT_ANONYMOUS_POLICY);
+  }
+}
+
+AccessControl.LISTS = ['allowMethods', 'denyMethods', 'allowEvents', 'denyEvents'];
+
+AccessControl.DEFAULT_KEY_POLICY = {
+  allowMethods: ['*'],
+  denyMethods: [],
+  allowEvents: ['*'],
+  denyEvents: [],
+  allowRestricted: true
+};
+
+AccessControl.DEFAULT_ANONYMOUS_POLICY = {
+  allowMethods: ['*'],
+  denyMethods: [],
+  allowEvents: ['*'],
+  denyEvents: [],
+  allowRestricted: false
+};
+
+/**
+ * Will give a policy with the lists and `allowRestricted` of the config, options that are not
+ * in the config are given from the defaults.
+ * @param {String} name - The name of the policy, used in logs
+ * @param {Object} options - The policy from the config
+ * @param {Object} defaults
+ * @returns {Object}
+ */
+AccessControl.prototype._createPolicy = function(name, options, defaults) {
+  $.checkArgument(_.isPlainObject(options), 'Expected access control policy "' + name + '" to be an object');
+  var policy = {
+    name: name
+  };
+  AccessControl.LISTS.forEach(function(list) {
+    var value = _.isUndefined(options[list]) ? defaults[list] : options[list];
+    $.checkArgument(_.isArray(value), 'Expected "' + list + '" of access control policy "' + name + '" to be an array');
+    policy[list] = value;
+  });
+  var allowRestricted = _.isUndefined(options.allowRestricted) ? defaults.allowRestricted : options.allowRestricted;
+  $.checkArgument(
+    _.isBoolean(allowRestricted),
+    'Expected "allowRestricted" of access control policy "' + name + '" to be a boolean'
+  );
+  policy.allowRestricted = allowRestricted;
+  return policy;
+};
+
+/**
+ * Will give the policy of an API key, the anonymous policy without a key, or null if the
+ * key is unknown or a key is required.
+ * @param {String} key
+ * @returns {Object|null}
+ */
+AccessControl.prototype.getPolicy = function(key) {
+  if (_.isUndefined(key) || key === null || key === '') {
+    return this.anonymous;
+  }
+  if (!_.isString(key) || !Object.prototype.hasOwnProperty.call(this.keys, key)) {
+    return null;
+  }
+  return this.keys[key];
+};
+
+AccessControl.prototype._isListed = function(list, name) {
+  return list.indexOf('*') !== -1 || list.indexOf(name) !== -1;
+};
+
+AccessControl.prototype._isAllowed = function(allowList, denyList, name) {
+  return this._isListed(allowList, name) && !this._isListed(denyList, name);
+};
+
+/**
+ * Will give the names that match a method, the name of a method of a service is also matched
+ * by the namespace and by the name without the namespace.
+ * @param {String} name - The name of the API method, such as "qtumd.getInfo"
+ * @returns {Array}
+ */
+AccessControl.prototype._getMethodNames = function(name) {
+  var index = _.isString(name) ? name.lastIndexOf('.') : -1;
+  if (index <= 0) {
+    return [name];
+  }
+  return [name, name.slice(0, index) + '.*', name.slice(index + 1)];
+};
+
+/**
+ * @param {Object} policy
+ * @param {String} name - The name of the API method, with the namespace of the service
+ * @param {Boolean} restricted - If the method is marked as `restricted` by its service
+ * @returns {Boolean}
+ */
+AccessControl.prototype.isMethodAllowed = function(policy, name, restricted) {
+  var self = this;
+  if (!policy || (restricted && !policy.allowRestricted)) {
+    return false;
+  }
+  var names = this._getMethodNames(name);
+  return _.some(names, function(name) {
+    return self._isListed(policy.allowMethods, name);
+  }) && !_.some(names, function(name) {
+    return self._isListed(policy.denyMethods, name);
+  });
+};
+
+/**
+ * @param {Object} policy
+ * @param {String} name - The name of the Bus event
+ * @returns {Boolean}
+ */
+AccessControl.prototype.isEventAllowed = function(policy, name) {
+  return !!policy && this._isAllowed(policy.allowEvents, policy.denyEvents, name);
+};
+
+module.exports = AccessControl;
@@ -2,6 +2,7 @@
 
 var events = require('events');
 var util = require('util');
+var _ = require('qtumcore-lib').deps._;
 
 /**
  * The bus represents a connection to node, decoupled from the transport layer, that can
@@ -14,6 +15,7 @@ function Bus(params) {
   events.EventEmitter.call(this);
   this.node = params.node;
   this.remoteAddress = params.remoteAddress;
+  this.subscriptions = {};
 }
 
 util.inherits(Bus, events.EventEmitter);
@@ -26,6 +28,7 @@ util.inherits(Bus, events.EventEmitter);
  */
 Bus.prototype.subscribe = function(name) {
   var events = [];
+  this._addSubscription(name, Array.prototype.slice.call(arguments, 1));
 
   for(var i in this.node.services) {
     var service = this.node.services[i];
@@ -48,6 +51,7 @@ Bus.prototype.subscribe = function(name) {
  */
 Bus.prototype.unsubscribe = function(name) {
   var events = [];
+  this._removeSubscription(name, Array.prototype.slice.call(arguments, 1));
 
   for(var i in this.node.services) {
     var service = this.node.services[i];
@@ -64,6 +68,104 @@ Bus.prototype.unsubscribe = function(name) {
   }
 };
 
+/**
+ * Will give the records of the subscriptions of the params of a subscribe or unsubscribe by key,
+ * params with a list of items (e.g. addresses) have a record for each item, so that the items
+ * can be unsubscribed separately.
+ * @param {Array} params - The params of the subscribe or unsubscribe
+ * @returns {Array}
+ */
+Bus.prototype._getSubscriptionRecords = function(params) {
+  if (Array.isArray(params[0])) {
+    return params[0].map(function(item) {
+      return {key: JSON.stringify(item), params: [[item]].concat(params.slice(1))};
+    });
+  }
+  return [{key: JSON.stringify(params), params: params}];
+};
+
+/**
+ * Will add a subscription to the subscriptions of the bus, the subscriptions have the net state
+ * of each event and param, so that repeated subscribes are only kept once.
+ * @param {String} name - The name of the event
+ * @param {Array} params - The params of the subscribe
+ */
+Bus.prototype._addSubscription = function(name, params) {
+  var subscriptions = this.subscriptions[name] = this.subscriptions[name] || {};
+  this._getSubscriptionRecords(params).forEach(function(record) {
+    // the record is moved to the end so that the subscriptions are repeated in order
+    delete subscriptions[record.key];
+    subscriptions[record.key] = {subscribe: true, params: record.params};
+  });
+};
+
+/**
+ * Will remove a subscription from the subscriptions of the bus, an unsubscribe without params
+ * removes all of the subscriptions of the event. An unsubscribe with other params than the
+ * subscriptions (e.g. an object instead of a list) is kept so that the subscriptions can be
+ * repeated in order, see Bus.prototype.resubscribe.
+ * @param {String} name - The name of the event
+ * @param {Array} params - The params of the unsubscribe
+ */
+Bus.prototype._removeSubscription = function(name, params) {
+  var subscriptions = this.subscriptions[name];
+  if (!subscriptions || !params.length) {
+    delete this.subscriptions[name];
+    return;
+  }
+  var items = Array.isArray(params[0]);
+  this._getSubscriptionRecords(params).forEach(function(record) {
+    var subscription = subscriptions[record.key];
+    delete subscriptions[record.key];
+    if (!items && !(subscription && subscription.subscribe)) {
+      subscriptions[record.key] = {subscribe: false, params: record.params};
+    }
+  });
+  if (_.isEmpty(subscriptions)) {
+    delete this.subscriptions[name];
+  }
+};
+
+/**
+ * Will repeat the subscriptions of the bus to the events of restarted services, as the new
+ * instances of the services don't have the subscriptions of the stopped instances.
+ * @param {Array} names - The names of the restarted services
+ */
+Bus.prototype.resubscribe = function(names) {
+  var self = this;
+  var events = [];
+
+  names.forEach(function(name) {
+    var service = self.node.services[name];
+    if (service) {
+      events = events.concat(service.getPublishEvents());
+    }
+  });
+
+  _.each(self.subscriptions, function(subscriptions, name) {
+    var event = _.find(events, {name: name});
+    if (!event) {
+      return;
+    }
+    _.each(subscriptions, function(subscription) {
+      var method = subscription.subscribe ? event.subscribe : event.unsubscribe;
+      method.apply(event.scope, [self].concat(subscription.params));
+    });
+  });
+};
+
+/**
+ * Will unsubscribe the bus from the events of a service that is stopped, and keep the
+ * subscriptions of the bus so that they are repeated when the service is started again.
+ * @param {Service} service - The service that is stopped
+ */
+Bus.prototype.unsubscribeService = function(service) {
+  var self = this;
+  service.getPublishEvents().forEach(function(event) {
+    event.unsubscribe.call(event.scope, self);
+  });
+};
+
 /**
  * This function will unsubscribe all events.
  */
@@ -80,6 +182,8 @@ Bus.prototype.close = function() {
     var event = events[j];
     event.unsubscribe.call(event.scope, this);
   }
+  this.subscriptions = {};
+  this.emit('close');
 };
 
 module.exports = Bus;
@@ -0,0 +1,104 @@
+'use strict';
+
+var LRU = require('lru-cache');
+
+/**
+ * An in-memory LRU cache that keeps count of hits, misses and evictions so that the
+ * effectiveness of the configured size and max-age can be measured.
+ *
+ * @param {Object} options
+ * @param {Number} options.max - The maximum number of items
+ * @param {Number} options.maxAge - The maximum age of an item in milliseconds, 0 for no limit
+ */
+function Cache(options) {
+  if (!(this instanceof Cache)) {
+    return new Cache(options);
+  }
+  var self = this;
+  self.max = options.max;
+  self.maxAge = options.maxAge || 0;
+  self.hits = 0;
+  self.misses = 0;
+  self.evictions = 0;
+
+  // removals that are requested are not counted as evictions
+  self._removing = null;
+  self._resetting = false;
+
+  self.lru = LRU({
+    max: self.max,
+    maxAge: self.maxAge,
+    dispose: function(key) {
+      if (!self._resetting && key !== self._removing) {
+        self.evictions++;
+      }
+    }
+  });
+}
+
+Cache.prototype.get = function(key) {
+  var value = this.lru.get(key);
+  if (value === undefined) {
+    this.misses++;
+  } else {
+    this.hits++;
+  }
+  return value;
+};
+
+/**
+ * Will give an item in the same way as a cache with a disk tier, see DiskCache.prototype.fetch.
+ * @param {String} key
+ * @param {Function} callback - Called with the item, or undefined if it's not cached
+ */
+Cache.prototype.fetch = function(key, callback) {
+  var value = this.get(key);
+  setImmediate(function() {
+    callback(null, value);
+  });
+};
+
+Cache.prototype.set = function(key, value) {
+  this._removing = key;
+  var result = this.lru.set(key, value);
+  this._removing = null;
+  return result;
+};
+
+Cache.prototype.del = function(key) {
+  this._removing = key;
+  this.lru.del(key);
+  this._removing = null;
+};
+
+/**
+ * Will call a function with each value and key of the cache, most recently used first,
+ * without counting hits or changing the order of the items.
+ * @param {Function} fn
+ */
+Cache.prototype.forEach = function(fn) {
+  this.lru.forEach(fn);
+};
+
+Cache.prototype.reset = function() {
+  this._resetting = true;
+  this.lru.reset();
+  this._resetting = false;
+};
+
+/**
+ * Will give the counters and limits of the cache, counters are kept across resets.
+ * @returns {Object}
+ */
+Cache.prototype.getStats = function() {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    evictions: this.evictions,
+    size: this.lru.length,
+    max: this.max,
+    maxAge: this.maxAge
+  };
+};
+
+module.exports = Cache;
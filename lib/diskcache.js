@@ -0,0 +1,275 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+var async = require('async');
+var LRU = require('lru-cache');
+var bitcore = require('qtumcore-lib');
+var _ = bitcore.deps._;
+var index = require('./');
+var log = index.log;
+
+/**
+ * A second cache tier stored on local disk behind an in-memory LRU cache. Items are kept as one
+ * file per key, written in the background and read in the background by `fetch` on a miss of the
+ * memory tier, so that a large item such as a raw block doesn't block the event loop. It can be
+ * used in place of a Cache, where `get` only gives the items of the memory tier. Only items
+ * accepted by `shouldPersist` are written, and a reset will only clear the memory tier, as the
+ * disk tier is intended for items that do not change with a new block.
+ *
+ * The keys on disk are kept in an index in memory, so that a miss doesn't read from disk, and
+ * the least recently used files are removed once there are more than `maxItems`. Files that
+ * were written before are only known after `load`.
+ *
+ * @param {Object} options
+ * @param {LRU} options.memory - The memory tier
+ * @param {String} options.path - The directory of the disk tier
+ * @param {Object} options.codec - An object with `encode` and `decode` methods to convert values to Buffers
+ * @param {Function} options.shouldPersist - Called with a value to determine if it should be written to disk
+ * @param {Number} options.maxItems - The maximum number of files, defaults to `DiskCache.DEFAULT_MAX_ITEMS`
+ */
+function DiskCache(options) {
+  if (!(this instanceof DiskCache)) {
+    return new DiskCache(options);
+  }
+  var self = this;
+  this.memory = options.memory;
+  this.path = options.path;
+  this.codec = options.codec || DiskCache.codecs.json;
+  this.shouldPersist = options.shouldPersist || function() {
+    return true;
+  };
+  this.diskHits = 0;
+  this.diskMisses = 0;
+  this.maxItems = options.maxItems || DiskCache.DEFAULT_MAX_ITEMS;
+  this.index = new LRU({
+    max: this.maxItems,
+    dispose: function(key) {
+      self._removeFile(key);
+    }
+  });
+  this.writing = {};
+  mkdirp.sync(this.path);
+}
+
+DiskCache.DEFAULT_MAX_ITEMS = 100000;
+
+DiskCache.codecs = {
+  json: {
+    encode: function(value) {
+      return new Buffer(JSON.stringify(value), 'utf8');
+    },
+    decode: function(buffer) {
+      return JSON.parse(buffer.toString('utf8'));
+    }
+  },
+  buffer: {
+    encode: function(value) {
+      return value;
+    },
+    decode: function(buffer) {
+      return buffer;
+    }
+  }
+};
+
+/**
+ * Will give the file path of a key, or null if the key can not be stored on disk. Files are
+ * spread over directories by the first two characters of the key.
+ * @param {String} key
+ * @returns {String|null}
+ */
+DiskCache.prototype._getFilePath = function(key) {
+  if (!_.isString(key) || !/^[0-9a-zA-Z]{2,128}$/.test(key)) {
+    return null;
+  }
+  return path.join(this.path, key.slice(0, 2), key);
+};
+
+/**
+ * Will add the files that are already on disk to the index, files beyond `maxItems` are
+ * removed, as are temporary files of writes that did not finish.
+ * @param {Function} callback
+ */
+DiskCache.prototype.load = function(callback) {
+  var self = this;
+
+  function readDir(dirPath, next) {
+    fs.readdir(dirPath, function(err, names) {
+      if (err) {
+        return next(err.code === 'ENOENT' ? null : err, []);
+      }
+      next(null, names);
+    });
+  }
+
+  readDir(self.path, function(err, dirNames) {
+    if (err) {
+      return callback(err);
+    }
+    async.eachSeries(dirNames, function(dirName, next) {
+      readDir(path.join(self.path, dirName), function(err, names) {
+        if (err) {
+          return next(err);
+        }
+        names.forEach(function(name) {
+          if (path.extname(name) === '.tmp') {
+            return self._removeFile(path.basename(name, '.tmp'), name);
+          }
+          if (self._getFilePath(name) === path.join(self.path, dirName, name)) {
+            self.index.set(name, true);
+          }
+        });
+        next();
+      });
+    }, callback);
+  });
+};
+
+DiskCache.prototype._removeFile = function(key, fileName) {
+  var filePath = path.join(this.path, key.slice(0, 2), fileName || key);
+  fs.unlink(filePath, function(err) {
+    if (err && err.code !== 'ENOENT') {
+      log.warn('Unable to remove disk cache item:', filePath, err.message);
+    }
+  });
+};
+
+/**
+ * Will give an item of the memory tier, see DiskCache.prototype.fetch to include the disk tier.
+ * @param {String} key
+ * @returns {*}
+ */
+DiskCache.prototype.get = function(key) {
+  return this.memory.get(key);
+};
+
+/**
+ * Will give an item of the memory tier, or read it from the disk tier on a miss and add it to
+ * the memory tier. An item that can't be read is removed from the disk tier.
+ * @param {String} key
+ * @param {Function} callback - Called with the item, or undefined if it's not cached
+ */
+DiskCache.prototype.fetch = function(key, callback) {
+  var self = this;
+  var value = self.memory.get(key);
+  if (!_.isUndefined(value)) {
+    return setImmediate(function() {
+      callback(null, value);
+    });
+  }
+
+  // only keys of valid file names are in the index
+  if (!self.index.get(key)) {
+    self.diskMisses++;
+    return setImmediate(function() {
+      callback(null, undefined);
+    });
+  }
+
+  self._readFile(key, function(value) {
+    // the item can be removed while it's read
+    if (_.isUndefined(value) || !self.index.has(key)) {
+      self.index.del(key);
+      self.diskMisses++;
+      return callback(null, undefined);
+    }
+    self.diskHits++;
+    self.memory.set(key, value);
+    callback(null, value);
+  });
+};
+
+DiskCache.prototype._readFile = function(key, callback) {
+  var self = this;
+  var filePath = self._getFilePath(key);
+  fs.readFile(filePath, function(err, buffer) {
+    if (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn('Unable to read disk cache item:', filePath, err.message);
+      }
+      return callback();
+    }
+    var value;
+    try {
+      value = self.codec.decode(buffer);
+    } catch(e) {
+      log.warn('Unable to read disk cache item:', filePath, e.message);
+    }
+    callback(value);
+  });
+};
+
+DiskCache.prototype.set = function(key, value) {
+  var self = this;
+  self.memory.set(key, value);
+
+  var filePath = self._getFilePath(key);
+  if (!filePath || self.index.has(key) || self.writing[key] || !self.shouldPersist(value)) {
+    return;
+  }
+
+  var data;
+  try {
+    data = self.codec.encode(value);
+  } catch(err) {
+    return log.warn('Unable to encode disk cache item:', key, err.message);
+  }
+
+  // write to a temporary file first so that a partial file is never read
+  var tmpPath = filePath + '.tmp';
+  self.writing[key] = true;
+
+  function finish(err) {
+    if (err) {
+      log.warn('Unable to write disk cache item:', filePath, err.message);
+    } else if (!self.writing[key]) {
+      // the item was removed while it was written
+      self._removeFile(key);
+    } else {
+      self.index.set(key, true);
+    }
+    delete self.writing[key];
+  }
+
+  mkdirp(path.dirname(filePath), function(err) {
+    if (err) {
+      return finish(err);
+    }
+    fs.writeFile(tmpPath, data, function(err) {
+      if (err) {
+        return finish(err);
+      }
+      fs.rename(tmpPath, filePath, finish);
+    });
+  });
+};
+
+DiskCache.prototype.del = function(key) {
+  this.memory.del(key);
+  if (this.writing[key]) {
+    this.writing[key] = false;
+  }
+  this.index.del(key);
+};
+
+/**
+ * Will only clear the memory tier, items on disk are still valid.
+ */
+DiskCache.prototype.reset = function() {
+  this.memory.reset();
+};
+
+/**
+ * Will give the statistics of the memory tier, with the hits and misses of the disk tier.
+ * @returns {Object}
+ */
+DiskCache.prototype.getStats = function() {
+  var stats = _.isFunction(this.memory.getStats) ? this.memory.getStats() : {};
+  stats.diskHits = this.diskHits;
+  stats.diskMisses = this.diskMisses;
+  return stats;
+};
+
+module.exports = DiskCache;
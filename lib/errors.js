@@ -6,7 +6,13 @@ var BitcoreNodeError = createError('BitcoreNodeError');
 
 var RPCError = createError('RPCError', BitcoreNodeError);
 
+var DependencyError = createError('DependencyError', BitcoreNodeError);
+
+var StartTimeoutError = createError('StartTimeoutError', BitcoreNodeError);
+
 module.exports = {
   Error: BitcoreNodeError,
-  RPCError: RPCError
+  RPCError: RPCError,
+  DependencyError: DependencyError,
+  StartTimeoutError: StartTimeoutError
 };
@@ -0,0 +1,388 @@
+'use strict';
+
+var bitcore = require('qtumcore-lib');
+var _ = bitcore.deps._;
+var packageInfo = require('../package.json');
+
+/**
+ * An introspection document of the API methods and events of the services, as an OpenAPI 3
+ * document of the HTTP routes with a catalogue of the methods and events for RPC clients in
+ * the `x-rpc` extension. Services can describe an API method with an object as the fifth item
+ * of the method, and an event with the `description`, `params` and `data` of the event:
+ *
+ * ['getBlock', this, this.getBlock, 1, {
+ *   description: 'Will get a block by height or hash',
+ *   params: [{name: 'blockArg', description: 'The block height or hash', schema: {type: ['string', 'integer']}}],
+ *   returns: {description: 'The block', schema: {type: 'object'}}
+ * }]
+ *
+ * Params of methods that are not described are named from the arguments of the function.
+ * Routes are only included for the paths that are given.
+ *
+ * @param {Object} options
+ * @param {String} options.title - The title of the API, defaults to the name of the package
+ * @param {String} options.version - The version of the API, defaults to the version of the package
+ * @param {String} options.restAPIPrefix - The route prefix of the API methods
+ * @param {String} options.jsonRPCPath - The path of the JSON-RPC 2.0 endpoint
+ * @param {String} options.eventStreamPath - The path of the event stream
+ * @param {String} options.healthPath - The path of the liveness endpoint
+ * @param {String} options.readyPath - The path of the readiness endpoint
+ * @param {String} options.metricsPath - The path of the metrics
+ */
+function Introspection(options) {
+  if (!(this instanceof Introspection)) {
+    return new Introspection(options);
+  }
+  options = options || {};
+  this.title = options.title || Introspection.DEFAULT_TITLE;
+  this.version = options.version || Introspection.DEFAULT_VERSION;
+  this.restAPIPrefix = options.restAPIPrefix;
+  this.jsonRPCPath = options.jsonRPCPath;
+  this.eventStreamPath = options.eventStreamPath;
+  this.healthPath = options.healthPath;
+  this.readyPath = options.readyPath;
+  this.metricsPath = options.metricsPath;
+}
+
+Introspection.OPENAPI_VERSION = '3.1.0';
+Introspection.DEFAULT_TITLE = packageInfo.name;
+Introspection.DEFAULT_VERSION = packageInfo.version;
+
+/**
+ * The query parameters of the event stream, see WebService.prototype.eventStreamHandler.
+ */
+Introspection.EVENT_STREAM_PARAMETERS = [
+  {name: 'name', description: 'The event names', schema: {type: 'array', items: {type: 'string'}}},
+  {name: 'addresses', description: 'The addresses of the subscriptions, separated by commas', schema: {type: 'string'}},
+  {name: 'contracts', description: 'The contracts of the subscriptions, separated by commas', schema: {type: 'string'}},
+  {name: 'txids', description: 'The transactions of the subscriptions, separated by commas', schema: {type: 'string'}},
+  {name: 'confirmations', description: 'The number of confirmations of the subscriptions', schema: {type: 'integer'}},
+  {name: 'lastEventId', description: 'The id of the last event, instead of the Last-Event-ID header',
+   schema: {type: 'string'}}
+];
+
+/**
+ * Will give the names of the arguments of a function, without comments and default values.
+ * @param {Function} fn
+ * @returns {Array}
+ */
+Introspection.prototype._getArgumentNames = function(fn) {
+  if (!_.isFunction(fn)) {
+    return [];
+  }
+  var source = fn.toString().replace(/\/\*[\s\S]*?\*\/|\/\/.*$/mg, '');
+  var match = /^[^(]*\(([^)]*)\)/.exec(source);
+  if (!match) {
+    return [];
+  }
+  return _.compact(match[1].split(',').map(function(arg) {
+    return arg.split('=')[0].trim();
+  }));
+};
+
+/**
+ * Will give the description of a param, with the name of the argument of the function if the
+ * param is not described.
+ * @param {Object} param - The metadata of the param
+ * @param {String} argumentName - The name of the argument of the function
+ * @param {Number} index
+ * @returns {Object}
+ */
+Introspection.prototype._describeParam = function(param, argumentName, index) {
+  param = param || {};
+  var described = {
+    name: param.name || argumentName || 'param' + (index + 1),
+    schema: param.schema || {}
+  };
+  if (param.description) {
+    described.description = param.description;
+  }
+  return described;
+};
+
+/**
+ * Will give the description of an API method, see Service.prototype.getAPIMethods.
+ * @param {Array} method - The name, instance, function, number of params and metadata of the method
+ * @returns {Object}
+ */
+Introspection.prototype.describeMethod = function(method) {
+  var self = this;
+  var metadata = method[4] || {};
+  var params = metadata.params || [];
+  var argumentNames = this._getArgumentNames(method[2]);
+  var described = {
+    name: method[0],
+    params: _.range(method[3]).map(function(index) {
+      return self._describeParam(params[index], argumentNames[index], index);
+    }),
+    returns: _.defaults({}, metadata.returns, {schema: {}})
+  };
+  if (metadata.description) {
+    described.description = metadata.description;
+  }
+  if (metadata.readOnly) {
+    described.readOnly = true;
+  }
+  if (metadata.restricted) {
+    described.restricted = true;
+  }
+  return described;
+};
+
+/**
+ * Will give the description of a publish event, see Service.prototype.getPublishEvents. The
+ * params are the params of a subscription and the data is the arguments of an event, events
+ * that can be replayed can be resumed after the id of the last event.
+ * @param {Object} event
+ * @returns {Object}
+ */
+Introspection.prototype.describeEvent = function(event) {
+  var self = this;
+  var described = {
+    name: event.name,
+    params: (event.params || []).map(function(param, index) {
+      return self._describeParam(param, null, index);
+    }),
+    data: (event.data || []).map(function(data, index) {
+      return self._describeParam(data, null, index);
+    }),
+    resumable: _.isFunction(event.replay)
+  };
+  if (event.description) {
+    described.description = event.description;
+  }
+  if (event.extraEvents) {
+    described.extraEvents = event.extraEvents;
+  }
+  return described;
+};
+
+/**
+ * Will give the catalogue of the API methods and publish events of the services.
+ * @param {Array} methods - See Node.prototype.getAllAPIMethods
+ * @param {Array} events - See Node.prototype.getAllPublishEvents
+ * @returns {Object}
+ */
+Introspection.prototype.getCatalogue = function(methods, events) {
+  return {
+    methods: methods.map(this.describeMethod.bind(this)),
+    events: events.map(this.describeEvent.bind(this))
+  };
+};
+
+/**
+ * Will give the schema of the array of params of a method.
+ * @param {Object} method - The description of the method
+ * @returns {Object}
+ */
+Introspection.prototype._getParamsSchema = function(method) {
+  var schema = {
+    type: 'array',
+    minItems: method.params.length,
+    maxItems: method.params.length
+  };
+  if (method.params.length) {
+    schema.prefixItems = method.params.map(function(param) {
+      return _.extend({title: param.name}, param.description ? {description: param.description} : {},
+                      param.schema);
+    });
+  }
+  return schema;
+};
+
+/**
+ * Will give the responses of a route, with the errors of the REST API.
+ * @param {Object} success - The response of a successful request
+ * @param {Array} errors - The status codes of the errors
+ * @returns {Object}
+ */
+Introspection.prototype._getResponses = function(success, errors) {
+  var responses = {'200': success};
+  errors.forEach(function(statusCode) {
+    responses[statusCode] = {$ref: '#/components/responses/Error'};
+  });
+  return responses;
+};
+
+/**
+ * Will give the OpenAPI path item of the route of an API method, only `readOnly` methods
+ * have a GET operation.
+ * @param {Object} method - The description of the method
+ * @returns {Object}
+ */
+Introspection.prototype._getMethodPathItem = function(method) {
+  var params = this._getParamsSchema(method);
+  var responses = this._getResponses({
+    description: method.returns.description || 'The result of ' + method.name,
+    content: {
+      'application/json': {
+        schema: {type: 'object', properties: {result: method.returns.schema}, required: ['result']}
+      }
+    }
+  }, ['400', '401', '403', '404', '500']);
+  var summary = method.description || method.name;
+  var pathItem = {
+    post: {
+      operationId: method.name + 'Post',
+      summary: summary,
+      tags: ['methods'],
+      requestBody: {
+        required: method.params.length > 0,
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [params, {type: 'object', properties: {params: params}, required: ['params']}]
+            }
+          }
+        }
+      },
+      responses: responses
+    }
+  };
+  if (!method.readOnly) {
+    return pathItem;
+  }
+  pathItem.get = {
+    operationId: method.name,
+    summary: summary,
+    tags: ['methods'],
+    parameters: method.params.length ? [{
+      name: 'params',
+      in: 'query',
+      required: true,
+      description: 'The params as a JSON array',
+      content: {'application/json': {schema: params}}
+    }] : [],
+    responses: responses
+  };
+  return pathItem;
+};
+
+/**
+ * Will give the OpenAPI paths of the routes that are given in the options.
+ * @param {Object} catalogue - See Introspection.prototype.getCatalogue
+ * @returns {Object}
+ */
+Introspection.prototype._getPaths = function(catalogue) {
+  var self = this;
+  var paths = {};
+  if (this.restAPIPrefix) {
+    catalogue.methods.forEach(function(method) {
+      paths['/' + self.restAPIPrefix + '/' + method.name] = self._getMethodPathItem(method);
+    });
+  }
+  if (this.jsonRPCPath) {
+    paths[this.jsonRPCPath] = {post: {
+      operationId: 'jsonRPC',
+      summary: 'JSON-RPC 2.0 requests of the methods in x-rpc, also available as a WebSocket',
+      tags: ['rpc'],
+      requestBody: {required: true, content: {'application/json': {schema: {type: ['object', 'array']}}}},
+      responses: {
+        '200': {description: 'The JSON-RPC 2.0 response', content: {'application/json': {schema: {}}}},
+        '204': {description: 'No response to notifications'},
+        '401': {description: 'Invalid API key'}
+      }
+    }};
+  }
+  if (this.eventStreamPath) {
+    paths[this.eventStreamPath] = {get: {
+      operationId: 'eventStream',
+      summary: 'Server-Sent Events of the events in x-rpc',
+      tags: ['events'],
+      parameters: Introspection.EVENT_STREAM_PARAMETERS.map(function(param) {
+        return _.extend({in: 'query', required: param.name === 'name'}, param);
+      }),
+      responses: this._getResponses({
+        description: 'The stream of events',
+        content: {'text/event-stream': {schema: {type: 'string'}}}
+      }, ['400', '401', '403', '429'])
+    }};
+  }
+  this._addHealthPaths(paths);
+  return paths;
+};
+
+/**
+ * Will add the paths of the health checks and metrics, these don't need an API key.
+ * @param {Object} paths
+ */
+Introspection.prototype._addHealthPaths = function(paths) {
+  var json = {'application/json': {schema: {type: 'object'}}};
+  if (this.healthPath) {
+    paths[this.healthPath] = {get: {
+      operationId: 'health',
+      summary: 'Liveness of the node',
+      tags: ['health'],
+      security: [],
+      responses: {'200': {description: 'The process is running', content: json}}
+    }};
+  }
+  if (this.readyPath) {
+    paths[this.readyPath] = {get: {
+      operationId: 'ready',
+      summary: 'Readiness checks of the node and its services',
+      tags: ['health'],
+      security: [],
+      responses: {
+        '200': {description: 'The node is ready', content: json},
+        '503': {description: 'The node is not ready', content: json}
+      }
+    }};
+  }
+  if (this.metricsPath) {
+    paths[this.metricsPath] = {get: {
+      operationId: 'metrics',
+      summary: 'Metrics of the services in the Prometheus text format',
+      tags: ['health'],
+      responses: {
+        '200': {description: 'The metrics', content: {'text/plain': {schema: {type: 'string'}}}},
+        '401': {$ref: '#/components/responses/Error'}
+      }
+    }};
+  }
+};
+
+/**
+ * Will give the OpenAPI document of a catalogue.
+ * @param {Object} catalogue - See Introspection.prototype.getCatalogue
+ * @returns {Object}
+ */
+Introspection.prototype.getDocument = function(catalogue) {
+  return {
+    openapi: Introspection.OPENAPI_VERSION,
+    info: {
+      title: this.title,
+      version: this.version
+    },
+    paths: this._getPaths(catalogue),
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {message: {type: 'string'}, code: {type: 'integer'}},
+              required: ['message']
+            }
+          },
+          required: ['error']
+        }
+      },
+      responses: {
+        Error: {
+          description: 'An error',
+          content: {'application/json': {schema: {$ref: '#/components/schemas/Error'}}}
+        }
+      },
+      securitySchemes: {
+        apiKey: {type: 'apiKey', in: 'header', name: 'X-API-Key'},
+        bearer: {type: 'http', scheme: 'bearer'}
+      }
+    },
+    security: [{}, {apiKey: []}, {bearer: []}],
+    'x-rpc': catalogue
+  };
+};
+
+module.exports = Introspection;
@@ -3,6 +3,7 @@
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var async = require('async');
+var semver = require('semver');
 var bitcore = require('qtumcore-lib');
 var Networks = bitcore.Networks;
 var $ = bitcore.util.preconditions;
@@ -34,10 +35,17 @@ var errors = require('./errors');
  * @param {Object} config.httpsOptions - Options for https
  * @param {String} config.httpsOptions.key - Path to key file
  * @param {String} config.httpsOptions.cert - Path to cert file
+ * @param {Object} config.restart - The default restart options of the services, see Node.DEFAULT_RESTART,
+ * which can be set for a service with the `restart` option in the config of the service
+ * @param {Number} config.startTimeout - The default milliseconds that a service has to start, see
+ * Node.DEFAULT_START_TIMEOUT, which can be set for a service with the `startTimeout` option in the
+ * config of the service or by the module of the service, and 0 to wait without a timeout
+ * @param {Array} config.methodPriority - The names of the services whose API methods are available
+ * without a namespace when services have methods with the same name, see Node.prototype.getServicePriority
  * @param {}
  */
 function Node(config) {
-  /* jshint maxstatements: 20 */
+  /* jshint maxstatements: 29 */
   if(!(this instanceof Node)) {
     return new Node(config);
   }
@@ -52,6 +60,14 @@ function Node(config) {
   this.network = null;
   this.services = {};
   this._unloadedServices = [];
+  this._startedServices = {};
+  this._failedServices = {};
+  this.api = {};
+  this._apiAliases = {};
+  this._supervision = {};
+  this._buses = [];
+  this._serviceQueue = async.queue(this._runServiceTask.bind(this), 1);
+  this.started = false;
 
   // TODO type check the arguments of config.services
   if (config.services) {
@@ -61,11 +77,33 @@ function Node(config) {
   this.port = config.port;
   this.https = config.https;
   this.httpsOptions = config.httpsOptions;
+  this._restartOptions = config.restart || {};
+  $.checkArgument(!config.methodPriority || Array.isArray(config.methodPriority));
+  this._methodPriority = config.methodPriority || [];
+  this._startTimeout = _.isUndefined(config.startTimeout) ? Node.DEFAULT_START_TIMEOUT : config.startTimeout;
   this._setNetwork(config);
 }
 
 util.inherits(Node, EventEmitter);
 
+Node.READINESS_TIMEOUT = 5000;
+Node.DEFAULT_START_TIMEOUT = 120000;
+
+/**
+ * The restart policies of services that emit a `fatal` event, see Service: "never" leaves the
+ * service as it is, "on-failure" restarts the service after `delay` milliseconds, and "backoff"
+ * doubles the delay after each restart up to `maxDelay`. A service is stopped with its dependents after
+ * `maxRestarts` restarts within `resetTime` milliseconds of the last start.
+ */
+Node.RESTART_POLICIES = ['never', 'on-failure', 'backoff'];
+Node.DEFAULT_RESTART = {
+  policy: 'on-failure',
+  maxRestarts: 5,
+  delay: 1000,
+  maxDelay: 60000,
+  resetTime: 300000
+};
+
 /**
  * Will set the this.network based on a network string.
  * @param {Object} config
@@ -88,10 +126,16 @@ Node.prototype._setNetwork = function(config) {
  * @returns {Bus}
  */
 Node.prototype.openBus = function(options) {
+  var self = this;
   if (!options) {
     options = {};
   }
-  return new Bus({node: this, remoteAddress: options.remoteAddress});
+  var bus = new Bus({node: this, remoteAddress: options.remoteAddress});
+  self._buses.push(bus);
+  bus.once('close', function() {
+    self._buses = _.without(self._buses, bus);
+  });
+  return bus;
 };
 
 /**
@@ -109,6 +153,85 @@ Node.prototype.getAllAPIMethods = function() {
   return methods;
 };
 
+/**
+ * Will give the names of the services in the priority of their API methods, the services in
+ * `methodPriority` and then the other services in the order that they are configured.
+ * @returns {Array}
+ */
+Node.prototype.getServicePriority = function() {
+  var self = this;
+  var names = this._methodPriority.concat(_.pluck(this._unloadedServices, 'name'), _.keys(this.services));
+  return _.uniq(names).filter(function(name) {
+    return self.services[name];
+  });
+};
+
+/**
+ * Will get the API method descriptions of each of the available services, in the priority
+ * of the services.
+ * @returns {Array} - Objects with the `name` of the service and its `methods`
+ */
+Node.prototype.getAPIMethodsByService = function() {
+  var self = this;
+  return this.getServicePriority().filter(function(name) {
+    return self.services[name].getAPIMethods;
+  }).map(function(name) {
+    return {name: name, methods: self.services[name].getAPIMethods()};
+  });
+};
+
+/**
+ * Will add the API methods of a started service to its namespace, such as `node.api.qtumd.getInfo`.
+ * @param {String} name - The name of the service
+ * @param {Array} methods - See Service.prototype.getAPIMethods
+ */
+Node.prototype._addAPIMethods = function(name, methods) {
+  var namespace = {};
+  methods.forEach(function(data) {
+    var instance = data[1];
+    var method = data[2];
+    namespace[data[0]] = function() {
+      return method.apply(instance, arguments);
+    };
+  });
+  this.api[name] = namespace;
+  this._updateAPIAliases();
+};
+
+/**
+ * Will remove the namespace of the API methods of a stopped service.
+ * @param {String} name - The name of the service
+ */
+Node.prototype._removeAPIMethods = function(name) {
+  delete this.api[name];
+  this._updateAPIAliases();
+};
+
+/**
+ * Will add the API methods to the node without a namespace, such as `node.getInfo`, for backward
+ * compatibility. A method is added for the service with the highest priority that has the method,
+ * and methods that have the name of a property of the node are only available in their namespace.
+ */
+Node.prototype._updateAPIAliases = function() {
+  var self = this;
+  _.keys(self._apiAliases).forEach(function(method) {
+    delete self[method];
+  });
+  self._apiAliases = {};
+  self.getServicePriority().forEach(function(name) {
+    _.each(self.api[name], function(fn, method) {
+      if (self._apiAliases[method]) {
+        return;
+      }
+      if (!_.isUndefined(self[method])) {
+        return log.warn('API method ' + name + '.' + method + ' has the name of a property of the node');
+      }
+      self[method] = fn;
+      self._apiAliases[method] = name;
+    });
+  });
+};
+
 /**
  * Will get an array of events from all of the available services.
  * @returns {Array}
@@ -125,54 +248,211 @@ Node.prototype.getAllPublishEvents = function() {
 };
 
 /**
- * Will organize services into the order that they should be started
- * based on the service's dependencies.
+ * Will get an array of metrics from all of the available services.
  * @returns {Array}
  */
-Node.prototype.getServiceOrder = function() {
+Node.prototype.getAllMetrics = function() {
+  var metrics = [];
+  for (var i in this.services) {
+    var mod = this.services[i];
+    if (mod.getMetrics) {
+      metrics = metrics.concat(mod.getMetrics());
+    }
+  }
+  return metrics;
+};
 
-  var services = this._unloadedServices;
+/**
+ * Will check if the node is ready to handle requests, every service needs to be started and
+ * the checks of the services that implement `checkReadiness` need to pass. The result has
+ * each check with a message, for example:
+ * {
+ *   ready: false,
+ *   checks: [
+ *     {name: 'node', ready: true, message: 'Running'},
+ *     {name: 'service/qtumd', ready: true, message: 'Started'},
+ *     {name: 'service/web', ready: true, message: 'Started'},
+ *     {name: 'qtumd/synced', ready: false, message: 'Synced 98.52%'}
+ *   ]
+ * }
+ * @param {Function} callback
+ */
+Node.prototype.checkReadiness = function(callback) {
+  var self = this;
+  var checks = [{
+    name: 'node',
+    ready: !self.stopping,
+    message: self.stopping ? 'Stopping' : 'Running'
+  }];
+
+  var started = [];
+  self.getServiceOrder().forEach(function(serviceInfo) {
+    var ready = self._startedServices[serviceInfo.name] ? true : false;
+    var failure = self._failedServices[serviceInfo.name];
+    checks.push({
+      name: 'service/' + serviceInfo.name,
+      ready: ready,
+      message: ready ? 'Started' : (failure ? 'Failed: ' + failure.message : 'Not started')
+    });
+    if (ready && self.services[serviceInfo.name].checkReadiness) {
+      started.push(serviceInfo.name);
+    }
+  });
+
+  async.map(started, function(name, next) {
+    self._checkServiceReadiness(name, function(serviceChecks) {
+      next(null, serviceChecks);
+    });
+  }, function(err, serviceChecks) {
+    checks = checks.concat(_.flatten(serviceChecks));
+    callback(null, {
+      ready: _.every(checks, 'ready'),
+      checks: checks
+    });
+  });
+};
 
-  // organize data for sorting
-  var names = [];
-  var servicesByName = {};
-  for (var i = 0; i < services.length; i++) {
-    var service = services[i];
-    names.push(service.name);
-    servicesByName[service.name] = service;
+/**
+ * Will give the readiness checks of a service, or a failed check if the service gives an error
+ * or doesn't respond within `Node.READINESS_TIMEOUT`.
+ * @param {String} name - The name of the service
+ * @param {Function} callback - Called with the checks
+ */
+Node.prototype._checkServiceReadiness = function(name, callback) {
+  var done = false;
+  var timeout = null;
+  function finish(checks) {
+    if (!done) {
+      done = true;
+      clearTimeout(timeout);
+      callback(checks);
+    }
   }
+  timeout = setTimeout(function() {
+    finish([{name: name, ready: false, message: 'Timed out checking readiness'}]);
+  }, Node.READINESS_TIMEOUT);
 
-  var stackNames = {};
+  this.services[name].checkReadiness(function(err, checks) {
+    if (err) {
+      return finish([{name: name, ready: false, message: err.message}]);
+    }
+    finish(checks);
+  });
+};
+
+/**
+ * Will organize services into the order that they should be started
+ * based on the service's dependencies. Services are started after their
+ * `dependencies`, and after the `optionalDependencies` that are available.
+ * @returns {Array}
+ * @throws {DependencyError} If a dependency is not available or doesn't satisfy its version
+ * range, or if the dependencies have a cycle
+ */
+Node.prototype.getServiceOrder = function() {
+  var self = this;
+  var servicesByName = _.indexBy(this._unloadedServices, 'name');
+  var added = {};
+  var path = [];
   var stack = [];
 
-  function addToStack(names) {
-    for(var i = 0; i < names.length; i++) {
+  function addToStack(service) {
+    if (added[service.name]) {
+      return;
+    }
+    var index = path.indexOf(service.name);
+    if (index !== -1) {
+      throw new errors.DependencyError(
+        'Dependency cycle: ' + path.slice(index).concat(service.name).join(' -> ')
+      );
+    }
 
-      var name = names[i];
-      var service = servicesByName[name];
-      $.checkState(service, 'Required dependency "' + name + '" not available.');
+    // first add the dependencies
+    path.push(service.name);
+    self._resolveDependencies(service, servicesByName).forEach(addToStack);
+    path.pop();
 
-      // first add the dependencies
-      addToStack(service.module.dependencies);
+    added[service.name] = true;
+    stack.push(service);
+  }
 
-      // add to the stack if it hasn't been added
-      if(!stackNames[name]) {
-        stack.push(service);
-        stackNames[name] = true;
-      }
+  this._unloadedServices.forEach(addToStack);
 
-    }
+  return stack;
+};
+
+/**
+ * Will give the name and version range of a dependency, a dependency can be given with a
+ * version range of the service, for example "qtumd@^5.0.0".
+ * @param {String} dependency
+ * @returns {Object}
+ * @throws {DependencyError} If the version range is not valid
+ */
+Node.prototype._parseDependency = function(dependency) {
+  var index = dependency.lastIndexOf('@');
+  if (index <= 0) {
+    return {name: dependency, range: null};
   }
+  var range = dependency.slice(index + 1);
+  if (!semver.validRange(range)) {
+    throw new errors.DependencyError('Invalid version range of dependency "' + dependency + '"');
+  }
+  return {name: dependency.slice(0, index), range: range};
+};
 
-  addToStack(names);
+/**
+ * Will give the services that a service needs to be started after, the required dependencies
+ * and then the optional dependencies that are available. The version of a service is the
+ * `version` of its module, or the `version` of the service from the package.json of the module.
+ * @param {Object} serviceInfo
+ * @param {Object} servicesByName - The available services
+ * @returns {Array}
+ * @throws {DependencyError} If a required dependency is not available, or if a dependency
+ * doesn't satisfy its version range
+ */
+Node.prototype._resolveDependencies = function(serviceInfo, servicesByName) {
+  var self = this;
+  function resolve(dependency, required) {
+    var parsed = self._parseDependency(dependency);
+    var service = servicesByName[parsed.name];
+    if (!service) {
+      if (required) {
+        throw new errors.DependencyError(
+          'Required dependency "' + parsed.name + '" of service "' + serviceInfo.name + '" not available'
+        );
+      }
+      return null;
+    }
+    var version = service.module.version || service.version;
+    if (parsed.range && !(version && semver.satisfies(version, parsed.range))) {
+      throw new errors.DependencyError(
+        'Service "' + serviceInfo.name + '" requires "' + parsed.name + '" version "' + parsed.range +
+        '", but the version is "' + version + '"'
+      );
+    }
+    return service;
+  }
+  var required = (serviceInfo.module.dependencies || []).map(function(dependency) {
+    return resolve(dependency, true);
+  });
+  var optional = (serviceInfo.module.optionalDependencies || []).map(function(dependency) {
+    return resolve(dependency, false);
+  });
+  return _.uniq(_.compact(required.concat(optional)));
+};
 
-  return stack;
+/**
+ * Will give the names of the services that a loaded service is started after.
+ * @param {Object} serviceInfo
+ * @returns {Array}
+ */
+Node.prototype._getDependencyNames = function(serviceInfo) {
+  return _.pluck(this._resolveDependencies(serviceInfo, _.indexBy(this._unloadedServices, 'name')), 'name');
 };
 
 /**
  * Will instantiate an instance of the service module, add it to the node
- * services, start the service and add available API methods to the node and
- * checking for any conflicts.
+ * services, start the service and add available API methods to the node in
+ * the namespace of the service.
  * @param {Object} serviceInfo
  * @param {String} serviceInfo.name - The name of the service
  * @param {Object} serviceInfo.module - The service module constructor
@@ -190,7 +470,8 @@ Node.prototype._startService = function(serviceInfo, callback) {
     $.checkState(_.isObject(serviceInfo.config));
     $.checkState(!serviceInfo.config.node);
     $.checkState(!serviceInfo.config.name);
-    config = serviceInfo.config;
+    // copied so that the service can be started again when it's restarted
+    config = _.clone(serviceInfo.config);
   } else {
     config = {};
   }
@@ -207,33 +488,477 @@ Node.prototype._startService = function(serviceInfo, callback) {
       return callback(err);
     }
 
+    // a service that timed out while starting has been removed, and is stopped once it's started
+    if (self.services[serviceInfo.name] !== service) {
+      log.info('Stopping ' + serviceInfo.name);
+      return service.stop(function(err) {
+        if (err) {
+          log.error('Failed to stop ' + serviceInfo.name + ':', err.message);
+        }
+        callback();
+      });
+    }
+
     // add API methods
     if (service.getAPIMethods) {
-      var methodData = service.getAPIMethods();
-      var methodNameConflicts = [];
-      methodData.forEach(function(data) {
-        var name = data[0];
-        var instance = data[1];
-        var method = data[2];
-
-        if (self[name]) {
-          methodNameConflicts.push(name);
-        } else {
-          self[name] = function() {
-            return method.apply(instance, arguments);
-          };
+      self._addAPIMethods(serviceInfo.name, service.getAPIMethods());
+    }
+
+    self._startedServices[serviceInfo.name] = true;
+    delete self._failedServices[serviceInfo.name];
+    self._superviseService(serviceInfo, service);
+    callback();
+
+  });
+
+};
+
+/**
+ * Will start a service, and give a StartTimeoutError if the service doesn't start within its
+ * `startTimeout`. The timeout is the `startTimeout` option in the config of the service, then
+ * `startTimeout` of the module of the service, for services that can take long to start, and
+ * then the `startTimeout` of the node. A service that times out is removed from the services of
+ * the node, so that it's stopped without adding its API methods if it starts later.
+ * @param {Object} serviceInfo
+ * @param {Function} callback - Called when the service is started
+ */
+Node.prototype._startServiceWithTimeout = function(serviceInfo, callback) {
+  var self = this;
+  var name = serviceInfo.name;
+  var timeout = this._startTimeout;
+  if (serviceInfo.config && !_.isUndefined(serviceInfo.config.startTimeout)) {
+    timeout = serviceInfo.config.startTimeout;
+  } else if (serviceInfo.module && !_.isUndefined(serviceInfo.module.startTimeout)) {
+    timeout = serviceInfo.module.startTimeout;
+  }
+  var done = false;
+  var timer = null;
+  function finish(err) {
+    if (done) {
+      return log.warn('Service ' + name + ' ' + (err ? 'failed to start' : 'started') + ' after timing out');
+    }
+    done = true;
+    clearTimeout(timer);
+    callback(err);
+  }
+  if (timeout) {
+    timer = setTimeout(function() {
+      delete self.services[name];
+      finish(new errors.StartTimeoutError('Service "' + name + '" did not start within ' + timeout + 'ms'));
+    }, timeout);
+  }
+  this._startService(serviceInfo, finish);
+};
+
+/**
+ * Will give the restart options of a service, from the `restart` option in the config of the
+ * service, the `restart` option of the node and then Node.DEFAULT_RESTART.
+ * @param {Object} serviceInfo
+ * @returns {Object}
+ */
+Node.prototype._getRestartOptions = function(serviceInfo) {
+  var serviceOptions = (serviceInfo.config && serviceInfo.config.restart) || {};
+  var options = _.defaults({}, serviceOptions, this._restartOptions, Node.DEFAULT_RESTART);
+  $.checkArgument(
+    Node.RESTART_POLICIES.indexOf(options.policy) !== -1,
+    'Unknown restart policy "' + options.policy + '" of service "' + serviceInfo.name + '"'
+  );
+  return options;
+};
+
+/**
+ * Will give the milliseconds to wait before a restart.
+ * @param {Object} options - The restart options of the service
+ * @param {Number} restarts - The number of restarts of the service before this restart
+ * @returns {Number}
+ */
+Node.prototype._getRestartDelay = function(options, restarts) {
+  if (options.policy === 'backoff') {
+    return Math.min(options.delay * Math.pow(2, restarts), options.maxDelay);
+  }
+  return options.delay;
+};
+
+Node.prototype._getSupervisionState = function(name) {
+  if (!this._supervision[name]) {
+    this._supervision[name] = {restarts: 0, startedAt: null, timer: null};
+  }
+  return this._supervision[name];
+};
+
+/**
+ * Will restart a started service when it emits a `fatal` event, unless the restart policy of
+ * the service is "never". Services emit `error` for errors that they recover from, and `fatal`
+ * when they can't continue.
+ * @param {Object} serviceInfo
+ * @param {Service} service - The started instance of the service
+ */
+Node.prototype._superviseService = function(serviceInfo, service) {
+  var self = this;
+  self._getSupervisionState(serviceInfo.name).startedAt = Date.now();
+  if (self._getRestartOptions(serviceInfo).policy === 'never') {
+    return;
+  }
+  service.on('fatal', function(err) {
+    self._serviceErrorHandler(serviceInfo, service, err);
+  });
+};
+
+/**
+ * Will handle an error of a supervised service, errors of instances that have been stopped or
+ * replaced, or of a service that is already being restarted, are ignored.
+ * @param {Object} serviceInfo
+ * @param {Service} service - The instance of the service that emitted the error
+ * @param {Error} err
+ */
+Node.prototype._serviceErrorHandler = function(serviceInfo, service, err) {
+  var name = serviceInfo.name;
+  if (this.stopping || this.services[name] !== service || !this._startedServices[name]) {
+    return;
+  }
+  log.error('Service ' + name + ' failed:', err.message);
+  delete this._startedServices[name];
+  this._scheduleRestart(serviceInfo, err);
+};
+
+/**
+ * Will restart a service after the delay of its restart policy, or stop the service when it
+ * has been restarted `maxRestarts` times since `resetTime` after its last start.
+ * @param {Object} serviceInfo
+ * @param {Error} err - The error of the failure
+ */
+Node.prototype._scheduleRestart = function(serviceInfo, err) {
+  var self = this;
+  var options = self._getRestartOptions(serviceInfo);
+  var state = self._getSupervisionState(serviceInfo.name);
+  if (state.timer) {
+    return;
+  }
+  if (state.startedAt && Date.now() - state.startedAt >= options.resetTime) {
+    state.restarts = 0;
+  }
+  if (options.policy === 'never' || state.restarts >= options.maxRestarts) {
+    return self._serviceQueue.push({action: 'fail', serviceInfo: serviceInfo, error: err});
+  }
+  var delay = self._getRestartDelay(options, state.restarts);
+  state.restarts++;
+  log.warn('Restarting ' + serviceInfo.name + ' in ' + delay + 'ms, restart ' + state.restarts + ' of ' +
+           options.maxRestarts);
+  state.timer = setTimeout(function() {
+    state.timer = null;
+    self._serviceQueue.push({action: 'restart', serviceInfo: serviceInfo, error: err});
+  }, delay);
+};
+
+/**
+ * Will give the services that depend on a service, directly or through other services, in
+ * the order that they are started.
+ * @param {String} name - The name of the service
+ * @returns {Array}
+ */
+Node.prototype._getDependents = function(name) {
+  var self = this;
+  var names = [name];
+  return this.getServiceOrder().filter(function(serviceInfo) {
+    var dependent = _.intersection(self._getDependencyNames(serviceInfo), names).length > 0;
+    if (dependent) {
+      names.push(serviceInfo.name);
+    }
+    return dependent;
+  });
+};
+
+/**
+ * Will stop a service to restart it, and remove its API methods from the node. The open buses
+ * are unsubscribed from the events of the stopped instance, and keep their subscriptions to
+ * repeat them when the service is started again. Errors stopping the service are logged.
+ * @param {Object} serviceInfo
+ * @param {Function} callback
+ */
+Node.prototype._stopService = function(serviceInfo, callback) {
+  var self = this;
+  var name = serviceInfo.name;
+  var service = self.services[name];
+  delete self._startedServices[name];
+  if (self.api[name]) {
+    self._removeAPIMethods(name);
+  }
+  if (!service) {
+    return setImmediate(callback);
+  }
+  delete self.services[name];
+  self._buses.forEach(function(bus) {
+    bus.unsubscribeService(service);
+  });
+  log.info('Stopping ' + name);
+  service.stop(function(err) {
+    if (err) {
+      log.error('Failed to stop ' + name + ':', err.message);
+    }
+    callback();
+  });
+};
+
+/**
+ * Will start services at the same time once their dependencies are started, so that a slow
+ * service only delays the services that depend on it. A service isn't started if one of its
+ * dependencies isn't started.
+ * @param {Array} services
+ * @param {Function} callback - Called with the services that failed to start and their errors
+ */
+Node.prototype._startServices = function(services, callback) {
+  var self = this;
+  var names = _.pluck(services, 'name');
+  var failures = [];
+  var tasks = {};
+  services.forEach(function(serviceInfo) {
+    // dependencies that are not in the services are already started
+    var dependencies = _.intersection(self._getDependencyNames(serviceInfo), names);
+    tasks[serviceInfo.name] = dependencies.concat(function(next, results) {
+      var ready = _.every(dependencies, function(dependency) {
+        return results[dependency];
+      });
+      if (self.stopping || !ready) {
+        return next(null, false);
+      }
+      self._startServiceWithTimeout(serviceInfo, function(err) {
+        if (err) {
+          log.error('Failed to start ' + serviceInfo.name + ':', err.message);
+          failures.push({serviceInfo: serviceInfo, error: err});
         }
+        next(null, !err);
       });
+    });
+  });
+  async.auto(tasks, function() {
+    callback(failures);
+  });
+};
+
+/**
+ * Will run the start of the node, and the restarts, failures, additions and removals of services
+ * one at a time.
+ * @param {Object} task
+ * @param {String} task.action - "start", "restart", "fail", "add" or "remove"
+ * @param {Object} task.serviceInfo - The service
+ * @param {Error} task.error - The error of the failure of the service to restart or stop
+ * @param {Function} callback
+ */
+Node.prototype._runServiceTask = function(task, callback) {
+  if (task.action === 'start') {
+    return this._start(callback);
+  } else if (task.action === 'add') {
+    return this._addService(task.serviceInfo, callback);
+  } else if (task.action === 'remove') {
+    return this._removeService(task.name, callback);
+  }
+  // services that have been removed are not restarted
+  if (this.stopping || this._unloadedServices.indexOf(task.serviceInfo) === -1) {
+    return callback();
+  }
+  if (task.action === 'fail') {
+    return this._failService(task.serviceInfo, task.error, callback);
+  }
+  this._restartService(task.serviceInfo, callback);
+};
 
-      if (methodNameConflicts.length > 0) {
-        return callback(new Error('Existing API method(s) exists: ' + methodNameConflicts.join(', ')));
+/**
+ * Will stop and start a service and the services that depend on it, in the order of their
+ * dependencies, and emit `service:restarted`. The subscriptions of the open buses are repeated to
+ * the started services. Services that fail to start are scheduled to be restarted again.
+ * @param {Object} serviceInfo - The service that failed
+ * @param {Function} callback
+ */
+Node.prototype._restartService = function(serviceInfo, callback) {
+  var self = this;
+  var name = serviceInfo.name;
+  var services = [serviceInfo].concat(self._getDependents(name));
+  log.warn('Restarting ' + _.pluck(services, 'name').join(', '));
+  async.eachSeries(services.slice().reverse(), self._stopService.bind(self), function() {
+    self._startServices(services, function(failures) {
+      self._resubscribeBuses(_.pluck(services, 'name'));
+      if (!self.stopping && self._startedServices[name]) {
+        log.info('Restarted ' + name);
+        self.emit('service:restarted', {
+          name: name,
+          restarts: self._getSupervisionState(name).restarts,
+          dependents: _.pluck(services.slice(1), 'name').filter(function(dependent) {
+            return self._startedServices[dependent];
+          })
+        });
       }
-    }
+      failures.forEach(function(failure) {
+        self._scheduleRestart(failure.serviceInfo, failure.error);
+      });
+      callback();
+    });
+  });
+};
+
+/**
+ * Will repeat the subscriptions of the open buses to the services that have been started again.
+ * @param {Array} names - The names of the services
+ */
+Node.prototype._resubscribeBuses = function(names) {
+  var self = this;
+  var started = names.filter(function(name) {
+    return self._startedServices[name];
+  });
+  self._buses.forEach(function(bus) {
+    bus.resubscribe(started);
+  });
+};
 
+/**
+ * Will stop a service that can't be restarted, and the services that depend on it, and
+ * emit `service:failed`.
+ * @param {Object} serviceInfo
+ * @param {Error} err - The error of the last failure
+ * @param {Function} callback
+ */
+Node.prototype._failService = function(serviceInfo, err, callback) {
+  var self = this;
+  var name = serviceInfo.name;
+  var dependents = self._getDependents(name);
+  var restarts = self._getSupervisionState(name).restarts;
+  log.error('Service ' + name + ' failed after ' + restarts + ' restart(s), stopping ' +
+            _.pluck([serviceInfo].concat(dependents), 'name').join(', '));
+  self._failedServices[name] = err;
+  async.eachSeries([serviceInfo].concat(dependents).reverse(), self._stopService.bind(self), function() {
+    self.emit('service:failed', {
+      name: name,
+      error: err,
+      restarts: restarts,
+      dependents: _.pluck(dependents, 'name')
+    });
     callback();
+  });
+};
 
+/**
+ * Will add a service to the node and start it, the dependencies of the service need to be
+ * started. A service that is added before the node is started is started with the other
+ * services, and a service that is added while the node is starting is added once the node is
+ * started. The node emits `service:added` when the service is started.
+ * @param {Object} serviceInfo
+ * @param {String} serviceInfo.name - The name of the service
+ * @param {Object} serviceInfo.module - The service module constructor
+ * @param {Object} serviceInfo.config - Options to pass into the constructor
+ * @param {Function} callback - Called when the service is started
+ */
+Node.prototype.addService = function(serviceInfo, callback) {
+  this._serviceQueue.push({action: 'add', serviceInfo: serviceInfo}, callback);
+};
+
+/**
+ * Will stop a service and remove it from the node, services that depend on the service need to
+ * be removed first. The services that have the service as an optional dependency are stopped
+ * before it and started again without it. The node emits `service:removed` when the service is
+ * stopped.
+ * @param {String} name - The name of the service
+ * @param {Function} callback - Called when the service is stopped
+ */
+Node.prototype.removeService = function(name, callback) {
+  this._serviceQueue.push({action: 'remove', name: name}, callback);
+};
+
+/**
+ * Will give an error if a service can't be added to the node.
+ * @param {Object} serviceInfo
+ * @returns {Error|null}
+ */
+Node.prototype._checkAddedService = function(serviceInfo) {
+  /* jshint maxcomplexity: 12 */
+  var self = this;
+  if (!_.isObject(serviceInfo) || !_.isString(serviceInfo.name) || !_.isFunction(serviceInfo.module) ||
+      !_.isArray(serviceInfo.module.dependencies) ||
+      !_.isArray(serviceInfo.module.optionalDependencies || [])) {
+    return new TypeError('Expected a service with a name, and a module with dependencies');
+  }
+  if (_.find(self._unloadedServices, {name: serviceInfo.name})) {
+    return new Error('Service "' + serviceInfo.name + '" already exists');
+  }
+  // the dependencies of a service added to a running node need to be started
+  var available = self._unloadedServices.filter(function(other) {
+    return !self.started || self._startedServices[other.name];
   });
+  try {
+    self._resolveDependencies(serviceInfo, _.indexBy(available, 'name'));
+    self._getRestartOptions(serviceInfo);
+  } catch(e) {
+    return e;
+  }
+  return null;
+};
 
+Node.prototype._addService = function(serviceInfo, callback) {
+  var self = this;
+  if (self.stopping) {
+    return callback(new Error('Node is stopping'));
+  }
+  var error = self._checkAddedService(serviceInfo);
+  if (error) {
+    return callback(error);
+  }
+  self._unloadedServices = self._unloadedServices.concat(serviceInfo);
+  if (!self.started) {
+    return callback();
+  }
+  self._startServiceWithTimeout(serviceInfo, function(err) {
+    if (err) {
+      return self._stopService(serviceInfo, function() {
+        self._unloadedServices = _.without(self._unloadedServices, serviceInfo);
+        callback(err);
+      });
+    }
+    log.info('Added ' + serviceInfo.name);
+    self.emit('service:added', {name: serviceInfo.name});
+    callback();
+  });
+};
+
+Node.prototype._removeService = function(name, callback) {
+  var self = this;
+  if (self.stopping) {
+    return callback(new Error('Node is stopping'));
+  }
+  var serviceInfo = _.find(self._unloadedServices, {name: name});
+  if (!serviceInfo) {
+    return callback(new Error('Unknown service "' + name + '"'));
+  }
+  var dependents = self._unloadedServices.filter(function(other) {
+    return _.pluck(other.module.dependencies.map(self._parseDependency), 'name').indexOf(name) !== -1;
+  });
+  if (dependents.length) {
+    return callback(new Error('Service "' + name + '" is required by: ' + _.pluck(dependents, 'name').join(', ')));
+  }
+  if (self._supervision[name]) {
+    clearTimeout(self._supervision[name].timer);
+    delete self._supervision[name];
+  }
+  // the services that use the service as an optional dependency are started again without it
+  var optionalDependents = self._getDependents(name).filter(function(other) {
+    return self._startedServices[other.name];
+  });
+  var services = optionalDependents.concat(serviceInfo).reverse();
+  async.eachSeries(services, self._stopService.bind(self), function() {
+    self._unloadedServices = _.without(self._unloadedServices, serviceInfo);
+    delete self._failedServices[name];
+    self._startServices(optionalDependents, function(failures) {
+      self._resubscribeBuses(_.pluck(optionalDependents, 'name'));
+      failures.forEach(function(failure) {
+        self._scheduleRestart(failure.serviceInfo, failure.error);
+      });
+      log.info('Removed ' + name);
+      self.emit('service:removed', {
+        name: name,
+        dependents: _.pluck(optionalDependents, 'name').filter(function(dependent) {
+          return self._startedServices[dependent];
+        })
+      });
+      callback();
+    });
+  });
 };
 
 Node.prototype._logTitle = function() {
@@ -245,28 +970,40 @@ Node.prototype._logTitle = function() {
 
 
 /**
- * Will start all running services in the order based on the dependency chain.
+ * Will start all running services based on the dependency chain, services are started at the
+ * same time once their dependencies are started. When a service fails to start, the services
+ * that don't depend on it are still started, and are left to be stopped. The restart options
+ * of the services are checked before any service is started, added services are checked when
+ * they are added, see Node.prototype._checkAddedService. Services that are added or removed
+ * while the node is starting are added or removed after the start.
  * @param {Function} callback - Called when all services are started
  */
 Node.prototype.start = function(callback) {
+  this._serviceQueue.push({action: 'start'}, callback);
+};
+
+Node.prototype._start = function(callback) {
   var self = this;
-  var servicesOrder = this.getServiceOrder();
+  var servicesOrder;
+  try {
+    servicesOrder = this.getServiceOrder();
+    servicesOrder.forEach(function(serviceInfo) {
+      self._getRestartOptions(serviceInfo);
+    });
+  } catch(e) {
+    return callback(e);
+  }
 
   self._logTitle();
 
-  async.eachSeries(
-    servicesOrder,
-    function(service, next) {
-      self._startService(service, next);
-    },
-    function(err) {
-      if (err) {
-        return callback(err);
-      }
-      self.emit('ready');
-      callback();
+  self._startServices(servicesOrder, function(failures) {
+    if (failures.length) {
+      return callback(failures[0].error);
     }
-  );
+    self.started = true;
+    self.emit('ready');
+    callback();
+  });
 };
 
 Node.prototype.getNetworkName = function() {
@@ -278,21 +1015,37 @@ Node.prototype.getNetworkName = function() {
 };
 
 /**
- * Will stop all running services in the reverse order that they
- * were initially started.
+ * Will stop all running services, a service is stopped once the services that
+ * depend on it are stopped.
  * @param {Function} callback - Called when all services are stopped
  */
 Node.prototype.stop = function(callback) {
   log.info('Beginning shutdown');
   var self = this;
-  var services = this.getServiceOrder().reverse();
+  var services = this._unloadedServices;
+  var dependencies = {};
+  try {
+    services = this.getServiceOrder();
+    services.forEach(function(serviceInfo) {
+      dependencies[serviceInfo.name] = self._getDependencyNames(serviceInfo);
+    });
+  } catch(e) {
+    // the services are not started when their dependencies are not valid
+  }
 
   this.stopping = true;
   this.emit('stopping');
 
-  async.eachSeries(
-    services,
-    function(service, next) {
+  _.each(this._supervision, function(state) {
+    clearTimeout(state.timer);
+  });
+
+  var tasks = {};
+  services.forEach(function(service) {
+    var dependents = services.filter(function(other) {
+      return _.contains(dependencies[other.name], service.name);
+    });
+    tasks[service.name] = _.pluck(dependents, 'name').concat(function(next) {
       if (self.services[service.name]) {
         log.info('Stopping ' + service.name);
         self.services[service.name].stop(next);
@@ -300,9 +1053,12 @@ Node.prototype.stop = function(callback) {
         log.info('Stopping ' + service.name + ' (not started)');
         setImmediate(next);
       }
-    },
-    callback
-  );
+    });
+  });
+
+  async.auto(tasks, function(err) {
+    callback(err);
+  });
 };
 
 module.exports = Node;
@@ -0,0 +1,57 @@
+'use strict';
+
+var LRU = require('lru-cache');
+
+/**
+ * A token bucket rate limiter of requests by key (e.g. the remote address of a client). Each key
+ * can make `burst` requests at once, and the bucket is refilled at `rate` requests per second.
+ * The buckets are kept in an LRU cache so that the memory used is bounded.
+ *
+ * @param {Object} options
+ * @param {Number} options.rate - The number of requests per second
+ * @param {Number} options.burst - The number of requests at once, defaults to the rate
+ * @param {Number} options.maxKeys - The maximum number of buckets that are kept
+ */
+function RateLimiter(options) {
+  if (!(this instanceof RateLimiter)) {
+    return new RateLimiter(options);
+  }
+  this.rate = options.rate;
+  this.burst = options.burst || options.rate;
+  this.buckets = LRU({
+    max: options.maxKeys || RateLimiter.DEFAULT_MAX_KEYS,
+    // a bucket that is not used for this long is full again
+    maxAge: Math.ceil(this.burst / this.rate * 1000)
+  });
+}
+
+RateLimiter.DEFAULT_MAX_KEYS = 10000;
+
+/**
+ * Will take requests from the bucket of a key, and give false if there are not enough left.
+ * @param {String} key
+ * @param {Number} count - The number of requests, defaults to 1
+ * @returns {Boolean}
+ */
+RateLimiter.prototype.consume = function(key, count) {
+  count = count || 1;
+  var now = Date.now();
+  var bucket = this.buckets.get(key);
+  if (!bucket) {
+    bucket = {
+      tokens: this.burst,
+      time: now
+    };
+  } else {
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.time) / 1000 * this.rate);
+    bucket.time = now;
+  }
+  var allowed = bucket.tokens >= count;
+  if (allowed) {
+    bucket.tokens -= count;
+  }
+  this.buckets.set(key, bucket);
+  return allowed;
+};
+
+module.exports = RateLimiter;
@@ -146,6 +146,9 @@ function loadModule(req, service) {
       serviceModule = service.name + '/' + servicePackage.qtumcoreNode;
     }
     service.module = req(serviceModule);
+
+    // the version of the service for the version ranges of dependencies
+    service.version = servicePackage.version;
   }
 }
 
@@ -159,6 +162,7 @@ function loadModule(req, service) {
  *     module: BitcoinService
  *   }
  * ]
+ * Services that are loaded from node_modules also have the `version` from their package.json.
  * @param {Function} req - The require function to use
  * @param {Array} servicesPath - The local path (for requiring services)
  * @param {Object} config
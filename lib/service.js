@@ -3,6 +3,16 @@
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 
+/**
+ * The base class of services. A service emits `error` for errors that it recovers from, and
+ * `fatal` with an error when it fails and can't continue, which restarts the service and the
+ * services that depend on it with the restart policy of the node, see Node.RESTART_POLICIES.
+ * Failures that a restart can't fix, such as an unreachable endpoint that is retried, shouldn't
+ * emit `fatal`.
+ * @param {Object} options
+ * @param {Node} options.node - The node of the service
+ * @param {String} options.name - The name of the service
+ */
 var Service = function(options) {
   EventEmitter.call(this);
 
@@ -55,6 +65,40 @@ Service.prototype.getAPIMethods = function() {
   return [];
 };
 
+/**
+ * the metrics to expose in the Prometheus text format, values without labels can be given
+ * with an empty labels object
+ * @return {Array} return array of metrics
+ */
+Service.prototype.getMetrics = function() {
+  // Example:
+  // return [
+  //   {
+  //     name: 'service_requests_total',
+  //     help: 'The number of requests',
+  //     type: 'counter',
+  //     values: [{labels: {method: 'getData'}, value: 10}]
+  //   }
+  // ];
+
+  return [];
+};
+
+/**
+ * the checks that need to pass for the service to be ready to handle requests, used by the
+ * readiness endpoint of the web service
+ * @param {Function} callback - call with an array of checks
+ */
+Service.prototype.checkReadiness = function(callback) {
+  // Example:
+  // callback(null, [
+  //   {name: 'service/database', ready: true, message: 'Connected'}
+  // ]);
+  setImmediate(function() {
+    callback(null, []);
+  });
+};
+
 // Example:
 // Service.prototype.getData = function(arg1, callback) {
 //
@@ -8,7 +8,6 @@ var mkdirp = require('mkdirp');
 var bitcore = require('qtumcore-lib');
 var zmq = require('zmq');
 var async = require('async');
-var LRU = require('lru-cache');
 var QtumRPC = require('qtumd-rpc');
 var $ = bitcore.util.preconditions;
 var _  = bitcore.deps._;
@@ -19,6 +18,9 @@ var errors = index.errors;
 var log = index.log;
 var utils = require('../utils');
 var Service = require('../service');
+var Cache = require('../cache');
+var DiskCache = require('../diskcache');
+var packageInfo = require('../../package.json');
 
 /**
  * Provides a friendly event driven API to qtumd in Node.js. Manages starting and
@@ -30,6 +32,7 @@ var Service = require('../service');
  * @param {Node} options.node - A reference to the node
  */
 function Qtum(options) {
+  /* jshint maxstatements: 25 */
   if (!(this instanceof Qtum)) {
     return new Qtum(options);
   }
@@ -38,6 +41,7 @@ function Qtum(options) {
   this.options = options;
 
   this._initCaches();
+  this._initMetrics();
 
   // qtumd child process
   this.spawn = false;
@@ -46,8 +50,12 @@ function Qtum(options) {
   this.subscriptions = {};
   this.subscriptions.rawtransaction = [];
   this.subscriptions.hashblock = [];
+  this.subscriptions.reorg = [];
   this.subscriptions.address = {};
   this.subscriptions.balance = {};
+  this.subscriptions.tokenAddress = {};
+  this.subscriptions.tokenContract = {};
+  this.subscriptions.txconfirmations = {};
 
   // set initial settings
   this._initDefaults(options);
@@ -61,10 +69,16 @@ function Qtum(options) {
   this.on('error', function(err) {
     log.error(err.stack);
   });
+
+  this.on('tip', this._notifyTxConfirmationsSubscribers.bind(this));
 }
 util.inherits(Qtum, Service);
 
 Qtum.dependencies = [];
+Qtum.version = packageInfo.version;
+
+// qtumd can take hours to start while it's reindexing, so it waits without a start timeout
+Qtum.startTimeout = 0;
 
 Qtum.DEFAULT_MAX_TXIDS = 1000;
 Qtum.DEFAULT_MAX_HISTORY = 50;
@@ -78,6 +92,24 @@ Qtum.DEFAULT_REINDEX_INTERVAL = 10000;
 Qtum.DEFAULT_START_RETRY_INTERVAL = 5000;
 Qtum.DEFAULT_TIP_UPDATE_INTERVAL = 15000;
 Qtum.DEFAULT_TRANSACTION_CONCURRENCY = 5;
+Qtum.DEFAULT_REORG_WINDOW = 100;
+Qtum.MAX_EVENT_REPLAY_BLOCKS = 1000;
+Qtum.DEFAULT_CONFIRMATIONS_TARGET = 6;
+Qtum.DEFAULT_HEALTH_CHECK_INTERVAL = 10000;
+Qtum.DEFAULT_MAX_BLOCKS_BEHIND = 2;
+Qtum.DEFAULT_MAX_ERROR_RATE = 0.5;
+Qtum.DEFAULT_ERROR_RATE_WINDOW = 10;
+// lower bounds of the fee rate ranges of the mempool fee histogram in satoshis per byte
+Qtum.DEFAULT_FEE_HISTOGRAM_BUCKETS = [0, 400, 450, 500, 600, 800, 1000, 1500, 2000, 5000, 10000];
+Qtum.DEFAULT_DISK_CACHE_DIR = 'qtumcore-cache';
+// caches that can be stored on disk and the codec of their items
+Qtum.DISK_CACHES = {
+  transactionCache: 'transaction',
+  rawTransactionCache: 'buffer',
+  transactionDetailedCache: 'json',
+  transactionReceiptCache: 'json',
+  rawBlockCache: 'buffer'
+};
 Qtum.DEFAULT_CONFIG_SETTINGS = {
   server: 1,
   whitelist: '127.0.0.1',
@@ -92,14 +124,25 @@ Qtum.DEFAULT_CONFIG_SETTINGS = {
   rpcpassword: 'qtumpassword',
   uacomment: 'bitcore'
 };
+Qtum.DEFAULT_MAX_TOKEN_BLOCKS = 144;
+Qtum.QRC20_TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+Qtum.QRC20_METHODS = {
+  name: '06fdde03',
+  symbol: '95d89b41',
+  decimals: '313ce567',
+  totalSupply: '18160ddd',
+  balanceOf: '70a08231'
+};
 
 Qtum.prototype._initDefaults = function(options) {
-  /* jshint maxcomplexity: 15 */
+  /* jshint maxcomplexity: 20 */
+  /* jshint maxstatements: 20 */
 
   // limits
   this.maxTxids = options.maxTxids || Qtum.DEFAULT_MAX_TXIDS;
   this.maxTransactionHistory = options.maxTransactionHistory || Qtum.DEFAULT_MAX_HISTORY;
   this.maxAddressesQuery = options.maxAddressesQuery || Qtum.DEFAULT_MAX_ADDRESSES_QUERY;
+  this.maxTokenBlocks = options.maxTokenBlocks || Qtum.DEFAULT_MAX_TOKEN_BLOCKS;
   this.shutdownTimeout = options.shutdownTimeout || Qtum.DEFAULT_SHUTDOWN_TIMEOUT;
 
   // spawn restart setting
@@ -113,33 +156,93 @@ Qtum.prototype._initDefaults = function(options) {
   // rpc limits
   this.transactionConcurrency = options.transactionConcurrency || Qtum.DEFAULT_TRANSACTION_CONCURRENCY;
 
+  // number of recent block hashes kept to find the fork point of a reorganization
+  this.reorgWindow = options.reorgWindow || Qtum.DEFAULT_REORG_WINDOW;
+
+  // health of the qtumd nodes in rotation
+  this.healthCheckInterval = options.healthCheckInterval || Qtum.DEFAULT_HEALTH_CHECK_INTERVAL;
+  this.maxBlocksBehind = _.isUndefined(options.maxBlocksBehind) ?
+    Qtum.DEFAULT_MAX_BLOCKS_BEHIND : options.maxBlocksBehind;
+  this.maxErrorRate = options.maxErrorRate || Qtum.DEFAULT_MAX_ERROR_RATE;
+  this.errorRateWindow = options.errorRateWindow || Qtum.DEFAULT_ERROR_RATE_WINDOW;
+
   // sync progress level when zmq subscribes to events
   this.zmqSubscribeProgress = options.zmqSubscribeProgress || Qtum.DEFAULT_ZMQ_SUBSCRIBE_PROGRESS;
+
+  // index qrc20 transfers of every new block
+  this.indexTokens = options.indexTokens ? true : false;
+};
+
+/**
+ * Will start the counters that are given by `getMetrics` in addition to the stats of the caches.
+ */
+Qtum.prototype._initMetrics = function() {
+  // the sync percentage of the current tip
+  this.lastSyncPercentage = null;
+  // the number of calls, errors and seconds of requests to qtumd by method
+  this.rpcCalls = {};
+  // the number of zmq messages by topic
+  this.zmqMessages = {};
+};
+
+/**
+ * Will create an LRU cache with the size and max-age from the `cache.lru` option, and keep
+ * the name of the cache for `getCacheStats`.
+ * @param {String} name - The name of the cache
+ * @param {Number} defaultMax - The number of items when not configured
+ * @returns {Cache}
+ */
+Qtum.prototype._createCache = function(name, defaultMax) {
+  var lruOptions = (this.options.cache && this.options.cache.lru) || {};
+  var cacheOptions = lruOptions[name] || {};
+  $.checkArgument(
+    _.isUndefined(cacheOptions.max) || (_.isNumber(cacheOptions.max) && cacheOptions.max > 0),
+    'Invalid "cache.lru.' + name + '.max" in qtumd config options, expected a positive number'
+  );
+  $.checkArgument(
+    _.isUndefined(cacheOptions.maxAge) || (_.isNumber(cacheOptions.maxAge) && cacheOptions.maxAge >= 0),
+    'Invalid "cache.lru.' + name + '.maxAge" in qtumd config options, expected milliseconds'
+  );
+  this.cacheNames.push(name);
+  return new Cache({
+    max: cacheOptions.max || defaultMax,
+    maxAge: cacheOptions.maxAge || 0
+  });
 };
 
 Qtum.prototype._initCaches = function() {
-  // caches valid until there is a new block
-  this.utxosCache = LRU(50000);
-  this.txidsCache = LRU(50000);
-  this.balanceCache = LRU(50000);
-  this.summaryCache = LRU(50000);
-  this.blockOverviewCache = LRU(144);
-  this.transactionDetailedCache = LRU(100000);
-  this.accountInfo = LRU(50000);
+  /* jshint maxstatements: 35 */
+  this.cacheNames = [];
 
+  // caches valid until there is a new block
+  this.utxosCache = this._createCache('utxosCache', 50000);
+  this.txidsCache = this._createCache('txidsCache', 50000);
+  this.balanceCache = this._createCache('balanceCache', 50000);
+  this.summaryCache = this._createCache('summaryCache', 50000);
+  this.blockOverviewCache = this._createCache('blockOverviewCache', 144);
+  this.transactionDetailedCache = this._createCache('transactionDetailedCache', 100000);
+  this.accountInfo = this._createCache('accountInfo', 50000);
+  this.tokenSupplyCache = this._createCache('tokenSupplyCache', 1000);
 
   // caches valid indefinitely
-  this.transactionCache = LRU(100000);
-  this.transactionReceiptCache = LRU(50000);
-  this.rawTransactionCache = LRU(50000);
-  this.rawJsonTransactionCache = LRU(50000);
-  this.blockCache = LRU(144);
-  this.blockJsonCache = LRU(144);
-  this.blockSubsidyCache = LRU(144);
-  this.rawBlockCache = LRU(72);
-  this.blockHeaderCache = LRU(288);
-  this.zmqKnownTransactions = LRU(5000);
-  this.zmqKnownBlocks = LRU(50);
+  this.tokenInfoCache = this._createCache('tokenInfoCache', 1000);
+  this.transactionCache = this._createCache('transactionCache', 100000);
+  this.transactionReceiptCache = this._createCache('transactionReceiptCache', 50000);
+  this.rawTransactionCache = this._createCache('rawTransactionCache', 50000);
+  this.rawJsonTransactionCache = this._createCache('rawJsonTransactionCache', 50000);
+  this.blockCache = this._createCache('blockCache', 144);
+  this.blockJsonCache = this._createCache('blockJsonCache', 144);
+  this.blockSubsidyCache = this._createCache('blockSubsidyCache', 144);
+  this.rawBlockCache = this._createCache('rawBlockCache', 72);
+  this.blockHeaderCache = this._createCache('blockHeaderCache', 288);
+  this.blockTokenTransfersCache = this._createCache('blockTokenTransfersCache', 1008);
+  this.zmqKnownTransactions = this._createCache('zmqKnownTransactions', 5000);
+  this.zmqKnownBlocks = this._createCache('zmqKnownBlocks', 50);
+  var unknownNames = _.difference(_.keys((this.options.cache && this.options.cache.lru) || {}), this.cacheNames);
+  $.checkArgument(!unknownNames.length, 'Unknown cache "' + unknownNames[0] + '" in qtumd config options');
+  this.recentBlocks = [];
+  this.tipQueue = async.queue(this._processTip.bind(this), 1);
+  this.mempool = null;
   this.lastTip = 0;
   this.lastTipTimeout = false;
   this.dgpInfoCache = null;
@@ -147,14 +250,104 @@ Qtum.prototype._initCaches = function() {
   this.stakingInfoCache = null;
 };
 
+Qtum.prototype._getDiskCachePath = function(diskOptions) {
+  var cachePath = diskOptions.path || Qtum.DEFAULT_DISK_CACHE_DIR;
+  if (utils.isAbsolutePath(cachePath)) {
+    return cachePath;
+  }
+  if (this.options.spawn) {
+    this._expandRelativeDatadir();
+    return path.resolve(this.options.spawn.datadir, cachePath);
+  }
+  $.checkState(this.node.configPath, 'Please specify an absolute "cache.disk.path" in qtumd config options');
+  return path.resolve(path.dirname(this.node.configPath), cachePath);
+};
+
+Qtum.prototype._getDiskCacheCodec = function(type) {
+  if (type === 'transaction') {
+    return {
+      encode: function(transaction) {
+        return transaction.toBuffer();
+      },
+      decode: function(buffer) {
+        return Transaction().fromBuffer(buffer);
+      }
+    };
+  }
+  return DiskCache.codecs[type];
+};
+
+/**
+ * Determines if a cache item will stay valid with new blocks, and can be written to disk.
+ * @param {String} name - The name of the cache
+ * @param {*} value - The cache item
+ * @returns {Boolean}
+ */
+Qtum.prototype._shouldPersistCacheItem = function(name, value) {
+  if (name === 'transactionReceiptCache') {
+    // the block of the receipts can change until it's deeper than a reorganization
+    return Array.isArray(value) && value.length > 0 && _.every(value, function(receipt) {
+      return receipt.blockNumber <= this.height - this.reorgWindow;
+    }, this);
+  } else if (name === 'transactionDetailedCache') {
+    // the spent info of outputs will change until all of the outputs are spent, and the block
+    // of the transaction can change until it's deeper than a reorganization
+    return value.height >= 0 && value.height <= this.height - this.reorgWindow &&
+      _.every(value.outputs, 'spentTxId');
+  }
+  return true;
+};
+
+/**
+ * Will add a disk tier to the caches in `Qtum.DISK_CACHES` when enabled with the
+ * `cache.disk` option, so that items are kept across restarts.
+ * @param {Function} callback
+ */
+Qtum.prototype._initDiskCaches = function(callback) {
+  var self = this;
+  var diskOptions = self.options.cache && self.options.cache.disk;
+  if (!diskOptions) {
+    return setImmediate(callback);
+  }
+  if (!_.isObject(diskOptions)) {
+    diskOptions = {};
+  }
+
+  var cachePath;
+  var names = diskOptions.caches || _.keys(Qtum.DISK_CACHES);
+  try {
+    cachePath = self._getDiskCachePath(diskOptions);
+    names.forEach(function(name) {
+      $.checkArgument(Qtum.DISK_CACHES[name], 'Unsupported disk cache "' + name + '" in qtumd config options');
+      self[name] = new DiskCache({
+        memory: self[name],
+        path: path.join(cachePath, name),
+        codec: self._getDiskCacheCodec(Qtum.DISK_CACHES[name]),
+        shouldPersist: self._shouldPersistCacheItem.bind(self, name),
+        maxItems: diskOptions.maxItems
+      });
+    });
+  } catch(e) {
+    return setImmediate(function() {
+      callback(e);
+    });
+  }
+
+  log.info('Using disk cache:', cachePath);
+  async.eachSeries(names, function(name, next) {
+    self[name].load(next);
+  }, callback);
+};
+
 Qtum.prototype._initClients = function() {
   var self = this;
   this.nodes = [];
   this.nodesIndex = 0;
   Object.defineProperty(this, 'client', {
     get: function() {
-      var client = self.nodes[self.nodesIndex].client;
-      self.nodesIndex = (self.nodesIndex + 1) % self.nodes.length;
+      var nodes = self._getNodesInRotation();
+      var client = nodes[self.nodesIndex % nodes.length].client;
+      self.nodesIndex = (self.nodesIndex + 1) % nodes.length;
       return client;
     },
     enumerable: true,
@@ -163,44 +356,252 @@ Qtum.prototype._initClients = function() {
 };
 
 /**
- * Called by Node to determine the available API methods.
+ * Will start to keep track of the health of a node, the latency and errors of every request of
+ * its client are recorded in addition to the periodic health checks.
+ * @param {Object} node - The qtumd node with an RPC client
+ */
+Qtum.prototype._initNodeHealth = function(node) {
+  var self = this;
+  var client = node.client;
+
+  node.health = {
+    healthy: true,
+    reason: null,
+    height: null,
+    latency: null,
+    calls: 0,
+    errors: 0,
+    recentErrors: [],
+    lastError: null,
+    lastCheck: null,
+    checkError: null
+  };
+
+  _.keys(QtumRPC.callspec).forEach(function(name) {
+    var method = client[name];
+    if (!_.isFunction(method)) {
+      return;
+    }
+    client[name] = function() {
+      var args = Array.prototype.slice.call(arguments);
+      var callback = args[args.length - 1];
+      if (client.batchedCalls || !_.isFunction(callback)) {
+        return method.apply(client, args);
+      }
+      var started = Date.now();
+      args[args.length - 1] = function(err) {
+        var latency = Date.now() - started;
+        self._recordNodeCall(node, err, latency);
+        self._recordRPCCall(name, err, latency);
+        callback.apply(this, arguments);
+      };
+      return method.apply(client, args);
+    };
+  });
+};
+
+/**
+ * Will determine if an error is caused by the node, errors for a request such as an unknown
+ * transaction are given with a JSON-RPC error code.
+ * @param {Object} err - An error from qtumd-rpc
+ * @returns {Boolean}
+ */
+Qtum.prototype._isNodeError = function(err) {
+  if (!err) {
+    return false;
+  }
+  // -28 is given while qtumd is warming up and 429 when the work queue is full
+  return !_.isNumber(err.code) || err.code === -28 || err.code === 429;
+};
+
+Qtum.prototype._recordNodeCall = function(node, err, latency) {
+  var health = node.health;
+  var failed = this._isNodeError(err);
+
+  health.calls++;
+  if (failed) {
+    health.errors++;
+    health.lastError = err.message;
+  }
+  health.recentErrors.push(failed);
+  if (health.recentErrors.length > this.errorRateWindow) {
+    health.recentErrors.shift();
+  }
+
+  // moving average that favors recent requests
+  health.latency = health.latency === null ? latency : Math.round(health.latency * 0.8 + latency * 0.2);
+};
+
+Qtum.prototype._recordRPCCall = function(name, err, latency) {
+  var calls = this.rpcCalls[name];
+  if (!calls) {
+    calls = this.rpcCalls[name] = {calls: 0, errors: 0, seconds: 0};
+  }
+  calls.calls++;
+  if (err) {
+    calls.errors++;
+  }
+  calls.seconds += latency / 1000;
+};
+
+Qtum.prototype._getNodeErrorRate = function(node) {
+  var recentErrors = node.health.recentErrors;
+  if (!recentErrors.length) {
+    return 0;
+  }
+  return _.filter(recentErrors).length / recentErrors.length;
+};
+
+Qtum.prototype._getNodeName = function(node) {
+  return node.client.host + ':' + node.client.port;
+};
+
+/**
+ * Will give the nodes that are in rotation, or all nodes if none are healthy so that
+ * requests are still attempted.
+ * @returns {Array}
+ */
+Qtum.prototype._getNodesInRotation = function() {
+  var healthy = this.nodes.filter(function(node) {
+    return !node.health || node.health.healthy;
+  });
+  return healthy.length ? healthy : this.nodes;
+};
+
+Qtum.prototype._checkNodeHealth = function(node, callback) {
+  node.client.getBlockCount(function(err, response) {
+    node.health.lastCheck = Date.now();
+    if (err) {
+      node.health.checkError = err.message;
+    } else {
+      node.health.checkError = null;
+      node.health.height = response.result;
+    }
+    callback();
+  });
+};
+
+/**
+ * Will check every node and update which nodes are in rotation.
+ * @param {Function} callback
+ */
+Qtum.prototype._checkNodesHealth = function(callback) {
+  var self = this;
+  var nodes = self.nodes.filter(function(node) {
+    return node.health;
+  });
+  async.each(nodes, self._checkNodeHealth.bind(self), function() {
+    self._updateNodesHealth();
+    if (callback) {
+      callback();
+    }
+  });
+};
+
+/**
+ * Will take nodes out of rotation if the last health check failed, the rate of errors is above
+ * `maxErrorRate` or the height is more than `maxBlocksBehind` the best known height, and will put
+ * them back once none of these apply.
+ */
+Qtum.prototype._updateNodesHealth = function() {
+  var self = this;
+  var nodes = self.nodes.filter(function(node) {
+    return node.health;
+  });
+  var heights = nodes.filter(function(node) {
+    return node.health.height !== null;
+  }).map(function(node) {
+    return node.health.height;
+  });
+  var bestHeight = Math.max.apply(Math, heights);
+
+  nodes.forEach(function(node) {
+    var health = node.health;
+    var errorRate = self._getNodeErrorRate(node);
+    var reason = null;
+    if (health.checkError) {
+      reason = 'health check failed: ' + health.checkError;
+    } else if (errorRate > self.maxErrorRate) {
+      reason = 'error rate of ' + Math.round(errorRate * 100) + '%';
+    } else if (health.height !== null && bestHeight - health.height > self.maxBlocksBehind) {
+      reason = (bestHeight - health.height) + ' blocks behind';
+    }
+
+    if (health.healthy && reason) {
+      log.warn('Qtum node taken out of rotation:', self._getNodeName(node), reason);
+    } else if (!health.healthy && !reason) {
+      log.info('Qtum node back in rotation:', self._getNodeName(node));
+    }
+    health.healthy = !reason;
+    health.reason = reason;
+  });
+};
+
+Qtum.prototype._startHealthChecks = function() {
+  var self = this;
+  clearInterval(self._healthCheckTimer);
+  self._healthCheckTimer = setInterval(function() {
+    if (self.node.stopping) {
+      return clearInterval(self._healthCheckTimer);
+    }
+    self._checkNodesHealth();
+  }, self.healthCheckInterval);
+  self._healthCheckTimer.unref();
+};
+
+/**
+ * Called by Node to determine the available API methods. Methods that don't change the wallet
+ * or the chain are marked as `readOnly`, and methods that use the wallet or broadcast
+ * transactions are marked as `restricted`.
  */
 Qtum.prototype.getAPIMethods = function() {
+  var readOnly = {readOnly: true};
+  var restricted = {restricted: true};
   var methods = [
-    ['getBlock', this, this.getBlock, 1],
-    ['getRawBlock', this, this.getRawBlock, 1],
-    ['getBlockHeader', this, this.getBlockHeader, 1],
-    ['getBlockOverview', this, this.getBlockOverview, 1],
-    ['getBlockHashesByTimestamp', this, this.getBlockHashesByTimestamp, 2],
-    ['getBestBlockHash', this, this.getBestBlockHash, 0],
-    ['getSpentInfo', this, this.getSpentInfo, 1],
-    ['getInfo', this, this.getInfo, 0],
-    ['syncPercentage', this, this.syncPercentage, 0],
-    ['isSynced', this, this.isSynced, 0],
-    ['getRawTransaction', this, this.getRawTransaction, 1],
-    ['getTransaction', this, this.getTransaction, 1],
-    ['getDetailedTransaction', this, this.getDetailedTransaction, 1],
-    ['sendTransaction', this, this.sendTransaction, 1],
-    ['estimateFee', this, this.estimateFee, 1],
-    ['estimateSmartFee', this, this.estimateSmartFee, 1],
-    ['getAddressTxids', this, this.getAddressTxids, 2],
-    ['getAddressBalance', this, this.getAddressBalance, 2],
-    ['getAddressUnspentOutputs', this, this.getAddressUnspentOutputs, 2],
-    ['getAddressHistory', this, this.getAddressHistory, 2],
-    ['getAddressSummary', this, this.getAddressSummary, 1],
-    ['generateBlock', this, this.generateBlock, 1],
-    ['listUnspent', this, this.listUnspent, 3],
-    ['getNewAddress', this, this.getNewAddress, 0],
-    ['getAddressesMempoolBalance', this, this.getAddressesMempoolBalance, 2],
-    ['callContract', this, this.callContract, 3],
-    ['getAccountInfo', this, this.getAccountInfo, 1],
-    ['getSubsidy', this, this.getSubsidy, 1],
-    ['getJsonRawTransaction', this, this.getJsonRawTransaction, 1],
-    ['getTransactionReceipt', this, this.getTransactionReceipt, 1],
-    ['getJsonBlock', this, this.getJsonBlock, 1],
-    ['getDgpInfo', this, this.getDgpInfo, 0],
-    ['getMiningInfo', this, this.getMiningInfo, 0],
-    ['getStakingInfo', this, this.getStakingInfo, 0]
+    ['getBlock', this, this.getBlock, 1, readOnly],
+    ['getRawBlock', this, this.getRawBlock, 1, readOnly],
+    ['getBlockHeader', this, this.getBlockHeader, 1, readOnly],
+    ['getBlockOverview', this, this.getBlockOverview, 1, readOnly],
+    ['getBlockHashesByTimestamp', this, this.getBlockHashesByTimestamp, 2, readOnly],
+    ['getBestBlockHash', this, this.getBestBlockHash, 0, readOnly],
+    ['getSpentInfo', this, this.getSpentInfo, 1, readOnly],
+    ['getInfo', this, this.getInfo, 0, readOnly],
+    ['syncPercentage', this, this.syncPercentage, 0, readOnly],
+    ['isSynced', this, this.isSynced, 0, readOnly],
+    ['getRawTransaction', this, this.getRawTransaction, 1, readOnly],
+    ['getTransaction', this, this.getTransaction, 1, readOnly],
+    ['getDetailedTransaction', this, this.getDetailedTransaction, 1, readOnly],
+    ['sendTransaction', this, this.sendTransaction, 1, restricted],
+    ['estimateFee', this, this.estimateFee, 1, readOnly],
+    ['estimateSmartFee', this, this.estimateSmartFee, 1, readOnly],
+    ['getAddressTxids', this, this.getAddressTxids, 2, readOnly],
+    ['getAddressBalance', this, this.getAddressBalance, 2, readOnly],
+    ['getAddressUnspentOutputs', this, this.getAddressUnspentOutputs, 2, readOnly],
+    ['getAddressHistory', this, this.getAddressHistory, 2, readOnly],
+    ['getAddressSummary', this, this.getAddressSummary, 1, readOnly],
+    ['getAddressBalances', this, this.getAddressBalances, 2, readOnly],
+    ['getAddressSummaries', this, this.getAddressSummaries, 2, readOnly],
+    ['generateBlock', this, this.generateBlock, 1, restricted],
+    ['listUnspent', this, this.listUnspent, 3, {readOnly: true, restricted: true}],
+    ['getNewAddress', this, this.getNewAddress, 0, restricted],
+    ['getAddressesMempoolBalance', this, this.getAddressesMempoolBalance, 2, readOnly],
+    ['callContract', this, this.callContract, 3, readOnly],
+    ['getAccountInfo', this, this.getAccountInfo, 1, readOnly],
+    ['getSubsidy', this, this.getSubsidy, 1, readOnly],
+    ['getJsonRawTransaction', this, this.getJsonRawTransaction, 1, readOnly],
+    ['getTransactionReceipt', this, this.getTransactionReceipt, 1, readOnly],
+    ['getJsonBlock', this, this.getJsonBlock, 1, readOnly],
+    ['getDgpInfo', this, this.getDgpInfo, 0, readOnly],
+    ['getMiningInfo', this, this.getMiningInfo, 0, readOnly],
+    ['getStakingInfo', this, this.getStakingInfo, 0, readOnly],
+    ['getTokenInfo', this, this.getTokenInfo, 1, readOnly],
+    ['getTokenBalances', this, this.getTokenBalances, 2, readOnly],
+    ['getTokenTransfers', this, this.getTokenTransfers, 2, readOnly],
+    ['getCacheStats', this, this.getCacheStats, 0, readOnly],
+    ['getNodesStatus', this, this.getNodesStatus, 0, readOnly],
+    ['getMempoolInfo', this, this.getMempoolInfo, 0, readOnly],
+    ['getMempoolTxids', this, this.getMempoolTxids, 1, readOnly],
+    ['getMempoolFeeHistogram', this, this.getMempoolFeeHistogram, 1, readOnly]
   ];
   return methods;
 };
@@ -209,34 +610,148 @@ Qtum.prototype.getAPIMethods = function() {
  * Called by the Bus to determine the available events.
  */
 Qtum.prototype.getPublishEvents = function() {
+  var addresses = {type: 'array', items: {type: 'string'}};
+  var hash = {type: 'string', pattern: '^[0-9a-f]{64}$'};
   return [
     {
       name: 'qtumd/rawtransaction',
       scope: this,
       subscribe: this.subscribe.bind(this, 'rawtransaction'),
-      unsubscribe: this.unsubscribe.bind(this, 'rawtransaction')
+      unsubscribe: this.unsubscribe.bind(this, 'rawtransaction'),
+      description: 'Transactions that are added to the mempool or a block',
+      data: [{name: 'transaction', description: 'The serialized transaction as hex', schema: {type: 'string'}}]
     },
     {
       name: 'qtumd/hashblock',
       scope: this,
       subscribe: this.subscribe.bind(this, 'hashblock'),
-      unsubscribe: this.unsubscribe.bind(this, 'hashblock')
+      unsubscribe: this.unsubscribe.bind(this, 'hashblock'),
+      replay: this._replayBlockEvents.bind(this),
+      description: 'Blocks that are added to the main chain',
+      data: [{name: 'blockhash', schema: hash}]
     },
     {
       name: 'qtumd/addresstxid',
       scope: this,
       subscribe: this.subscribeAddress.bind(this),
-      unsubscribe: this.unsubscribeAddress.bind(this)
+      unsubscribe: this.unsubscribeAddress.bind(this),
+      description: 'Transactions of addresses',
+      params: [{name: 'addresses', schema: addresses}],
+      data: [{name: 'transaction', schema: {
+        type: 'object',
+        properties: {address: {type: 'string'}, txid: hash}
+      }}]
     },
     {
       name: 'qtumd/addressbalance',
       scope: this,
       subscribe: this.subscribeBalance.bind(this),
-      unsubscribe: this.unsubscribeBalance.bind(this)
+      unsubscribe: this.unsubscribeBalance.bind(this),
+      description: 'Balances of addresses after their transactions',
+      params: [{name: 'addresses', schema: addresses}],
+      data: [{name: 'balance', schema: {
+        type: 'object',
+        properties: {
+          address: {type: 'string'},
+          txid: hash,
+          totalReceived: {type: 'number'},
+          totalSpent: {type: 'number'},
+          balance: {type: 'number'},
+          unconfirmedBalance: {type: 'number'}
+        }
+      }}]
+    },
+    {
+      name: 'qtumd/tokentransfer',
+      scope: this,
+      subscribe: this.subscribeTokenTransfer.bind(this),
+      unsubscribe: this.unsubscribeTokenTransfer.bind(this),
+      description: 'QRC20 transfers of addresses and token contracts',
+      params: [{name: 'addressesOrContracts', description: 'Base58 addresses and/or contract addresses as hex',
+                schema: addresses}],
+      data: [{name: 'transfer', schema: {
+        type: 'object',
+        properties: {
+          contract: {type: 'string'},
+          from: {type: 'string'},
+          to: {type: 'string'},
+          amount: {type: 'string'},
+          txid: hash,
+          logIndex: {type: 'integer'},
+          blockHash: hash,
+          height: {type: 'integer'}
+        }
+      }}]
+    },
+    {
+      name: 'qtumd/reorg',
+      scope: this,
+      subscribe: this.subscribe.bind(this, 'reorg'),
+      unsubscribe: this.unsubscribe.bind(this, 'reorg'),
+      description: 'Reorganizations of the main chain',
+      data: [{name: 'reorg', schema: {
+        type: 'object',
+        properties: {
+          forkHeight: {type: 'integer'},
+          disconnected: {type: 'array', items: hash},
+          connected: {type: 'array', items: hash}
+        }
+      }}]
+    },
+    {
+      name: 'qtumd/txconfirmations',
+      scope: this,
+      subscribe: this.subscribeTxConfirmations.bind(this),
+      unsubscribe: this.unsubscribeTxConfirmations.bind(this),
+      description: 'Confirmations of transactions on every block until the target is reached',
+      params: [
+        {name: 'txids', schema: {type: 'array', items: hash}},
+        {name: 'confirmations', description: 'The target number of confirmations', schema: {type: 'integer'}}
+      ],
+      data: [{name: 'confirmations', schema: {
+        type: 'object',
+        properties: {
+          txid: hash,
+          status: {type: 'string', enum: ['pending', 'confirmed', 'dropped', 'reorged']},
+          confirmations: {type: 'integer'},
+          target: {type: 'integer'},
+          blockHash: {type: ['string', 'null']},
+          height: {type: ['integer', 'null']}
+        }
+      }}]
     }
   ];
 };
 
+/**
+ * Will give the `qtumd/hashblock` events after a block, for clients that resume a stream of
+ * events. The events are the blocks of the main chain after the block (oldest first), and a
+ * block that is no longer in the main chain is replayed from its height.
+ * @param {String} blockhash - The last block of the client
+ * @param {Function} callback - Called with the arguments of each event
+ */
+Qtum.prototype._replayBlockEvents = function(blockhash, callback) {
+  var self = this;
+  if (!/^[0-9a-f]{64}$/i.test(blockhash)) {
+    return callback(new Error('Invalid block hash: ' + blockhash));
+  }
+  self.getBlockHeader(blockhash, function(err, header) {
+    if (err) {
+      return callback(err);
+    }
+    var start = header.confirmations === -1 ? header.height : header.height + 1;
+    if (self.height - start + 1 > Qtum.MAX_EVENT_REPLAY_BLOCKS) {
+      return callback(new Error('Too many blocks to replay, maximum is ' + Qtum.MAX_EVENT_REPLAY_BLOCKS));
+    }
+    var heights = start <= self.height ? _.range(start, self.height + 1) : [];
+    async.mapSeries(heights, function(height, next) {
+      self._maybeGetBlockHash(height, function(err, hash) {
+        next(err, [hash]);
+      });
+    }, callback);
+  });
+};
+
 Qtum.prototype.subscribe = function(name, emitter) {
   this.subscriptions[name].push(emitter);
   log.info(emitter.remoteAddress, 'subscribe:', 'qtumd/' + name, 'total:', this.subscriptions[name].length);
@@ -385,6 +900,143 @@ Qtum.prototype.unsubscribeAddressAll = function(emitter) {
   log.info(emitter.remoteAddress, 'unsubscribe:', 'qtumd/addresstxid', 'total:', _.size(this.subscriptions.address));
 };
 
+/**
+ * Will subscribe an emitter to the QRC20 transfers of addresses and token contracts
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {Array} addressesOrContracts - Base58 addresses and/or contract addresses as hex strings
+ */
+Qtum.prototype.subscribeTokenTransfer = function(emitter, addressesOrContracts) {
+  var self = this;
+
+  function addKey(subscriptions, key) {
+    if(subscriptions[key]) {
+      if (subscriptions[key].indexOf(emitter) === -1) {
+        subscriptions[key].push(emitter);
+      }
+    } else {
+      subscriptions[key] = [emitter];
+    }
+  }
+
+  for(var i = 0; i < addressesOrContracts.length; i++) {
+    var key = addressesOrContracts[i];
+    if (self._isContractAddress(key)) {
+      addKey(self.subscriptions.tokenContract, key.toLowerCase());
+    } else if (bitcore.Address.isValid(key, this.node.network)) {
+      addKey(self.subscriptions.tokenAddress, key);
+    }
+  }
+
+  log.info(emitter.remoteAddress, 'subscribe:', 'qtumd/tokentransfer', 'total:',
+           _.size(this.subscriptions.tokenAddress) + _.size(this.subscriptions.tokenContract));
+};
+
+/**
+ * The inverse of subscribeTokenTransfer, will unsubscribe from everything without addresses.
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {Array} addressesOrContracts - Base58 addresses and/or contract addresses as hex strings
+ */
+Qtum.prototype.unsubscribeTokenTransfer = function(emitter, addressesOrContracts) {
+  var self = this;
+
+  function removeKey(subscriptions, key) {
+    var emitters = subscriptions[key];
+    if (!emitters) {
+      return;
+    }
+    var index = emitters.indexOf(emitter);
+    if(index > -1) {
+      emitters.splice(index, 1);
+    }
+    if (emitters.length === 0) {
+      delete subscriptions[key];
+    }
+  }
+
+  var addressKeys = addressesOrContracts || _.keys(this.subscriptions.tokenAddress);
+  var contractKeys = addressesOrContracts || _.keys(this.subscriptions.tokenContract);
+
+  addressKeys.forEach(function(key) {
+    removeKey(self.subscriptions.tokenAddress, key);
+  });
+  contractKeys.forEach(function(key) {
+    removeKey(self.subscriptions.tokenContract, _.isString(key) ? key.toLowerCase() : key);
+  });
+
+  log.info(emitter.remoteAddress, 'unsubscribe:', 'qtumd/tokentransfer', 'total:',
+           _.size(this.subscriptions.tokenAddress) + _.size(this.subscriptions.tokenContract));
+};
+
+/**
+ * Will subscribe an emitter to the confirmations of transactions, an event is emitted on every
+ * new block until the target depth is reached, or the transaction is dropped or reorged out.
+ * A transaction is only dropped once it has been seen, so that transactions can be subscribed
+ * to before they are broadcast. The txids and target may also be given as an object, e.g.
+ * `{txids: [...], confirmations: 6}`.
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {Array} txids - The transaction hashes
+ * @param {Number} confirmations - The target number of confirmations
+ */
+Qtum.prototype.subscribeTxConfirmations = function(emitter, txids, confirmations) {
+  if (_.isObject(txids) && !Array.isArray(txids)) {
+    confirmations = txids.confirmations;
+    txids = txids.txids;
+  }
+  txids = txids || [];
+
+  function isEmitter(subscription) {
+    return subscription.emitter === emitter;
+  }
+
+  var target = utils.isSafeNatural(confirmations) && confirmations > 0 ?
+    confirmations : Qtum.DEFAULT_CONFIRMATIONS_TARGET;
+
+  for (var i = 0; i < txids.length; i++) {
+    if (!utils.isHash(txids[i])) {
+      continue;
+    }
+    var subscriptions = _.reject(this.subscriptions.txconfirmations[txids[i]], isEmitter);
+    subscriptions.push({
+      emitter: emitter,
+      confirmations: target,
+      blockHash: null,
+      seen: !!(this.mempool && this.mempool[txids[i]])
+    });
+    this.subscriptions.txconfirmations[txids[i]] = subscriptions;
+  }
+
+  log.info(emitter.remoteAddress, 'subscribe:', 'qtumd/txconfirmations', 'total:',
+           _.size(this.subscriptions.txconfirmations));
+};
+
+/**
+ * The inverse of subscribeTxConfirmations, will unsubscribe from all transactions without txids.
+ * @param {EventEmitter} emitter - An instance of an event emitter
+ * @param {Array} txids - The transaction hashes
+ */
+Qtum.prototype.unsubscribeTxConfirmations = function(emitter, txids) {
+  if (_.isObject(txids) && !Array.isArray(txids)) {
+    txids = txids.txids;
+  }
+  txids = txids || _.keys(this.subscriptions.txconfirmations);
+
+  function isEmitter(subscription) {
+    return subscription.emitter === emitter;
+  }
+
+  for (var i = 0; i < txids.length; i++) {
+    var subscriptions = _.reject(this.subscriptions.txconfirmations[txids[i]], isEmitter);
+    if (subscriptions.length) {
+      this.subscriptions.txconfirmations[txids[i]] = subscriptions;
+    } else {
+      delete this.subscriptions.txconfirmations[txids[i]];
+    }
+  }
+
+  log.info(emitter.remoteAddress, 'unsubscribe:', 'qtumd/txconfirmations', 'total:',
+           _.size(this.subscriptions.txconfirmations));
+};
+
 Qtum.prototype._getDefaultConfig = function() {
   var config = '';
   var defaults = Qtum.DEFAULT_CONFIG_SETTINGS;
@@ -521,6 +1173,7 @@ Qtum.prototype._checkConfigIndexes = function(spawnConfig, node) {
 };
 
 Qtum.prototype._resetCaches = function() {
+  /* jshint maxstatements: 20 */
   this.rawTransactionCache.reset();
   this.transactionCache.reset();
   this.rawJsonTransactionCache.reset();
@@ -533,20 +1186,27 @@ Qtum.prototype._resetCaches = function() {
   this.blockOverviewCache.reset();
   this.blockJsonCache.reset();
   this.transactionReceiptCache.reset();
+  this.tokenSupplyCache.reset();
   this.dgpInfoCache = null;
   this.miningInfoCache = null;
   this.stakingInfoCache = null;
 };
 
 Qtum.prototype._tryAllClients = function(func, callback) {
-  var self = this;
-  var nodesIndex = this.nodesIndex;
+  var rotation = this._getNodesInRotation();
+  var start = this.nodesIndex % rotation.length;
+
+  // nodes out of rotation are only tried after the others have failed
+  var nodes = rotation.slice(start).concat(rotation.slice(0, start));
+  nodes = nodes.concat(_.difference(this.nodes, nodes));
+
+  var nodesIndex = 0;
   var retry = function(done) {
-    var client = self.nodes[nodesIndex].client;
-    nodesIndex = (nodesIndex + 1) % self.nodes.length;
+    var client = nodes[nodesIndex].client;
+    nodesIndex = (nodesIndex + 1) % nodes.length;
     func(client, done);
   };
-  async.retry({times: this.nodes.length, interval: this.tryAllInterval || 1000}, retry, callback);
+  async.retry({times: nodes.length, interval: this.tryAllInterval || 1000}, retry, callback);
 };
 
 Qtum.prototype._wrapRPCError = function(errObj) {
@@ -638,6 +1298,19 @@ Qtum.prototype._zmqBlockHandler = function(node, message) {
     for (var i = 0; i < this.subscriptions.hashblock.length; i++) {
       this.subscriptions.hashblock[i].emit('qtumd/hashblock', message.toString('hex'));
     }
+
+    if (self.mempool) {
+      self._syncMempool();
+    }
+
+    if (self.indexTokens || self._hasTokenTransferSubscribers()) {
+      self._getBlockTokenTransfers(message.toString('hex'), function(err, transfers) {
+        if (err) {
+          return self.emit('error', err);
+        }
+        self._notifyTokenTransferSubscribers(transfers);
+      });
+    }
   }
 
 };
@@ -667,22 +1340,14 @@ Qtum.prototype._updateTip = function(node, message) {
     // reset block valid caches
     self._resetCaches();
 
-    node.client.getBlock(self.tiphash, function(err, response) {
-      if (err) {
-        var error = self._wrapRPCError(err);
-        self.emit('error', error);
-      } else {
-        self.height = response.result.height;
-        $.checkState(self.height >= 0);
-        self.emit('tip', self.height);
-      }
-    });
+    self.tipQueue.push({node: node, blockhash: hex});
 
     if(!self.node.stopping) {
       self.syncPercentage(function(err, percentage) {
         if (err) {
           self.emit('error', err);
         } else {
+          self.lastSyncPercentage = percentage;
           if (Math.round(percentage) >= 100) {
             self.emit('synced', self.height);
           }
@@ -693,30 +1358,180 @@ Qtum.prototype._updateTip = function(node, message) {
   }
 };
 
-Qtum.prototype._getAddressesFromTransaction = function(transaction) {
-  var addresses = [];
-
-  for (var i = 0; i < transaction.inputs.length; i++) {
-    var input = transaction.inputs[i];
-    if (input.script) {
-      var inputAddress = input.script.toAddress(this.node.network);
-      if (inputAddress) {
-        addresses.push(inputAddress.toString());
-      }
+/**
+ * Will set the height and update the recent blocks for a new tip, tips are processed one at a
+ * time so that the recent blocks are updated in the order of the tips.
+ * @param {Object} task
+ * @param {Object} task.node - The qtumd node that announced the tip
+ * @param {String} task.blockhash - The hash of the new tip
+ * @param {Function} callback
+ */
+Qtum.prototype._processTip = function(task, callback) {
+  var self = this;
+  task.node.client.getBlock(task.blockhash, function(err, response) {
+    if (err) {
+      self.emit('error', self._wrapRPCError(err));
+      return callback();
     }
-  }
-
-  for (var j = 0; j < transaction.outputs.length; j++) {
-    var output = transaction.outputs[j];
-    if (output.script) {
-      var outputAddress = output.script.toAddress(this.node.network);
-      if (outputAddress) {
-        addresses.push(outputAddress.toString());
+    self.height = response.result.height;
+    $.checkState(self.height >= 0);
+    self._updateRecentBlocks(task.node, task.blockhash, response.result, function(err) {
+      if (err) {
+        self.emit('error', err);
       }
-    }
-  }
-
-  return _.uniq(addresses);
+      self.emit('tip', self.height);
+      callback();
+    });
+  });
+};
+
+/**
+ * Will add a new tip to the window of recent blocks. If the tip doesn't extend the previous
+ * tip, the new chain is followed back until the fork point and a "reorg" event is emitted
+ * with the hashes of the disconnected blocks (most recent first) and of the connected
+ * blocks (oldest first). At most `reorgWindow` blocks of the new chain are read, when the
+ * tip is further ahead the fork point is found by the hashes of the recent blocks in the
+ * main chain, and only the most recent `reorgWindow` blocks are connected.
+ * @param {Object} node - The qtumd node that announced the tip
+ * @param {String} blockhash - The hash of the new tip
+ * @param {Object} block - The block of the new tip from qtumd
+ * @param {Function} callback
+ */
+Qtum.prototype._updateRecentBlocks = function(node, blockhash, block, callback) {
+  var self = this;
+  var recent = self.recentBlocks;
+  var connected = [{hash: blockhash, height: block.height}];
+
+  function finish(forkHeight) {
+    var disconnected = recent.filter(function(recentBlock) {
+      return recentBlock.height > forkHeight;
+    });
+    self.recentBlocks = recent.filter(function(recentBlock) {
+      return recentBlock.height <= forkHeight;
+    }).concat(connected).slice(-self.reorgWindow);
+
+    if (!disconnected.length) {
+      return callback();
+    }
+
+    var reorg = {
+      forkHeight: forkHeight,
+      disconnected: _.pluck(disconnected, 'hash').reverse(),
+      connected: _.pluck(connected, 'hash')
+    };
+    log.warn('Qtum chain reorganization at height:', forkHeight, 'disconnected:', disconnected.length,
+             'connected:', connected.length);
+
+    self._purgeBlockCaches(node, reorg.disconnected, function() {
+      self.emit('reorg', reorg);
+      for (var i = 0; i < self.subscriptions.reorg.length; i++) {
+        self.subscriptions.reorg[i].emit('qtumd/reorg', reorg);
+      }
+      callback();
+    });
+  }
+
+  function findKnownFork(index) {
+    if (index < 0) {
+      return finish(-1);
+    }
+    node.client.getBlockHash(recent[index].height, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      if (response.result === recent[index].hash) {
+        return finish(recent[index].height);
+      }
+      findKnownFork(index - 1);
+    });
+  }
+
+  function findFork(prevHash, height) {
+    var index = _.findIndex(recent, {height: height});
+    if (index > -1 && recent[index].hash === prevHash) {
+      return finish(height);
+    }
+    if (height < recent[0].height) {
+      // the fork is deeper than the window, all of the known blocks are disconnected
+      return finish(-1);
+    }
+    if (connected.length >= self.reorgWindow) {
+      // the tip is far ahead of the recent blocks, such as while syncing
+      return findKnownFork(recent.length - 1);
+    }
+    node.client.getBlock(prevHash, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      connected.unshift({hash: prevHash, height: height});
+      findFork(response.result.previousblockhash, height - 1);
+    });
+  }
+
+  if (!recent.length) {
+    return finish(block.height - 1);
+  }
+  findFork(block.previousblockhash, block.height - 1);
+};
+
+/**
+ * Will remove the blocks, and the transactions of the blocks, that are no longer
+ * part of the main chain from the caches that are otherwise valid indefinitely.
+ * @param {Object} node - The qtumd node
+ * @param {Array} blockhashes - The hashes of the disconnected blocks
+ * @param {Function} callback
+ */
+Qtum.prototype._purgeBlockCaches = function(node, blockhashes, callback) {
+  var self = this;
+
+  async.eachSeries(blockhashes, function(blockhash, next) {
+    self.blockCache.del(blockhash);
+    self.rawBlockCache.del(blockhash);
+    self.blockJsonCache.del(blockhash);
+    self.blockOverviewCache.del(blockhash);
+    self.blockTokenTransfersCache.del(blockhash);
+
+    node.client.getBlock(blockhash, function(err, response) {
+      if (err) {
+        log.warn('Unable to purge transactions of disconnected block:', blockhash);
+        return next();
+      }
+      response.result.tx.forEach(function(txid) {
+        self.transactionCache.del(txid);
+        self.rawTransactionCache.del(txid);
+        self.rawJsonTransactionCache.del(txid);
+        self.transactionDetailedCache.del(txid);
+        self.transactionReceiptCache.del(txid);
+      });
+      next();
+    });
+  }, callback);
+};
+
+Qtum.prototype._getAddressesFromTransaction = function(transaction) {
+  var addresses = [];
+
+  for (var i = 0; i < transaction.inputs.length; i++) {
+    var input = transaction.inputs[i];
+    if (input.script) {
+      var inputAddress = input.script.toAddress(this.node.network);
+      if (inputAddress) {
+        addresses.push(inputAddress.toString());
+      }
+    }
+  }
+
+  for (var j = 0; j < transaction.outputs.length; j++) {
+    var output = transaction.outputs[j];
+    if (output.script) {
+      var outputAddress = output.script.toAddress(this.node.network);
+      if (outputAddress) {
+        addresses.push(outputAddress.toString());
+      }
+    }
+  }
+
+  return _.uniq(addresses);
 };
 
 Qtum.prototype._notifyBalanceSubscribers = function(txid, transaction) {
@@ -776,7 +1591,104 @@ Qtum.prototype._notifyAddressTxidSubscribers = function(txid, transaction) {
   }
 };
 
-Qtum.prototype._zmqTransactionHandler = function(node, message) {
+Qtum.prototype._hasTokenTransferSubscribers = function() {
+  return !_.isEmpty(this.subscriptions.tokenAddress) || !_.isEmpty(this.subscriptions.tokenContract);
+};
+
+Qtum.prototype._notifyTokenTransferSubscribers = function(transfers) {
+  for (var i = 0; i < transfers.length; i++) {
+    var transfer = transfers[i];
+    var emitters = _.union(
+      this.subscriptions.tokenContract[transfer.contract],
+      this.subscriptions.tokenAddress[transfer.from],
+      this.subscriptions.tokenAddress[transfer.to]
+    );
+    for (var j = 0; j < emitters.length; j++) {
+      emitters[j].emit('qtumd/tokentransfer', transfer);
+    }
+  }
+};
+
+Qtum.prototype._notifyTxConfirmationsSubscribers = function() {
+  var self = this;
+  var txids = _.keys(self.subscriptions.txconfirmations);
+
+  async.eachLimit(txids, self.transactionConcurrency, function(txid, next) {
+    self.getDetailedTransaction(txid, function(err, transaction) {
+      // -5 is given when the transaction is neither in the chain nor in the mempool
+      if (err && err.code !== -5) {
+        log.error('Unable to get confirmations of transaction:', txid, err.message);
+        return next();
+      }
+      self._notifyTxConfirmationsSubscriber(txid, err ? null : transaction);
+      next();
+    });
+  });
+};
+
+/**
+ * Will emit the confirmations of a transaction to its subscribers. A transaction that is not
+ * found is dropped when it has been seen in the mempool mirror or at an earlier tip, and is
+ * otherwise pending, as it may not have been broadcast yet.
+ * @param {String} txid - The transaction hash
+ * @param {Object} transaction - The detailed transaction, null if it's not found
+ */
+Qtum.prototype._notifyTxConfirmationsSubscriber = function(txid, transaction) {
+  var self = this;
+  var subscriptions = self.subscriptions.txconfirmations[txid];
+  if (!subscriptions) {
+    return;
+  }
+
+  var confirmed = transaction && transaction.height >= 0;
+  var confirmations = confirmed ? self._getConfirmationsDetail(transaction) : 0;
+
+  var pending = subscriptions.filter(function(subscription) {
+    /* jshint maxcomplexity: 12 */
+    var status = 'pending';
+    if (!transaction && subscription.blockHash) {
+      // a confirmed transaction that is no longer known was disconnected with its block
+      status = 'reorged';
+    } else if (!transaction) {
+      status = subscription.seen ? 'dropped' : 'pending';
+    } else if (subscription.blockHash && !confirmed) {
+      status = 'reorged';
+    } else if (confirmations >= subscription.confirmations) {
+      status = 'confirmed';
+    }
+    if (transaction) {
+      subscription.seen = true;
+    }
+    if (confirmed) {
+      subscription.blockHash = transaction.blockHash;
+    }
+
+    subscription.emitter.emit('qtumd/txconfirmations', {
+      txid: txid,
+      status: status,
+      confirmations: confirmations,
+      target: subscription.confirmations,
+      blockHash: confirmed ? transaction.blockHash : null,
+      height: confirmed ? transaction.height : null
+    });
+
+    return status === 'pending';
+  });
+
+  if (pending.length) {
+    self.subscriptions.txconfirmations[txid] = pending;
+  } else {
+    delete self.subscriptions.txconfirmations[txid];
+  }
+};
+
+/**
+ * Will emit a transaction from zmq to the subscribers once, and add it to the mempool mirror.
+ * @param {Object} node - The qtumd node
+ * @param {Buffer} message - The raw transaction
+ * @param {Boolean} confirmed - If the transaction is of a block, so that it isn't in the mempool
+ */
+Qtum.prototype._zmqTransactionHandler = function(node, message, confirmed) {
 
   var self = this;
   var hash = bitcore.crypto.Hash.sha256sha256(message);
@@ -796,12 +1708,19 @@ Qtum.prototype._zmqTransactionHandler = function(node, message) {
     self._notifyAddressTxidSubscribers(txid, tx);
     self._notifyBalanceSubscribers(txid, tx);
 
+    if (self.mempool && !confirmed) {
+      self._addMempoolTransaction(txid, function(err) {
+        if (err) {
+          self.emit('error', err);
+        }
+      });
+    }
+
   }
 };
 
 Qtum.prototype._checkSyncedAndSubscribeZmqEvents = function(node) {
   var self = this;
-  var interval;
 
   function checkAndSubscribe(callback) {
     // update tip
@@ -822,7 +1741,7 @@ Qtum.prototype._checkSyncedAndSubscribeZmqEvents = function(node) {
         if (progress >= self.zmqSubscribeProgress) {
           // subscribe to events for further updates
           self._subscribeZmqEvents(node);
-          clearInterval(interval);
+          clearInterval(node._syncedInterval);
           callback(null, true);
         } else {
           callback(null, false);
@@ -836,9 +1755,9 @@ Qtum.prototype._checkSyncedAndSubscribeZmqEvents = function(node) {
       log.error(err);
     }
     if (!synced) {
-      interval = setInterval(function() {
+      node._syncedInterval = setInterval(function() {
         if (self.node.stopping) {
-          return clearInterval(interval);
+          return clearInterval(node._syncedInterval);
         }
         checkAndSubscribe(function(err) {
           if (err) {
@@ -857,6 +1776,7 @@ Qtum.prototype._subscribeZmqEvents = function(node) {
   node.zmqSubSocket.subscribe('rawtx');
   node.zmqSubSocket.on('message', function(topic, message) {
     var topicString = topic.toString('utf8');
+    self.zmqMessages[topicString] = (self.zmqMessages[topicString] || 0) + 1;
     if (topicString === 'rawtx') {
       self._zmqTransactionHandler(node, message);
     } else if (topicString === 'hashblock') {
@@ -866,10 +1786,16 @@ Qtum.prototype._subscribeZmqEvents = function(node) {
 };
 
 Qtum.prototype._initZmqSubSocket = function(node, zmqUrl) {
+  var self = this;
   node.zmqSubSocket = zmq.socket('sub');
 
   node.zmqSubSocket.on('connect', function(fd, endPoint) {
     log.info('ZMQ connected to:', endPoint);
+    node._zmqConnected = true;
+    if (node._zmqDisconnected) {
+      node._zmqDisconnected = false;
+      self._backfillZmqGap(node);
+    }
   });
 
   node.zmqSubSocket.on('connect_delay', function(fd, endPoint) {
@@ -878,11 +1804,13 @@ Qtum.prototype._initZmqSubSocket = function(node, zmqUrl) {
 
   node.zmqSubSocket.on('disconnect', function(fd, endPoint) {
     log.warn('ZMQ disconnect:', endPoint);
+    node._zmqConnected = false;
+    node._zmqDisconnected = true;
   });
 
   node.zmqSubSocket.on('monitor_error', function(err) {
     log.error('Error in monitoring: %s, will restart monitoring in 5 seconds', err);
-    setTimeout(function() {
+    node._zmqMonitorTimer = setTimeout(function() {
       node.zmqSubSocket.monitor(500, 0);
     }, 5000);
   });
@@ -892,15 +1820,288 @@ Qtum.prototype._initZmqSubSocket = function(node, zmqUrl) {
 
 };
 
+/**
+ * Will add a transaction to the mempool mirror, transactions that are not in the mempool
+ * of qtumd (such as the transactions of a new block) are ignored.
+ * @param {String} txid - The transaction id
+ * @param {Function} callback
+ */
+Qtum.prototype._addMempoolTransaction = function(txid, callback) {
+  var self = this;
+  self.client.getMempoolEntry(txid, function(err, response) {
+    if (err && err.code === -5) {
+      return callback();
+    } else if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    if (!self.mempool) {
+      return callback();
+    }
+    var entry = response.result;
+    var size = entry.vsize || entry.size;
+    var fee = bitcore.Unit.fromBTC(entry.fee).toSatoshis();
+    self.mempool[txid] = {
+      txid: txid,
+      size: size,
+      fee: fee,
+      feeRate: fee / size,
+      time: entry.time
+    };
+    _.each(self.subscriptions.txconfirmations[txid], function(subscription) {
+      subscription.seen = true;
+    });
+    callback();
+  });
+};
+
+/**
+ * Will start the mempool mirror with the transactions in the mempool of qtumd, it is then kept
+ * up to date by the zmq events.
+ * @param {Function} callback
+ */
+Qtum.prototype._loadMempool = function(callback) {
+  this.mempool = {};
+  this._syncMempool(callback);
+};
+
+/**
+ * Will remove the transactions from the mempool mirror that are no longer in the mempool of qtumd,
+ * such as the transactions of a new block and their conflicts, and add any that are missing.
+ * @param {Function} callback
+ */
+Qtum.prototype._syncMempool = function(callback) {
+  var self = this;
+  callback = callback || function() {};
+
+  if (self._mempoolSyncing) {
+    self._mempoolSyncPending = true;
+    return callback();
+  }
+  self._mempoolSyncing = true;
+
+  function finish(err) {
+    self._mempoolSyncing = false;
+    if (err) {
+      self.emit('error', err);
+    }
+    if (self._mempoolSyncPending) {
+      self._mempoolSyncPending = false;
+      return self._syncMempool(callback);
+    }
+    callback();
+  }
+
+  self.client.getRawMemPool(function(err, response) {
+    if (err) {
+      return finish(self._wrapRPCError(err));
+    }
+    var txids = response.result;
+    var removed = _.difference(_.keys(self.mempool), txids);
+    removed.forEach(function(txid) {
+      delete self.mempool[txid];
+    });
+    var added = txids.filter(function(txid) {
+      return !self.mempool[txid];
+    });
+    async.eachLimit(added, self.transactionConcurrency, self._addMempoolTransaction.bind(self), finish);
+  });
+};
+
+/**
+ * Will replay the blocks and mempool transactions that were published while the zmq socket
+ * of a node was disconnected through the zmq handlers, so that subscribers receive the events
+ * that were missed. Events that were already received are skipped by the handlers.
+ * @param {Object} node - The qtumd node that reconnected
+ * @param {Function} callback
+ */
+Qtum.prototype._backfillZmqGap = function(node, callback) {
+  var self = this;
+  callback = callback || function() {};
+
+  if (node._zmqBackfilling) {
+    node._zmqBackfillPending = true;
+    return callback();
+  }
+  node._zmqBackfilling = true;
+
+  function finish(err) {
+    node._zmqBackfilling = false;
+    if (err) {
+      log.error('Unable to replay missed zmq events:', err.message);
+    }
+    if (node._zmqBackfillPending && !self.node.stopping) {
+      node._zmqBackfillPending = false;
+      return self._backfillZmqGap(node, callback);
+    }
+    callback();
+  }
+
+  var height = self.height;
+
+  function replayMissedBlocks() {
+    self._getMissedBlockHashes(node, height, function(err, blockhashes, more) {
+      if (err) {
+        return finish(err);
+      }
+      if (blockhashes.length) {
+        log.info('Replaying', blockhashes.length, 'block(s) missed while zmq was disconnected');
+      }
+      async.eachSeries(blockhashes, function(blockhash, next) {
+        self._replayZmqBlock(node, blockhash, next);
+      }, function(err) {
+        if (err) {
+          return finish(err);
+        }
+        if (more) {
+          if (self.node.stopping || self._stopped) {
+            return finish();
+          }
+          height += blockhashes.length;
+          return replayMissedBlocks();
+        }
+        self._replayZmqMempool(node, finish);
+      });
+    });
+  }
+
+  replayMissedBlocks();
+};
+
+/**
+ * Will give the hashes of the blocks of a node after a height (oldest first), in batches of at
+ * most `reorgWindow` blocks. When the best block is within the `reorgWindow`, the chain is followed
+ * back from it until a block that is already known, so that blocks of a reorganization are included.
+ * Otherwise the next batch is given by height, and `more` is true.
+ * @param {Object} node - The qtumd node
+ * @param {Number} height - The height of the last block that was already replayed
+ * @param {Function} callback - Called with the block hashes and if there are more blocks
+ */
+Qtum.prototype._getMissedBlockHashes = function(node, height, callback) {
+  var self = this;
+  var known = _.pluck(self.recentBlocks, 'hash');
+  if (self.tiphash) {
+    known.push(self.tiphash);
+  }
+  var missed = [];
+
+  function walk(blockhash, response) {
+    if (!blockhash || known.indexOf(blockhash) !== -1) {
+      return callback(null, missed.reverse(), false);
+    }
+    if (missed.length >= self.reorgWindow) {
+      log.warn('A chain reorganization deeper than', self.reorgWindow, 'blocks happened while zmq was ' +
+               'disconnected, only the most recent blocks will be replayed');
+      return callback(null, missed.reverse(), false);
+    }
+    missed.push(blockhash);
+    if (response) {
+      return walk(response.result.previousblockhash);
+    }
+    node.client.getBlock(blockhash, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      walk(response.result.previousblockhash);
+    });
+  }
+
+  function getBatch() {
+    var heights = _.range(height + 1, height + self.reorgWindow + 1);
+    async.mapSeries(heights, function(blockHeight, next) {
+      node.client.getBlockHash(blockHeight, function(err, response) {
+        if (err) {
+          return next(self._wrapRPCError(err));
+        }
+        next(null, response.result);
+      });
+    }, function(err, blockhashes) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, blockhashes, true);
+    });
+  }
+
+  node.client.getBestBlockHash(function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var bestHash = response.result;
+    if (known.indexOf(bestHash) !== -1) {
+      return callback(null, [], false);
+    }
+    node.client.getBlock(bestHash, function(err, response) {
+      if (err) {
+        return callback(self._wrapRPCError(err));
+      }
+      if (response.result.height - height > self.reorgWindow) {
+        return getBatch();
+      }
+      walk(bestHash, response);
+    });
+  });
+};
+
+/**
+ * Will replay the transactions of a block and then the block, in the order that qtumd
+ * publishes them.
+ * @param {Object} node - The qtumd node
+ * @param {String} blockhash - The hash of the block
+ * @param {Function} callback
+ */
+Qtum.prototype._replayZmqBlock = function(node, blockhash, callback) {
+  var self = this;
+  self.getBlock(blockhash, function(err, block) {
+    if (err) {
+      return callback(err);
+    }
+    // the transactions of the block are confirmed, so they aren't looked up in the mempool
+    block.transactions.forEach(function(tx) {
+      self._zmqTransactionHandler(node, tx.toBuffer(), true);
+    });
+    self._zmqBlockHandler(node, new Buffer(blockhash, 'hex'));
+    callback();
+  });
+};
+
+/**
+ * Will replay the transactions in the mempool of a node that haven't been seen.
+ * @param {Object} node - The qtumd node
+ * @param {Function} callback
+ */
+Qtum.prototype._replayZmqMempool = function(node, callback) {
+  var self = this;
+  node.client.getRawMemPool(function(err, response) {
+    if (err) {
+      return callback(self._wrapRPCError(err));
+    }
+    var txids = response.result.filter(function(txid) {
+      var id = bitcore.util.buffer.reverse(new Buffer(txid, 'hex')).toString('binary');
+      return !self.zmqKnownTransactions.get(id);
+    });
+    async.eachLimit(txids, self.transactionConcurrency, function(txid, next) {
+      node.client.getRawTransaction(txid, function(err, response) {
+        if (err && err.code === -5) {
+          // the transaction has since been removed from the mempool
+          return next();
+        } else if (err) {
+          return next(self._wrapRPCError(err));
+        }
+        self._zmqTransactionHandler(node, new Buffer(response.result, 'hex'));
+        next();
+      });
+    }, callback);
+  });
+};
+
 Qtum.prototype._checkReindex = function(node, callback) {
   var self = this;
-  var interval;
   function finish(err) {
-    clearInterval(interval);
+    clearInterval(node._reindexInterval);
     callback(err);
   }
   if (node._reindex) {
-    interval = setInterval(function() {
+    node._reindexInterval = setInterval(function() {
       node.client.getBlockchainInfo(function(err, response) {
         if (err) {
           return finish(self._wrapRPCError(err));
@@ -1013,13 +2214,14 @@ Qtum.prototype._spawnChildProcess = function(callback) {
     });
 
     self.spawn.process.once('exit', function(code) {
-      if (!self.node.stopping) {
+      if (!self.node.stopping && !self._stopped) {
         log.warn('Qtum process unexpectedly exited with code:', code);
         log.warn('Restarting qtum child process in ' + self.spawnRestartTime + 'ms');
         setTimeout(function() {
           self._spawnChildProcess(function(err) {
             if (err) {
-              return self.emit('error', err);
+              self.emit('error', err);
+              return self.emit('fatal', err);
             }
             log.warn('Qtum process restarted');
           });
@@ -1053,6 +2255,7 @@ Qtum.prototype._spawnChildProcess = function(callback) {
         return callback(new Error('Stopping while trying to spawn qtumd.'));
       }
 
+      self._initNodeHealth(node);
       self._initZmqSubSocket(node, self.spawn.config.zmqpubrawtx);
 
       self._checkReindex(node, function(err) {
@@ -1099,6 +2302,7 @@ Qtum.prototype._connectProcess = function(config, callback) {
       return callback(new Error('Stopping while trying to connect to qtumd.'));
     }
 
+    self._initNodeHealth(node);
     self._initZmqSubSocket(node, config.zmqpubrawtx);
     self._subscribeZmqEvents(node);
 
@@ -1114,6 +2318,9 @@ Qtum.prototype.start = function(callback) {
   var self = this;
 
   async.series([
+    function(next) {
+      self._initDiskCaches(next);
+    },
     function(next) {
       if (self.options.spawn) {
         self._spawnChildProcess(function(err, node) {
@@ -1149,7 +2356,18 @@ Qtum.prototype.start = function(callback) {
     if (self.nodes.length === 0) {
       return callback(new Error('Qtum configuration options "spawn" or "connect" are expected'));
     }
-    self._initChain(callback);
+    self._startHealthChecks();
+    self._initChain(function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self._loadMempool(function(err) {
+        if (err) {
+          log.error('Unable to load the mempool:', err.message);
+        }
+      });
+      callback();
+    });
   });
 
 };
@@ -1762,6 +2980,76 @@ Qtum.prototype.getAddressSummary = function(addressArg, options, callback) {
 
 };
 
+/**
+ * Will call a method that queries a single address for each of the addresses, so that each
+ * address is also cached separately, and give the results keyed by address.
+ * @param {String|Address|Array} addressArg - An address string, bitcore address, or array of addresses
+ * @param {Function} method - The method with the arguments (address, options, callback)
+ * @param {Object} options
+ * @param {Function} callback
+ */
+Qtum.prototype._queryEachAddress = function(addressArg, method, options, callback) {
+  var self = this;
+  var addresses = self._normalizeAddressArg(addressArg);
+
+  if (addresses.length > self.maxAddressesQuery) {
+    return setImmediate(function() {
+      callback(new TypeError('Maximum number of addresses (' + self.maxAddressesQuery + ') exceeded'));
+    });
+  }
+
+  var addressStrings;
+  try {
+    addressStrings = _.uniq(self._getAddressStrings(addresses));
+  } catch(e) {
+    return setImmediate(function() {
+      callback(e);
+    });
+  }
+
+  var results = {};
+  async.eachLimit(addressStrings, self.transactionConcurrency, function(address, next) {
+    method.call(self, address, options, function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      results[address] = result;
+      next();
+    });
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, results);
+  });
+};
+
+/**
+ * Will get the balance of each address, keyed by address, for example:
+ * {
+ *   'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME': {balance: 100000, received: 250000},
+ *   'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R': {balance: 0, received: 0}
+ * }
+ * Each address is cached as with `getAddressBalance` for a single address.
+ * @param {Array} addresses - An array of address strings or bitcore addresses
+ * @param {Object} options - The options of `getAddressBalance`
+ * @param {Function} callback
+ */
+Qtum.prototype.getAddressBalances = function(addresses, options, callback) {
+  this._queryEachAddress(addresses, this.getAddressBalance, options || {}, callback);
+};
+
+/**
+ * Will get the summary of each address, keyed by address. Each address is cached as with
+ * `getAddressSummary` for a single address.
+ * @param {Array} addresses - An array of address strings or bitcore addresses
+ * @param {Object} options - The options of `getAddressSummary`
+ * @param {Function} callback
+ */
+Qtum.prototype.getAddressSummaries = function(addresses, options, callback) {
+  this._queryEachAddress(addresses, this.getAddressSummary, options || {}, callback);
+};
+
 Qtum.prototype._maybeGetBlockHash = function(blockArg, callback) {
   var self = this;
   if (_.isNumber(blockArg) || (blockArg.length < 40 && /^[0-9]+$/.test(blockArg))) {
@@ -1805,14 +3093,12 @@ Qtum.prototype.getRawBlock = function(blockArg, callback) {
     }, callback);
   }
 
-  var cachedBlock = self.rawBlockCache.get(blockArg);
-  if (cachedBlock) {
-    return setImmediate(function() {
-      callback(null, cachedBlock);
-    });
-  } else {
+  self.rawBlockCache.fetch(blockArg, function(err, cachedBlock) {
+    if (cachedBlock) {
+      return callback(null, cachedBlock);
+    }
     self._maybeGetBlockHash(blockArg, queryBlock);
-  }
+  });
 };
 
 /**
@@ -1916,7 +3202,14 @@ Qtum.prototype.getBlock = function(blockArg, callback) {
       return setImmediate(function() {
         callback(null, cachedBlock);
       });
-    } else {
+    }
+    // the raw block can be on disk
+    self.rawBlockCache.fetch(blockhash, function(err, rawBlock) {
+      if (rawBlock) {
+        var blockObj = bitcore.Block.fromBuffer(rawBlock);
+        self.blockCache.set(blockhash, blockObj);
+        return callback(null, blockObj);
+      }
       self._tryAllClients(function(client, done) {
         client.getBlock(blockhash, false, function(err, response) {
           if (err) {
@@ -1924,10 +3217,11 @@ Qtum.prototype.getBlock = function(blockArg, callback) {
           }
           var blockObj = bitcore.Block.fromString(response.result);
           self.blockCache.set(blockhash, blockObj);
+          self.rawBlockCache.set(blockhash, new Buffer(response.result, 'hex'));
           done(null, blockObj);
         });
       }, callback);
-    }
+    });
   }
 
   self._maybeGetBlockHash(blockArg, queryBlock);
@@ -2070,12 +3364,10 @@ Qtum.prototype.sendTransaction = function(tx, options, callback) {
  */
 Qtum.prototype.getRawTransaction = function(txid, callback) {
   var self = this;
-  var tx = self.rawTransactionCache.get(txid);
-  if (tx) {
-    return setImmediate(function() {
-      callback(null, tx);
-    });
-  } else {
+  self.rawTransactionCache.fetch(txid, function(err, tx) {
+    if (tx) {
+      return callback(null, tx);
+    }
     self._tryAllClients(function(client, done) {
       client.getRawTransaction(txid, function(err, response) {
         if (err) {
@@ -2086,7 +3378,7 @@ Qtum.prototype.getRawTransaction = function(txid, callback) {
         done(null, buffer);
       });
     }, callback);
-  }
+  });
 };
 
 /**
@@ -2124,12 +3416,10 @@ Qtum.prototype.getJsonRawTransaction = function(txid, callback) {
  */
 Qtum.prototype.getTransaction = function(txid, callback) {
   var self = this;
-  var tx = self.transactionCache.get(txid);
-  if (tx) {
-    return setImmediate(function() {
-      callback(null, tx);
-    });
-  } else {
+  self.transactionCache.fetch(txid, function(err, tx) {
+    if (tx) {
+      return callback(null, tx);
+    }
     self._tryAllClients(function(client, done) {
       client.getRawTransaction(txid, function(err, response) {
         if (err) {
@@ -2141,7 +3431,7 @@ Qtum.prototype.getTransaction = function(txid, callback) {
         done(null, tx);
       });
     }, callback);
-  }
+  });
 };
 
 /**
@@ -2188,7 +3478,6 @@ Qtum.prototype.getTransaction = function(txid, callback) {
  */
 Qtum.prototype.getDetailedTransaction = function(txid, callback) {
   var self = this;
-  var tx = self.transactionDetailedCache.get(txid);
 
   function addInputsToTx(tx, result) {
     tx.inputs = [];
@@ -2241,13 +3530,11 @@ Qtum.prototype.getDetailedTransaction = function(txid, callback) {
     }
   }
 
-  if (tx) {
-
-    return setImmediate(function() {
-      callback(null, tx);
-    });
+  self.transactionDetailedCache.fetch(txid, function(err, tx) {
 
-  } else {
+    if (tx) {
+      return callback(null, tx);
+    }
 
     return self._tryAllClients(function(client, done) {
 
@@ -2326,7 +3613,7 @@ Qtum.prototype.getDetailedTransaction = function(txid, callback) {
 
 
     }, callback);
-  }
+  });
 };
 
 /**
@@ -2445,6 +3732,446 @@ Qtum.prototype.getInfo = function(callback) {
 
 };
 
+/**
+ * Will give the hits, misses, evictions and size of each cache, for example:
+ * {
+ *   utxosCache: {hits: 120, misses: 30, evictions: 0, size: 30, max: 50000, maxAge: 0},
+ *   transactionCache: {hits: 12, misses: 3, evictions: 0, size: 3, max: 100000, maxAge: 0,
+ *     diskHits: 2, diskMisses: 1},
+ *   ...
+ * }
+ * Caches with a disk tier also include `diskHits` and `diskMisses`.
+ * @param {Function} callback
+ */
+Qtum.prototype.getCacheStats = function(callback) {
+  var self = this;
+  var stats = {};
+  self.cacheNames.forEach(function(name) {
+    stats[name] = self[name].getStats();
+  });
+  setImmediate(function() {
+    callback(null, stats);
+  });
+};
+
+/**
+ * Will give the health of each qtumd node, for example:
+ * [
+ *   {
+ *     host: '127.0.0.1',
+ *     port: 30521,
+ *     healthy: false,
+ *     reason: '3 blocks behind',
+ *     height: 120300,
+ *     latency: 12,
+ *     calls: 1520,
+ *     errors: 2,
+ *     errorRate: 0,
+ *     lastError: 'QTUM JSON-RPC: Request Error: connect ECONNREFUSED',
+ *     lastCheck: 1489485291000
+ *   }
+ * ]
+ * The `latency` is a moving average in milliseconds and the `errorRate` is of the most recent requests.
+ * @param {Function} callback
+ */
+Qtum.prototype.getNodesStatus = function(callback) {
+  var self = this;
+  var status = self.nodes.filter(function(node) {
+    return node.health;
+  }).map(function(node) {
+    var health = node.health;
+    return {
+      host: node.client.host,
+      port: node.client.port,
+      healthy: health.healthy,
+      reason: health.reason,
+      height: health.height,
+      latency: health.latency,
+      calls: health.calls,
+      errors: health.errors,
+      errorRate: self._getNodeErrorRate(node),
+      lastError: health.lastError,
+      lastCheck: health.lastCheck
+    };
+  });
+  setImmediate(function() {
+    callback(null, status);
+  });
+};
+
+/**
+ * Called by the Node to check if the service is ready to handle requests, the blockchain needs to
+ * be synced, and at least one qtumd node needs to have a connected ZMQ socket and respond to RPC.
+ * @param {Function} callback
+ */
+Qtum.prototype.checkReadiness = function(callback) {
+  var self = this;
+  var total = self.nodes.length;
+
+  var zmqConnected = self.nodes.filter(function(node) {
+    return node._zmqConnected;
+  }).length;
+
+  async.parallel({
+    responding: function(next) {
+      async.filter(self.nodes, function(node, done) {
+        node.client.getBlockCount(function(err) {
+          done(!err);
+        });
+      }, function(nodes) {
+        next(null, nodes.length);
+      });
+    },
+    percentage: function(next) {
+      self.syncPercentage(function(err, percentage) {
+        next(null, err ? err : percentage);
+      });
+    }
+  }, function(err, results) {
+    var synced = {name: 'qtumd/synced'};
+    if (results.percentage instanceof Error) {
+      synced.ready = false;
+      synced.message = results.percentage.message;
+    } else {
+      synced.ready = Math.round(results.percentage) >= 100;
+      synced.message = 'Synced ' + results.percentage.toFixed(2) + '%';
+    }
+    callback(null, [
+      synced,
+      {
+        name: 'qtumd/zmq',
+        ready: zmqConnected > 0,
+        message: zmqConnected + ' of ' + total + ' ZMQ sockets connected'
+      },
+      {
+        name: 'qtumd/nodes',
+        ready: results.responding > 0,
+        message: results.responding + ' of ' + total + ' nodes responded'
+      }
+    ]);
+  });
+};
+
+/**
+ * Called by the Node to gather the metrics of the qtumd nodes for the Prometheus text format,
+ * see Service.prototype.getMetrics.
+ * @returns {Array}
+ */
+Qtum.prototype.getMetrics = function() {
+  var self = this;
+  var rpcNames = _.keys(self.rpcCalls);
+  var zmqTopics = _.keys(self.zmqMessages);
+
+  function rpcValues(key) {
+    return rpcNames.map(function(name) {
+      return {labels: {method: name}, value: self.rpcCalls[name][key]};
+    });
+  }
+
+  var metrics = [
+    {
+      name: 'qtumd_tip_height',
+      help: 'The height of the current tip',
+      type: 'gauge',
+      values: _.isNumber(self.height) ? [{labels: {}, value: self.height}] : []
+    },
+    {
+      name: 'qtumd_sync_percentage',
+      help: 'The sync percentage of the current tip',
+      type: 'gauge',
+      values: _.isNumber(self.lastSyncPercentage) ? [{labels: {}, value: self.lastSyncPercentage}] : []
+    },
+    {
+      name: 'qtumd_rpc_calls_total',
+      help: 'The number of requests to qtumd by method',
+      type: 'counter',
+      values: rpcValues('calls')
+    },
+    {
+      name: 'qtumd_rpc_errors_total',
+      help: 'The number of requests to qtumd that gave an error by method',
+      type: 'counter',
+      values: rpcValues('errors')
+    },
+    {
+      name: 'qtumd_rpc_duration_seconds_total',
+      help: 'The total time of requests to qtumd by method',
+      type: 'counter',
+      values: rpcValues('seconds')
+    },
+    {
+      name: 'qtumd_zmq_messages_total',
+      help: 'The number of zmq messages from qtumd by topic',
+      type: 'counter',
+      values: zmqTopics.map(function(topic) {
+        return {labels: {topic: topic}, value: self.zmqMessages[topic]};
+      })
+    }
+  ];
+
+  return metrics.concat(self._getCacheMetrics(), self._getSubscriptionMetrics());
+};
+
+Qtum.prototype._getCacheMetrics = function() {
+  var self = this;
+  var stats = {};
+  self.cacheNames.forEach(function(name) {
+    stats[name] = self[name].getStats();
+  });
+
+  function cacheValues(getValue) {
+    return self.cacheNames.filter(function(name) {
+      return _.isNumber(getValue(stats[name]));
+    }).map(function(name) {
+      return {labels: {cache: name}, value: getValue(stats[name])};
+    });
+  }
+
+  return [
+    {
+      name: 'qtumd_cache_hits_total',
+      help: 'The number of hits of the memory tier by cache',
+      type: 'counter',
+      values: cacheValues(function(stat) { return stat.hits; })
+    },
+    {
+      name: 'qtumd_cache_misses_total',
+      help: 'The number of misses of the memory tier by cache',
+      type: 'counter',
+      values: cacheValues(function(stat) { return stat.misses; })
+    },
+    {
+      name: 'qtumd_cache_hit_ratio',
+      help: 'The ratio of hits to lookups of the memory tier by cache',
+      type: 'gauge',
+      values: cacheValues(function(stat) {
+        var lookups = stat.hits + stat.misses;
+        return lookups ? stat.hits / lookups : 0;
+      })
+    },
+    {
+      name: 'qtumd_cache_evictions_total',
+      help: 'The number of items removed to make room by cache',
+      type: 'counter',
+      values: cacheValues(function(stat) { return stat.evictions; })
+    },
+    {
+      name: 'qtumd_cache_items',
+      help: 'The number of items in the memory tier by cache',
+      type: 'gauge',
+      values: cacheValues(function(stat) { return stat.size; })
+    },
+    {
+      name: 'qtumd_cache_disk_hits_total',
+      help: 'The number of hits of the disk tier by cache',
+      type: 'counter',
+      values: cacheValues(function(stat) { return stat.diskHits; })
+    },
+    {
+      name: 'qtumd_cache_disk_misses_total',
+      help: 'The number of misses of the disk tier by cache',
+      type: 'counter',
+      values: cacheValues(function(stat) { return stat.diskMisses; })
+    }
+  ];
+};
+
+Qtum.prototype._getSubscriptionMetrics = function() {
+  var subscriptions = this.subscriptions;
+  var subscribers = [];
+  var items = [];
+
+  ['rawtransaction', 'hashblock', 'reorg'].forEach(function(name) {
+    subscribers.push({labels: {event: 'qtumd/' + name}, value: subscriptions[name].length});
+  });
+
+  // subscriptions by address, contract or txid
+  var keyed = {
+    'qtumd/addresstxid': [subscriptions.address],
+    'qtumd/addressbalance': [subscriptions.balance],
+    'qtumd/tokentransfer': [subscriptions.tokenAddress, subscriptions.tokenContract],
+    'qtumd/txconfirmations': [subscriptions.txconfirmations]
+  };
+  _.keys(keyed).forEach(function(event) {
+    var emitters = [];
+    var count = 0;
+    keyed[event].forEach(function(map) {
+      _.values(map).forEach(function(list) {
+        count++;
+        list.forEach(function(subscription) {
+          emitters.push(subscription.emitter || subscription);
+        });
+      });
+    });
+    subscribers.push({labels: {event: event}, value: _.uniq(emitters).length});
+    items.push({labels: {event: event}, value: count});
+  });
+
+  return [
+    {
+      name: 'qtumd_subscribers',
+      help: 'The number of buses that are subscribed by event',
+      type: 'gauge',
+      values: subscribers
+    },
+    {
+      name: 'qtumd_subscription_items',
+      help: 'The number of addresses, contracts or txids that are subscribed by event',
+      type: 'gauge',
+      values: items
+    }
+  ];
+};
+
+Qtum.prototype._checkMempoolLoaded = function(callback) {
+  if (!this.mempool) {
+    setImmediate(function() {
+      callback(new errors.RPCError('Mempool is not loaded'));
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Will give a summary of the mempool from the mempool mirror, for example:
+ * {
+ *   size: 120, // the number of transactions
+ *   bytes: 48210,
+ *   fees: 21694500, // in satoshis
+ *   minFeeRate: 400, // in satoshis per byte
+ *   maxFeeRate: 1200.5
+ * }
+ * @param {Function} callback
+ */
+Qtum.prototype.getMempoolInfo = function(callback) {
+  var self = this;
+  if (!self._checkMempoolLoaded(callback)) {
+    return;
+  }
+  var entries = _.values(self.mempool);
+  var feeRates = _.pluck(entries, 'feeRate');
+  var info = {
+    size: entries.length,
+    bytes: _.sum(entries, 'size'),
+    fees: _.sum(entries, 'fee'),
+    minFeeRate: entries.length ? _.min(feeRates) : null,
+    maxFeeRate: entries.length ? _.max(feeRates) : null
+  };
+  setImmediate(function() {
+    callback(null, info);
+  });
+};
+
+/**
+ * Will give the txids of the transactions in the mempool mirror
+ * @param {Object} options
+ * @param {Number} options.minFeeRate - Only transactions with a fee rate of at least this many satoshis per byte
+ * @param {String} options.sort - Either "time" for the most recent first (default) or "feeRate" for
+ * the highest fee rate first
+ * @param {Number} options.limit - The maximum number of txids
+ * @param {Function} callback
+ */
+Qtum.prototype.getMempoolTxids = function(options, callback) {
+  var self = this;
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+  if (!self._checkMempoolLoaded(callback)) {
+    return;
+  }
+  if (options.sort && options.sort !== 'time' && options.sort !== 'feeRate') {
+    return setImmediate(function() {
+      callback(new TypeError('Unsupported sort "' + options.sort + '", expected "time" or "feeRate"'));
+    });
+  }
+
+  var sortKey = options.sort || 'time';
+  var entries = _.values(self.mempool).filter(function(entry) {
+    return !options.minFeeRate || entry.feeRate >= options.minFeeRate;
+  });
+  var txids = _.pluck(_.sortBy(entries, sortKey).reverse(), 'txid');
+  if (options.limit) {
+    txids = txids.slice(0, options.limit);
+  }
+  setImmediate(function() {
+    callback(null, txids);
+  });
+};
+
+Qtum.prototype._isValidFeeBuckets = function(bounds) {
+  if (!Array.isArray(bounds) || !bounds.length) {
+    return false;
+  }
+  return _.every(bounds, function(bound, i) {
+    return _.isNumber(bound) && bound >= 0 && (i === 0 || bound > bounds[i - 1]);
+  });
+};
+
+/**
+ * Will give the number, size and fees of the transactions in the mempool mirror grouped by fee rate
+ * (most expensive first), for example:
+ * [
+ *   {minFeeRate: 1000, maxFeeRate: 1500, count: 2, size: 450, fees: 540000},
+ *   {minFeeRate: 400, maxFeeRate: 450, count: 98, size: 40210, fees: 16084000}
+ * ]
+ * Fee rates are in satoshis per byte, the `maxFeeRate` is exclusive and is null for the last range.
+ * Ranges without transactions are left out.
+ * @param {Object} options
+ * @param {Array} options.buckets - The lower bounds of each range in ascending order, defaults to
+ * `Qtum.DEFAULT_FEE_HISTOGRAM_BUCKETS`
+ * @param {Function} callback
+ */
+Qtum.prototype.getMempoolFeeHistogram = function(options, callback) {
+  var self = this;
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+  if (!self._checkMempoolLoaded(callback)) {
+    return;
+  }
+
+  var bounds = options.buckets || Qtum.DEFAULT_FEE_HISTOGRAM_BUCKETS;
+  if (!self._isValidFeeBuckets(bounds)) {
+    return setImmediate(function() {
+      callback(new errors.Error('"buckets" is expected to be an array of fee rates in ascending order'));
+    });
+  }
+
+  var histogram = bounds.map(function(bound, i) {
+    return {
+      minFeeRate: bound,
+      maxFeeRate: i + 1 < bounds.length ? bounds[i + 1] : null,
+      count: 0,
+      size: 0,
+      fees: 0
+    };
+  });
+
+  _.values(self.mempool).forEach(function(entry) {
+    var bucket = _.findLast(histogram, function(bucket) {
+      return entry.feeRate >= bucket.minFeeRate;
+    });
+    if (bucket) {
+      bucket.count++;
+      bucket.size += entry.size;
+      bucket.fees += entry.fee;
+    }
+  });
+
+  histogram = histogram.filter(function(bucket) {
+    return bucket.count > 0;
+  }).reverse();
+
+  setImmediate(function() {
+    callback(null, histogram);
+  });
+};
+
 Qtum.prototype.generateBlock = function(num, callback) {
   var self = this;
   this.client.generate(num, function(err, response) {
@@ -2459,7 +4186,21 @@ Qtum.prototype.generateBlock = function(num, callback) {
  * Called by Node to stop the service.
  * @param {Function} callback
  */
+/**
+ * Will close the zmq sockets of the nodes, clear the timers and remove the subscribers, so that
+ * a stopped instance doesn't emit events after it's replaced by a restart. A spawned qtumd
+ * process is stopped and isn't respawned.
+ * @param {Function} callback
+ */
 Qtum.prototype.stop = function(callback) {
+  var self = this;
+  this._stopped = true;
+  clearInterval(this._healthCheckTimer);
+  clearTimeout(this.lastTipTimeout);
+  this.nodes.forEach(function(node) {
+    self._stopNode(node);
+  });
+  this._removeSubscribers();
   if (this.spawn && this.spawn.process) {
     var exited = false;
     this.spawn.process.once('exit', function(code) {
@@ -2486,6 +4227,32 @@ Qtum.prototype.stop = function(callback) {
   }
 };
 
+/**
+ * Will clear the timers of a node and close its zmq socket.
+ * @param {Object} node - The qtumd node
+ */
+Qtum.prototype._stopNode = function(node) {
+  clearInterval(node._syncedInterval);
+  clearInterval(node._reindexInterval);
+  clearTimeout(node._zmqMonitorTimer);
+  if (node.zmqSubSocket) {
+    node.zmqSubSocket.removeAllListeners();
+    node.zmqSubSocket.unmonitor();
+    node.zmqSubSocket.close();
+    node.zmqSubSocket = null;
+  }
+};
+
+/**
+ * Will remove the emitters of all subscriptions.
+ */
+Qtum.prototype._removeSubscribers = function() {
+  var self = this;
+  Object.keys(self.subscriptions).forEach(function(name) {
+    self.subscriptions[name] = Array.isArray(self.subscriptions[name]) ? [] : {};
+  });
+};
+
 /**
  * @param {Number} minConf - The minimum confirmations to filter
  * @param {Number} maxConf - The maximum confirmations to filter
@@ -2603,30 +4370,31 @@ Qtum.prototype.getSubsidy = function(height, callback) {
  */
 Qtum.prototype.getTransactionReceipt = function(trxHash, callback) {
 
-    var self = this,
-        txReceipt = self.transactionReceiptCache.get(trxHash);
+    var self = this;
 
-    if (txReceipt) {
-        return setImmediate(function() {
-            callback(null, txReceipt);
-        });
-    }
+    return self.transactionReceiptCache.fetch(trxHash, function(err, txReceipt) {
 
-    return self._tryAllClients(function(client, done) {
-        return client.getTransactionReceipt(trxHash, function(err, response) {
+        if (txReceipt) {
+            return callback(null, txReceipt);
+        }
 
-            if (err) {
-                return done(self._wrapRPCError(err));
-            }
+        return self._tryAllClients(function(client, done) {
+            return client.getTransactionReceipt(trxHash, function(err, response) {
 
-            if (response.result && response.result.length) {
-                self.transactionReceiptCache.set(trxHash, response.result);
-            }
+                if (err) {
+                    return done(self._wrapRPCError(err));
+                }
 
-            return done(null, response.result);
+                if (response.result && response.result.length) {
+                    self.transactionReceiptCache.set(trxHash, response.result);
+                }
 
-        });
-    }, callback);
+                return done(null, response.result);
+
+            });
+        }, callback);
+
+    });
 
 
 };
@@ -2726,4 +4494,363 @@ Qtum.prototype.getStakingInfo = function(callback) {
 
 };
 
+Qtum.prototype._isContractAddress = function(address) {
+  return _.isString(address) && /^[0-9a-fA-F]{40}$/.test(address);
+};
+
+/**
+ * Will give the base58 address of the 20 byte hash of an indexed address topic. The hash is given
+ * as a pay to public key hash address, so for a contract the address isn't meaningful, see
+ * Qtum.prototype._topicToHexAddress.
+ * @param {String} topic - The topic as a hex string
+ * @returns {String}
+ */
+Qtum.prototype._topicToAddress = function(topic) {
+  var hashBuffer = new Buffer(topic.slice(-40), 'hex');
+  return bitcore.Address.fromPublicKeyHash(hashBuffer, this.node.network).toString();
+};
+
+/**
+ * Will give the 20 byte hash of an indexed address topic as a hex string, the same as the
+ * addresses of contracts.
+ * @param {String} topic - The topic as a hex string
+ * @returns {String}
+ */
+Qtum.prototype._topicToHexAddress = function(topic) {
+  return topic.slice(-40).toLowerCase();
+};
+
+Qtum.prototype._addressToTopic = function(address) {
+  var hashHex = new bitcore.Address(address, this.node.network).hashBuffer.toString('hex');
+  return _.padLeft(hashHex, 64, '0');
+};
+
+Qtum.prototype._decodeTokenUint = function(output) {
+  return new bitcore.crypto.BN(output || '0', 16).toString(10);
+};
+
+Qtum.prototype._decodeTokenString = function(output) {
+  var buffer = new Buffer(output || '', 'hex');
+
+  // some older tokens return a fixed bytes32 instead of an abi encoded string
+  if (buffer.length === 32) {
+    return buffer.toString('utf8').replace(/\u0000+$/, '');
+  }
+  if (buffer.length < 64) {
+    return null;
+  }
+
+  var offset = buffer.readUInt32BE(28);
+  if (offset + 32 > buffer.length) {
+    return null;
+  }
+  var length = buffer.readUInt32BE(offset + 28);
+  return buffer.slice(offset + 32, offset + 32 + length).toString('utf8');
+};
+
+/**
+ * Will call a constant method of a contract and give the output as a hex string
+ * @param {String} contractAddress - The contract address as a hex string
+ * @param {String} data - The abi encoded method call
+ * @param {Function} callback
+ */
+Qtum.prototype._callTokenMethod = function(contractAddress, data, callback) {
+  this.callContract(contractAddress, data, {}, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var execution = result && result.executionResult;
+    if (!execution || execution.excepted !== 'None') {
+      var error = new errors.RPCError(
+        'Contract call to ' + contractAddress + ' failed: ' + (execution ? execution.excepted : 'no result')
+      );
+      error.excepted = execution ? execution.excepted : null;
+      return callback(error);
+    }
+    callback(null, execution.output);
+  });
+};
+
+/**
+ * Will decode the QRC20 "Transfer" logs from the receipts of a transaction
+ * @param {String} txid - The transaction hash
+ * @param {Array} receipts - The result of getTransactionReceipt
+ * @returns {Array}
+ */
+Qtum.prototype._getTokenTransfersFromReceipts = function(txid, receipts) {
+  var transfers = [];
+  var logIndex = 0;
+
+  for (var i = 0; i < receipts.length; i++) {
+    var receipt = receipts[i];
+    var logs = receipt.log || [];
+    for (var j = 0; j < logs.length; j++, logIndex++) {
+      var topics = logs[j].topics;
+      // qrc721 transfers have the same signature with an indexed token id as a fourth topic
+      if (topics && topics.length === 3 && topics[0] === Qtum.QRC20_TRANSFER_TOPIC) {
+        transfers.push({
+          contract: logs[j].address,
+          from: this._topicToAddress(topics[1]),
+          to: this._topicToAddress(topics[2]),
+          fromHex: this._topicToHexAddress(topics[1]),
+          toHex: this._topicToHexAddress(topics[2]),
+          amount: this._decodeTokenUint(logs[j].data),
+          txid: txid,
+          logIndex: logIndex,
+          blockHash: receipt.blockHash,
+          height: receipt.blockNumber
+        });
+      }
+    }
+  }
+
+  return transfers;
+};
+
+/**
+ * Will give the contracts of the transfers of an address in the token index. The token index
+ * is the transfers of the most recent blocks that have been read, kept by block hash in
+ * `blockTokenTransfersCache`, so that it's limited by the size of the cache and the blocks that
+ * are disconnected by a reorg are removed with the cache, see Qtum.prototype._purgeBlockCaches.
+ * @param {String} address - A base58 address
+ * @returns {Array}
+ */
+Qtum.prototype._getIndexedTokenContracts = function(address) {
+  var contracts = {};
+  this.blockTokenTransfersCache.forEach(function(transfers) {
+    transfers.forEach(function(transfer) {
+      if (transfer.from === address || transfer.to === address) {
+        contracts[transfer.contract] = true;
+      }
+    });
+  });
+  return _.keys(contracts);
+};
+
+/**
+ * Will get all of the QRC20 transfers of a block and add them to the token index
+ * @param {String|Number} blockArg - A block hash or block height
+ * @param {Function} callback
+ */
+Qtum.prototype._getBlockTokenTransfers = function(blockArg, callback) {
+  var self = this;
+
+  self.getJsonBlock(blockArg, function(err, block) {
+    if (err) {
+      return callback(err);
+    }
+
+    var cachedTransfers = self.blockTokenTransfersCache.get(block.hash);
+    if (cachedTransfers) {
+      return callback(null, cachedTransfers);
+    }
+
+    async.mapLimit(block.tx, self.transactionConcurrency, function(txid, next) {
+      self.getTransactionReceipt(txid, function(err, receipts) {
+        if (err) {
+          return next(err);
+        }
+        next(null, self._getTokenTransfersFromReceipts(txid, receipts || []));
+      });
+    }, function(err, results) {
+      if (err) {
+        return callback(err);
+      }
+      var transfers = _.flatten(results);
+      self.blockTokenTransfersCache.set(block.hash, transfers);
+      callback(null, transfers);
+    });
+  });
+};
+
+/**
+ * Will get the name, symbol, decimals and total supply of a QRC20 token, the name, symbol
+ * and decimals are optional methods of a token and are null if the token doesn't have them.
+ * The name, symbol and decimals of a token don't change and are cached indefinitely, the total
+ * supply is cached until there is a new block.
+ * @param {String} contractAddress - The contract address as a hex string
+ * @param {Function} callback
+ */
+Qtum.prototype.getTokenInfo = function(contractAddress, callback) {
+  var self = this;
+
+  if (!self._isContractAddress(contractAddress)) {
+    return setImmediate(function() {
+      callback(new TypeError('Contract address is expected to be a 40 character hex string'));
+    });
+  }
+
+  contractAddress = contractAddress.toLowerCase();
+  var tokenInfo = self.tokenInfoCache.get(contractAddress);
+  var totalSupply = self.tokenSupplyCache.get(contractAddress);
+  if (tokenInfo && totalSupply) {
+    return setImmediate(function() {
+      callback(null, _.extend({}, tokenInfo, {totalSupply: totalSupply}));
+    });
+  }
+
+  function callMethod(name, optional) {
+    return function(next) {
+      self._callTokenMethod(contractAddress, Qtum.QRC20_METHODS[name], function(err, output) {
+        if (err && optional && err.excepted) {
+          return next(null, null);
+        }
+        next(err, output);
+      });
+    };
+  }
+
+  var methods = {
+    totalSupply: callMethod('totalSupply')
+  };
+  if (!tokenInfo) {
+    methods.name = callMethod('name', true);
+    methods.symbol = callMethod('symbol', true);
+    methods.decimals = callMethod('decimals', true);
+  }
+
+  async.parallel(methods, function(err, outputs) {
+    if (err) {
+      return callback(err);
+    }
+    if (!tokenInfo) {
+      tokenInfo = {
+        contractAddress: contractAddress,
+        name: outputs.name ? self._decodeTokenString(outputs.name) : null,
+        symbol: outputs.symbol ? self._decodeTokenString(outputs.symbol) : null,
+        decimals: outputs.decimals ? parseInt(self._decodeTokenUint(outputs.decimals)) : null
+      };
+      self.tokenInfoCache.set(contractAddress, tokenInfo);
+    }
+    totalSupply = self._decodeTokenUint(outputs.totalSupply);
+    self.tokenSupplyCache.set(contractAddress, totalSupply);
+    callback(null, _.extend({}, tokenInfo, {totalSupply: totalSupply}));
+  });
+};
+
+/**
+ * Will get the QRC20 token balances of an address. Balances are queried for the contracts
+ * given in `options.contracts`, otherwise for the contracts the address has been seen in
+ * the token index. The token index is kept in memory and only has the most recent blocks that
+ * have been read since the service started, so the balances of the index are `partial`, and can
+ * miss tokens that the address holds, see Qtum.prototype._getIndexedTokenContracts. Amounts are
+ * given as decimal strings in the smallest token unit.
+ * @param {String} address - A base58 address
+ * @param {Object} options
+ * @param {Array} options.contracts - Contract addresses to query
+ * @param {Function} callback - Called with the `balances` and if they are `partial`
+ */
+Qtum.prototype.getTokenBalances = function(address, options, callback) {
+  var self = this;
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  if (!bitcore.Address.isValid(address, self.node.network)) {
+    return setImmediate(function() {
+      callback(new TypeError('Invalid address: ' + address));
+    });
+  }
+
+  var partial = !options.contracts;
+  var contracts = options.contracts || self._getIndexedTokenContracts(address);
+  var data = Qtum.QRC20_METHODS.balanceOf + self._addressToTopic(address);
+
+  async.mapLimit(contracts, self.transactionConcurrency, function(contract, next) {
+    self.getTokenInfo(contract, function(err, tokenInfo) {
+      if (err) {
+        return next(err);
+      }
+      self._callTokenMethod(tokenInfo.contractAddress, data, function(err, output) {
+        if (err) {
+          return next(err);
+        }
+        next(null, {
+          contractAddress: tokenInfo.contractAddress,
+          name: tokenInfo.name,
+          symbol: tokenInfo.symbol,
+          decimals: tokenInfo.decimals,
+          balance: self._decodeTokenUint(output)
+        });
+      });
+    });
+  }, function(err, balances) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, {balances: balances, partial: partial});
+  });
+};
+
+/**
+ * Will get the QRC20 transfers of an address or of a token contract, most recent first,
+ * by reading the transaction receipts of a range of blocks. The range is given by the
+ * "start" and "end" block heights (the same as getAddressTxids) and defaults to the most
+ * recent blocks, the range is limited to `maxTokenBlocks` blocks. The `from` and `to` of the
+ * transfers are base58 addresses, which aren't meaningful for contracts that send or receive
+ * tokens, so they are also given as hex strings in `fromHex` and `toHex`.
+ * @param {String} addressOrContract - A base58 address or a contract address as a hex string
+ * @param {Object} options
+ * @param {Number} options.start - The more recent block height
+ * @param {Number} options.end - The older block height
+ * @param {Function} callback
+ */
+Qtum.prototype.getTokenTransfers = function(addressOrContract, options, callback) {
+  /* jshint maxstatements: 22 */
+  var self = this;
+  var matches;
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  if (self._isContractAddress(addressOrContract)) {
+    var contract = addressOrContract.toLowerCase();
+    matches = function(transfer) {
+      return transfer.contract === contract;
+    };
+  } else if (bitcore.Address.isValid(addressOrContract, self.node.network)) {
+    matches = function(transfer) {
+      return transfer.from === addressOrContract || transfer.to === addressOrContract;
+    };
+  } else {
+    return setImmediate(function() {
+      callback(new TypeError('Invalid address or contract: ' + addressOrContract));
+    });
+  }
+
+  var rangeQuery;
+  try {
+    rangeQuery = self._getHeightRangeQuery(options);
+  } catch(err) {
+    return setImmediate(function() {
+      callback(err);
+    });
+  }
+
+  var start = rangeQuery ? options.start : self.height;
+  var end = rangeQuery ? options.end : Math.max(0, start - self.maxTokenBlocks + 1);
+
+  if ((start - end) >= self.maxTokenBlocks) {
+    return setImmediate(function() {
+      callback(new Error(
+        '"start" (' + start + ') and "end" (' + end + ') range should be less than or equal to ' +
+          self.maxTokenBlocks + ' blocks'
+      ));
+    });
+  }
+
+  async.mapLimit(_.range(start, end - 1, -1), self.transactionConcurrency, function(height, next) {
+    self._getBlockTokenTransfers(height, next);
+  }, function(err, results) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, _.flatten(results).filter(matches));
+  });
+};
+
 module.exports = Qtum;
@@ -3,14 +3,25 @@
 var fs = require('fs');
 var http = require('http');
 var https = require('https');
+var url = require('url');
+var zlib = require('zlib');
 var express = require('express');
 var bodyParser = require('body-parser');
+var compression = require('compression');
+var cors = require('cors');
 var socketio = require('socket.io');
+var WebSocketServer = require('ws').Server;
+var async = require('async');
 var inherits = require('util').inherits;
 
 var BaseService = require('../service');
+var AccessControl = require('../accesscontrol');
+var Introspection = require('../introspection');
+var RateLimiter = require('../ratelimiter');
+var packageInfo = require('../../package.json');
 var bitcore = require('qtumcore-lib');
 var _ = bitcore.deps._;
+var $ = bitcore.util.preconditions;
 var index = require('../');
 var log = index.log;
 
@@ -27,10 +38,51 @@ var log = index.log;
  * @param {Object} options.httpsOptions - Options passed into https.createServer, defaults to node settings.
  * @param {String} options.httpsOptions.key - Path to key file
  * @param {String} options.httpsOptions.cert - Path to cert file
+ * @param {String|Array} options.httpsOptions.ca - Path(s) to CA chain file(s), optional
+ * @param {Boolean} options.watchCertificates - Option to enable/disable reloading the https key, cert and CA
+ * chain when the files change
+ * @param {Number} options.certificateWatchInterval - The milliseconds between checks of the files for changes
+ * @param {Number} options.httpRedirectPort - A port for plain http that redirects to https, optional
  * @param {Boolean} options.enableSocketRPC - Option to enable/disable websocket RPC handling
+ * @param {Boolean} options.enableRestAPI - Option to enable HTTP routes for the API methods, disabled by default
+ * @param {String} options.restAPIPrefix - The route prefix of the API methods, defaults to "api"
+ * @param {Boolean} options.enableJsonRPC - Option to enable/disable the JSON-RPC 2.0 endpoint
+ * @param {String} options.jsonRPCPath - The path of the JSON-RPC 2.0 endpoint over HTTP and WebSocket,
+ * defaults to "/rpc"
+ * @param {Number} options.jsonRPCMaxPayload - The maximum size in bytes of a JSON-RPC WebSocket message,
+ * defaults to 100kb as the `jsonRequestLimit` of HTTP requests
+ * @param {Number} options.jsonRPCMaxBatchSize - The maximum number of requests in a JSON-RPC batch, defaults to 100
+ * @param {Boolean} options.enableEventStream - Option to enable/disable the Server-Sent Events stream of events
+ * @param {String} options.eventStreamPath - The path of the event stream, defaults to "/events"
+ * @param {Boolean} options.enableMetrics - Option to enable/disable the Prometheus metrics of the services
+ * @param {String} options.metricsPath - The path of the metrics, defaults to "/metrics"
+ * @param {Boolean} options.enableHealthChecks - Option to enable/disable the liveness and readiness endpoints
+ * @param {String} options.healthPath - The path of the liveness endpoint, defaults to "/health"
+ * @param {String} options.readyPath - The path of the readiness endpoint, defaults to "/ready"
+ * @param {Boolean} options.enableIntrospection - Option to enable/disable the OpenAPI document of the API methods
+ * and events
+ * @param {String} options.introspectionPath - The path of the OpenAPI document, defaults to "/openapi.json"
+ * @param {Object} options.cors - The allowed `origins`, `methods` and `headers` of cross-origin requests, with
+ * `credentials` and `maxAge`, disabled by default
+ * @param {Object|Boolean} options.compression - The `threshold`, `level` and `brotliQuality` of the compression
+ * of responses, or false to disable
+ * @param {Object|Boolean} options.securityHeaders - Headers to add to or replace (or remove with false) in the
+ * default security headers, or false to disable
+ * @param {Object} options.accessControl - The API keys and the allowed and denied methods and events,
+ * see AccessControl
+ * @param {Object} options.rateLimit - The limits of requests, connections and subscriptions by client
+ * @param {Number} options.rateLimit.requestsPerSecond - The rate of requests by remote address, no limit by default
+ * @param {Number} options.rateLimit.burst - The number of requests at once by remote address, defaults to the rate
+ * @param {Number} options.rateLimit.maxSocketsPerIP - The number of socket.io and JSON-RPC WebSocket connections
+ * by remote address, no limit by default
+ * @param {Number} options.rateLimit.maxSubscriptionAddresses - The number of addresses a connection can
+ * subscribe to, 0 for no limit
+ * @param {Array} options.rateLimit.whitelist - Remote addresses without limits
  * @param {Number} options.port - The port for the service, defaults to node settings.
  */
 var WebService = function(options) {
+  /* jshint maxcomplexity: 23 */
+  /* jshint maxstatements: 30 */
   var self = this;
   this.node = options.node;
   this.https = options.https || this.node.https;
@@ -45,38 +97,283 @@ var WebService = function(options) {
   this.enableSocketRPC = _.isUndefined(options.enableSocketRPC) ?
     WebService.DEFAULT_SOCKET_RPC : options.enableSocketRPC;
 
-  this.node.on('ready', function() {
-    self.eventNames = self.getEventNames();
-    self.setupAllRoutes();
-    self.server.listen(self.port, self.host);
-    self.createMethodsMap();
+  this.enableRestAPI = _.isUndefined(options.enableRestAPI) ?
+    WebService.DEFAULT_REST_API : options.enableRestAPI;
+  this.restAPIPrefix = options.restAPIPrefix || WebService.DEFAULT_REST_API_PREFIX;
+
+  this.enableJsonRPC = _.isUndefined(options.enableJsonRPC) ?
+    WebService.DEFAULT_JSON_RPC : options.enableJsonRPC;
+  this.jsonRPCPath = options.jsonRPCPath || WebService.DEFAULT_JSON_RPC_PATH;
+  this.jsonRPCMaxPayload = options.jsonRPCMaxPayload || WebService.DEFAULT_JSON_RPC_MAX_PAYLOAD;
+  this.jsonRPCMaxBatchSize = options.jsonRPCMaxBatchSize || WebService.DEFAULT_JSON_RPC_MAX_BATCH_SIZE;
+
+  this.enableEventStream = _.isUndefined(options.enableEventStream) ?
+    WebService.DEFAULT_EVENT_STREAM : options.enableEventStream;
+  this.eventStreamPath = options.eventStreamPath || WebService.DEFAULT_EVENT_STREAM_PATH;
+
+  this.enableMetrics = _.isUndefined(options.enableMetrics) ?
+    WebService.DEFAULT_METRICS : options.enableMetrics;
+  this.metricsPath = options.metricsPath || WebService.DEFAULT_METRICS_PATH;
+
+  this.enableHealthChecks = _.isUndefined(options.enableHealthChecks) ?
+    WebService.DEFAULT_HEALTH_CHECKS : options.enableHealthChecks;
+  this.healthPath = options.healthPath || WebService.DEFAULT_HEALTH_PATH;
+  this.readyPath = options.readyPath || WebService.DEFAULT_READY_PATH;
+
+  this.enableIntrospection = _.isUndefined(options.enableIntrospection) ?
+    WebService.DEFAULT_INTROSPECTION : options.enableIntrospection;
+  this.introspectionPath = options.introspectionPath || WebService.DEFAULT_INTROSPECTION_PATH;
+
+  this.accessControl = new AccessControl(options.accessControl);
+
+  this._initHttpOptions(options);
+
+  this._initRateLimits(options.rateLimit || {});
+
+  this._serviceRoutes = {};
+
+  this._nodeListeners = {
+    'ready': function() {
+      self.nodeReadyHandler();
+    },
+    'service:restarted': function(restart) {
+      self.updateServices([restart.name].concat(restart.dependents));
+    },
+    'service:added': function(added) {
+      self.updateServices([added.name]);
+    },
+    'service:removed': function(removed) {
+      self.updateServices(removed.dependents);
+    }
+  };
+  _.each(this._nodeListeners, function(listener, event) {
+    self.node.on(event, listener);
   });
 };
 
 inherits(WebService, BaseService);
 
 WebService.dependencies = [];
+WebService.version = packageInfo.version;
 WebService.DEFAULT_SOCKET_RPC = true;
+WebService.DEFAULT_REST_API = false;
+WebService.DEFAULT_REST_API_PREFIX = 'api';
+WebService.DEFAULT_JSON_RPC = true;
+WebService.DEFAULT_JSON_RPC_PATH = '/rpc';
+WebService.DEFAULT_JSON_RPC_MAX_PAYLOAD = 100 * 1024;
+WebService.DEFAULT_JSON_RPC_MAX_BATCH_SIZE = 100;
+WebService.JSON_RPC_BATCH_CONCURRENCY = 5;
+WebService.DEFAULT_EVENT_STREAM = true;
+WebService.DEFAULT_EVENT_STREAM_PATH = '/events';
+WebService.EVENT_STREAM_HEARTBEAT_INTERVAL = 15000;
+WebService.DEFAULT_METRICS = true;
+WebService.DEFAULT_METRICS_PATH = '/metrics';
+WebService.DEFAULT_HEALTH_CHECKS = true;
+WebService.DEFAULT_HEALTH_PATH = '/health';
+WebService.DEFAULT_READY_PATH = '/ready';
+WebService.DEFAULT_INTROSPECTION = true;
+WebService.DEFAULT_INTROSPECTION_PATH = '/openapi.json';
+WebService.JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,
+  UNAUTHORIZED: -32001,
+  FORBIDDEN: -32002,
+  RATE_LIMITED: -32003,
+  LIMIT_EXCEEDED: -32004
+};
+WebService.DEFAULT_MAX_SUBSCRIPTION_ADDRESSES = 1000;
+WebService.DEFAULT_CORS = {
+  origins: [],
+  methods: ['GET', 'HEAD', 'POST', 'OPTIONS'],
+  headers: ['Content-Type', 'Authorization', 'X-API-Key'],
+  maxAge: 600
+};
+WebService.DEFAULT_COMPRESSION_THRESHOLD = 1024;
+WebService.DEFAULT_SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'SAMEORIGIN',
+  'X-DNS-Prefetch-Control': 'off',
+  'X-Download-Options': 'noopen',
+  'X-Permitted-Cross-Domain-Policies': 'none',
+  'Referrer-Policy': 'no-referrer'
+};
+WebService.DEFAULT_HSTS = 'max-age=15552000; includeSubDomains';
+
+WebService.DEFAULT_WATCH_CERTIFICATES = true;
+WebService.DEFAULT_CERTIFICATE_WATCH_INTERVAL = 5000;
+// the key and cert are usually renewed together, this will wait for both to be written
+WebService.CERTIFICATE_RELOAD_DELAY = 1000;
+
+WebService.prototype._initHttpOptions = function(options) {
+  this.watchCertificates = _.isUndefined(options.watchCertificates) ?
+    WebService.DEFAULT_WATCH_CERTIFICATES : options.watchCertificates;
+  this.certificateWatchInterval = options.certificateWatchInterval || WebService.DEFAULT_CERTIFICATE_WATCH_INTERVAL;
+  this.httpRedirectPort = options.httpRedirectPort;
+
+  this.corsOptions = options.cors ? this._getCorsOptions(options.cors) : null;
+  this.compressionOptions = options.compression === false ? null : this._getCompressionOptions(options.compression);
+
+  this.securityHeaders = null;
+  if (options.securityHeaders !== false) {
+    var headers = _.clone(WebService.DEFAULT_SECURITY_HEADERS);
+    if (this.https) {
+      headers['Strict-Transport-Security'] = WebService.DEFAULT_HSTS;
+    }
+    this.securityHeaders = _.omit(_.extend(headers, options.securityHeaders), function(value) {
+      return value === false;
+    });
+  }
+};
+
+/**
+ * Will give the options of the cors middleware from the `cors` config.
+ * @param {Object} config
+ * @returns {Object}
+ */
+WebService.prototype._getCorsOptions = function(config) {
+  var options = _.defaults({}, config, WebService.DEFAULT_CORS);
+  ['origins', 'methods', 'headers'].forEach(function(list) {
+    $.checkArgument(_.isArray(options[list]), 'Expected "cors.' + list + '" to be an array');
+  });
+  var anyOrigin = options.origins.indexOf('*') !== -1;
+  return {
+    // credentials are not allowed by browsers with a wildcard origin, the origin is given instead
+    origin: anyOrigin ? (options.credentials ? true : '*') : options.origins,
+    origins: options.origins,
+    methods: options.methods,
+    allowedHeaders: options.headers,
+    credentials: options.credentials ? true : false,
+    maxAge: options.maxAge
+  };
+};
+
+/**
+ * Will give the options of the compression middleware from the `compression` config, event
+ * streams are not compressed so that events are sent as they happen.
+ * @param {Object} config
+ * @returns {Object}
+ */
+WebService.prototype._getCompressionOptions = function(config) {
+  config = config || {};
+  var options = {
+    threshold: _.isUndefined(config.threshold) ? WebService.DEFAULT_COMPRESSION_THRESHOLD : config.threshold,
+    filter: function(req, res) {
+      if (/^text\/event-stream/i.test(res.getHeader('Content-Type'))) {
+        return false;
+      }
+      return compression.filter(req, res);
+    }
+  };
+  if (!_.isUndefined(config.level)) {
+    options.level = config.level;
+  }
+  if (!_.isUndefined(config.brotliQuality) && zlib.constants) {
+    options.brotli = {params: {}};
+    options.brotli.params[zlib.constants.BROTLI_PARAM_QUALITY] = config.brotliQuality;
+  }
+  return options;
+};
+
+/**
+ * Will give true if an origin is allowed by the cors config, the path of a Referer header is
+ * ignored.
+ * @param {String} origin
+ * @returns {Boolean}
+ */
+WebService.prototype._isOriginAllowed = function(origin) {
+  if (!_.isString(origin) || !origin) {
+    return false;
+  }
+  var origins = this.corsOptions.origins;
+  var parsed = url.parse(origin);
+  if (parsed.protocol && parsed.host) {
+    origin = parsed.protocol + '//' + parsed.host;
+  }
+  return origins.indexOf('*') !== -1 || origins.indexOf(origin) !== -1;
+};
+
+WebService.prototype._initRateLimits = function(rateLimit) {
+  this.rateLimiter = null;
+  if (rateLimit.requestsPerSecond) {
+    this.rateLimiter = new RateLimiter({
+      rate: rateLimit.requestsPerSecond,
+      burst: rateLimit.burst
+    });
+  }
+  this.maxSocketsPerIP = rateLimit.maxSocketsPerIP || 0;
+  this.maxSubscriptionAddresses = _.isUndefined(rateLimit.maxSubscriptionAddresses) ?
+    WebService.DEFAULT_MAX_SUBSCRIPTION_ADDRESSES : rateLimit.maxSubscriptionAddresses;
+  this.rateLimitWhitelist = rateLimit.whitelist || [];
+
+  // the number of open socket.io and JSON-RPC WebSocket connections by remote address
+  this.connections = {};
+};
 
 /**
- * Called by Node to start the service
+ * Called by Node to start the service, the server will listen before the node is ready so that
+ * the health checks are available while the other services start, the routes of the services
+ * are added once the node is ready.
  * @param {Function} callback
  */
 WebService.prototype.start = function(callback) {
+  /* jshint maxstatements: 25 */
   this.app = express();
+  if (this.securityHeaders) {
+    this.app.disable('x-powered-by');
+    this.app.use(this.securityHeadersHandler.bind(this));
+  }
+  if (this.corsOptions) {
+    this.app.use(cors(this.corsOptions));
+  }
+  if (this.compressionOptions) {
+    this.app.use(compression(this.compressionOptions));
+  }
+  // the health checks are mounted before the rate limit, so that probes aren't limited
+  if (this.enableHealthChecks) {
+    this.setupHealthChecks();
+  }
+  this.app.use(this.rateLimitHandler.bind(this));
   this.app.use(bodyParser.json({limit: this.jsonRequestLimit}));
 
+  this._createServer();
+
+  this.io = socketio.listen(this.server);
+  if (this.corsOptions) {
+    this.io.origins(this.socketOriginHandler.bind(this));
+  }
+  this.io.use(this.socketReadyHandler.bind(this));
+  this.io.use(this.socketAuthHandler.bind(this));
+  this.io.use(this.socketLimitHandler.bind(this));
+  this.io.on('connection', this.socketHandler.bind(this));
+
+  this.server.listen(this.port, this.host);
+
+  // the web service is started after the node is ready when it's restarted
+  if (this.node.started) {
+    this.nodeReadyHandler();
+  }
+
+  setImmediate(callback);
+};
+
+WebService.prototype._createServer = function() {
   if(this.https) {
     this.transformHttpsOptions();
     this.server = https.createServer(this.httpsOptions, this.app);
+    if (this.watchCertificates) {
+      this._watchCertificates();
+    }
+    if (this.httpRedirectPort) {
+      this.redirectServer = http.createServer(this.redirectHandler.bind(this));
+      this.redirectServer.listen(this.httpRedirectPort, this.host);
+    }
   } else {
     this.server = http.createServer(this.app);
   }
-
-  this.io = socketio.listen(this.server);
-  this.io.on('connection', this.socketHandler.bind(this));
-
-  setImmediate(callback);
 };
 
 /**
@@ -86,7 +383,18 @@ WebService.prototype.start = function(callback) {
 WebService.prototype.stop = function(callback) {
   var self = this;
 
+  _.each(self._nodeListeners, function(listener, event) {
+    self.node.removeListener(event, listener);
+  });
+
   setImmediate(function() {
+    self._unwatchCertificates();
+    if(self.wss) {
+      self.wss.close();
+    }
+    if(self.redirectServer) {
+      self.redirectServer.close();
+    }
     if(self.server) {
       self.server.close();
     }
@@ -94,47 +402,137 @@ WebService.prototype.stop = function(callback) {
   });
 };
 
+/**
+ * This function is called when the node is ready, and will add the routes, API methods and
+ * events of the services.
+ */
+WebService.prototype.nodeReadyHandler = function() {
+  this.eventNames = this.getEventNames();
+  this.createMethodsMap();
+  this.setupAllRoutes();
+  if (this.enableRestAPI) {
+    this.setupRestRoutes();
+  }
+  if (this.enableJsonRPC) {
+    this.setupJsonRPC();
+  }
+  if (this.enableEventStream) {
+    this.setupEventStream();
+  }
+  if (this.enableMetrics) {
+    this.setupMetrics();
+  }
+  if (this.enableIntrospection) {
+    this.setupIntrospection();
+  }
+};
+
+/**
+ * This function is called when the node restarts, adds or removes services, and will update
+ * the API methods and events, and add the routes of the started services, so that requests are
+ * handled by the new instances of the services. The routes of a removed service are skipped,
+ * see WebService.prototype.setupServiceRoutes.
+ * @param {Array} names - The names of the services that were started
+ */
+WebService.prototype.updateServices = function(names) {
+  var self = this;
+  if (!self.methodsMap) {
+    return;
+  }
+  self.eventNames = self.getEventNames();
+  self.createMethodsMap();
+  if (self.introspection) {
+    self.catalogue = self.introspection.getCatalogue(self._getMethodDescriptors(), self.node.getAllPublishEvents());
+  }
+  names.forEach(function(name) {
+    self.setupServiceRoutes(name);
+  });
+};
+
 /**
  * This function will iterate over all of the available services gathering
  * all of the exposed HTTP routes.
  */
 WebService.prototype.setupAllRoutes = function() {
   for(var key in this.node.services) {
-    var subApp = new express();
-    var service = this.node.services[key];
+    this.setupServiceRoutes(key);
+  }
+};
+
+/**
+ * This function will add the HTTP routes of a service. The routes are mounted once for each
+ * service, and are handled by the routes of the current instance, so that the routes of an
+ * instance that has been stopped are replaced when the service is restarted, and skipped when
+ * the service is removed.
+ * @param {String} name - The name of the service
+ */
+WebService.prototype.setupServiceRoutes = function(name) {
+  var self = this;
+  var subApp = new express();
+  var service = this.node.services[name];
 
-    if(service.getRoutePrefix && service.setupRoutes) {
-      this.app.use('/' + this.node.services[key].getRoutePrefix(), subApp);
-      this.node.services[key].setupRoutes(subApp, express);
-    } else {
-      log.debug('No routes defined for: ' + key);
+  if(service && service.getRoutePrefix && service.setupRoutes) {
+    if (!this._serviceRoutes[name]) {
+      this.app.use('/' + service.getRoutePrefix(), function(req, res, next) {
+        var routes = self._serviceRoutes[name];
+        if (self.node.services[name] !== routes.service) {
+          return next();
+        }
+        routes.app.handle(req, res, next);
+      });
     }
+    this._serviceRoutes[name] = {service: service, app: subApp};
+    service.setupRoutes(subApp, express);
+  } else {
+    log.debug('No routes defined for: ' + name);
   }
 };
 
 /**
  * This function will construct an API methods map of all of the
- * available methods that can be called from enable services.
+ * available methods that can be called from enable services. Methods are
+ * mapped with the name of the service as a namespace, such as "qtumd.getInfo",
+ * and without the namespace for the service with the highest priority, see
+ * Node.prototype.getServicePriority.
  */
 WebService.prototype.createMethodsMap = function() {
   var self = this;
-  var methods = this.node.getAllAPIMethods();
   this.methodsMap = {};
 
-  methods.forEach(function(data) {
-    var name = data[0];
-    var instance = data[1];
-    var method = data[2];
-    var args = data[3];
-    self.methodsMap[name] = {
-      fn: function() {
-        return method.apply(instance, arguments);
-      },
-      args: args
-    };
+  this.node.getAPIMethodsByService().forEach(function(service) {
+    service.methods.forEach(function(data) {
+      var name = service.name + '.' + data[0];
+      var instance = data[1];
+      var method = data[2];
+      var args = data[3];
+      var metadata = data[4] || {};
+      self.methodsMap[name] = {
+        fn: function() {
+          return method.apply(instance, arguments);
+        },
+        args: args,
+        readOnly: metadata.readOnly === true,
+        restricted: metadata.restricted === true,
+        name: name,
+        data: [name].concat(data.slice(1))
+      };
+      if (!self._hasMethod(data[0])) {
+        self.methodsMap[data[0]] = _.extend({}, self.methodsMap[name], {data: data});
+      }
+    });
   });
 };
 
+/**
+ * Will give the descriptions of the API methods of the methods map, with the names that
+ * the methods are called with, for the introspection document. These are the methods of the
+ * other services, and are not API methods of the web service, which has none.
+ * @returns {Array}
+ */
+WebService.prototype._getMethodDescriptors = function() {
+  return _.pluck(_.values(this.methodsMap || {}), 'data');
+};
+
 /**
  * This function will gather all of the available events exposed from
  * the enabled services.
@@ -164,7 +562,234 @@ WebService.prototype.getEventNames = function() {
 };
 
 WebService.prototype._getRemoteAddress = function(socket) {
-  return socket.client.request.headers['cf-connecting-ip'] || socket.conn.remoteAddress;
+  return this._getRequestRemoteAddress(socket.client.request, socket.conn);
+};
+
+/**
+ * Will give the remote address of an HTTP request, using the header set by Cloudflare if available.
+ * @param {Object} req - The HTTP request
+ * @param {Object} connection - The connection of the request, defaults to `req.connection`
+ * @returns {String}
+ */
+WebService.prototype._getRequestRemoteAddress = function(req, connection) {
+  return req.headers['cf-connecting-ip'] || (connection || req.connection).remoteAddress;
+};
+
+/**
+ * Will take requests from the rate limit of a remote address, and give true if the
+ * limit has been exceeded.
+ * @param {String} remoteAddress
+ * @param {Number} count - The number of requests, defaults to 1
+ * @returns {Boolean}
+ */
+WebService.prototype._isRateLimited = function(remoteAddress, count) {
+  if (!this.rateLimiter || this.rateLimitWhitelist.indexOf(remoteAddress) !== -1) {
+    return false;
+  }
+  return !this.rateLimiter.consume(remoteAddress, count);
+};
+
+/**
+ * Will give the number of requests of a JSON-RPC payload for the rate limit, each request of
+ * a batch is counted.
+ * @param {Object|Array} payload
+ * @returns {Number}
+ */
+WebService.prototype._getJsonRPCRequestCount = function(payload) {
+  return _.isArray(payload) && payload.length ? payload.length : 1;
+};
+
+/**
+ * This express middleware will respond with 429 to HTTP requests over the rate limit.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ * @param {Function} next
+ */
+WebService.prototype.rateLimitHandler = function(req, res, next) {
+  var remoteAddress = this._getRequestRemoteAddress(req);
+  if (this._isRateLimited(remoteAddress)) {
+    log.debug(remoteAddress, 'rate limit exceeded:', req.method, req.path);
+    res.set('Retry-After', '1');
+    return res.status(429).jsonp({error: {message: 'Too Many Requests'}});
+  }
+  next();
+};
+
+/**
+ * Will give true if a remote address can open another connection.
+ * @param {String} remoteAddress
+ * @returns {Boolean}
+ */
+WebService.prototype._hasConnectionQuota = function(remoteAddress) {
+  if (!this.maxSocketsPerIP || this.rateLimitWhitelist.indexOf(remoteAddress) !== -1) {
+    return true;
+  }
+  return (this.connections[remoteAddress] || 0) < this.maxSocketsPerIP;
+};
+
+WebService.prototype._addConnection = function(remoteAddress) {
+  this.connections[remoteAddress] = (this.connections[remoteAddress] || 0) + 1;
+};
+
+WebService.prototype._removeConnection = function(remoteAddress) {
+  this.connections[remoteAddress]--;
+  if (this.connections[remoteAddress] <= 0) {
+    delete this.connections[remoteAddress];
+  }
+};
+
+/**
+ * Will give the items of the params of a subscription, either an array of items or an object
+ * with an array of `txids` (e.g. `{txids: [...], confirmations: 6}`), or null without items.
+ * @param {Array|Object} params
+ * @returns {Array|null}
+ */
+WebService.prototype._getSubscriptionItems = function(params) {
+  if (_.isArray(params)) {
+    return params;
+  }
+  if (_.isObject(params) && _.isArray(params.txids)) {
+    return params.txids;
+  }
+  return null;
+};
+
+/**
+ * Will add the items (e.g. addresses) of a subscription to the subscriptions of a connection, or
+ * give false without adding them if the connection would have more than `maxSubscriptionAddresses`.
+ * @param {Object} subscriptions - The items of the connection by event name
+ * @param {String} name - The name of the event
+ * @param {Array|Object} params - The items of the subscription, if any, see `_getSubscriptionItems`
+ * @returns {Boolean}
+ */
+WebService.prototype._addSubscriptionItems = function(subscriptions, name, params) {
+  params = this._getSubscriptionItems(params);
+  if (!params) {
+    return true;
+  }
+  var items = _.uniq((subscriptions[name] || []).concat(params));
+  var total = items.length;
+  for (var key in subscriptions) {
+    if (key !== name) {
+      total += subscriptions[key].length;
+    }
+  }
+  if (this.maxSubscriptionAddresses && total > this.maxSubscriptionAddresses) {
+    return false;
+  }
+  subscriptions[name] = items;
+  return true;
+};
+
+/**
+ * The inverse of `_addSubscriptionItems`, without items all of the items of the event are removed.
+ * @param {Object} subscriptions - The items of the connection by event name
+ * @param {String} name - The name of the event
+ * @param {Array|Object} params - The items of the subscription, if any, see `_getSubscriptionItems`
+ */
+WebService.prototype._removeSubscriptionItems = function(subscriptions, name, params) {
+  params = this._getSubscriptionItems(params);
+  if (!params) {
+    delete subscriptions[name];
+  } else if (subscriptions[name]) {
+    subscriptions[name] = _.difference(subscriptions[name], params);
+  }
+};
+
+WebService.prototype._getSubscriptionLimitMessage = function() {
+  return 'Subscription limit exceeded: at most ' + this.maxSubscriptionAddresses + ' addresses per connection';
+};
+
+/**
+ * Will give the API key of an HTTP request, from either an "Authorization: Bearer" header,
+ * an "X-API-Key" header or the "apiKey" query parameter.
+ * @param {Object} req - The HTTP request
+ * @returns {String|undefined}
+ */
+WebService.prototype._getApiKey = function(req) {
+  var headers = req.headers || {};
+  var match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  if (match) {
+    return match[1];
+  }
+  if (headers['x-api-key']) {
+    return headers['x-api-key'];
+  }
+  var query = req.query || (req.url ? url.parse(req.url, true).query : {});
+  return query.apiKey;
+};
+
+/**
+ * Will give the access control policy for an HTTP request, or null if the API key is invalid.
+ * @param {Object} req - The HTTP request
+ * @returns {Object|null}
+ */
+WebService.prototype._getPolicy = function(req) {
+  return this.accessControl.getPolicy(this._getApiKey(req));
+};
+
+/**
+ * This middleware will add the security headers to responses.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ * @param {Function} next
+ */
+WebService.prototype.securityHeadersHandler = function(req, res, next) {
+  res.set(this.securityHeaders);
+  next();
+};
+
+/**
+ * Will check the origin of socket.io connections from browsers, the origin is "*" for clients
+ * without an Origin or Referer header.
+ * @param {String} origin
+ * @param {Function} callback
+ */
+WebService.prototype.socketOriginHandler = function(origin, callback) {
+  if (origin === '*') {
+    return callback(null, true);
+  }
+  callback(null, this._isOriginAllowed(origin));
+};
+
+/**
+ * This socket.io middleware will refuse connections until the node is ready.
+ * @param {Socket} socket - A socket.io socket instance
+ * @param {Function} next
+ */
+WebService.prototype.socketReadyHandler = function(socket, next) {
+  // the methods of the services are mapped once the node is ready
+  if (!this.methodsMap) {
+    return next(new Error('Service Unavailable'));
+  }
+  next();
+};
+
+/**
+ * This socket.io middleware will refuse connections with an invalid API key.
+ * @param {Socket} socket - A socket.io socket instance
+ * @param {Function} next
+ */
+WebService.prototype.socketAuthHandler = function(socket, next) {
+  if (!this._getPolicy(socket.request)) {
+    log.info(this._getRemoteAddress(socket), 'web socket refused: invalid API key');
+    return next(new Error('Invalid API key'));
+  }
+  next();
+};
+
+/**
+ * This socket.io middleware will refuse connections over the limit of connections by remote address.
+ * @param {Socket} socket - A socket.io socket instance
+ * @param {Function} next
+ */
+WebService.prototype.socketLimitHandler = function(socket, next) {
+  var remoteAddress = this._getRemoteAddress(socket);
+  if (!this._hasConnectionQuota(remoteAddress)) {
+    log.info(remoteAddress, 'web socket refused: too many connections');
+    return next(new Error('Too many connections'));
+  }
+  next();
 };
 
 /**
@@ -175,19 +800,56 @@ WebService.prototype._getRemoteAddress = function(socket) {
 WebService.prototype.socketHandler = function(socket) {
   var self = this;
   var remoteAddress = self._getRemoteAddress(socket);
+  var policy = self._getPolicy(socket.client.request);
+  var subscriptions = {};
   var bus = this.node.openBus({remoteAddress: remoteAddress});
+  self._addConnection(remoteAddress);
+
+  function subscribeError(name, message) {
+    socket.emit('subscribe:error', name, {message: message});
+  }
 
   if (this.enableSocketRPC) {
-    socket.on('message', this.socketMessageHandler.bind(this));
+    socket.on('message', function(message, socketCallback) {
+      var name = message && message.method;
+      if (self._isRateLimited(remoteAddress)) {
+        return socketCallback({
+          error: {
+            message: 'Too Many Requests'
+          }
+        });
+      }
+      if (!self._isMethodAllowed(policy, name)) {
+        log.info(remoteAddress, 'web socket method not allowed:', name);
+        return socketCallback({
+          error: {
+            message: 'Method Not Allowed'
+          }
+        });
+      }
+      self.socketMessageHandler(message, socketCallback);
+    });
   }
 
   socket.on('subscribe', function(name, params) {
+    if (self._isRateLimited(remoteAddress)) {
+      return subscribeError(name, 'Too Many Requests');
+    }
+    if (!self.accessControl.isEventAllowed(policy, name)) {
+      log.info(remoteAddress, 'web socket subscribe not allowed:', name);
+      return subscribeError(name, 'Event Not Allowed');
+    }
+    if (!self._addSubscriptionItems(subscriptions, name, params)) {
+      log.info(remoteAddress, 'web socket subscription limit exceeded:', name);
+      return subscribeError(name, self._getSubscriptionLimitMessage());
+    }
     log.info(remoteAddress, 'web socket subscribe:', name);
     bus.subscribe(name, params);
   });
 
   socket.on('unsubscribe', function(name, params) {
     log.info(remoteAddress, 'web socket unsubscribe:', name);
+    self._removeSubscriptionItems(subscriptions, name, params);
     bus.unsubscribe(name, params);
   });
 
@@ -208,6 +870,7 @@ WebService.prototype.socketHandler = function(socket) {
 
   socket.on('disconnect', function() {
     log.info(remoteAddress, 'web socket disconnect');
+    self._removeConnection(remoteAddress);
     bus.close();
   });
 };
@@ -219,7 +882,7 @@ WebService.prototype.socketHandler = function(socket) {
  * @param {Function} socketCallback
  */
 WebService.prototype.socketMessageHandler = function(message, socketCallback) {
-  if (this.methodsMap[message.method]) {
+  if (this._hasMethod(message.method)) {
     var params = message.params;
 
     if(!params || !params.length) {
@@ -260,19 +923,907 @@ WebService.prototype.socketMessageHandler = function(message, socketCallback) {
   }
 };
 
+WebService.prototype._hasMethod = function(name) {
+  return Object.prototype.hasOwnProperty.call(this.methodsMap, name);
+};
+
 /**
- * This method will read `key` and `cert` from disk based on `httpsOptions` and
- * replace the options with the files.
+ * Will check the access control of an API method by the name of the method with its namespace,
+ * so that a method without a namespace has the policy of the method that it's mapped to, and
+ * by whether the method is `restricted`.
+ * @param {Object} policy
+ * @param {String} name - The name that the method is called with
+ * @returns {Boolean}
  */
-WebService.prototype.transformHttpsOptions = function() {
-  if(!this.httpsOptions || !this.httpsOptions.key || !this.httpsOptions.cert) {
-    throw new Error('Missing https options');
+WebService.prototype._isMethodAllowed = function(policy, name) {
+  var method = this.methodsMap && this._hasMethod(name) ? this.methodsMap[name] : {};
+  return this.accessControl.isMethodAllowed(policy, method.name || name, method.restricted);
+};
+
+/**
+ * This function will add an HTTP route for each of the API methods at `/<restAPIPrefix>/<method>`.
+ * Params are given as a JSON array with the `params` query parameter of a GET request, or as
+ * the JSON body of a POST request (either an array or an object with a `params` array). Only
+ * methods that are marked as `readOnly` can be called with a GET request.
+ */
+WebService.prototype.setupRestRoutes = function() {
+  var router = express.Router();
+  var handler = this.restMethodHandler.bind(this);
+  router.get('/:method', handler);
+  router.post('/:method', handler);
+  this.app.use('/' + this.restAPIPrefix, router);
+};
+
+/**
+ * Will give the params of a REST request, or throw an error if they are not an array of
+ * the expected length.
+ * @param {Object} req - The express request
+ * @param {Number} args - The number of params of the method
+ * @returns {Array}
+ */
+WebService.prototype._getRestParams = function(req, args) {
+  var params;
+  if (req.method === 'POST') {
+    params = _.isArray(req.body) ? req.body : (req.body && req.body.params);
+  } else if (!_.isUndefined(req.query.params)) {
+    try {
+      params = JSON.parse(req.query.params);
+    } catch(e) {
+      throw new TypeError('Invalid JSON in "params": ' + e.message);
+    }
+  }
+  if (_.isUndefined(params) || params === null) {
+    params = [];
+  }
+  if (!_.isArray(params)) {
+    throw new TypeError('Expected "params" to be an array');
+  }
+  if (params.length !== args) {
+    throw new TypeError('Expected ' + args + ' parameter(s)');
+  }
+  return params;
+};
+
+/**
+ * Will give the HTTP status code for an error given by an API method. A `statusCode` of the
+ * error is used if available, otherwise invalid arguments are 400, unknown items are 404 and
+ * other errors are 500.
+ * @param {Error} err
+ * @returns {Number}
+ */
+WebService.prototype._getErrorStatusCode = function(err) {
+  if (err.statusCode) {
+    return err.statusCode;
+  }
+  // qtumd rpc error codes: -3 type error, -5 invalid address or key (including unknown items)
+  // and -8 invalid parameter
+  if (err.code === -5) {
+    return 404;
+  }
+  if (err instanceof TypeError || err.code === -3 || err.code === -8) {
+    return 400;
+  }
+  return 500;
+};
+
+WebService.prototype._sendRestError = function(res, statusCode, message, code) {
+  var error = {
+    message: message
+  };
+  if (!_.isUndefined(code)) {
+    error.code = code;
   }
+  res.status(statusCode).jsonp({error: error});
+};
 
-  this.httpsOptions = {
-    key: fs.readFileSync(this.httpsOptions.key),
-    cert: fs.readFileSync(this.httpsOptions.cert)
+/**
+ * Will give the callback for an API method that responds to a REST request, a method that
+ * calls back more than once will only respond the first time.
+ * @param {Object} res - The express response
+ * @returns {Function}
+ */
+WebService.prototype._createRestCallback = function(res) {
+  var self = this;
+  var responded = false;
+  return function(err, result) {
+    if (responded) {
+      return;
+    }
+    responded = true;
+    if (err) {
+      return self._sendRestError(res, self._getErrorStatusCode(err), err.message, err.code);
+    }
+    res.jsonp({result: self._formatResult(result)});
   };
 };
 
+/**
+ * Will prepare the result of an API method to be given as JSON, Buffers are given as hex strings.
+ * @param {*} result
+ * @returns {*}
+ */
+WebService.prototype._formatResult = function(result) {
+  if (Buffer.isBuffer(result)) {
+    return result.toString('hex');
+  }
+  return _.isUndefined(result) ? null : result;
+};
+
+/**
+ * This method will handle a REST request to an API method, call the method and respond
+ * with the result as JSON, Buffers are given as hex strings.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.restMethodHandler = function(req, res) {
+  /* jshint maxstatements: 25 */
+  var self = this;
+  var name = req.params.method;
+  var policy = self._getPolicy(req);
+
+  if (!policy) {
+    return self._sendRestError(res, 401, 'Invalid API key');
+  }
+  if (!self._hasMethod(name)) {
+    return self._sendRestError(res, 404, 'Method Not Found');
+  }
+  if (!self._isMethodAllowed(policy, name)) {
+    return self._sendRestError(res, 403, 'Method Not Allowed');
+  }
+
+  var method = self.methodsMap[name];
+  if (req.method !== 'POST' && !method.readOnly) {
+    res.set('Allow', 'POST');
+    return self._sendRestError(res, 405, 'Method requires POST');
+  }
+
+  var params;
+  try {
+    params = self._getRestParams(req, method.args);
+  } catch(e) {
+    return self._sendRestError(res, 400, e.message);
+  }
+
+  var callback = self._createRestCallback(res);
+  try {
+    method.fn.apply(this, params.concat(callback));
+  } catch(e) {
+    log.error('REST API method', name, 'failed:', e.stack);
+    var error = new Error(e.message);
+    error.statusCode = 500;
+    callback(error);
+  }
+};
+
+/**
+ * This function will add the JSON-RPC 2.0 endpoint at `jsonRPCPath`, for HTTP POST requests
+ * and WebSocket connections. WebSocket connections can also subscribe to Bus events with the
+ * `subscribe` and `unsubscribe` methods, and the events are sent as notifications.
+ */
+WebService.prototype.setupJsonRPC = function() {
+  var self = this;
+  this.app.post(this.jsonRPCPath, this.jsonRPCHttpHandler.bind(this));
+
+  // invalid json is given to the error handler by the json body parser
+  this.app.use(this.jsonRPCPath, function(err, req, res, next) {
+    if (err.type !== 'entity.parse.failed') {
+      return next(err);
+    }
+    res.jsonp(self._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+  });
+
+  this.wss = new WebSocketServer({
+    server: this.server,
+    path: this.jsonRPCPath,
+    maxPayload: this.jsonRPCMaxPayload,
+    verifyClient: function(info, callback) {
+      if (self.corsOptions && info.origin && !self._isOriginAllowed(info.origin)) {
+        return callback(false, 403);
+      }
+      if (!self._getPolicy(info.req)) {
+        return callback(false, 401);
+      }
+      if (!self._hasConnectionQuota(self._getRequestRemoteAddress(info.req))) {
+        return callback(false, 429);
+      }
+      callback(true);
+    }
+  });
+  this.wss.on('connection', this.jsonRPCWebSocketHandler.bind(this));
+};
+
+WebService.prototype._createJsonRPCError = function(id, code, message) {
+  return {
+    jsonrpc: '2.0',
+    id: id,
+    error: {
+      code: code,
+      message: message
+    }
+  };
+};
+
+/**
+ * Will handle a JSON-RPC 2.0 payload of a single request or a batch of requests, and give
+ * the response. The response is undefined if there are only notifications. A batch can have at
+ * most `jsonRPCMaxBatchSize` requests, and `JSON_RPC_BATCH_CONCURRENCY` of them are called at once.
+ * @param {Object|Array} payload - The parsed JSON-RPC payload
+ * @param {Object} session
+ * @param {Object} session.policy - The access control policy of the client
+ * @param {Bus} session.bus - The bus for subscriptions, if available with the transport
+ * @param {Function} callback
+ */
+WebService.prototype._handleJsonRPC = function(payload, session, callback) {
+  var self = this;
+  if (!_.isArray(payload)) {
+    return self._handleJsonRPCRequest(payload, session, callback);
+  }
+  if (!payload.length) {
+    return callback(self._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+  }
+  if (payload.length > self.jsonRPCMaxBatchSize) {
+    return callback(self._createJsonRPCError(
+      null,
+      WebService.JSON_RPC_ERRORS.INVALID_REQUEST,
+      'Invalid Request: a batch can have at most ' + self.jsonRPCMaxBatchSize + ' requests'
+    ));
+  }
+  async.mapLimit(payload, WebService.JSON_RPC_BATCH_CONCURRENCY, function(request, next) {
+    self._handleJsonRPCRequest(request, session, function(response) {
+      next(null, response);
+    });
+  }, function(err, responses) {
+    responses = _.compact(responses);
+    callback(responses.length ? responses : undefined);
+  });
+};
+
+/**
+ * Will call the API method of a JSON-RPC 2.0 request and give the response, or undefined
+ * for a notification (a request without an id).
+ * @param {Object} request
+ * @param {Object} session - The policy and bus of the client, see _handleJsonRPC
+ * @param {Function} callback
+ */
+WebService.prototype._handleJsonRPCRequest = function(request, session, callback) {
+  var self = this;
+  var errors = WebService.JSON_RPC_ERRORS;
+
+  if (!_.isPlainObject(request) || request.jsonrpc !== '2.0' || !_.isString(request.method)) {
+    var invalidId = _.isPlainObject(request) && !_.isUndefined(request.id) ? request.id : null;
+    return callback(self._createJsonRPCError(invalidId, errors.INVALID_REQUEST, 'Invalid Request'));
+  }
+
+  var isNotification = !_.has(request, 'id');
+  function respond(response) {
+    callback(isNotification ? undefined : response);
+  }
+
+  self._callJsonRPCMethod(request, session, function(err, result) {
+    if (err) {
+      return respond(self._createJsonRPCError(request.id, err.code, err.message));
+    }
+    respond({jsonrpc: '2.0', id: request.id, result: self._formatResult(result)});
+  });
+};
+
+/**
+ * Will call the method of a JSON-RPC 2.0 request, errors are given with a JSON-RPC error code.
+ * @param {Object} request
+ * @param {Object} session - The policy and bus of the client, see _handleJsonRPC
+ * @param {Function} callback
+ */
+WebService.prototype._callJsonRPCMethod = function(request, session, callback) {
+  var errors = WebService.JSON_RPC_ERRORS;
+  var params = _.isUndefined(request.params) ? [] : request.params;
+
+  if (session.bus && (request.method === 'subscribe' || request.method === 'unsubscribe')) {
+    return this._callJsonRPCBusMethod(request.method, params, session, callback);
+  }
+  if (!this._hasMethod(request.method)) {
+    return callback({code: errors.METHOD_NOT_FOUND, message: 'Method not found'});
+  }
+  if (!this._isMethodAllowed(session.policy, request.method)) {
+    return callback({code: errors.FORBIDDEN, message: 'Method not allowed'});
+  }
+  if (!_.isArray(params)) {
+    return callback({code: errors.INVALID_PARAMS, message: 'Invalid params: expected an array'});
+  }
+
+  var method = this.methodsMap[request.method];
+  if (params.length !== method.args) {
+    return callback({
+      code: errors.INVALID_PARAMS,
+      message: 'Invalid params: expected ' + method.args + ' parameter(s)'
+    });
+  }
+  this._applyJsonRPCMethod(request.method, params, callback);
+};
+
+/**
+ * Will subscribe or unsubscribe the bus of a JSON-RPC 2.0 session, with the same params as
+ * the socket.io messages.
+ * @param {String} name - Either "subscribe" or "unsubscribe"
+ * @param {Array} params
+ * @param {Object} session - The policy and bus of the client, see _handleJsonRPC
+ * @param {Function} callback
+ */
+WebService.prototype._callJsonRPCBusMethod = function(name, params, session, callback) {
+  var errors = WebService.JSON_RPC_ERRORS;
+  if (!_.isArray(params) || !_.isString(params[0])) {
+    return callback({code: errors.INVALID_PARAMS, message: 'Invalid params: expected an event name'});
+  }
+  if (name === 'subscribe' && !this.accessControl.isEventAllowed(session.policy, params[0])) {
+    return callback({code: errors.FORBIDDEN, message: 'Event not allowed'});
+  }
+  if (name === 'subscribe' && !this._addSubscriptionItems(session.subscriptions, params[0], params[1])) {
+    return callback({code: errors.LIMIT_EXCEEDED, message: this._getSubscriptionLimitMessage()});
+  }
+  if (name === 'unsubscribe') {
+    this._removeSubscriptionItems(session.subscriptions, params[0], params[1]);
+  }
+  session.bus[name].apply(session.bus, params);
+  callback(null, true);
+};
+
+/**
+ * Will apply an API method with the params, a method that calls back more than once will only
+ * give the first result.
+ * @param {String} name - The name of the method
+ * @param {Array} params
+ * @param {Function} callback
+ */
+WebService.prototype._applyJsonRPCMethod = function(name, params, callback) {
+  var errors = WebService.JSON_RPC_ERRORS;
+  var called = false;
+
+  function done(err, result) {
+    if (called) {
+      return;
+    }
+    called = true;
+    if (err) {
+      return callback({code: _.isNumber(err.code) ? err.code : errors.SERVER_ERROR, message: err.message});
+    }
+    callback(null, result);
+  }
+
+  try {
+    this.methodsMap[name].fn.apply(this, params.concat(done));
+  } catch(e) {
+    log.error('JSON-RPC method', name, 'failed:', e.stack);
+    done({code: errors.INTERNAL_ERROR, message: 'Internal error'});
+  }
+};
+
+/**
+ * This method will handle a JSON-RPC 2.0 HTTP request, responding with 204 if there
+ * were only notifications.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.jsonRPCHttpHandler = function(req, res) {
+  var policy = this._getPolicy(req);
+  if (!policy) {
+    var error = this._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.UNAUTHORIZED, 'Invalid API key');
+    return res.status(401).jsonp(error);
+  }
+  // the request itself was counted by the rate limit handler, the other requests of a batch are not
+  var count = this._getJsonRPCRequestCount(req.body) - 1;
+  if (count > 0 && this._isRateLimited(this._getRequestRemoteAddress(req), count)) {
+    res.set('Retry-After', '1');
+    return res.status(429).jsonp(
+      this._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.RATE_LIMITED, 'Too many requests')
+    );
+  }
+  this._handleJsonRPC(req.body, {policy: policy}, function(response) {
+    if (_.isUndefined(response)) {
+      return res.status(204).end();
+    }
+    res.jsonp(response);
+  });
+};
+
+/**
+ * This function is responsible for managing a JSON-RPC 2.0 WebSocket connection, including
+ * instantiating a new Bus and sending its events as notifications.
+ * @param {WebSocket} ws - A ws WebSocket instance
+ */
+WebService.prototype.jsonRPCWebSocketHandler = function(ws) {
+  var self = this;
+  var request = ws.upgradeReq;
+  var remoteAddress = this._getRequestRemoteAddress(request);
+  var bus = this.node.openBus({remoteAddress: remoteAddress});
+  var session = {
+    policy: this._getPolicy(request),
+    bus: bus,
+    subscriptions: {}
+  };
+  this._addConnection(remoteAddress);
+
+  function send(message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  this.eventNames.forEach(function(eventName) {
+    bus.on(eventName, function() {
+      send({
+        jsonrpc: '2.0',
+        method: eventName,
+        params: Array.prototype.slice.call(arguments)
+      });
+    });
+  });
+
+  ws.on('message', function(data) {
+    var payload;
+    var parseError = false;
+    try {
+      payload = JSON.parse(data);
+    } catch(e) {
+      parseError = true;
+    }
+    if (self._isRateLimited(remoteAddress, self._getJsonRPCRequestCount(payload))) {
+      return send(self._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.RATE_LIMITED, 'Too many requests'));
+    }
+    if (parseError) {
+      return send(self._createJsonRPCError(null, WebService.JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+    }
+    self._handleJsonRPC(payload, session, function(response) {
+      if (!_.isUndefined(response)) {
+        send(response);
+      }
+    });
+  });
+
+  ws.on('error', function(err) {
+    log.warn(remoteAddress, 'JSON-RPC web socket error:', err.message);
+  });
+
+  ws.on('close', function() {
+    log.info(remoteAddress, 'JSON-RPC web socket disconnect');
+    self._removeConnection(remoteAddress);
+    bus.close();
+  });
+};
+
+/**
+ * This function will add the route of the Server-Sent Events stream of the events of the services.
+ */
+WebService.prototype.setupEventStream = function() {
+  this.app.get(this.eventStreamPath, this.eventStreamHandler.bind(this));
+};
+
+/**
+ * Will give the params of the subscriptions of an event stream from the query, the addresses,
+ * contracts or txids can be repeated or separated by commas.
+ * @param {Object} query - The query of the request
+ * @returns {Array}
+ */
+WebService.prototype._getEventStreamParams = function(query) {
+  var params = [];
+  var items = query.addresses || query.contracts || query.txids;
+  if (items) {
+    params.push(_.flatten([items]).join(',').split(','));
+  }
+  if (query.confirmations) {
+    params.push(Number(query.confirmations));
+  }
+  return params;
+};
+
+/**
+ * Will check the event names and params of an event stream, and give an error message if the
+ * subscriptions can't be made.
+ * @param {Array} names - The event names
+ * @param {Array} params - The params of the subscriptions
+ * @param {Object} policy - The access control policy of the client
+ * @returns {Object|null} - The status code and message of the error
+ */
+WebService.prototype._checkEventStreamSubscriptions = function(names, params, policy) {
+  if (!names.length) {
+    return {statusCode: 400, message: 'Expected an event name'};
+  }
+  var subscriptions = {};
+  for (var i = 0; i < names.length; i++) {
+    if (this.eventNames.indexOf(names[i]) === -1) {
+      return {statusCode: 400, message: 'Unknown event: ' + names[i]};
+    }
+    if (!this.accessControl.isEventAllowed(policy, names[i])) {
+      return {statusCode: 403, message: 'Event Not Allowed'};
+    }
+    if (!this._addSubscriptionItems(subscriptions, names[i], params[0])) {
+      return {statusCode: 400, message: this._getSubscriptionLimitMessage()};
+    }
+  }
+  return null;
+};
+
+/**
+ * Will format an event of the event stream, the data is the array of the arguments of the event.
+ * @param {String} id - The id of the event, events that can be replayed have an id
+ * @param {String} name - The name of the event
+ * @param {Array} args - The arguments of the event
+ * @returns {String}
+ */
+WebService.prototype._formatEvent = function(id, name, args) {
+  var event = '';
+  if (id) {
+    event += 'id: ' + id + '\n';
+  }
+  return event + 'event: ' + name + '\n' + 'data: ' + JSON.stringify(args) + '\n\n';
+};
+
+/**
+ * Will give the events after the last event of a client, for the events that can be replayed.
+ * The events are given after an error, with a `replay:error` event for the error.
+ * @param {Array} events - The publish events that can be replayed
+ * @param {String} lastEventId - The id of the last event of the client
+ * @param {Function} callback - Called with the name and arguments of each event
+ */
+WebService.prototype._replayEvents = function(events, lastEventId, callback) {
+  async.mapSeries(events, function(event, next) {
+    event.replay(lastEventId, function(err, replayed) {
+      if (err) {
+        return next(null, [['replay:error', [event.name, {message: err.message}]]]);
+      }
+      next(null, replayed.map(function(args) {
+        return [event.name, args];
+      }));
+    });
+  }, function(err, replayed) {
+    callback(_.flatten(replayed));
+  });
+};
+
+/**
+ * This method will stream the events of a Bus as Server-Sent Events. The subscriptions are
+ * given in the query, e.g. `?name=qtumd/addresstxid&addresses=...`, and events that can be
+ * replayed (such as `qtumd/hashblock`) are resumed after the `Last-Event-ID` of the client.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.eventStreamHandler = function(req, res) {
+  /* jshint maxstatements: 30 */
+  var self = this;
+  var remoteAddress = self._getRequestRemoteAddress(req);
+  var policy = self._getPolicy(req);
+  if (!policy) {
+    return self._sendRestError(res, 401, 'Invalid API key');
+  }
+  var names = _.isUndefined(req.query.name) ? [] : _.flatten([req.query.name]);
+  var params = self._getEventStreamParams(req.query);
+  var error = self._checkEventStreamSubscriptions(names, params, policy);
+  if (error) {
+    return self._sendRestError(res, error.statusCode, error.message);
+  }
+  if (!self._hasConnectionQuota(remoteAddress)) {
+    return self._sendRestError(res, 429, 'Too many connections');
+  }
+
+  self._addConnection(remoteAddress);
+  var bus = self.node.openBus({remoteAddress: remoteAddress});
+  var closed = false;
+  var replayable = self.node.getAllPublishEvents().filter(function(event) {
+    return event.replay && names.indexOf(event.name) !== -1;
+  });
+  var ids = _.pluck(replayable, 'name');
+  var lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  // live events are queued while the missed events are replayed
+  var queue = lastEventId && replayable.length ? [] : null;
+
+  function send(name, args) {
+    if (!closed) {
+      res.write(self._formatEvent(ids.indexOf(name) !== -1 ? args[0] : null, name, args));
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(':ok\n\n');
+
+  names.forEach(function(name) {
+    bus.on(name, function() {
+      var args = Array.prototype.slice.call(arguments);
+      if (queue) {
+        return queue.push([name, args]);
+      }
+      send(name, args);
+    });
+    log.info(remoteAddress, 'event stream subscribe:', name);
+    bus.subscribe.apply(bus, [name].concat(params));
+  });
+
+  if (queue) {
+    self._replayEvents(replayable, lastEventId, function(events) {
+      var replayed = {};
+      events.forEach(function(event) {
+        replayed[event[0] + event[1][0]] = true;
+        send(event[0], event[1]);
+      });
+      queue.forEach(function(event) {
+        if (!replayed[event[0] + event[1][0]]) {
+          send(event[0], event[1]);
+        }
+      });
+      queue = null;
+    });
+  }
+
+  var heartbeat = setInterval(function() {
+    res.write(':\n\n');
+  }, WebService.EVENT_STREAM_HEARTBEAT_INTERVAL);
+
+  res.on('close', function() {
+    log.info(remoteAddress, 'event stream disconnect');
+    closed = true;
+    clearInterval(heartbeat);
+    self._removeConnection(remoteAddress);
+    bus.close();
+  });
+};
+
+/**
+ * This function will add the liveness and readiness routes, they don't need an API key so that
+ * they can be used by load balancers and container orchestrators.
+ */
+WebService.prototype.setupHealthChecks = function() {
+  this.app.get(this.healthPath, this.healthHandler.bind(this));
+  this.app.get(this.readyPath, this.readyHandler.bind(this));
+};
+
+/**
+ * This method will respond while the process is able to handle requests.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.healthHandler = function(req, res) {
+  res.jsonp({
+    status: 'ok',
+    uptime: Math.floor(process.uptime())
+  });
+};
+
+/**
+ * This method will respond with the readiness checks of the node, with a status code of
+ * 503 if any of the checks fail, see Node.prototype.checkReadiness.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.readyHandler = function(req, res) {
+  this.node.checkReadiness(function(err, readiness) {
+    if (err) {
+      return res.status(503).jsonp({
+        ready: false,
+        checks: [{name: 'node', ready: false, message: err.message}]
+      });
+    }
+    res.status(readiness.ready ? 200 : 503).jsonp(readiness);
+  });
+};
+
+/**
+ * This function will add the route of the metrics of all of the services in the Prometheus
+ * text format, see Service.prototype.getMetrics.
+ */
+WebService.prototype.setupMetrics = function() {
+  this.app.get(this.metricsPath, this.metricsHandler.bind(this));
+};
+
+/**
+ * Called by the Node to gather the metrics of the web service.
+ * @returns {Array}
+ */
+WebService.prototype.getMetrics = function() {
+  return [
+    {
+      name: 'web_socket_connections',
+      help: 'The number of open socket.io and JSON-RPC WebSocket connections',
+      type: 'gauge',
+      values: [{labels: {}, value: _.sum(_.values(this.connections))}]
+    }
+  ];
+};
+
+/**
+ * This method will respond with the metrics of all of the services.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.metricsHandler = function(req, res) {
+  if (!this._getPolicy(req)) {
+    return this._sendRestError(res, 401, 'Invalid API key');
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(this._formatMetrics(this.node.getAllMetrics()));
+};
+
+/**
+ * This function will add the route of the OpenAPI document of the HTTP routes, API methods
+ * and events, see Introspection.
+ */
+WebService.prototype.setupIntrospection = function() {
+  this.introspection = new Introspection({
+    restAPIPrefix: this.enableRestAPI ? this.restAPIPrefix : null,
+    jsonRPCPath: this.enableJsonRPC ? this.jsonRPCPath : null,
+    eventStreamPath: this.enableEventStream ? this.eventStreamPath : null,
+    healthPath: this.enableHealthChecks ? this.healthPath : null,
+    readyPath: this.enableHealthChecks ? this.readyPath : null,
+    metricsPath: this.enableMetrics ? this.metricsPath : null
+  });
+  this.catalogue = this.introspection.getCatalogue(this._getMethodDescriptors(), this.node.getAllPublishEvents());
+  this.app.get(this.introspectionPath, this.introspectionHandler.bind(this));
+};
+
+/**
+ * This method will respond with the OpenAPI document, with only the methods and events that
+ * are allowed for the API key of the request.
+ * @param {Object} req - The express request
+ * @param {Object} res - The express response
+ */
+WebService.prototype.introspectionHandler = function(req, res) {
+  var self = this;
+  var policy = self._getPolicy(req);
+  if (!policy) {
+    return self._sendRestError(res, 401, 'Invalid API key');
+  }
+  res.jsonp(self.introspection.getDocument({
+    methods: self.catalogue.methods.filter(function(method) {
+      return self._isMethodAllowed(policy, method.name);
+    }),
+    events: self.catalogue.events.filter(function(event) {
+      return self.accessControl.isEventAllowed(policy, event.name);
+    })
+  }));
+};
+
+/**
+ * Will give metrics in the Prometheus text format.
+ * @param {Array} metrics
+ * @returns {String}
+ */
+WebService.prototype._formatMetrics = function(metrics) {
+  var self = this;
+  var lines = [];
+  metrics.forEach(function(metric) {
+    lines.push('# HELP ' + metric.name + ' ' + metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'));
+    lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+    metric.values.forEach(function(item) {
+      lines.push(metric.name + self._formatMetricLabels(item.labels) + ' ' + self._formatMetricValue(item.value));
+    });
+  });
+  return lines.join('\n') + '\n';
+};
+
+WebService.prototype._formatMetricLabels = function(labels) {
+  var pairs = _.keys(labels || {}).map(function(key) {
+    var value = String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return key + '="' + value + '"';
+  });
+  return pairs.length ? '{' + pairs.join(',') + '}' : '';
+};
+
+WebService.prototype._formatMetricValue = function(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  } else if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * This method will read `key` and `cert` from disk based on `httpsOptions` and
+ * replace the options with the files.
+ */
+WebService.prototype.transformHttpsOptions = function() {
+  if(!this.httpsOptions || !this.httpsOptions.key || !this.httpsOptions.cert) {
+    throw new Error('Missing https options');
+  }
+
+  this.httpsFiles = {
+    key: this.httpsOptions.key,
+    cert: this.httpsOptions.cert,
+    ca: this.httpsOptions.ca ? [].concat(this.httpsOptions.ca) : []
+  };
+  this.httpsOptions = this._readHttpsFiles();
+};
+
+WebService.prototype._readHttpsFiles = function() {
+  var options = {
+    key: fs.readFileSync(this.httpsFiles.key),
+    cert: fs.readFileSync(this.httpsFiles.cert)
+  };
+  if (this.httpsFiles.ca.length) {
+    options.ca = this.httpsFiles.ca.map(function(file) {
+      return fs.readFileSync(file);
+    });
+  }
+  return options;
+};
+
+WebService.prototype._getHttpsFilePaths = function() {
+  return [this.httpsFiles.key, this.httpsFiles.cert].concat(this.httpsFiles.ca);
+};
+
+/**
+ * Will check the https key, cert and CA chain files for changes, and reload them without
+ * restarting the server. The files are polled so that a renewed certificate is found when a
+ * symbolic link is replaced, as with Let's Encrypt.
+ */
+WebService.prototype._watchCertificates = function() {
+  var self = this;
+  if (!_.isFunction(self.server.setSecureContext)) {
+    log.warn('Reloading the https certificate needs a newer version of Node.js');
+    return;
+  }
+  self._certificateListener = function(current, previous) {
+    if (current.mtime.getTime() !== previous.mtime.getTime() || current.ino !== previous.ino) {
+      clearTimeout(self._certificateReloadTimeout);
+      self._certificateReloadTimeout = setTimeout(function() {
+        self.reloadCertificates();
+      }, WebService.CERTIFICATE_RELOAD_DELAY);
+    }
+  };
+  self._getHttpsFilePaths().forEach(function(file) {
+    fs.watchFile(file, {persistent: false, interval: self.certificateWatchInterval}, self._certificateListener);
+  });
+};
+
+WebService.prototype._unwatchCertificates = function() {
+  var self = this;
+  if (!self._certificateListener) {
+    return;
+  }
+  clearTimeout(self._certificateReloadTimeout);
+  self._getHttpsFilePaths().forEach(function(file) {
+    fs.unwatchFile(file, self._certificateListener);
+  });
+  self._certificateListener = null;
+};
+
+/**
+ * Will replace the TLS context of the server with the https key, cert and CA chain files, new
+ * connections will use the new certificate. The current certificate is kept if the files
+ * can't be read or the key doesn't match the cert.
+ * @returns {Boolean} - If the certificate was reloaded
+ */
+WebService.prototype.reloadCertificates = function() {
+  var httpsOptions;
+  try {
+    httpsOptions = this._readHttpsFiles();
+    this.server.setSecureContext(httpsOptions);
+  } catch(err) {
+    log.error('Could not reload the https certificate:', err.message);
+    return false;
+  }
+  this.httpsOptions = httpsOptions;
+  log.info('Reloaded the https certificate');
+  return true;
+};
+
+/**
+ * This method will redirect plain http requests to https, with the same host and path.
+ * @param {Object} req - The http request
+ * @param {Object} res - The http response
+ */
+WebService.prototype.redirectHandler = function(req, res) {
+  var host = (req.headers.host || '').replace(/:\d+$/, '');
+  if (!/^([a-z0-9.-]+|\[[0-9a-f:.]+\])$/i.test(host)) {
+    res.writeHead(400);
+    return res.end();
+  }
+  var port = Number(this.port) === 443 ? '' : ':' + this.port;
+  // 308 keeps the method and body of requests such as json-rpc posts
+  var statusCode = (req.method === 'GET' || req.method === 'HEAD') ? 301 : 308;
+  res.writeHead(statusCode, {Location: 'https://' + host + port + req.url});
+  res.end();
+};
+
 module.exports = WebService;
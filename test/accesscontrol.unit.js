@@ -0,0 +1,153 @@
+'use strict';
+
+var should = require('chai').should();
+var AccessControl = require('../lib/accesscontrol');
+
+describe('AccessControl', function() {
+
+  describe('@constructor', function() {
+    it('will create an instance without `new` and with the default policies', function() {
+      var accessControl = AccessControl();
+      accessControl.should.be.an.instanceof(AccessControl);
+      accessControl.keys.should.deep.equal({});
+      accessControl.anonymous.name.should.equal('anonymous');
+      accessControl.anonymous.denyMethods.should.deep.equal([]);
+      accessControl.anonymous.allowRestricted.should.equal(false);
+    });
+    it('will create the policies of the keys', function() {
+      var accessControl = new AccessControl({
+        keys: {
+          secret: {
+            name: 'admin'
+          },
+          other: {
+            allowMethods: ['getInfo'],
+            denyEvents: ['*']
+          }
+        }
+      });
+      accessControl.keys.secret.should.deep.equal({
+        name: 'admin',
+        allowMethods: ['*'],
+        denyMethods: [],
+        allowEvents: ['*'],
+        denyEvents: [],
+        allowRestricted: true
+      });
+      accessControl.keys.other.name.should.equal('key');
+      accessControl.keys.other.allowMethods.should.deep.equal(['getInfo']);
+      accessControl.keys.other.denyEvents.should.deep.equal(['*']);
+    });
+    it('will replace the default deny list of the anonymous policy', function() {
+      var accessControl = new AccessControl({anonymous: {denyMethods: ['getInfo']}});
+      accessControl.anonymous.denyMethods.should.deep.equal(['getInfo']);
+    });
+    it('will not have an anonymous policy if disabled', function() {
+      var accessControl = new AccessControl({anonymous: false});
+      should.equal(accessControl.anonymous, null);
+    });
+    it('will throw if a policy is not an object', function() {
+      (function() {
+        return new AccessControl({keys: {secret: true}});
+      }).should.throw('Expected access control policy "key" to be an object');
+    });
+    it('will throw if a list is not an array', function() {
+      (function() {
+        return new AccessControl({anonymous: {allowMethods: 'getInfo'}});
+      }).should.throw('Expected "allowMethods" of access control policy "anonymous" to be an array');
+    });
+    it('will throw if allowRestricted is not a boolean', function() {
+      (function() {
+        return new AccessControl({anonymous: {allowRestricted: 'yes'}});
+      }).should.throw('Expected "allowRestricted" of access control policy "anonymous" to be a boolean');
+    });
+    it('will throw if keys is not an object', function() {
+      (function() {
+        return new AccessControl({keys: ['secret']});
+      }).should.throw('Expected "accessControl.keys" to be an object');
+    });
+  });
+
+  describe('#getPolicy', function() {
+    var accessControl = new AccessControl({keys: {secret: {name: 'admin'}}});
+    it('will give the policy of a key', function() {
+      accessControl.getPolicy('secret').name.should.equal('admin');
+    });
+    it('will give the anonymous policy without a key', function() {
+      accessControl.getPolicy().should.equal(accessControl.anonymous);
+      accessControl.getPolicy('').should.equal(accessControl.anonymous);
+    });
+    it('will give null for an unknown key', function() {
+      should.equal(accessControl.getPolicy('unknown'), null);
+      should.equal(accessControl.getPolicy('toString'), null);
+      should.equal(accessControl.getPolicy(['secret']), null);
+    });
+    it('will give null without a key if anonymous clients are disabled', function() {
+      var accessControl = new AccessControl({anonymous: false});
+      should.equal(accessControl.getPolicy(), null);
+    });
+  });
+
+  describe('#isMethodAllowed/#isEventAllowed', function() {
+    var accessControl = new AccessControl({
+      keys: {
+        secret: {
+          allowMethods: ['getInfo', 'generateBlock'],
+          allowEvents: ['qtumd/hashblock']
+        },
+        other: {
+          denyMethods: ['getInfo'],
+          denyEvents: ['*']
+        }
+      }
+    });
+    it('will deny the restricted methods to anonymous clients', function() {
+      var policy = accessControl.getPolicy();
+      accessControl.isMethodAllowed(policy, 'getInfo').should.equal(true);
+      accessControl.isMethodAllowed(policy, 'generateBlock', true).should.equal(false);
+      accessControl.isMethodAllowed(policy, 'sendTransaction', true).should.equal(false);
+      accessControl.isEventAllowed(policy, 'qtumd/hashblock').should.equal(true);
+    });
+    it('will allow the restricted methods to keys', function() {
+      accessControl.isMethodAllowed(accessControl.getPolicy('secret'), 'generateBlock', true).should.equal(true);
+      accessControl.isMethodAllowed(accessControl.getPolicy('other'), 'generateBlock', true).should.equal(true);
+      var anonymous = new AccessControl({anonymous: {allowRestricted: true}}).getPolicy();
+      accessControl.isMethodAllowed(anonymous, 'generateBlock', true).should.equal(true);
+      var restricted = new AccessControl({keys: {secret: {allowRestricted: false}}}).getPolicy('secret');
+      accessControl.isMethodAllowed(restricted, 'generateBlock', true).should.equal(false);
+    });
+    it('will only allow the listed methods and events', function() {
+      var policy = accessControl.getPolicy('secret');
+      accessControl.isMethodAllowed(policy, 'generateBlock').should.equal(true);
+      accessControl.isMethodAllowed(policy, 'getBlock').should.equal(false);
+      accessControl.isEventAllowed(policy, 'qtumd/hashblock').should.equal(true);
+      accessControl.isEventAllowed(policy, 'qtumd/rawtransaction').should.equal(false);
+    });
+    it('will deny the listed methods and events', function() {
+      var policy = accessControl.getPolicy('other');
+      accessControl.isMethodAllowed(policy, 'getInfo').should.equal(false);
+      accessControl.isMethodAllowed(policy, 'generateBlock').should.equal(true);
+      accessControl.isEventAllowed(policy, 'qtumd/hashblock').should.equal(false);
+    });
+    it('will match the methods of services by the namespace and the name of the method', function() {
+      var policy = accessControl.getPolicy();
+      accessControl.isMethodAllowed(policy, 'qtumd.getInfo').should.equal(true);
+      accessControl.isMethodAllowed(policy, 'qtumd.sendTransaction', true).should.equal(false);
+      accessControl.isMethodAllowed(accessControl.getPolicy('secret'), 'qtumd.getInfo').should.equal(true);
+      accessControl.isMethodAllowed(accessControl.getPolicy('other'), 'qtumd.getInfo').should.equal(false);
+      var namespaced = new AccessControl({
+        anonymous: {allowMethods: ['qtumd.*', 'insight.getBlock'], denyMethods: ['qtumd.generateBlock']}
+      }).getPolicy();
+      accessControl.isMethodAllowed(namespaced, 'qtumd.getInfo').should.equal(true);
+      accessControl.isMethodAllowed(namespaced, 'qtumd.generateBlock').should.equal(false);
+      accessControl.isMethodAllowed(namespaced, 'insight.getBlock').should.equal(true);
+      accessControl.isMethodAllowed(namespaced, 'insight.getInfo').should.equal(false);
+      accessControl.isMethodAllowed(namespaced, 'getInfo').should.equal(false);
+    });
+    it('will deny everything without a policy', function() {
+      accessControl.isMethodAllowed(null, 'getInfo').should.equal(false);
+      accessControl.isEventAllowed(null, 'qtumd/hashblock').should.equal(false);
+    });
+  });
+
+});
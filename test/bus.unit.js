@@ -2,6 +2,7 @@
 
 var should = require('chai').should();
 var sinon = require('sinon');
+var _ = require('qtumcore-lib').deps._;
 var Bus = require('../lib/bus');
 
 describe('Bus', function() {
@@ -128,4 +129,100 @@ describe('Bus', function() {
     });
   });
 
+  describe('#resubscribe', function() {
+    function createNode() {
+      var events = {
+        getPublishEvents: function() {
+          return [
+            {
+              name: 'test',
+              scope: this,
+              subscribe: this.subscribe,
+              unsubscribe: this.unsubscribe
+            }
+          ];
+        }
+      };
+      return {
+        services: {
+          service1: _.extend({subscribe: sinon.spy(), unsubscribe: sinon.spy()}, events),
+          service2: _.extend({subscribe: sinon.spy(), unsubscribe: sinon.spy()}, events)
+        }
+      };
+    }
+    it('will repeat the subscriptions to the restarted services', function() {
+      var node = createNode();
+      var bus = new Bus({node: node});
+      bus.subscribe('test', ['a', 'b']);
+      bus.unsubscribe('test', ['a']);
+      node.services.service1 = createNode().services.service1;
+      bus.resubscribe(['service1']);
+      node.services.service1.subscribe.args.should.deep.equal([[bus, ['b']]]);
+      node.services.service1.unsubscribe.callCount.should.equal(0);
+      node.services.service2.subscribe.callCount.should.equal(1);
+    });
+    it('will repeat an unsubscribe with other params than the subscriptions', function() {
+      var node = createNode();
+      var bus = new Bus({node: node});
+      bus.subscribe('test', {txids: ['a'], confirmations: 3});
+      bus.unsubscribe('test', {txids: ['a']});
+      bus.unsubscribe('test', {txids: ['a']});
+      node.services.service1 = createNode().services.service1;
+      bus.resubscribe(['service1']);
+      node.services.service1.subscribe.args.should.deep.equal([[bus, {txids: ['a'], confirmations: 3}]]);
+      node.services.service1.unsubscribe.args.should.deep.equal([[bus, {txids: ['a']}]]);
+    });
+    it('will keep the net state of the subscriptions', function() {
+      var node = createNode();
+      var bus = new Bus({node: node});
+      for (var i = 0; i < 10; i++) {
+        bus.subscribe('test', ['a', 'b'], 3);
+        bus.unsubscribe('test', ['a']);
+      }
+      bus.subscribe('test', ['b'], 6);
+      bus.subscribe('other');
+      bus.subscriptions.should.deep.equal({
+        test: {'"b"': {subscribe: true, params: [['b'], 6]}},
+        other: {'[]': {subscribe: true, params: []}}
+      });
+      bus.unsubscribe('test', ['b']);
+      bus.unsubscribe('other');
+      bus.subscriptions.should.deep.equal({});
+    });
+    it('will not repeat subscriptions that have been unsubscribed', function() {
+      var node = createNode();
+      var bus = new Bus({node: node});
+      bus.subscribe('test', ['a']);
+      bus.subscribe('test', ['b']);
+      bus.unsubscribe('test', ['a']);
+      bus.subscriptions.should.deep.equal({test: {'"b"': {subscribe: true, params: [['b']]}}});
+      bus.close();
+      bus.subscriptions.should.deep.equal({});
+      node.services.service1 = createNode().services.service1;
+      bus.resubscribe(['service1', 'unknown']);
+      node.services.service1.subscribe.callCount.should.equal(0);
+      node.services.service1.unsubscribe.callCount.should.equal(0);
+    });
+  });
+
+  describe('#unsubscribeService', function() {
+    it('will unsubscribe from the events of the service and keep the subscriptions', function() {
+      var service = {
+        unsubscribe: sinon.spy(),
+        getPublishEvents: function() {
+          return [
+            {name: 'test1', scope: this, subscribe: sinon.spy(), unsubscribe: this.unsubscribe},
+            {name: 'test2', scope: this, subscribe: sinon.spy(), unsubscribe: this.unsubscribe}
+          ];
+        }
+      };
+      var bus = new Bus({node: {services: {}}});
+      bus.subscribe('test1', ['a']);
+      bus.unsubscribeService(service);
+      service.unsubscribe.args.should.deep.equal([[bus], [bus]]);
+      service.unsubscribe.thisValues[0].should.equal(service);
+      bus.subscriptions.should.deep.equal({test1: {'"a"': {subscribe: true, params: [['a']]}}});
+    });
+  });
+
 });
@@ -0,0 +1,110 @@
+'use strict';
+
+var should = require('chai').should();
+var Cache = require('../lib/cache');
+
+describe('Cache', function() {
+
+  describe('@constructor', function() {
+    it('will create an instance without `new`', function() {
+      var cache = Cache({max: 10});
+      cache.should.be.an.instanceof(Cache);
+      cache.max.should.equal(10);
+      cache.maxAge.should.equal(0);
+    });
+  });
+
+  describe('#get/#set', function() {
+    it('will count hits and misses', function() {
+      var cache = new Cache({max: 10});
+      cache.set('a', 1);
+      cache.get('a').should.equal(1);
+      should.equal(cache.get('b'), undefined);
+      cache.hits.should.equal(1);
+      cache.misses.should.equal(1);
+    });
+    it('will count evictions of the least recently used items', function() {
+      var cache = new Cache({max: 2});
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('a', 3);
+      cache.evictions.should.equal(0);
+      cache.set('c', 4);
+      cache.evictions.should.equal(1);
+      should.equal(cache.get('b'), undefined);
+    });
+    it('will count expired items as evictions', function(done) {
+      var cache = new Cache({max: 10, maxAge: 5});
+      cache.set('a', 1);
+      setTimeout(function() {
+        should.equal(cache.get('a'), undefined);
+        cache.evictions.should.equal(1);
+        cache.misses.should.equal(1);
+        done();
+      }, 20);
+    });
+  });
+
+  describe('#fetch', function() {
+    it('will give an item asynchronously and count the hit', function(done) {
+      var cache = new Cache({max: 10});
+      cache.set('a', 1);
+      var called = false;
+      cache.fetch('a', function(err, value) {
+        should.not.exist(err);
+        called.should.equal(true);
+        value.should.equal(1);
+        cache.hits.should.equal(1);
+        done();
+      });
+      called = true;
+    });
+  });
+
+  describe('#forEach', function() {
+    it('will give the values most recent first without counting hits', function() {
+      var cache = new Cache({max: 10});
+      cache.set('a', 1);
+      cache.set('b', 2);
+      var items = [];
+      cache.forEach(function(value, key) {
+        items.push([key, value]);
+      });
+      items.should.deep.equal([['b', 2], ['a', 1]]);
+      cache.hits.should.equal(0);
+    });
+  });
+
+  describe('#del/#reset', function() {
+    it('will not count removed items as evictions', function() {
+      var cache = new Cache({max: 10});
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.del('a');
+      should.equal(cache.get('a'), undefined);
+      cache.reset();
+      should.equal(cache.get('b'), undefined);
+      cache.evictions.should.equal(0);
+    });
+  });
+
+  describe('#getStats', function() {
+    it('will give the counters and limits', function() {
+      var cache = new Cache({max: 10, maxAge: 1000});
+      cache.set('a', 1);
+      cache.get('a');
+      cache.get('b');
+      cache.reset();
+      cache.set('c', 1);
+      cache.getStats().should.deep.equal({
+        hits: 1,
+        misses: 1,
+        evictions: 0,
+        size: 1,
+        max: 10,
+        maxAge: 1000
+      });
+    });
+  });
+
+});
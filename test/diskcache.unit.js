@@ -0,0 +1,286 @@
+'use strict';
+
+var should = require('chai').should();
+var sinon = require('sinon');
+var fs = require('fs');
+var path = require('path');
+var rimraf = require('rimraf');
+var LRU = require('lru-cache');
+var Cache = require('../lib/cache');
+var DiskCache = require('../lib/diskcache');
+var index = require('../lib');
+var log = index.log;
+
+describe('DiskCache', function() {
+
+  var testDir = path.resolve(__dirname, 'temporary-cache-data');
+  var key = '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49';
+  var filePath = path.resolve(testDir, '51', key);
+
+  function waitForFile(cache, callback) {
+    if (cache.index.has(key)) {
+      fs.existsSync(filePath).should.equal(true);
+      return callback();
+    }
+    setTimeout(function() {
+      waitForFile(cache, callback);
+    }, 5);
+  }
+
+  afterEach(function(done) {
+    rimraf(testDir, done);
+  });
+
+  describe('@constructor', function() {
+    it('will create the directory and default to the json codec', function() {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      fs.existsSync(testDir).should.equal(true);
+      cache.codec.should.equal(DiskCache.codecs.json);
+      cache.shouldPersist({}).should.equal(true);
+      cache.maxItems.should.equal(DiskCache.DEFAULT_MAX_ITEMS);
+    });
+    it('will create an instance without `new`', function() {
+      var cache = DiskCache({memory: LRU(10), path: testDir});
+      cache.should.be.an.instanceof(DiskCache);
+    });
+  });
+
+  describe('#_getFilePath', function() {
+    it('will give a path within a directory of the first two characters', function() {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache._getFilePath(key).should.equal(filePath);
+    });
+    it('will give null for keys that are not safe file names', function() {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      should.equal(cache._getFilePath('../../etc/passwd'), null);
+      should.equal(cache._getFilePath(100), null);
+    });
+  });
+
+  describe('#set/#get/#fetch', function() {
+    it('will write items and read them after the memory tier is reset', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.set(key, {height: 10});
+      cache.get(key).should.deep.equal({height: 10});
+      waitForFile(cache, function() {
+        cache.reset();
+        should.equal(cache.memory.get(key), undefined);
+        should.equal(cache.get(key), undefined);
+        cache.fetch(key, function(err, value) {
+          should.not.exist(err);
+          value.should.deep.equal({height: 10});
+          cache.memory.get(key).should.deep.equal({height: 10});
+          done();
+        });
+      });
+    });
+    it('will read items without blocking', function(done) {
+      var sandbox = sinon.sandbox.create();
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        cache.reset();
+        sandbox.spy(fs, 'readFileSync');
+        sandbox.spy(fs, 'readFile');
+        cache.fetch(key, function(err, value) {
+          var readFileCount = fs.readFile.callCount;
+          var readFileSyncCount = fs.readFileSync.callCount;
+          sandbox.restore();
+          value.should.deep.equal({height: 10});
+          readFileCount.should.equal(1);
+          readFileSyncCount.should.equal(0);
+          done();
+        });
+      });
+    });
+    it('will not add an item that is removed while it is read', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        cache.reset();
+        cache.fetch(key, function(err, value) {
+          should.equal(value, undefined);
+          should.equal(cache.memory.get(key), undefined);
+          done();
+        });
+        cache.del(key);
+      });
+    });
+    it('will keep items across instances', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir, codec: DiskCache.codecs.buffer});
+      cache.set(key, new Buffer('abcdef', 'hex'));
+      waitForFile(cache, function() {
+        var cache2 = new DiskCache({memory: LRU(10), path: testDir, codec: DiskCache.codecs.buffer});
+        cache2.load(function(err) {
+          if (err) {
+            return done(err);
+          }
+          cache2.fetch(key, function(err, value) {
+            value.toString('hex').should.equal('abcdef');
+            done();
+          });
+        });
+      });
+    });
+    it('will not write items that should not be persisted', function(done) {
+      var cache = new DiskCache({
+        memory: LRU(10),
+        path: testDir,
+        shouldPersist: function(value) {
+          return value.height >= 0;
+        }
+      });
+      cache.set(key, {height: -1});
+      setTimeout(function() {
+        fs.existsSync(filePath).should.equal(false);
+        cache.get(key).should.deep.equal({height: -1});
+        done();
+      }, 20);
+    });
+    it('will give undefined for an unknown key without reading from disk', function(done) {
+      var sandbox = sinon.sandbox.create();
+      sandbox.spy(fs, 'readFile');
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.fetch(key, function(err, value) {
+        should.equal(value, undefined);
+        cache.fetch('a-b', function(err, value) {
+          should.equal(value, undefined);
+          fs.readFile.callCount.should.equal(0);
+          sandbox.restore();
+          done();
+        });
+      });
+    });
+    it('will not write an item that is already on disk', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        var sandbox = sinon.sandbox.create();
+        sandbox.spy(fs, 'writeFile');
+        cache.set(key, {height: 10});
+        fs.writeFile.callCount.should.equal(0);
+        sandbox.restore();
+        done();
+      });
+    });
+    it('will remove the least recently used files beyond the max items', function(done) {
+      var key2 = 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479';
+      var filePath2 = path.resolve(testDir, 'de', key2);
+      var cache = new DiskCache({memory: LRU(10), path: testDir, maxItems: 1});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        cache.set(key2, {height: 11});
+        setTimeout(function() {
+          fs.existsSync(filePath).should.equal(false);
+          fs.existsSync(filePath2).should.equal(true);
+          cache.memory.reset();
+          cache.fetch(key, function(err, value) {
+            should.equal(value, undefined);
+            cache.fetch(key2, function(err, value) {
+              value.should.deep.equal({height: 11});
+              done();
+            });
+          });
+        }, 20);
+      });
+    });
+    it('will log and give undefined for an unreadable item', function(done) {
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'warn');
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, 'not json');
+      cache.index.set(key, true);
+      cache.fetch(key, function(err, value) {
+        var warnCount = log.warn.callCount;
+        sandbox.restore();
+        should.equal(value, undefined);
+        warnCount.should.equal(1);
+        cache.index.has(key).should.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('#load', function() {
+    it('will index the files on disk and remove temporary files', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, JSON.stringify({height: 10}));
+      fs.writeFileSync(filePath + '.tmp', '{');
+      cache.load(function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache.index.keys().should.deep.equal([key]);
+        cache.fetch(key, function(err, value) {
+          value.should.deep.equal({height: 10});
+          setTimeout(function() {
+            fs.existsSync(filePath + '.tmp').should.equal(false);
+            done();
+          }, 20);
+        });
+      });
+    });
+    it('will remove files beyond the max items', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir, maxItems: 1});
+      var key2 = 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479';
+      fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath, JSON.stringify({height: 10}));
+      fs.mkdirSync(path.resolve(testDir, 'de'));
+      fs.writeFileSync(path.resolve(testDir, 'de', key2), JSON.stringify({height: 11}));
+      cache.load(function(err) {
+        if (err) {
+          return done(err);
+        }
+        cache.index.itemCount.should.equal(1);
+        setTimeout(function() {
+          var files = fs.readdirSync(path.dirname(filePath)).concat(fs.readdirSync(path.resolve(testDir, 'de')));
+          files.length.should.equal(1);
+          done();
+        }, 20);
+      });
+    });
+  });
+
+  describe('#del', function() {
+    it('will remove the item from both tiers', function(done) {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        cache.del(key);
+        should.equal(cache.memory.get(key), undefined);
+        setTimeout(function() {
+          fs.existsSync(filePath).should.equal(false);
+          should.equal(cache.get(key), undefined);
+          done();
+        }, 20);
+      });
+    });
+  });
+
+  describe('#getStats', function() {
+    it('will give the stats of the memory tier with the disk tier', function(done) {
+      var cache = new DiskCache({memory: new Cache({max: 10}), path: testDir});
+      cache.set(key, {height: 10});
+      waitForFile(cache, function() {
+        cache.reset();
+        cache.fetch(key, function() {
+          cache.fetch('abcdef', function() {
+            var stats = cache.getStats();
+            stats.misses.should.equal(2);
+            stats.size.should.equal(1);
+            stats.diskHits.should.equal(1);
+            stats.diskMisses.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+    it('will give only the disk tier stats without memory stats', function() {
+      var cache = new DiskCache({memory: LRU(10), path: testDir});
+      cache.getStats().should.deep.equal({diskHits: 0, diskMisses: 0});
+    });
+  });
+
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+var should = require('chai').should();
+var Introspection = require('../lib/introspection');
+
+describe('Introspection', function() {
+
+  function getBlock(blockArg, callback) {
+    callback(null, blockArg);
+  }
+
+  function getBlockHashesByTimestamp(high /* timestamp */, low, callback) {
+    callback(null, [high, low]);
+  }
+
+  var methods = [
+    ['getBlock', {}, getBlock, 1, {
+      description: 'Will get a block',
+      params: [{name: 'blockArg', description: 'The block height or hash', schema: {type: ['string', 'integer']}}],
+      returns: {description: 'The block', schema: {type: 'object'}},
+      readOnly: true
+    }],
+    ['getBlockHashesByTimestamp', {}, getBlockHashesByTimestamp, 2],
+    ['getInfo', {}, getBlock.bind(null), 0, {readOnly: true}]
+  ];
+
+  var events = [
+    {
+      name: 'qtumd/hashblock',
+      description: 'Blocks that are added to the main chain',
+      data: [{name: 'blockhash', schema: {type: 'string'}}],
+      replay: function() {}
+    },
+    {
+      name: 'qtumd/addresstxid',
+      params: [{name: 'addresses', schema: {type: 'array'}}],
+      extraEvents: ['qtumd/addresstxid:error']
+    }
+  ];
+
+  describe('@constructor', function() {
+    it('will create an instance without `new` and with the defaults', function() {
+      var introspection = Introspection();
+      introspection.should.be.an.instanceof(Introspection);
+      introspection.title.should.equal('qtumcore-node');
+      introspection.version.should.be.a('string');
+      should.not.exist(introspection.restAPIPrefix);
+    });
+  });
+
+  describe('#_getArgumentNames', function() {
+    var introspection = new Introspection();
+    it('will give the names of the arguments', function() {
+      introspection._getArgumentNames(getBlock).should.deep.equal(['blockArg', 'callback']);
+      introspection._getArgumentNames(getBlockHashesByTimestamp).should.deep.equal(['high', 'low', 'callback']);
+      introspection._getArgumentNames(function() {}).should.deep.equal([]);
+    });
+    it('will give no names for bound functions', function() {
+      introspection._getArgumentNames(getBlock.bind(null)).should.deep.equal([]);
+      introspection._getArgumentNames(undefined).should.deep.equal([]);
+    });
+  });
+
+  describe('#describeMethod', function() {
+    var introspection = new Introspection();
+    it('will give the metadata of a method', function() {
+      introspection.describeMethod(methods[0]).should.deep.equal({
+        name: 'getBlock',
+        description: 'Will get a block',
+        params: [{name: 'blockArg', description: 'The block height or hash', schema: {type: ['string', 'integer']}}],
+        returns: {description: 'The block', schema: {type: 'object'}},
+        readOnly: true
+      });
+    });
+    it('will mark a restricted method', function() {
+      var method = ['sendTransaction', {}, getBlock, 1, {restricted: true}];
+      introspection.describeMethod(method).restricted.should.equal(true);
+      should.not.exist(introspection.describeMethod(methods[0]).restricted);
+    });
+    it('will name the params of a method without metadata from the arguments', function() {
+      introspection.describeMethod(methods[1]).should.deep.equal({
+        name: 'getBlockHashesByTimestamp',
+        params: [{name: 'high', schema: {}}, {name: 'low', schema: {}}],
+        returns: {schema: {}}
+      });
+    });
+    it('will name the params by position without the names of the arguments', function() {
+      var method = introspection.describeMethod(['sendTransaction', {}, getBlock.bind(null), 2]);
+      method.params.should.deep.equal([{name: 'param1', schema: {}}, {name: 'param2', schema: {}}]);
+    });
+  });
+
+  describe('#describeEvent', function() {
+    var introspection = new Introspection();
+    it('will give the metadata of an event', function() {
+      introspection.describeEvent(events[0]).should.deep.equal({
+        name: 'qtumd/hashblock',
+        description: 'Blocks that are added to the main chain',
+        params: [],
+        data: [{name: 'blockhash', schema: {type: 'string'}}],
+        resumable: true
+      });
+    });
+    it('will give the extra events', function() {
+      introspection.describeEvent(events[1]).should.deep.equal({
+        name: 'qtumd/addresstxid',
+        params: [{name: 'addresses', schema: {type: 'array'}}],
+        data: [],
+        resumable: false,
+        extraEvents: ['qtumd/addresstxid:error']
+      });
+    });
+  });
+
+  describe('#getDocument', function() {
+    var introspection = new Introspection({
+      title: 'Test',
+      version: '1.0.0',
+      restAPIPrefix: 'api',
+      jsonRPCPath: '/rpc',
+      eventStreamPath: '/events',
+      healthPath: '/health',
+      readyPath: '/ready',
+      metricsPath: '/metrics'
+    });
+    var document = introspection.getDocument(introspection.getCatalogue(methods, events));
+    it('will give an OpenAPI document', function() {
+      document.openapi.should.equal('3.1.0');
+      document.info.should.deep.equal({title: 'Test', version: '1.0.0'});
+      document.components.securitySchemes.apiKey.name.should.equal('X-API-Key');
+      Object.keys(document.paths).should.deep.equal([
+        '/api/getBlock',
+        '/api/getBlockHashesByTimestamp',
+        '/api/getInfo',
+        '/rpc',
+        '/events',
+        '/health',
+        '/ready',
+        '/metrics'
+      ]);
+    });
+    it('will give the routes of the methods', function() {
+      var path = document.paths['/api/getBlock'];
+      path.get.operationId.should.equal('getBlock');
+      path.get.summary.should.equal('Will get a block');
+      var schema = path.get.parameters[0].content['application/json'].schema;
+      schema.should.deep.equal({
+        type: 'array',
+        minItems: 1,
+        maxItems: 1,
+        prefixItems: [{title: 'blockArg', description: 'The block height or hash', type: ['string', 'integer']}]
+      });
+      path.post.requestBody.content['application/json'].schema.oneOf[0].should.equal(schema);
+      path.get.responses['200'].content['application/json'].schema.properties.result.should.deep.equal({
+        type: 'object'
+      });
+      path.get.responses['404'].should.deep.equal({$ref: '#/components/responses/Error'});
+    });
+    it('will only give a GET route for read-only methods', function() {
+      var path = document.paths['/api/getBlockHashesByTimestamp'];
+      should.not.exist(path.get);
+      path.post.operationId.should.equal('getBlockHashesByTimestampPost');
+    });
+    it('will give the routes of methods without params', function() {
+      var path = document.paths['/api/getInfo'];
+      path.get.parameters.should.deep.equal([]);
+      path.post.requestBody.required.should.equal(false);
+      should.not.exist(path.post.requestBody.content['application/json'].schema.oneOf[0].prefixItems);
+    });
+    it('will give the query parameters of the event stream', function() {
+      var parameters = document.paths['/events'].get.parameters;
+      parameters[0].name.should.equal('name');
+      parameters[0].required.should.equal(true);
+      parameters[0].in.should.equal('query');
+      parameters[1].required.should.equal(false);
+    });
+    it('will not require an API key for the health checks', function() {
+      document.paths['/health'].get.security.should.deep.equal([]);
+      document.paths['/ready'].get.security.should.deep.equal([]);
+      should.not.exist(document.paths['/metrics'].get.security);
+    });
+    it('will give the catalogue of the methods and events', function() {
+      document['x-rpc'].methods.length.should.equal(3);
+      document['x-rpc'].events.length.should.equal(2);
+      document['x-rpc'].events[0].resumable.should.equal(true);
+    });
+    it('will only give the routes that are enabled', function() {
+      var document = new Introspection({jsonRPCPath: '/rpc'}).getDocument({methods: [], events: []});
+      Object.keys(document.paths).should.deep.equal(['/rpc']);
+    });
+  });
+
+});
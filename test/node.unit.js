@@ -7,8 +7,10 @@ var Networks = qtumcore.Networks;
 var proxyquire = require('proxyquire');
 var util = require('util');
 var BaseService = require('../lib/service');
+var _ = qtumcore.deps._;
 var index = require('../lib');
 var log = index.log;
+var errors = require('../lib/errors');
 
 describe('Qtumcore Node', function() {
 
@@ -26,6 +28,26 @@ describe('Qtumcore Node', function() {
     Networks.disableRegtest();
   });
 
+  function createService(name, dependencies) {
+    function TestService(options) {
+      BaseService.call(this, options);
+    }
+    util.inherits(TestService, BaseService);
+    TestService.dependencies = dependencies;
+    TestService.prototype.start = sinon.spy(function(callback) {
+      setImmediate(callback);
+    });
+    TestService.prototype.stop = sinon.spy(function(callback) {
+      setImmediate(callback);
+    });
+    TestService.prototype.getAPIMethods = function() {
+      return [[name + 'Method', this, function() {
+        return this;
+      }, 0]];
+    };
+    return TestService;
+  }
+
   describe('@constructor', function() {
     var TestService;
     before(function() {
@@ -119,6 +141,13 @@ describe('Qtumcore Node', function() {
       var bus = node.openBus({remoteAddress: '127.0.0.1'});
       bus.remoteAddress.should.equal('127.0.0.1');
     });
+    it('will keep the bus until it is closed', function() {
+      var node = new Node(baseConfig);
+      var bus = node.openBus();
+      node._buses.should.deep.equal([bus]);
+      bus.close();
+      node._buses.should.deep.equal([]);
+    });
   });
 
   describe('#getAllAPIMethods', function() {
@@ -156,6 +185,154 @@ describe('Qtumcore Node', function() {
     });
   });
 
+  describe('#getServicePriority', function() {
+    it('will give the services in the method priority and then in the order of the services', function() {
+      var node = new Node({
+        methodPriority: ['c', 'unknown'],
+        services: [
+          {name: 'a', module: createService('a', [])},
+          {name: 'b', module: createService('b', [])},
+          {name: 'c', module: createService('c', [])}
+        ]
+      });
+      node.services = {a: {}, c: {}, b: {}};
+      node.getServicePriority().should.deep.equal(['c', 'a', 'b']);
+    });
+    it('will give an error if the method priority is not an array', function() {
+      (function() {
+        return new Node({methodPriority: 'c'});
+      }).should.throw('Invalid Argument');
+    });
+  });
+
+  describe('#getAPIMethodsByService', function() {
+    it('will give the methods of each service in the priority of the services', function() {
+      var node = new Node({methodPriority: ['service2']});
+      node.services = {
+        service1: {
+          getAPIMethods: sinon.stub().returns(['mda1', 'mda2'])
+        },
+        service2: {
+          getAPIMethods: sinon.stub().returns(['mdb1'])
+        },
+        service3: {}
+      };
+      node.getAPIMethodsByService().should.deep.equal([
+        {name: 'service2', methods: ['mdb1']},
+        {name: 'service1', methods: ['mda1', 'mda2']}
+      ]);
+    });
+  });
+
+  describe('API namespaces', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createChainService(name, methodNames) {
+      var ChainService = createService(name, []);
+      ChainService.prototype.getAPIMethods = function() {
+        var self = this;
+        return methodNames.map(function(methodName) {
+          return [methodName, self, function() {
+            return name;
+          }, 0];
+        });
+      };
+      return ChainService;
+    }
+    it('will add the methods of the services with and without a namespace', function(done) {
+      var node = new Node({
+        services: [
+          {name: 'chain1', module: createChainService('chain1', ['getInfo', 'getBlock'])},
+          {name: 'chain2', module: createChainService('chain2', ['getInfo', 'getPeers'])}
+        ]
+      });
+      node.start(function(err) {
+        should.not.exist(err);
+        node.api.chain1.getInfo().should.equal('chain1');
+        node.api.chain2.getInfo().should.equal('chain2');
+        node.getInfo().should.equal('chain1');
+        node.getBlock().should.equal('chain1');
+        node.getPeers().should.equal('chain2');
+        node.stop(done);
+      });
+    });
+    it('will give the methods without a namespace to the next service when a service is removed', function(done) {
+      var node = new Node({
+        services: [
+          {name: 'chain1', module: createChainService('chain1', ['getInfo'])},
+          {name: 'chain2', module: createChainService('chain2', ['getInfo'])}
+        ]
+      });
+      node.start(function() {
+        node.removeService('chain1', function(err) {
+          should.not.exist(err);
+          should.not.exist(node.api.chain1);
+          node.getInfo().should.equal('chain2');
+          node.removeService('chain2', function(err) {
+            should.not.exist(err);
+            should.not.exist(node.getInfo);
+            node.stop(done);
+          });
+        });
+      });
+    });
+    it('will give the methods without a namespace to the instances of restarted services', function(done) {
+      sandbox.stub(log, 'error');
+      var node = new Node({
+        restart: {policy: 'on-failure', delay: 1},
+        services: [
+          {name: 'chain1', module: createService('chain1', [])},
+          {name: 'chain2', module: createService('chain2', [])}
+        ]
+      });
+      function getInfo() {
+        return this;
+      }
+      node._unloadedServices.forEach(function(serviceInfo) {
+        serviceInfo.module.prototype.getAPIMethods = function() {
+          return [['getInfo', this, getInfo, 0]];
+        };
+      });
+      node.start(function(err) {
+        should.not.exist(err);
+        var chain1 = node.services.chain1;
+        node.once('service:restarted', function(restart) {
+          restart.name.should.equal('chain2');
+          node.once('service:restarted', function(restart) {
+            restart.name.should.equal('chain1');
+            node.services.chain1.should.not.equal(chain1);
+            node._apiAliases.getInfo.should.equal('chain1');
+            node.getInfo().should.equal(node.services.chain1);
+            node.api.chain2.getInfo().should.equal(node.services.chain2);
+            node.stop(done);
+          });
+          node.services.chain1.emit('fatal', new Error('test'));
+        });
+        node.services.chain2.emit('fatal', new Error('test'));
+      });
+    });
+    it('will only add methods with the name of a property of the node in the namespace', function(done) {
+      var node = new Node({
+        services: [
+          {name: 'chain1', module: createChainService('chain1', ['getNetworkName'])}
+        ]
+      });
+      node.start(function(err) {
+        should.not.exist(err);
+        node.getNetworkName().should.equal('livenet');
+        node.api.chain1.getNetworkName().should.equal('chain1');
+        log.warn.args[0][0].should.equal('API method chain1.getNetworkName has the name of a property of the node');
+        node.stop(done);
+      });
+    });
+  });
+
   describe('#getAllPublishEvents', function() {
     it('should return services publish events', function() {
       var node = new Node(baseConfig);
@@ -189,6 +366,23 @@ describe('Qtumcore Node', function() {
     });
   });
 
+  describe('#getAllMetrics', function() {
+    it('should return services metrics', function() {
+      var node = new Node(baseConfig);
+      node.services = {
+        db: {
+          getMetrics: sinon.stub().returns([{name: 'db1'}])
+        },
+        service1: {},
+        service2: {
+          getMetrics: sinon.stub().returns([{name: 'mdb1'}, {name: 'mdb2'}])
+        }
+      };
+      var metrics = node.getAllMetrics();
+      metrics.should.deep.equal([{name: 'db1'}, {name: 'mdb1'}, {name: 'mdb2'}]);
+    });
+  });
+
   describe('#getServiceOrder', function() {
     it('should return the services in the correct order', function() {
       var node = new Node(baseConfig);
@@ -224,6 +418,86 @@ describe('Qtumcore Node', function() {
       order[2].name.should.equal('db');
       order[3].name.should.equal('chain');
     });
+    it('will give the path of a dependency cycle', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: ['a']}},
+        {name: 'a', module: {dependencies: ['b']}},
+        {name: 'b', module: {dependencies: ['c']}},
+        {name: 'c', module: {dependencies: ['a']}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError, 'Dependency cycle: a -> b -> c -> a');
+    });
+    it('will give an error for a missing dependency', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: ['qtumd']}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError, 'Required dependency "qtumd" of service "web" not available');
+    });
+    it('will start services after the optional dependencies that are available', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: [], optionalDependencies: ['insight', 'wallet']}},
+        {name: 'insight', module: {dependencies: ['qtumd']}},
+        {name: 'qtumd', module: {dependencies: []}}
+      ];
+      _.pluck(node.getServiceOrder(), 'name').should.deep.equal(['qtumd', 'insight', 'web']);
+    });
+    it('will give a cycle of optional dependencies', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'a', module: {dependencies: [], optionalDependencies: ['b']}},
+        {name: 'b', module: {dependencies: ['a']}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError, 'Dependency cycle: a -> b -> a');
+    });
+    it('will check the version ranges of dependencies', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: ['qtumd@^5.0.0'], optionalDependencies: ['insight@~1.2.0']}},
+        {name: 'insight', version: '1.2.3', module: {dependencies: ['qtumd@>=5']}},
+        {name: 'qtumd', module: {version: '5.1.0', dependencies: []}}
+      ];
+      _.pluck(node.getServiceOrder(), 'name').should.deep.equal(['qtumd', 'insight', 'web']);
+    });
+    it('will give an error for a dependency that does not satisfy the version range', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: [], optionalDependencies: ['qtumd@^6.0.0']}},
+        {name: 'qtumd', module: {version: '5.1.0', dependencies: []}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError,
+                      'Service "web" requires "qtumd" version "^6.0.0", but the version is "5.1.0"');
+    });
+    it('will give an error for a dependency without a version', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: ['qtumd@^5.0.0']}},
+        {name: 'qtumd', module: {dependencies: []}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError, 'but the version is "undefined"');
+    });
+    it('will give an error for an invalid version range', function() {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'web', module: {dependencies: ['qtumd@not a range']}},
+        {name: 'qtumd', module: {version: '5.1.0', dependencies: []}}
+      ];
+      (function() {
+        node.getServiceOrder();
+      }).should.throw(errors.DependencyError, 'Invalid version range of dependency "qtumd@not a range"');
+    });
   });
 
   describe('#_startService', function() {
@@ -257,6 +531,7 @@ describe('Qtumcore Node', function() {
         }
         TestService.prototype.start.callCount.should.equal(1);
         should.exist(node.services.testservice);
+        node._startedServices.testservice.should.equal(true);
         should.exist(node.getData);
         node.getData();
         getData.callCount.should.equal(1);
@@ -301,6 +576,115 @@ describe('Qtumcore Node', function() {
       };
       node._startService(service, function(err) {
         err.message.should.equal('test');
+        should.not.exist(node._startedServices.testservice);
+      });
+    });
+  });
+
+  describe('#checkReadiness', function() {
+    var READINESS_TIMEOUT;
+    beforeEach(function() {
+      READINESS_TIMEOUT = Node.READINESS_TIMEOUT;
+    });
+    afterEach(function() {
+      Node.READINESS_TIMEOUT = READINESS_TIMEOUT;
+    });
+    function createNode() {
+      var node = new Node(baseConfig);
+      node.getServiceOrder = sinon.stub().returns([{name: 'qtumd'}, {name: 'web'}]);
+      node.services = {
+        qtumd: {
+          checkReadiness: sinon.stub().callsArgWith(0, null, [
+            {name: 'qtumd/synced', ready: true, message: 'Synced 100.00%'}
+          ])
+        },
+        web: {}
+      };
+      node._startedServices = {qtumd: true, web: true};
+      return node;
+    }
+    it('will be ready if the services are started and their checks pass', function(done) {
+      var node = createNode();
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.should.deep.equal({
+          ready: true,
+          checks: [
+            {name: 'node', ready: true, message: 'Running'},
+            {name: 'service/qtumd', ready: true, message: 'Started'},
+            {name: 'service/web', ready: true, message: 'Started'},
+            {name: 'qtumd/synced', ready: true, message: 'Synced 100.00%'}
+          ]
+        });
+        done();
+      });
+    });
+    it('will not be ready until every service is started', function(done) {
+      var node = createNode();
+      node._startedServices = {qtumd: true};
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.ready.should.equal(false);
+        readiness.checks[2].should.deep.equal({name: 'service/web', ready: false, message: 'Not started'});
+        done();
+      });
+    });
+    it('will not check services that are not started', function(done) {
+      var node = createNode();
+      node._startedServices = {};
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.ready.should.equal(false);
+        readiness.checks.length.should.equal(3);
+        node.services.qtumd.checkReadiness.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will not be ready while stopping', function(done) {
+      var node = createNode();
+      node.stopping = true;
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.ready.should.equal(false);
+        readiness.checks[0].should.deep.equal({name: 'node', ready: false, message: 'Stopping'});
+        done();
+      });
+    });
+    it('will not be ready if a check fails or gives an error', function(done) {
+      var node = createNode();
+      node.services.qtumd.checkReadiness = sinon.stub().callsArgWith(0, new Error('test'));
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.ready.should.equal(false);
+        readiness.checks[3].should.deep.equal({name: 'qtumd', ready: false, message: 'test'});
+        done();
+      });
+    });
+    it('will not be ready if a service does not respond', function(done) {
+      Node.READINESS_TIMEOUT = 10;
+      var node = createNode();
+      node.services.qtumd.checkReadiness = sinon.stub();
+      node.checkReadiness(function(err, readiness) {
+        if (err) {
+          return done(err);
+        }
+        readiness.ready.should.equal(false);
+        readiness.checks[3].should.deep.equal({
+          name: 'qtumd',
+          ready: false,
+          message: 'Timed out checking readiness'
+        });
+        done();
       });
     });
   });
@@ -309,10 +693,24 @@ describe('Qtumcore Node', function() {
     var sandbox = sinon.sandbox.create();
     beforeEach(function() {
       sandbox.stub(log, 'info');
+      sandbox.stub(log, 'error');
     });
     afterEach(function() {
       sandbox.restore();
     });
+    it('will give an error for a dependency cycle', function(done) {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'a', module: {dependencies: ['b']}},
+        {name: 'b', module: {dependencies: ['a']}}
+      ];
+      node.start(function(err) {
+        err.should.be.an.instanceof(errors.DependencyError);
+        err.message.should.equal('Dependency cycle: a -> b -> a');
+        node.started.should.equal(false);
+        done();
+      });
+    });
     it('will call start for each service', function(done) {
       var node = new Node(baseConfig);
 
@@ -356,13 +754,15 @@ describe('Qtumcore Node', function() {
         done();
       });
     });
-    it('will error if there are conflicting API methods', function(done) {
-      var node = new Node(baseConfig);
+    it('will give conflicting API methods by the priority of the services', function(done) {
+      var node = new Node({methodPriority: ['conflict']});
 
       function TestService() {}
       util.inherits(TestService, BaseService);
       TestService.prototype.start = sinon.stub().callsArg(0);
-      TestService.prototype.getData = function() {};
+      TestService.prototype.getData = function() {
+        return 'test';
+      };
       TestService.prototype.getAPIMethods = function() {
         return [
           ['getData', this, this.getData, 1]
@@ -372,7 +772,9 @@ describe('Qtumcore Node', function() {
       function ConflictService() {}
       util.inherits(ConflictService, BaseService);
       ConflictService.prototype.start = sinon.stub().callsArg(0);
-      ConflictService.prototype.getData = function() {};
+      ConflictService.prototype.getData = function() {
+        return 'conflict';
+      };
       ConflictService.prototype.getAPIMethods = function() {
         return [
           ['getData', this, this.getData, 1]
@@ -393,8 +795,10 @@ describe('Qtumcore Node', function() {
       ]);
 
       node.start(function(err) {
-        should.exist(err);
-        err.message.should.match(/^Existing API method\(s\) exists\:/);
+        should.not.exist(err);
+        node.getData().should.equal('conflict');
+        node.api.test.getData().should.equal('test');
+        node.api.conflict.getData().should.equal('conflict');
         done();
       });
 
@@ -423,6 +827,188 @@ describe('Qtumcore Node', function() {
     });
   });
 
+  describe('#_startServices', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createSlowService(name, dependencies) {
+      var SlowService = createService(name, dependencies);
+      SlowService.prototype.start = sinon.spy(function(callback) {
+        SlowService.callback = callback;
+      });
+      return SlowService;
+    }
+    it('will start services while a service that they don\'t depend on is starting', function(done) {
+      var A = createSlowService('a', []);
+      var B = createService('b', []);
+      var C = createService('c', ['b']);
+      var D = createService('d', ['a', 'c']);
+      var node = new Node({
+        services: [
+          {name: 'a', module: A},
+          {name: 'b', module: B},
+          {name: 'c', module: C},
+          {name: 'd', module: D}
+        ]
+      });
+      node.start(function(err) {
+        should.not.exist(err);
+        D.prototype.start.callCount.should.equal(1);
+        node.started.should.equal(true);
+        node.stop(done);
+      });
+      setTimeout(function() {
+        B.prototype.start.callCount.should.equal(1);
+        C.prototype.start.callCount.should.equal(1);
+        D.prototype.start.callCount.should.equal(0);
+        A.callback();
+      }, 10);
+    });
+    it('will give an error naming a service that doesn\'t start within its timeout', function(done) {
+      var node = new Node({
+        startTimeout: 10000,
+        services: [
+          {name: 'a', module: createSlowService('a', []), config: {startTimeout: 10}},
+          {name: 'b', module: createService('b', ['a'])}
+        ]
+      });
+      node.start(function(err) {
+        err.should.be.an.instanceof(errors.StartTimeoutError);
+        err.message.should.equal('Service "a" did not start within 10ms');
+        should.not.exist(node.services.b);
+        node.started.should.equal(false);
+        done();
+      });
+    });
+    it('will stop a service that starts after its timeout', function(done) {
+      var A = createSlowService('a', []);
+      var node = new Node({
+        startTimeout: 10,
+        services: [
+          {name: 'a', module: A}
+        ]
+      });
+      node.start(function(err) {
+        err.should.be.an.instanceof(errors.StartTimeoutError);
+        should.not.exist(node.services.a);
+        A.callback();
+        setImmediate(function() {
+          A.prototype.stop.callCount.should.equal(1);
+          should.not.exist(node.aMethod);
+          should.not.exist(node._startedServices.a);
+          done();
+        });
+      });
+    });
+    it('will have a finite start timeout by default', function() {
+      Node.DEFAULT_START_TIMEOUT.should.equal(120000);
+      new Node({})._startTimeout.should.equal(120000);
+    });
+    it('will wait without a timeout with a start timeout of 0', function(done) {
+      var A = createSlowService('a', []);
+      var node = new Node({
+        startTimeout: 0,
+        services: [
+          {name: 'a', module: A}
+        ]
+      });
+      node.start(function(err) {
+        should.not.exist(err);
+        node.started.should.equal(true);
+        done();
+      });
+      setTimeout(function() {
+        A.callback();
+      }, 20);
+    });
+    it('will use the start timeout of the module of a service', function(done) {
+      var A = createSlowService('a', []);
+      A.startTimeout = 10;
+      var node = new Node({
+        startTimeout: 10000,
+        services: [
+          {name: 'a', module: A}
+        ]
+      });
+      node.start(function(err) {
+        err.message.should.equal('Service "a" did not start within 10ms');
+        done();
+      });
+    });
+    it('will use the start timeout of the config of a service before the one of its module', function(done) {
+      var A = createSlowService('a', []);
+      A.startTimeout = 0;
+      var node = new Node({
+        services: [
+          {name: 'a', module: A, config: {startTimeout: 10}}
+        ]
+      });
+      node.start(function(err) {
+        err.message.should.equal('Service "a" did not start within 10ms');
+        done();
+      });
+    });
+    it('will use the start timeout of the node', function(done) {
+      var node = new Node({
+        startTimeout: 10,
+        services: [
+          {name: 'a', module: createSlowService('a', [])}
+        ]
+      });
+      node.start(function(err) {
+        err.message.should.equal('Service "a" did not start within 10ms');
+        done();
+      });
+    });
+    it('will not start the services that depend on a service that failed to start', function(done) {
+      var B = createService('b', []);
+      B.prototype.start = sinon.stub().callsArgWith(0, new Error('test'));
+      var C = createService('c', ['b']);
+      var D = createService('d', ['c']);
+      var node = new Node({
+        services: [
+          {name: 'b', module: B},
+          {name: 'c', module: C},
+          {name: 'd', module: D}
+        ]
+      });
+      node._startServices(node.getServiceOrder(), function(failures) {
+        failures.length.should.equal(1);
+        failures[0].serviceInfo.name.should.equal('b');
+        C.prototype.start.callCount.should.equal(0);
+        D.prototype.start.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('will wait for the other services that are starting when a service fails to start', function(done) {
+      var A = createSlowService('a', []);
+      var B = createService('b', []);
+      B.prototype.start = sinon.stub().callsArgWith(0, new Error('test'));
+      var node = new Node({
+        services: [
+          {name: 'a', module: A},
+          {name: 'b', module: B}
+        ]
+      });
+      var started = sinon.stub();
+      node.start(function(err) {
+        err.message.should.equal('test');
+        started.callCount.should.equal(1);
+        done();
+      });
+      setTimeout(function() {
+        started();
+        A.callback();
+      }, 10);
+    });
+  });
+
   describe('#getNetworkName', function() {
     afterEach(function() {
       qtumcore.Networks.disableRegtest();
@@ -482,5 +1068,546 @@ describe('Qtumcore Node', function() {
         done();
       });
     });
+    it('will stop services after the services that depend on them', function(done) {
+      var A = createService('a', []);
+      var B = createService('b', ['a']);
+      var C = createService('c', []);
+      var node = new Node({
+        services: [
+          {name: 'a', module: A},
+          {name: 'b', module: B},
+          {name: 'c', module: C}
+        ]
+      });
+      node.start(function() {
+        node.stop(function() {
+          B.prototype.stop.calledBefore(A.prototype.stop).should.equal(true);
+          C.prototype.stop.callCount.should.equal(1);
+          done();
+        });
+      });
+    });
+    it('will stop a node with a dependency cycle', function(done) {
+      var node = new Node(baseConfig);
+      node._unloadedServices = [
+        {name: 'a', module: {dependencies: ['b']}},
+        {name: 'b', module: {dependencies: ['a']}}
+      ];
+      node.stop(done);
+    });
+  });
+
+  describe('supervision', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    function createNode(restart) {
+      return new Node({
+        restart: restart,
+        services: [
+          {name: 'a', module: createService('a', [])},
+          {name: 'b', module: createService('b', ['a']), config: {restart: {delay: 5}}},
+          {name: 'c', module: createService('c', [])}
+        ]
+      });
+    }
+
+    describe('#_getRestartOptions', function() {
+      it('will give the options of the service, then the node, then the defaults', function() {
+        var node = createNode({policy: 'on-failure', delay: 10});
+        node._getRestartOptions(node._unloadedServices[0]).should.deep.equal({
+          policy: 'on-failure',
+          maxRestarts: 5,
+          delay: 10,
+          maxDelay: 60000,
+          resetTime: 300000
+        });
+        node._getRestartOptions(node._unloadedServices[1]).delay.should.equal(5);
+        new Node({})._getRestartOptions({name: 'a'}).policy.should.equal('on-failure');
+      });
+      it('will throw with an unknown policy', function() {
+        var node = createNode({policy: 'always'});
+        (function() {
+          node._getRestartOptions(node._unloadedServices[0]);
+        }).should.throw('Unknown restart policy "always" of service "a"');
+      });
+    });
+
+    describe('#_getRestartDelay', function() {
+      var node;
+      before(function() {
+        node = new Node(baseConfig);
+      });
+      it('will give the delay', function() {
+        var options = {policy: 'on-failure', delay: 1000, maxDelay: 5000};
+        node._getRestartDelay(options, 0).should.equal(1000);
+        node._getRestartDelay(options, 3).should.equal(1000);
+      });
+      it('will double the delay with backoff up to the maximum', function() {
+        var options = {policy: 'backoff', delay: 1000, maxDelay: 5000};
+        node._getRestartDelay(options, 0).should.equal(1000);
+        node._getRestartDelay(options, 1).should.equal(2000);
+        node._getRestartDelay(options, 2).should.equal(4000);
+        node._getRestartDelay(options, 3).should.equal(5000);
+      });
+    });
+
+    describe('#_getDependents', function() {
+      it('will give the services that depend on a service in order', function() {
+        var node = new Node({
+          services: [
+            {name: 'd', module: createService('d', ['b'])},
+            {name: 'a', module: createService('a', [])},
+            {name: 'b', module: createService('b', ['a'])},
+            {name: 'c', module: createService('c', [])}
+          ]
+        });
+        _.pluck(node._getDependents('a'), 'name').should.deep.equal(['b', 'd']);
+        _.pluck(node._getDependents('b'), 'name').should.deep.equal(['d']);
+        node._getDependents('c').should.deep.equal([]);
+      });
+    });
+
+    it('will give an error to start with an unknown policy before starting the services', function(done) {
+      var node = createNode();
+      node._unloadedServices[1].config.restart.policy = 'always';
+      node.start(function(err) {
+        err.message.should.equal('Invalid Argument: Unknown restart policy "always" of service "b"');
+        node._unloadedServices[0].module.prototype.start.callCount.should.equal(0);
+        should.not.exist(node.services.a);
+        done();
+      });
+    });
+
+    it('will supervise services without a restart policy', function(done) {
+      var node = createNode();
+      node.start(function(err) {
+        should.not.exist(err);
+        node.services.a.listeners('fatal').length.should.equal(1);
+        node.stop(done);
+      });
+    });
+
+    it('will not supervise services with the "never" policy', function(done) {
+      var node = createNode({policy: 'never'});
+      node.start(function(err) {
+        should.not.exist(err);
+        node.services.a.listeners('fatal').length.should.equal(0);
+        node.stop(done);
+      });
+    });
+
+    it('will not restart a service for an error event', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function(err) {
+        should.not.exist(err);
+        var a = node.services.a;
+        a.on('error', sinon.stub());
+        a.emit('error', new Error('test'));
+        setTimeout(function() {
+          node.services.a.should.equal(a);
+          node._startedServices.a.should.equal(true);
+          a.start.callCount.should.equal(1);
+          node.stop(done);
+        }, 10);
+      });
+    });
+
+    it('will repeat the subscriptions of open buses to the restarted services', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function(err) {
+        should.not.exist(err);
+        var bus = node.openBus();
+        var closed = node.openBus();
+        sinon.spy(bus, 'resubscribe');
+        sinon.spy(closed, 'resubscribe');
+        closed.close();
+        node.on('service:restarted', function() {
+          bus.resubscribe.args.should.deep.equal([[['a', 'b']]]);
+          closed.resubscribe.callCount.should.equal(0);
+          node.stop(done);
+        });
+        node.services.a.emit('fatal', new Error('test'));
+      });
+    });
+
+    it('will unsubscribe open buses from the stopped services before stopping them', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function(err) {
+        should.not.exist(err);
+        var a = node.services.a;
+        var bus = node.openBus();
+        sinon.spy(bus, 'unsubscribeService');
+        node.on('service:restarted', function() {
+          bus.unsubscribeService.callCount.should.equal(2);
+          var call = bus.unsubscribeService.withArgs(a);
+          call.callCount.should.equal(1);
+          call.calledBefore(a.stop).should.equal(true);
+          node.stop(done);
+        });
+        a.emit('fatal', new Error('test'));
+      });
+    });
+
+    it('will restart a service and its dependents', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function(err) {
+        should.not.exist(err);
+        var a = node.services.a;
+        var b = node.services.b;
+        var c = node.services.c;
+        node.on('service:restarted', function(restart) {
+          restart.should.deep.equal({name: 'a', restarts: 1, dependents: ['b']});
+          a.stop.callCount.should.equal(1);
+          a.start.callCount.should.equal(2);
+          node.services.a.should.not.equal(a);
+          node.services.b.should.not.equal(b);
+          node.services.c.should.equal(c);
+          node.aMethod().should.equal(node.services.a);
+          node.bMethod().should.equal(node.services.b);
+          node._startedServices.should.deep.equal({a: true, b: true, c: true});
+          node.stop(done);
+        });
+        a.emit('fatal', new Error('test'));
+        should.not.exist(node._startedServices.a);
+      });
+    });
+
+    it('will ignore errors of a service that is restarting or has been replaced', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function() {
+        var a = node.services.a;
+        node._scheduleRestart = sinon.spy(node._scheduleRestart);
+        node.on('service:restarted', function() {
+          a.emit('fatal', new Error('replaced'));
+          node._scheduleRestart.callCount.should.equal(1);
+          node.stop(done);
+        });
+        a.emit('fatal', new Error('test'));
+        a.emit('fatal', new Error('restarting'));
+      });
+    });
+
+    it('will restart a service again if it fails to start', function(done) {
+      var node = createNode({policy: 'backoff', delay: 1});
+      node.start(function() {
+        var Service = node._unloadedServices[0].module;
+        Service.prototype.start = sinon.stub();
+        Service.prototype.start.onFirstCall().callsArgWith(0, new Error('start'));
+        Service.prototype.start.callsArg(0);
+        node.on('service:restarted', function(restart) {
+          restart.should.deep.equal({name: 'a', restarts: 2, dependents: ['b']});
+          Service.prototype.start.callCount.should.equal(2);
+          node.stop(done);
+        });
+        node.services.a.emit('fatal', new Error('test'));
+      });
+    });
+
+    it('will stop a service and its dependents after the maximum restarts', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1, maxRestarts: 1});
+      node.start(function() {
+        node.once('service:restarted', function() {
+          node.services.a.emit('fatal', new Error('again'));
+        });
+        node.on('service:failed', function(failure) {
+          failure.name.should.equal('a');
+          failure.error.message.should.equal('again');
+          failure.restarts.should.equal(1);
+          failure.dependents.should.deep.equal(['b']);
+          should.not.exist(node.services.a);
+          should.not.exist(node.services.b);
+          should.not.exist(node.aMethod);
+          node.checkReadiness(function(err, readiness) {
+            readiness.checks[1].should.deep.equal({name: 'service/a', ready: false, message: 'Failed: again'});
+            readiness.checks[2].should.deep.equal({name: 'service/b', ready: false, message: 'Not started'});
+            readiness.checks[3].ready.should.equal(true);
+            node.stop(done);
+          });
+        });
+        node.services.a.emit('fatal', new Error('test'));
+      });
+    });
+
+    it('will not restart a service after the node is stopped', function(done) {
+      var node = createNode({policy: 'on-failure', delay: 1});
+      node.start(function() {
+        var a = node.services.a;
+        node.services.a.emit('fatal', new Error('test'));
+        node.stop(function() {
+          setTimeout(function() {
+            node.services.a.should.equal(a);
+            a.start.callCount.should.equal(1);
+            done();
+          }, 10);
+        });
+      });
+    });
+  });
+
+  describe('#addService', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createNode() {
+      return new Node({
+        services: [
+          {name: 'a', module: createService('a', [])}
+        ]
+      });
+    }
+    it('will start a service on a running node', function(done) {
+      var node = createNode();
+      var added = sinon.stub();
+      node.on('service:added', added);
+      node.start(function() {
+        node.addService({name: 'b', module: createService('b', ['a']), config: {}}, function(err) {
+          should.not.exist(err);
+          node._startedServices.b.should.equal(true);
+          node.bMethod().should.equal(node.services.b);
+          added.args[0][0].should.deep.equal({name: 'b'});
+          _.pluck(node.getServiceOrder(), 'name').should.deep.equal(['a', 'b']);
+          node.stop(done);
+        });
+      });
+    });
+    it('will start a service with the other services if the node is not started', function(done) {
+      var node = createNode();
+      node.addService({name: 'b', module: createService('b', ['a'])}, function(err) {
+        should.not.exist(err);
+        should.not.exist(node.services.b);
+        node.start(function() {
+          node._startedServices.b.should.equal(true);
+          node.stop(done);
+        });
+      });
+    });
+    it('will add a service that is added while the node is starting after the start', function(done) {
+      var A = createService('a', []);
+      var callback;
+      A.prototype.start = function(next) {
+        callback = next;
+      };
+      var node = new Node({
+        services: [
+          {name: 'a', module: A}
+        ]
+      });
+      var started = false;
+      node.start(function(err) {
+        should.not.exist(err);
+        started = true;
+      });
+      setImmediate(function() {
+        node.addService({name: 'b', module: createService('b', ['a'])}, function(err) {
+          should.not.exist(err);
+          started.should.equal(true);
+          node._startedServices.b.should.equal(true);
+          should.exist(node.services.b);
+          node.stop(done);
+        });
+        setImmediate(function() {
+          callback();
+        });
+      });
+    });
+    it('will give an error if a dependency is not started', function(done) {
+      var node = createNode();
+      node.start(function() {
+        node.addService({name: 'b', module: createService('b', ['c'])}, function(err) {
+          err.message.should.equal('Required dependency "c" of service "b" not available');
+          err.should.be.an.instanceof(errors.DependencyError);
+          should.not.exist(node.services.b);
+          node._unloadedServices.length.should.equal(1);
+          node.stop(done);
+        });
+      });
+    });
+    it('will give an error if the service exists or is invalid', function(done) {
+      var node = createNode();
+      node.addService({name: 'a', module: createService('a', [])}, function(err) {
+        err.message.should.equal('Service "a" already exists');
+        node.addService({name: 'b'}, function(err) {
+          err.should.be.an.instanceof(TypeError);
+          var config = {restart: {policy: 'x'}};
+          node.addService({name: 'b', module: createService('b', []), config: config}, function(err) {
+            err.message.should.equal('Invalid Argument: Unknown restart policy "x" of service "b"');
+            done();
+          });
+        });
+      });
+    });
+    it('will give an error if the service does not start within its timeout', function(done) {
+      var node = createNode();
+      node.start(function() {
+        var B = createService('b', []);
+        B.prototype.start = sinon.stub();
+        node.addService({name: 'b', module: B, config: {startTimeout: 10}}, function(err) {
+          err.should.be.an.instanceof(errors.StartTimeoutError);
+          should.not.exist(node.services.b);
+          node._unloadedServices.length.should.equal(1);
+          node.stop(done);
+        });
+      });
+    });
+    it('will stop a service that fails to start and remove it', function(done) {
+      var node = createNode();
+      node.start(function() {
+        var B = createService('b', []);
+        B.prototype.start = sinon.stub().callsArgWith(0, new Error('test'));
+        node.addService({name: 'b', module: B}, function(err) {
+          err.message.should.equal('test');
+          B.prototype.stop.callCount.should.equal(1);
+          should.not.exist(node.services.b);
+          should.not.exist(node.bMethod);
+          should.exist(node.aMethod);
+          node._unloadedServices.length.should.equal(1);
+          node.stop(done);
+        });
+      });
+    });
+  });
+
+  describe('#removeService', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'warn');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createNode() {
+      return new Node({
+        services: [
+          {name: 'a', module: createService('a', [])},
+          {name: 'b', module: createService('b', ['a']), config: {restart: {policy: 'on-failure', delay: 1}}}
+        ]
+      });
+    }
+    it('will stop a service and remove it', function(done) {
+      var node = createNode();
+      var removed = sinon.stub();
+      node.on('service:removed', removed);
+      node.start(function() {
+        var b = node.services.b;
+        node.removeService('b', function(err) {
+          should.not.exist(err);
+          b.stop.callCount.should.equal(1);
+          should.not.exist(node.services.b);
+          should.not.exist(node.bMethod);
+          removed.args[0][0].should.deep.equal({name: 'b', dependents: []});
+          _.pluck(node.getServiceOrder(), 'name').should.deep.equal(['a']);
+          node.stop(done);
+        });
+      });
+    });
+    it('will unsubscribe the open buses from the service', function(done) {
+      var node = createNode();
+      node.start(function() {
+        var b = node.services.b;
+        var bus = node.openBus();
+        sinon.spy(bus, 'unsubscribeService');
+        node.removeService('b', function(err) {
+          should.not.exist(err);
+          bus.unsubscribeService.args.should.deep.equal([[b]]);
+          node.stop(done);
+        });
+      });
+    });
+    it('will remove a service that is removed while the node is starting after the start', function(done) {
+      var node = createNode();
+      var started = false;
+      node.start(function(err) {
+        should.not.exist(err);
+        started = true;
+      });
+      node.removeService('b', function(err) {
+        should.not.exist(err);
+        started.should.equal(true);
+        should.not.exist(node.services.b);
+        node.stop(done);
+      });
+    });
+    it('will give an error if a service depends on the service', function(done) {
+      var node = createNode();
+      node.start(function() {
+        node.removeService('a', function(err) {
+          err.message.should.equal('Service "a" is required by: b');
+          node._startedServices.a.should.equal(true);
+          node.stop(done);
+        });
+      });
+    });
+    it('will start the services that have the service as an optional dependency again', function(done) {
+      var node = createNode();
+      var C = createService('c', []);
+      C.optionalDependencies = ['b'];
+      var removed = sinon.stub();
+      node.on('service:removed', removed);
+      node.addService({name: 'c', module: C}, function(err) {
+        should.not.exist(err);
+        node.start(function() {
+          var c = node.services.c;
+          node.removeService('b', function(err) {
+            should.not.exist(err);
+            c.stop.callCount.should.equal(1);
+            C.prototype.start.callCount.should.equal(2);
+            node.services.c.should.not.equal(c);
+            node._startedServices.c.should.equal(true);
+            node._getDependencyNames(node._unloadedServices[1]).should.deep.equal([]);
+            removed.args[0][0].should.deep.equal({name: 'b', dependents: ['c']});
+            node.stop(done);
+          });
+        });
+      });
+    });
+    it('will give an error if a service depends on a version of the service', function(done) {
+      var node = createNode();
+      var A = node._unloadedServices[0].module;
+      A.version = '1.0.0';
+      node.addService({name: 'c', module: createService('c', ['a@^1.0.0'])}, function(err) {
+        should.not.exist(err);
+        node.removeService('a', function(err) {
+          err.message.should.equal('Service "a" is required by: b, c');
+          done();
+        });
+      });
+    });
+    it('will give an error for an unknown service', function(done) {
+      var node = createNode();
+      node.removeService('c', function(err) {
+        err.message.should.equal('Unknown service "c"');
+        done();
+      });
+    });
+    it('will not restart a service that has been removed', function(done) {
+      var node = createNode();
+      node.start(function() {
+        var b = node.services.b;
+        b.emit('fatal', new Error('test'));
+        node.removeService('b', function(err) {
+          should.not.exist(err);
+          setTimeout(function() {
+            should.not.exist(node.services.b);
+            b.start.callCount.should.equal(1);
+            node.stop(done);
+          }, 10);
+        });
+      });
+    });
   });
 });
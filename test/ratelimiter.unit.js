@@ -0,0 +1,61 @@
+'use strict';
+
+var should = require('chai').should();
+var sinon = require('sinon');
+var RateLimiter = require('../lib/ratelimiter');
+
+describe('RateLimiter', function() {
+  var clock;
+  beforeEach(function() {
+    clock = sinon.useFakeTimers(1000000);
+  });
+  afterEach(function() {
+    clock.restore();
+  });
+
+  describe('@constructor', function() {
+    it('will create an instance without `new` and default the burst to the rate', function() {
+      var limiter = RateLimiter({rate: 10});
+      limiter.should.be.an.instanceof(RateLimiter);
+      limiter.rate.should.equal(10);
+      limiter.burst.should.equal(10);
+    });
+  });
+
+  describe('#consume', function() {
+    it('will allow requests up to the burst', function() {
+      var limiter = new RateLimiter({rate: 1, burst: 3});
+      limiter.consume('a').should.equal(true);
+      limiter.consume('a').should.equal(true);
+      limiter.consume('a').should.equal(true);
+      limiter.consume('a').should.equal(false);
+      limiter.consume('b').should.equal(true);
+    });
+    it('will refill at the rate', function() {
+      var limiter = new RateLimiter({rate: 2});
+      limiter.consume('a', 2).should.equal(true);
+      limiter.consume('a').should.equal(false);
+      clock.tick(500);
+      limiter.consume('a').should.equal(true);
+      limiter.consume('a').should.equal(false);
+      clock.tick(10000);
+      limiter.consume('a', 2).should.equal(true);
+      limiter.consume('a').should.equal(false);
+    });
+    it('will not take requests that are not allowed', function() {
+      var limiter = new RateLimiter({rate: 2});
+      limiter.consume('a').should.equal(true);
+      limiter.consume('a', 2).should.equal(false);
+      limiter.consume('a').should.equal(true);
+    });
+    it('will keep a limited number of buckets', function() {
+      var limiter = new RateLimiter({rate: 1, maxKeys: 2});
+      limiter.consume('a');
+      limiter.consume('b');
+      limiter.consume('c');
+      limiter.buckets.length.should.equal(2);
+      should.equal(limiter.buckets.get('a'), undefined);
+    });
+  });
+
+});
@@ -76,7 +76,8 @@ describe('#start', function() {
           return LocalService;
         } else if (p === 'local/package.json') {
           return {
-            name: 'local'
+            name: 'local',
+            version: '1.2.3'
           };
         }
       };
@@ -86,6 +87,34 @@ describe('#start', function() {
       var services = setupServices(testRequire, cwd, config);
       services[0].name.should.equal('local');
       services[0].module.should.equal(LocalService);
+      services[0].version.should.equal('1.2.3');
+      should.not.exist(LocalService.version);
+    });
+    it('will not change the version of a local module', function() {
+      function LocalService() {}
+      LocalService.dependencies = [];
+      LocalService.version = '2.0.0';
+      LocalService.prototype.start = sinon.stub();
+      LocalService.prototype.stop = sinon.stub();
+      var notfoundPath = path.resolve(__dirname, '../../lib/services/local');
+      var testRequire = function(p) {
+        if (p === notfoundPath) {
+          throw new Error();
+        } else if (p === 'local') {
+          return LocalService;
+        } else if (p === 'local/package.json') {
+          return {
+            name: 'local',
+            version: '1.2.3'
+          };
+        }
+      };
+      var config = {
+        services: ['local']
+      };
+      var services = setupServices(testRequire, cwd, config);
+      services[0].version.should.equal('1.2.3');
+      services[0].module.version.should.equal('2.0.0');
     });
     it('will require a local module with "qtumcoreNode" in package.json', function() {
       function LocalService() {}
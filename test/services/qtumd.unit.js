@@ -57,7 +57,9 @@ describe('Qtum Service', function() {
 			should.exist(qtumd.summaryCache);
 			should.exist(qtumd.transactionDetailedCache);
 			should.exist(qtumd.accountInfo);
+			should.exist(qtumd.tokenSupplyCache);
 
+			should.exist(qtumd.tokenInfoCache);
 			should.exist(qtumd.transactionCache);
 			should.exist(qtumd.rawTransactionCache);
 			should.exist(qtumd.rawJsonTransactionCache);
@@ -66,8 +68,12 @@ describe('Qtum Service', function() {
 			should.exist(qtumd.blockSubsidyCache);
 			should.exist(qtumd.rawBlockCache);
 			should.exist(qtumd.blockHeaderCache);
+			should.exist(qtumd.blockTokenTransfersCache);
 			should.exist(qtumd.zmqKnownTransactions);
 			should.exist(qtumd.zmqKnownBlocks);
+			qtumd.recentBlocks.should.deep.equal([]);
+			should.equal(qtumd.mempool, null);
+			qtumd.cacheNames.length.should.equal(21);
 			should.exist(qtumd.lastTip);
 			should.exist(qtumd.lastTipTimeout);
 			should.equal(qtumd.dgpInfoCache, null, 'should be null');
@@ -78,6 +84,7 @@ describe('Qtum Service', function() {
 			should.equal(qtumd.maxTxids, 1000);
 			should.equal(qtumd.maxTransactionHistory, 50);
 			should.equal(qtumd.maxAddressesQuery, 10000);
+			should.equal(qtumd.maxTokenBlocks, 144);
 			should.equal(qtumd.shutdownTimeout, 15000);
 
 			// spawn restart setting
@@ -90,6 +97,13 @@ describe('Qtum Service', function() {
 
 			// rpc limits
 			should.equal(qtumd.transactionConcurrency, 5);
+			should.equal(qtumd.reorgWindow, 100);
+
+			// health of the qtumd nodes in rotation
+			should.equal(qtumd.healthCheckInterval, 10000);
+			should.equal(qtumd.maxBlocksBehind, 2);
+			should.equal(qtumd.maxErrorRate, 0.5);
+			should.equal(qtumd.errorRateWindow, 10);
 
 			// sync progress level when zmq subscribes to events
 			should.equal(qtumd.zmqSubscribeProgress, 0.9999);
@@ -107,7 +121,11 @@ describe('Qtum Service', function() {
 				address: {},
 				rawtransaction: [],
 				hashblock: [],
+				reorg: [],
 				balance: {},
+				tokenAddress: {},
+				tokenContract: {},
+				txconfirmations: {}
 			});
 		});
 	});
@@ -128,12 +146,18 @@ describe('Qtum Service', function() {
 		});
 	});
 
+	describe('@startTimeout', function() {
+		it('will start without a timeout', function() {
+			QtumService.startTimeout.should.equal(0);
+		});
+	});
+
 	describe('#getAPIMethods', function() {
 		it('will return spec', function() {
 			var qtumd = new QtumService(baseConfig);
 			var methods = qtumd.getAPIMethods();
 			should.exist(methods);
-			methods.length.should.equal(33);
+			methods.length.should.equal(44);
 		});
 	});
 
@@ -142,7 +166,7 @@ describe('Qtum Service', function() {
 			var qtumd = new QtumService(baseConfig);
 			var events = qtumd.getPublishEvents();
 			should.exist(events);
-			events.length.should.equal(4);
+			events.length.should.equal(7);
 
 			events[0].name.should.equal('qtumd/rawtransaction');
 			events[0].scope.should.equal(qtumd);
@@ -153,6 +177,7 @@ describe('Qtum Service', function() {
 			events[1].scope.should.equal(qtumd);
 			events[1].subscribe.should.be.a('function');
 			events[1].unsubscribe.should.be.a('function');
+			events[1].replay.should.be.a('function');
 
 			events[2].name.should.equal('qtumd/addresstxid');
 			events[2].scope.should.equal(qtumd);
@@ -164,6 +189,33 @@ describe('Qtum Service', function() {
 			events[3].subscribe.should.be.a('function');
 			events[3].unsubscribe.should.be.a('function');
 
+			events[4].name.should.equal('qtumd/tokentransfer');
+			events[4].scope.should.equal(qtumd);
+			events[4].subscribe.should.be.a('function');
+			events[4].unsubscribe.should.be.a('function');
+
+			events[5].name.should.equal('qtumd/reorg');
+			events[5].scope.should.equal(qtumd);
+			events[5].subscribe.should.be.a('function');
+			events[5].unsubscribe.should.be.a('function');
+
+			events[6].name.should.equal('qtumd/txconfirmations');
+			events[6].scope.should.equal(qtumd);
+			events[6].subscribe.should.be.a('function');
+			events[6].unsubscribe.should.be.a('function');
+
+		});
+		it('will describe the params and data of the events', function() {
+			var qtumd = new QtumService(baseConfig);
+			var events = qtumd.getPublishEvents();
+			events.forEach(function(event) {
+				event.description.should.be.a('string');
+				event.data.length.should.equal(1);
+			});
+			should.not.exist(events[1].params);
+			events[2].params[0].name.should.equal('addresses');
+			events[4].params[0].name.should.equal('addressesOrContracts');
+			_.pluck(events[6].params, 'name').should.deep.equal(['txids', 'confirmations']);
 		});
 		it('will call subscribe/unsubscribe with correct args', function() {
 			var qtumd = new QtumService(baseConfig);
@@ -661,6 +713,8 @@ describe('Qtum Service', function() {
 				qtumd.summaryCache.set(keys[i], {});
 				qtumd.blockOverviewCache.set(keys[i], {});
 				qtumd.blockJsonCache.set(keys[i], {});
+				qtumd.tokenSupplyCache.set(keys[i], '1000');
+				qtumd.tokenInfoCache.set(keys[i], {});
 			}
 			qtumd._resetCaches();
 			should.equal(qtumd.transactionDetailedCache.get(keys[0]), undefined);
@@ -671,7 +725,8 @@ describe('Qtum Service', function() {
 			should.equal(qtumd.summaryCache.get(keys[0]), undefined);
 			should.equal(qtumd.blockOverviewCache.get(keys[0]), undefined);
 			should.equal(qtumd.blockJsonCache.get(keys[0]), undefined);
-
+			should.equal(qtumd.tokenSupplyCache.get(keys[0]), undefined);
+			should.exist(qtumd.tokenInfoCache.get(keys[0]));
 
 			should.equal(qtumd.dgpInfoCache, null, 'should be null');
 			should.equal(qtumd.miningInfoCache, null, 'should be null');
@@ -1079,6 +1134,40 @@ describe('Qtum Service', function() {
 			});
 			qtumd._zmqBlockHandler(node, message);
 		});
+		it('will notify token transfer subscribers', function() {
+			var qtumd = new QtumService(baseConfig);
+			var node = {};
+			var message = new Buffer('76843f1dfe455347d897e757ff5ff51a16a0f62b5d02a659c5680392de3a2b89', 'hex');
+			var transfers = [{}];
+			qtumd._rapidProtectedUpdateTip = sinon.stub();
+			qtumd._getBlockTokenTransfers = sinon.stub().callsArgWith(1, null, transfers);
+			qtumd._notifyTokenTransferSubscribers = sinon.stub();
+			qtumd.subscriptions.tokenAddress['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME'] = [new EventEmitter()];
+			qtumd._zmqBlockHandler(node, message);
+			qtumd._getBlockTokenTransfers.args[0][0].should.equal(message.toString('hex'));
+			qtumd._notifyTokenTransferSubscribers.args[0][0].should.equal(transfers);
+		});
+		it('will not read token transfers without subscribers', function() {
+			var qtumd = new QtumService(baseConfig);
+			var node = {};
+			var message = new Buffer('76843f1dfe455347d897e757ff5ff51a16a0f62b5d02a659c5680392de3a2b89', 'hex');
+			qtumd._rapidProtectedUpdateTip = sinon.stub();
+			qtumd._getBlockTokenTransfers = sinon.stub();
+			qtumd._zmqBlockHandler(node, message);
+			qtumd._getBlockTokenTransfers.callCount.should.equal(0);
+		});
+		it('will sync the mempool mirror', function() {
+			var qtumd = new QtumService(baseConfig);
+			var node = {};
+			var message = new Buffer('76843f1dfe455347d897e757ff5ff51a16a0f62b5d02a659c5680392de3a2b89', 'hex');
+			qtumd._rapidProtectedUpdateTip = sinon.stub();
+			qtumd._syncMempool = sinon.stub();
+			qtumd._zmqBlockHandler(node, message);
+			qtumd._syncMempool.callCount.should.equal(0);
+			qtumd.mempool = {};
+			qtumd._zmqBlockHandler(node, new Buffer('00000000000000000000000000000000000000000000000000000000000000aa', 'hex'));
+			qtumd._syncMempool.callCount.should.equal(1);
+		});
 	});
 
 	describe('#_rapidProtectedUpdateTip', function() {
@@ -1140,7 +1229,7 @@ describe('Qtum Service', function() {
 			qtumd.syncPercentage = sinon.stub().callsArgWith(0, null, 100);
 			qtumd.on('synced', function() {
 				qtumd.syncPercentage.callCount.should.equal(1);
-				node.client.getBlock.callCount.should.equal(1);
+				qtumd.tipQueue.length().should.equal(1);
 				done();
 			});
 			var node = {
@@ -1165,6 +1254,7 @@ describe('Qtum Service', function() {
 			};
 			qtumd._updateTip(node, message);
 			log.info.callCount.should.equal(1);
+			qtumd.lastSyncPercentage.should.equal(99);
 			done();
 		});
 		it('log and emit error from syncPercentage', function(done) {
@@ -1173,7 +1263,7 @@ describe('Qtum Service', function() {
 			qtumd.on('error', function(err) {
 				log.error.callCount.should.equal(1);
 				qtumd.syncPercentage.callCount.should.equal(1);
-				node.client.getBlock.callCount.should.equal(1);
+				qtumd.tipQueue.length().should.equal(1);
 				err.message.should.equal('test');
 				done();
 			});
@@ -1403,6 +1493,32 @@ describe('Qtum Service', function() {
 			var node = {};
 			qtumd._zmqTransactionHandler(node, expectedBuffer);
 			qtumd._zmqTransactionHandler(node, expectedBuffer);
+		});		it('will add the transaction to the mempool mirror', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.mempool = {};
+			qtumd._addMempoolTransaction = sinon.stub();
+			var node = {};
+			qtumd._zmqTransactionHandler(node, new Buffer(txhex, 'hex'));
+			qtumd._addMempoolTransaction.callCount.should.equal(1);
+			var txid = qtumcore.Transaction(txhex).hash;
+			qtumd._addMempoolTransaction.args[0][0].should.equal(txid);
+		});
+		it('will not add the transaction if the mempool is not loaded', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._addMempoolTransaction = sinon.stub();
+			var node = {};
+			qtumd._zmqTransactionHandler(node, new Buffer(txhex, 'hex'));
+			qtumd._addMempoolTransaction.callCount.should.equal(0);
+		});
+		it('will not look up a confirmed transaction in the mempool', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.mempool = {};
+			qtumd._addMempoolTransaction = sinon.stub();
+			var emitted = sinon.stub();
+			qtumd.on('tx', emitted);
+			qtumd._zmqTransactionHandler({}, new Buffer(txhex, 'hex'), true);
+			emitted.callCount.should.equal(1);
+			qtumd._addMempoolTransaction.callCount.should.equal(0);
 		});
 	});
 
@@ -1544,6 +1660,7 @@ describe('Qtum Service', function() {
 			qtumd._subscribeZmqEvents(node);
 			node.zmqSubSocket.on('message', function() {
 				qtumd._zmqTransactionHandler.callCount.should.equal(1);
+				qtumd.zmqMessages.should.deep.equal({rawtx: 1});
 				done();
 			});
 			var topic = new Buffer('rawtx', 'utf8');
@@ -1609,6 +1726,36 @@ describe('Qtum Service', function() {
 			socket.monitor.args[0][0].should.equal(500);
 			socket.monitor.args[0][1].should.equal(0);
 		});
+		it('will replay missed events after a reconnect', function() {
+			var sandbox = sinon.sandbox.create();
+			sandbox.stub(log, 'info');
+			sandbox.stub(log, 'warn');
+			var socket = new EventEmitter();
+			socket.monitor = sinon.stub();
+			socket.connect = sinon.stub();
+			var QtumService = proxyquire('../../lib/services/qtumd', {
+				zmq: {
+					socket: function() {
+						return socket;
+					}
+				}
+			});
+			var qtumd = new QtumService(baseConfig);
+			qtumd._backfillZmqGap = sinon.stub();
+			var node = {};
+			qtumd._initZmqSubSocket(node, 'url');
+			socket.emit('connect', 10, 'url');
+			node._zmqConnected.should.equal(true);
+			qtumd._backfillZmqGap.callCount.should.equal(0);
+			socket.emit('disconnect', 10, 'url');
+			node._zmqConnected.should.equal(false);
+			socket.emit('connect', 10, 'url');
+			qtumd._backfillZmqGap.callCount.should.equal(1);
+			qtumd._backfillZmqGap.args[0][0].should.equal(node);
+			socket.emit('connect', 10, 'url');
+			qtumd._backfillZmqGap.callCount.should.equal(1);
+			sandbox.restore();
+		});
 	});
 
 	describe('#_checkReindex', function() {
@@ -2043,6 +2190,44 @@ describe('Qtum Service', function() {
 				process.emit('exit', 1);
 			});
 		});
+		it('will emit fatal for an error during respawn', function(done) {
+			var process = new EventEmitter();
+			var spawn = sinon.stub().returns(process);
+			var TestQtumService = proxyquire('../../lib/services/qtumd', {
+				fs: {
+					readFileSync: readFileSync
+				},
+				child_process: {
+					spawn: spawn
+				}
+			});
+			var qtumd = new TestQtumService(baseConfig);
+			qtumd._loadSpawnConfiguration = sinon.stub();
+			qtumd.spawn = {};
+			qtumd.spawn.exec = 'qtumd';
+			qtumd.spawn.datadir = '/tmp/qtum';
+			qtumd.spawn.configPath = '/tmp/qtum/qtum.conf';
+			qtumd.spawn.config = {};
+			qtumd.spawnRestartTime = 1;
+			qtumd._loadTipFromNode = sinon.stub().callsArg(1);
+			qtumd._initZmqSubSocket = sinon.stub();
+			qtumd._checkReindex = sinon.stub().callsArg(1);
+			qtumd._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+			qtumd._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+			sinon.spy(qtumd, '_spawnChildProcess');
+			qtumd._spawnChildProcess(function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._spawnChildProcess = sinon.stub().callsArgWith(0, new Error('test'));
+				qtumd.on('fatal', function(err) {
+					err.should.be.instanceOf(Error);
+					err.message.should.equal('test');
+					done();
+				});
+				process.emit('exit', 1);
+			});
+		});
 		it('will NOT respawn qtumd spawned process if shutting down', function(done) {
 			var process = new EventEmitter();
 			var spawn = sinon.stub().returns(process);
@@ -2091,6 +2276,54 @@ describe('Qtum Service', function() {
 				process.emit('exit', 1);
 			});
 		});
+		it('will NOT respawn qtumd spawned process if the service is stopped', function(done) {
+			var process = new EventEmitter();
+			var spawn = sinon.stub().returns(process);
+			var TestQtumService = proxyquire('../../lib/services/qtumd', {
+				fs: {
+					readFileSync: readFileSync
+				},
+				child_process: {
+					spawn: spawn
+				}
+			});
+			var config = {
+				node: {
+					network: qtumcore.Networks.testnet
+				},
+				spawn: {
+					datadir: 'testdir',
+					exec: 'testpath'
+				}
+			};
+			var qtumd = new TestQtumService(config);
+			qtumd._loadSpawnConfiguration = sinon.stub();
+			qtumd.spawn = {};
+			qtumd.spawn.exec = 'qtumd';
+			qtumd.spawn.datadir = '/tmp/qtum';
+			qtumd.spawn.configPath = '/tmp/qtum/qtum.conf';
+			qtumd.spawn.config = {};
+			qtumd.spawnRestartTime = 1;
+			qtumd._loadTipFromNode = sinon.stub().callsArg(1);
+			qtumd._initZmqSubSocket = sinon.stub();
+			qtumd._checkReindex = sinon.stub().callsArg(1);
+			qtumd._checkSyncedAndSubscribeZmqEvents = sinon.stub();
+			qtumd._stopSpawnedBitcoin = sinon.stub().callsArg(0);
+			sinon.spy(qtumd, '_spawnChildProcess');
+			qtumd._spawnChildProcess(function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._stopped = true;
+				process.once('exit', function() {
+					setTimeout(function() {
+						qtumd._spawnChildProcess.callCount.should.equal(1);
+						done();
+					}, 5);
+				});
+				process.emit('exit', 1);
+			});
+		});
 		it('will give error after 60 retries', function(done) {
 			var process = new EventEmitter();
 			var spawn = sinon.stub().returns(process);
@@ -2257,6 +2490,7 @@ describe('Qtum Service', function() {
 			var qtumd = new QtumService(baseConfig);
 			var node = {};
 			qtumd._initChain = sinon.stub().callsArg(0);
+			qtumd._loadMempool = sinon.stub();
 			qtumd._spawnChildProcess = sinon.stub().callsArgWith(0, null, node);
 			qtumd.options = {
 				spawn: {}
@@ -2270,6 +2504,7 @@ describe('Qtum Service', function() {
 		it('will push node from connectProcess', function(done) {
 			var qtumd = new QtumService(baseConfig);
 			qtumd._initChain = sinon.stub().callsArg(0);
+			qtumd._loadMempool = sinon.stub();
 			sinon.spy(qtumd, '_spawnChildProcess');
 			var nodes = [{}];
 			qtumd._connectProcess = sinon.stub().callsArgWith(1, null, nodes);
@@ -2283,6 +2518,21 @@ describe('Qtum Service', function() {
 				qtumd._initChain.callCount.should.equal(1);
 				qtumd._connectProcess.callCount.should.equal(1);
 				qtumd.nodes.length.should.equal(1);
+				qtumd._loadMempool.callCount.should.equal(1);
+				done();
+			});
+		});
+		it('will give error from initChain', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._initChain = sinon.stub().callsArgWith(0, new Error('test'));
+			qtumd._loadMempool = sinon.stub();
+			qtumd._spawnChildProcess = sinon.stub().callsArgWith(0, null, {});
+			qtumd.options = {
+				spawn: {}
+			};
+			qtumd.start(function(err) {
+				err.message.should.equal('test');
+				qtumd._loadMempool.callCount.should.equal(0);
 				done();
 			});
 		});
@@ -4324,6 +4574,37 @@ describe('Qtum Service', function() {
 				});
 			});
 		});
+		it('will get block from the raw block cache', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			sinon.spy(qtumd, '_tryAllClients');
+			var hash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+			qtumd.rawBlockCache.set(hash, new Buffer(blockhex, 'hex'));
+			qtumd.getBlock(hash, function(err, block) {
+				should.not.exist(err);
+				qtumd._tryAllClients.callCount.should.equal(0);
+				block.should.be.instanceof(qtumcore.Block);
+				block.toString().should.equal(blockhex);
+				qtumd.blockCache.get(hash).should.equal(block);
+				done();
+			});
+		});
+		it('will add the raw block to the raw block cache', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var getBlock = sinon.stub().callsArgWith(2, null, {
+				result: blockhex
+			});
+			qtumd.nodes.push({
+				client: {
+					getBlock: getBlock
+				}
+			});
+			var hash = '00000000050a6d07f583beba2d803296eb1e9d4980c4a20f206c584e89a4f02b';
+			qtumd.getBlock(hash, function(err) {
+				should.not.exist(err);
+				qtumd.rawBlockCache.get(hash).toString('hex').should.equal(blockhex);
+				done();
+			});
+		});
 		it('will get block from cache with height (but not height)', function(done) {
 			var qtumd = new QtumService(baseConfig);
 			sinon.spy(qtumd, '_tryAllClients');
@@ -4951,6 +5232,21 @@ describe('Qtum Service', function() {
 	});
 
 	describe('#getTransaction', function() {
+		it('will read the transaction from the disk tier of the cache', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			sinon.spy(qtumd, '_tryAllClients');
+			var tx = qtumcore.Transaction(txhex);
+			qtumd.transactionCache = {
+				fetch: sinon.stub().callsArgWith(1, null, tx)
+			};
+			qtumd.getTransaction('txid', function(err, result) {
+				should.not.exist(err);
+				result.should.equal(tx);
+				qtumd.transactionCache.fetch.args[0][0].should.equal('txid');
+				qtumd._tryAllClients.callCount.should.equal(0);
+				done();
+			});
+		});
 		it('will give rpc error', function(done) {
 			var qtumd = new QtumService(baseConfig);
 			sinon.spy(qtumd, '_tryAllClients');
@@ -5595,6 +5891,48 @@ describe('Qtum Service', function() {
 			qtumd.spawn.process.kill.callCount.should.equal(1);
 			qtumd.spawn.process.kill.args[0][0].should.equal('SIGINT');
 		});
+		it('will close the zmq sockets, clear the timers and remove the subscribers', function(done) {
+			var sandbox = sinon.sandbox.create();
+			sandbox.spy(global, 'clearInterval');
+			sandbox.spy(global, 'clearTimeout');
+			var qtumd = new QtumService(baseConfig);
+			var zmqSubSocket = new EventEmitter();
+			zmqSubSocket.on('message', sinon.stub());
+			zmqSubSocket.unmonitor = sinon.stub();
+			zmqSubSocket.close = sinon.stub();
+			var node = {
+				zmqSubSocket: zmqSubSocket,
+				_syncedInterval: {},
+				_reindexInterval: {},
+				_zmqMonitorTimer: {}
+			};
+			qtumd.nodes.push(node);
+			qtumd.subscriptions.hashblock.push(new EventEmitter());
+			qtumd.subscriptions.address.address1 = [new EventEmitter()];
+			qtumd.stop(function(err) {
+				var clearedIntervals = clearInterval.args.map(function(args) {
+					return args[0];
+				});
+				var clearedTimeouts = clearTimeout.args.map(function(args) {
+					return args[0];
+				});
+				sandbox.restore();
+				if (err) {
+					return done(err);
+				}
+				qtumd._stopped.should.equal(true);
+				zmqSubSocket.unmonitor.callCount.should.equal(1);
+				zmqSubSocket.close.callCount.should.equal(1);
+				zmqSubSocket.listenerCount('message').should.equal(0);
+				should.equal(node.zmqSubSocket, null);
+				clearedIntervals.should.include(node._syncedInterval);
+				clearedIntervals.should.include(node._reindexInterval);
+				clearedTimeouts.should.include(node._zmqMonitorTimer);
+				qtumd.subscriptions.hashblock.should.deep.equal([]);
+				qtumd.subscriptions.address.should.deep.equal({});
+				done();
+			});
+		});
 	});
 
 	describe('#getAddressesMempoolBalance', function() {
@@ -7479,4 +7817,2421 @@ describe('Qtum Service', function() {
 			});
 		});
 	});
+
+	describe('#_decodeTokenString', function() {
+		it('will decode an abi encoded string', function() {
+			var qtumd = new QtumService(baseConfig);
+			var output = '0000000000000000000000000000000000000000000000000000000000000020' +
+				'0000000000000000000000000000000000000000000000000000000000000008' +
+				'514320546f6b656e000000000000000000000000000000000000000000000000';
+			qtumd._decodeTokenString(output).should.equal('QC Token');
+		});
+		it('will decode a bytes32 string', function() {
+			var qtumd = new QtumService(baseConfig);
+			var output = '514320546f6b656e000000000000000000000000000000000000000000000000';
+			qtumd._decodeTokenString(output).should.equal('QC Token');
+		});
+		it('will give null for an empty output', function() {
+			var qtumd = new QtumService(baseConfig);
+			should.equal(qtumd._decodeTokenString(''), null);
+		});
+	});
+
+	describe('#_getTokenTransfersFromReceipts', function() {
+		it('will decode transfer logs', function() {
+			var qtumd = new QtumService(baseConfig);
+			var receipts = [
+				{
+					blockHash: 'bc15b598d45d6396944580f8339cea891aa2b1673dc88a470ec1f0ac8a532d6c',
+					blockNumber: 87202,
+					log: [
+						{
+							address: 'f6177bc9812eeb531907621af6641a41133dea9e',
+							topics: [
+								'4e3883c75cc9c752bb1db2e406a822e4a75067ae77ad9a0a4d179f2709b9e1f6'
+							],
+							data: ''
+						},
+						{
+							address: 'f2033ede578e17fa6231047265010445bca8cf1c',
+							topics: [
+								'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+								'0000000000000000000000000101010101010101010101010101010101010101',
+								'0000000000000000000000000202020202020202020202020202020202020202'
+							],
+							data: '00000000000000000000000000000000000000000000000000000000000003e8'
+						}
+					]
+				}
+			];
+			var transfers = qtumd._getTokenTransfersFromReceipts('txid', receipts);
+			transfers.should.deep.equal([
+				{
+					contract: 'f2033ede578e17fa6231047265010445bca8cf1c',
+					from: 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+					to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R',
+					fromHex: '0101010101010101010101010101010101010101',
+					toHex: '0202020202020202020202020202020202020202',
+					amount: '1000',
+					txid: 'txid',
+					logIndex: 1,
+					blockHash: 'bc15b598d45d6396944580f8339cea891aa2b1673dc88a470ec1f0ac8a532d6c',
+					height: 87202
+				}
+			]);
+		});
+		it('will skip qrc721 transfer logs', function() {
+			var qtumd = new QtumService(baseConfig);
+			var receipts = [
+				{
+					log: [
+						{
+							address: 'f2033ede578e17fa6231047265010445bca8cf1c',
+							topics: [
+								'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+								'0000000000000000000000000101010101010101010101010101010101010101',
+								'0000000000000000000000000202020202020202020202020202020202020202',
+								'0000000000000000000000000000000000000000000000000000000000000001'
+							],
+							data: ''
+						}
+					]
+				}
+			];
+			qtumd._getTokenTransfersFromReceipts('txid', receipts).should.deep.equal([]);
+		});
+	});
+
+	describe('#_getIndexedTokenContracts', function() {
+		it('will give the contracts of the transfers of an address in the recent blocks', function() {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					lru: {
+						blockTokenTransfersCache: {max: 2}
+					}
+				}
+			});
+			var qtumd = new QtumService(config);
+			qtumd.blockTokenTransfersCache.set('hash10', [{contract: 'contract1', from: 'address1', to: 'address2'}]);
+			qtumd.blockTokenTransfersCache.set('hash11', [{contract: 'contract2', from: 'address1', to: 'address3'}]);
+			qtumd.blockTokenTransfersCache.set('hash12', [{contract: 'contract2', from: 'address2', to: 'address1'}]);
+			qtumd._getIndexedTokenContracts('address1').should.deep.equal(['contract2']);
+			qtumd._getIndexedTokenContracts('address2').should.deep.equal(['contract2']);
+			qtumd._getIndexedTokenContracts('address4').should.deep.equal([]);
+		});
+	});
+
+	describe('#_getBlockTokenTransfers', function() {
+		it('will give transfers from the receipts of the block and index them', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var transfer = {
+				contract: 'f2033ede578e17fa6231047265010445bca8cf1c',
+				from: 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R'
+			};
+			qtumd.getJsonBlock = sinon.stub().callsArgWith(1, null, {hash: 'blockhash', tx: ['txid1', 'txid2']});
+			qtumd.getTransactionReceipt = sinon.stub().callsArgWith(1, null, []);
+			qtumd._getTokenTransfersFromReceipts = sinon.stub();
+			qtumd._getTokenTransfersFromReceipts.onFirstCall().returns([]);
+			qtumd._getTokenTransfersFromReceipts.onSecondCall().returns([transfer]);
+			qtumd._getBlockTokenTransfers('blockhash', function(err, transfers) {
+				if (err) {
+					return done(err);
+				}
+				transfers.should.deep.equal([transfer]);
+				qtumd.getTransactionReceipt.callCount.should.equal(2);
+				qtumd.blockTokenTransfersCache.get('blockhash').should.deep.equal([transfer]);
+				qtumd._getIndexedTokenContracts('qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R').should.deep.equal([
+					'f2033ede578e17fa6231047265010445bca8cf1c'
+				]);
+				done();
+			});
+		});
+		it('will give error from getTransactionReceipt', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getJsonBlock = sinon.stub().callsArgWith(1, null, {hash: 'blockhash', tx: ['txid1']});
+			qtumd.getTransactionReceipt = sinon.stub().callsArgWith(1, new Error('test'));
+			qtumd._getBlockTokenTransfers('blockhash', function(err) {
+				err.message.should.equal('test');
+				done();
+			});
+		});
+	});
+
+	describe('#getTokenInfo', function() {
+		var name = '0000000000000000000000000000000000000000000000000000000000000020' +
+			'0000000000000000000000000000000000000000000000000000000000000008' +
+			'514320546f6b656e000000000000000000000000000000000000000000000000';
+		var symbol = '0000000000000000000000000000000000000000000000000000000000000020' +
+			'0000000000000000000000000000000000000000000000000000000000000002' +
+			'5143000000000000000000000000000000000000000000000000000000000000';
+		var decimals = '0000000000000000000000000000000000000000000000000000000000000008';
+		var totalSupply = '00000000000000000000000000000000000000000000000000038d7ea4c68000';
+		function callContract(address, data, options, callback) {
+			var outputs = {
+				'06fdde03': name,
+				'95d89b41': symbol,
+				'313ce567': decimals,
+				'18160ddd': totalSupply
+			};
+			callback(null, {
+				executionResult: {
+					excepted: 'None',
+					output: outputs[data]
+				}
+			});
+		}
+		it('will give error for an invalid contract address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getTokenInfo('notacontract', function(err) {
+				err.should.be.an.instanceof(TypeError);
+				done();
+			});
+		});
+		it('will give token info', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.spy(callContract);
+			qtumd.getTokenInfo('F2033EDE578E17FA6231047265010445BCA8CF1C', function(err, info) {
+				if (err) {
+					return done(err);
+				}
+				info.should.deep.equal({
+					contractAddress: 'f2033ede578e17fa6231047265010445bca8cf1c',
+					name: 'QC Token',
+					symbol: 'QC',
+					decimals: 8,
+					totalSupply: '1000000000000000'
+				});
+				qtumd.callContract.callCount.should.equal(4);
+				done();
+			});
+		});
+		it('will give token info using cache', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.spy(callContract);
+			qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err, info) {
+					should.not.exist(err);
+					info.symbol.should.equal('QC');
+					qtumd.callContract.callCount.should.equal(4);
+					done();
+				});
+			});
+		});
+		it('will only read the total supply again after a new block', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.spy(callContract);
+			qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._resetCaches();
+				qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err, info) {
+					should.not.exist(err);
+					info.should.deep.equal({
+						contractAddress: 'f2033ede578e17fa6231047265010445bca8cf1c',
+						name: 'QC Token',
+						symbol: 'QC',
+						decimals: 8,
+						totalSupply: '1000000000000000'
+					});
+					qtumd.callContract.callCount.should.equal(5);
+					qtumd.callContract.args[4][1].should.equal('18160ddd');
+					done();
+				});
+			});
+		});
+		it('will give error if the contract call throws', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.stub().callsArgWith(3, null, {
+				executionResult: {
+					excepted: 'BadInstruction',
+					output: ''
+				}
+			});
+			qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err) {
+				err.should.be.an.instanceof(errors.RPCError);
+				err.message.should.match(/BadInstruction/);
+				done();
+			});
+		});
+		it('will give null for the optional methods that the token does not have', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.spy(function(address, data, options, callback) {
+				if (data === '18160ddd') {
+					return callContract(address, data, options, callback);
+				}
+				callback(null, {
+					executionResult: {
+						excepted: 'Revert',
+						output: ''
+					}
+				});
+			});
+			qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err, info) {
+				if (err) {
+					return done(err);
+				}
+				info.should.deep.equal({
+					contractAddress: 'f2033ede578e17fa6231047265010445bca8cf1c',
+					name: null,
+					symbol: null,
+					decimals: null,
+					totalSupply: '1000000000000000'
+				});
+				done();
+			});
+		});
+		it('will give error if an optional method fails with an rpc error', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.callContract = sinon.stub().callsArgWith(3, new errors.RPCError('test'));
+			qtumd.getTokenInfo('f2033ede578e17fa6231047265010445bca8cf1c', function(err) {
+				err.message.should.equal('test');
+				done();
+			});
+		});
+	});
+
+	describe('#getTokenBalances', function() {
+		var tokenInfo = {
+			contractAddress: 'f2033ede578e17fa6231047265010445bca8cf1c',
+			name: 'QC Token',
+			symbol: 'QC',
+			decimals: 8,
+			totalSupply: '1000000000000000'
+		};
+		it('will give error for an invalid address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getTokenBalances('notanaddress', {}, function(err) {
+				err.should.be.an.instanceof(TypeError);
+				done();
+			});
+		});
+		it('will give balances for indexed contracts', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.blockTokenTransfersCache.set('blockhash', [{
+				contract: 'f2033ede578e17fa6231047265010445bca8cf1c',
+				from: 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R'
+			}]);
+			qtumd.getTokenInfo = sinon.stub().callsArgWith(1, null, tokenInfo);
+			qtumd.callContract = sinon.stub().callsArgWith(3, null, {
+				executionResult: {
+					excepted: 'None',
+					output: '00000000000000000000000000000000000000000000000000000000000003e8'
+				}
+			});
+			qtumd.getTokenBalances('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', {}, function(err, balances) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.callContract.args[0][1].should.equal(
+					'70a082310000000000000000000000000101010101010101010101010101010101010101'
+				);
+				balances.should.deep.equal({
+					balances: [
+						{
+							contractAddress: 'f2033ede578e17fa6231047265010445bca8cf1c',
+							name: 'QC Token',
+							symbol: 'QC',
+							decimals: 8,
+							balance: '1000'
+						}
+					],
+					partial: true
+				});
+				done();
+			});
+		});
+		it('will only query the given contracts', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getTokenInfo = sinon.stub().callsArgWith(1, null, tokenInfo);
+			qtumd.callContract = sinon.stub().callsArgWith(3, null, {
+				executionResult: {
+					excepted: 'None',
+					output: ''
+				}
+			});
+			var options = {
+				contracts: ['f2033ede578e17fa6231047265010445bca8cf1c']
+			};
+			qtumd.getTokenBalances('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', options, function(err, balances) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.getTokenInfo.args[0][0].should.equal('f2033ede578e17fa6231047265010445bca8cf1c');
+				balances.balances[0].balance.should.equal('0');
+				balances.partial.should.equal(false);
+				done();
+			});
+		});
+		it('will give partial balances without options', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getTokenBalances('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', null, function(err, balances) {
+				if (err) {
+					return done(err);
+				}
+				balances.should.deep.equal({balances: [], partial: true});
+				qtumd.getTokenBalances('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', function(err, balances) {
+					if (err) {
+						return done(err);
+					}
+					balances.should.deep.equal({balances: [], partial: true});
+					done();
+				});
+			});
+		});
+	});
+
+	describe('#getTokenTransfers', function() {
+		var transfers = [
+			{
+				contract: 'f2033ede578e17fa6231047265010445bca8cf1c',
+				from: 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R'
+			},
+			{
+				contract: 'f6177bc9812eeb531907621af6641a41133dea9e',
+				from: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R',
+				to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R'
+			}
+		];
+		it('will give error for an invalid argument', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getTokenTransfers('notanaddress', {}, function(err) {
+				err.should.be.an.instanceof(TypeError);
+				done();
+			});
+		});
+		it('will give the transfers of the recent blocks without options', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 100;
+			qtumd.maxTokenBlocks = 2;
+			qtumd._getBlockTokenTransfers = sinon.stub().callsArgWith(1, null, []);
+			qtumd._getBlockTokenTransfers.withArgs(100).callsArgWith(1, null, transfers);
+			qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', function(err, result) {
+				if (err) {
+					return done(err);
+				}
+				result.should.deep.equal([transfers[0]]);
+				qtumd._getBlockTokenTransfers.args.map(function(args) {
+					return args[0];
+				}).should.deep.equal([100, 99]);
+				qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', undefined, function(err, result) {
+					if (err) {
+						return done(err);
+					}
+					result.should.deep.equal([transfers[0]]);
+					done();
+				});
+			});
+		});
+		it('will give error if the range is too large', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.maxTokenBlocks = 10;
+			var called = false;
+			qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', {start: 100, end: 50}, function(err) {
+				called.should.equal(true);
+				err.message.should.match(/range should be less than or equal to 10 blocks/);
+				done();
+			});
+			called = true;
+		});
+		it('will give error asynchronously for an invalid range', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var called = false;
+			qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', {start: 50, end: 100}, function(err) {
+				called.should.equal(true);
+				err.should.be.an.instanceof(TypeError);
+				done();
+			});
+			called = true;
+		});
+		it('will scan the most recent blocks by default', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 100;
+			qtumd.maxTokenBlocks = 3;
+			qtumd._getBlockTokenTransfers = sinon.stub().callsArgWith(1, null, []);
+			qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', {}, function(err, result) {
+				if (err) {
+					return done(err);
+				}
+				result.should.deep.equal([]);
+				qtumd._getBlockTokenTransfers.callCount.should.equal(3);
+				qtumd._getBlockTokenTransfers.args[0][0].should.equal(100);
+				qtumd._getBlockTokenTransfers.args[2][0].should.equal(98);
+				done();
+			});
+		});
+		it('will filter transfers by address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._getBlockTokenTransfers = sinon.stub().callsArgWith(1, null, transfers);
+			qtumd.getTokenTransfers('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', {start: 10, end: 10}, function(err, result) {
+				if (err) {
+					return done(err);
+				}
+				result.should.deep.equal([transfers[0]]);
+				done();
+			});
+		});
+		it('will filter transfers by contract', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._getBlockTokenTransfers = sinon.stub().callsArgWith(1, null, transfers);
+			qtumd.getTokenTransfers('f6177bc9812eeb531907621af6641a41133dea9e', {start: 10, end: 10}, function(err, result) {
+				if (err) {
+					return done(err);
+				}
+				result.should.deep.equal([transfers[1]]);
+				done();
+			});
+		});
+	});
+
+	describe('#subscribeTokenTransfer', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will add addresses and contracts', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTokenTransfer(emitter, [
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				'F2033EDE578E17FA6231047265010445BCA8CF1C',
+				'notanaddress'
+			]);
+			qtumd.subscriptions.tokenAddress.should.deep.equal({
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME': [emitter]
+			});
+			qtumd.subscriptions.tokenContract.should.deep.equal({
+				'f2033ede578e17fa6231047265010445bca8cf1c': [emitter]
+			});
+		});
+		it('will not add the same emitter twice', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTokenTransfer(emitter, ['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME']);
+			qtumd.subscribeTokenTransfer(emitter, ['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME']);
+			qtumd.subscriptions.tokenAddress['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME'].length.should.equal(1);
+		});
+	});
+
+	describe('#unsubscribeTokenTransfer', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will remove the given addresses and contracts', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			var emitter2 = new EventEmitter();
+			qtumd.subscribeTokenTransfer(emitter, [
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				'f2033ede578e17fa6231047265010445bca8cf1c'
+			]);
+			qtumd.subscribeTokenTransfer(emitter2, ['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME']);
+			qtumd.unsubscribeTokenTransfer(emitter, [
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				'F2033EDE578E17FA6231047265010445BCA8CF1C'
+			]);
+			qtumd.subscriptions.tokenAddress.should.deep.equal({
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME': [emitter2]
+			});
+			qtumd.subscriptions.tokenContract.should.deep.equal({});
+		});
+		it('will remove all without addresses', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTokenTransfer(emitter, [
+				'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+				'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R',
+				'f2033ede578e17fa6231047265010445bca8cf1c'
+			]);
+			qtumd.unsubscribeTokenTransfer(emitter);
+			qtumd.subscriptions.tokenAddress.should.deep.equal({});
+			qtumd.subscriptions.tokenContract.should.deep.equal({});
+		});
+	});
+
+	describe('#_notifyTokenTransferSubscribers', function() {
+		var transfer = {
+			contract: 'f2033ede578e17fa6231047265010445bca8cf1c',
+			from: 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME',
+			to: 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R',
+			amount: '1000',
+			txid: '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49',
+			logIndex: 0
+		};
+		it('will emit once to each matching emitter', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			var emitter2 = new EventEmitter();
+			var emitter3 = new EventEmitter();
+			emitter.emit = sinon.stub();
+			emitter2.emit = sinon.stub();
+			emitter3.emit = sinon.stub();
+			qtumd.subscriptions.tokenContract[transfer.contract] = [emitter];
+			qtumd.subscriptions.tokenAddress[transfer.from] = [emitter, emitter2];
+			qtumd.subscriptions.tokenAddress['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosMF'] = [emitter3];
+			qtumd._notifyTokenTransferSubscribers([transfer]);
+			emitter.emit.callCount.should.equal(1);
+			emitter.emit.args[0][0].should.equal('qtumd/tokentransfer');
+			emitter.emit.args[0][1].should.equal(transfer);
+			emitter2.emit.callCount.should.equal(1);
+			emitter3.emit.callCount.should.equal(0);
+		});
+	});
+
+	describe('#_updateRecentBlocks', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'warn');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will add the first tip', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._updateRecentBlocks({}, 'hash10', {height: 10}, function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.recentBlocks.should.deep.equal([{hash: 'hash10', height: 10}]);
+				done();
+			});
+		});
+		it('will add a tip that extends the chain and limit to the window', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.reorgWindow = 2;
+			qtumd.recentBlocks = [{hash: 'hash9', height: 9}, {hash: 'hash10', height: 10}];
+			sinon.spy(qtumd, 'emit');
+			qtumd._updateRecentBlocks({}, 'hash11', {height: 11, previousblockhash: 'hash10'}, function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.recentBlocks.should.deep.equal([{hash: 'hash10', height: 10}, {hash: 'hash11', height: 11}]);
+				qtumd.emit.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will follow skipped blocks without a reorg', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.recentBlocks = [{hash: 'hash10', height: 10}];
+			sinon.spy(qtumd, 'emit');
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {previousblockhash: 'hash10'}})
+				}
+			};
+			qtumd._updateRecentBlocks(node, 'hash12', {height: 12, previousblockhash: 'hash11'}, function(err) {
+				if (err) {
+					return done(err);
+				}
+				node.client.getBlock.args[0][0].should.equal('hash11');
+				qtumd.recentBlocks.should.deep.equal([
+					{hash: 'hash10', height: 10},
+					{hash: 'hash11', height: 11},
+					{hash: 'hash12', height: 12}
+				]);
+				qtumd.emit.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will emit reorg with disconnected and connected blocks', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscriptions.reorg.push(emitter);
+			qtumd.recentBlocks = [
+				{hash: 'hash9', height: 9},
+				{hash: 'hash10', height: 10},
+				{hash: 'hash11', height: 11}
+			];
+			qtumd._purgeBlockCaches = sinon.stub().callsArg(2);
+			var node = {
+				client: {
+					getBlock: sinon.stub()
+				}
+			};
+			node.client.getBlock.onFirstCall().callsArgWith(1, null, {result: {previousblockhash: 'hash10b'}});
+			node.client.getBlock.onSecondCall().callsArgWith(1, null, {result: {previousblockhash: 'hash9'}});
+			var expected = {
+				forkHeight: 9,
+				disconnected: ['hash11', 'hash10'],
+				connected: ['hash10b', 'hash11b', 'hash12b']
+			};
+			var busReorg;
+			emitter.on('qtumd/reorg', function(reorg) {
+				busReorg = reorg;
+			});
+			qtumd.on('reorg', function(reorg) {
+				reorg.should.deep.equal(expected);
+			});
+			qtumd._updateRecentBlocks(node, 'hash12b', {height: 12, previousblockhash: 'hash11b'}, function(err) {
+				if (err) {
+					return done(err);
+				}
+				busReorg.should.deep.equal(expected);
+				node.client.getBlock.callCount.should.equal(2);
+				qtumd._purgeBlockCaches.args[0][1].should.deep.equal(['hash11', 'hash10']);
+				qtumd.recentBlocks.should.deep.equal([
+					{hash: 'hash9', height: 9},
+					{hash: 'hash10b', height: 10},
+					{hash: 'hash11b', height: 11},
+					{hash: 'hash12b', height: 12}
+				]);
+				done();
+			});
+		});
+		it('will disconnect all known blocks if the fork is deeper than the window', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.recentBlocks = [{hash: 'hash10', height: 10}];
+			qtumd._purgeBlockCaches = sinon.stub().callsArg(2);
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {previousblockhash: 'hash9b'}})
+				}
+			};
+			qtumd.on('reorg', function(reorg) {
+				reorg.forkHeight.should.equal(-1);
+				reorg.disconnected.should.deep.equal(['hash10']);
+				reorg.connected.should.deep.equal(['hash10b', 'hash11b']);
+				done();
+			});
+			qtumd._updateRecentBlocks(node, 'hash11b', {height: 11, previousblockhash: 'hash10b'}, function() {});
+		});
+		it('will give rpc error', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.recentBlocks = [{hash: 'hash10', height: 10}];
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, {message: 'test', code: -1})
+				}
+			};
+			qtumd._updateRecentBlocks(node, 'hash12', {height: 12, previousblockhash: 'hash11'}, function(err) {
+				err.should.be.an.instanceof(errors.RPCError);
+				done();
+			});
+		});
+		it('will read at most the window of blocks for a tip far ahead', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.reorgWindow = 2;
+			qtumd.recentBlocks = [{hash: 'hash9', height: 9}, {hash: 'hash10', height: 10}];
+			sinon.spy(qtumd, 'emit');
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {previousblockhash: 'hash98'}}),
+					getBlockHash: sinon.stub().callsArgWith(1, null, {result: 'hash10'})
+				}
+			};
+			qtumd._updateRecentBlocks(node, 'hash100', {height: 100, previousblockhash: 'hash99'}, function(err) {
+				if (err) {
+					return done(err);
+				}
+				node.client.getBlock.callCount.should.equal(1);
+				node.client.getBlockHash.callCount.should.equal(1);
+				node.client.getBlockHash.args[0][0].should.equal(10);
+				qtumd.recentBlocks.should.deep.equal([{hash: 'hash99', height: 99}, {hash: 'hash100', height: 100}]);
+				qtumd.emit.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will find the fork by the main chain hashes for a tip far ahead', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.reorgWindow = 2;
+			qtumd.recentBlocks = [{hash: 'hash9', height: 9}, {hash: 'hash10', height: 10}];
+			qtumd._purgeBlockCaches = sinon.stub().callsArg(2);
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {previousblockhash: 'hash98'}}),
+					getBlockHash: sinon.stub()
+				}
+			};
+			node.client.getBlockHash.onFirstCall().callsArgWith(1, null, {result: 'hash10b'});
+			node.client.getBlockHash.onSecondCall().callsArgWith(1, null, {result: 'hash9'});
+			qtumd.on('reorg', function(reorg) {
+				reorg.should.deep.equal({
+					forkHeight: 9,
+					disconnected: ['hash10'],
+					connected: ['hash99', 'hash100']
+				});
+				done();
+			});
+			qtumd._updateRecentBlocks(node, 'hash100', {height: 100, previousblockhash: 'hash99'}, function() {});
+		});
+		it('will give rpc error from get block hash', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.reorgWindow = 1;
+			qtumd.recentBlocks = [{hash: 'hash10', height: 10}];
+			var node = {
+				client: {
+					getBlockHash: sinon.stub().callsArgWith(1, {message: 'test', code: -1})
+				}
+			};
+			qtumd._updateRecentBlocks(node, 'hash100', {height: 100, previousblockhash: 'hash99'}, function(err) {
+				err.should.be.an.instanceof(errors.RPCError);
+				done();
+			});
+		});
+	});
+
+	describe('#_processTip', function() {
+		it('will update the recent blocks of tips in order', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.on('error', done);
+			var blocks = {
+				hash10: {height: 10},
+				hash11: {height: 11, previousblockhash: 'hash10'}
+			};
+			var node = {
+				client: {
+					getBlock: function(hash, callback) {
+						setImmediate(function() {
+							callback(null, {result: blocks[hash]});
+						});
+					}
+				}
+			};
+			var heights = [];
+			qtumd.on('tip', function(height) {
+				heights.push(height);
+				if (heights.length === 2) {
+					heights.should.deep.equal([10, 11]);
+					qtumd.recentBlocks.should.deep.equal([{hash: 'hash10', height: 10}, {hash: 'hash11', height: 11}]);
+					done();
+				}
+			});
+			qtumd.tipQueue.push({node: node, blockhash: 'hash10'});
+			qtumd.tipQueue.push({node: node, blockhash: 'hash11'});
+		});
+	});
+
+	describe('#_purgeBlockCaches', function() {
+		it('will purge blocks and their transactions', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.blockCache.set('hash10', {});
+			qtumd.rawBlockCache.set('hash10', {});
+			qtumd.transactionCache.set('txid1', {});
+			qtumd.transactionCache.set('txid2', {});
+			qtumd.rawTransactionCache.set('txid1', {});
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {tx: ['txid1']}})
+				}
+			};
+			qtumd._purgeBlockCaches(node, ['hash10'], function(err) {
+				if (err) {
+					return done(err);
+				}
+				should.equal(qtumd.blockCache.get('hash10'), undefined);
+				should.equal(qtumd.rawBlockCache.get('hash10'), undefined);
+				should.equal(qtumd.transactionCache.get('txid1'), undefined);
+				should.equal(qtumd.rawTransactionCache.get('txid1'), undefined);
+				should.exist(qtumd.transactionCache.get('txid2'));
+				done();
+			});
+		});
+		it('will remove the blocks from the token index', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.blockTokenTransfersCache.set('hash10', [{contract: 'contract1', from: 'address1', to: 'address2'}]);
+			qtumd.blockTokenTransfersCache.set('hash11', [{contract: 'contract2', from: 'address1', to: 'address3'}]);
+			qtumd.blockTokenTransfersCache.set('hash12', [{contract: 'contract1', from: 'address2', to: 'address3'}]);
+			var node = {
+				client: {
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {tx: []}})
+				}
+			};
+			qtumd._purgeBlockCaches(node, ['hash12', 'hash11'], function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._getIndexedTokenContracts('address1').should.deep.equal(['contract1']);
+				qtumd._getIndexedTokenContracts('address2').should.deep.equal(['contract1']);
+				qtumd._getIndexedTokenContracts('address3').should.deep.equal([]);
+				done();
+			});
+		});
+	});
+
+	describe('#subscribeTxConfirmations', function() {
+		var sandbox = sinon.sandbox.create();
+		var txid = '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49';
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will add txids with the target confirmations', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTxConfirmations(emitter, [txid, 'notatxid'], 3);
+			_.keys(qtumd.subscriptions.txconfirmations).should.deep.equal([txid]);
+			qtumd.subscriptions.txconfirmations[txid][0].emitter.should.equal(emitter);
+			qtumd.subscriptions.txconfirmations[txid][0].confirmations.should.equal(3);
+		});
+		it('will accept an object and default the target', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTxConfirmations(emitter, {txids: [txid]});
+			qtumd.subscriptions.txconfirmations[txid][0].confirmations.should.equal(6);
+		});
+		it('will replace the target of the same emitter', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			var emitter2 = new EventEmitter();
+			qtumd.subscribeTxConfirmations(emitter, [txid], 3);
+			qtumd.subscribeTxConfirmations(emitter2, [txid], 3);
+			qtumd.subscribeTxConfirmations(emitter, [txid], 10);
+			qtumd.subscriptions.txconfirmations[txid].length.should.equal(2);
+			qtumd.subscriptions.txconfirmations[txid][1].emitter.should.equal(emitter);
+			qtumd.subscriptions.txconfirmations[txid][1].confirmations.should.equal(10);
+		});
+	});
+
+	describe('#unsubscribeTxConfirmations', function() {
+		var sandbox = sinon.sandbox.create();
+		var txid = '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49';
+		var txid2 = 'de184cc227f6d1dc0316c7484aa68b58186a18f89d853bb2428b02040c394479';
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will remove the given txids', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			var emitter2 = new EventEmitter();
+			qtumd.subscribeTxConfirmations(emitter, [txid, txid2], 3);
+			qtumd.subscribeTxConfirmations(emitter2, [txid], 3);
+			qtumd.unsubscribeTxConfirmations(emitter, [txid, txid2]);
+			_.keys(qtumd.subscriptions.txconfirmations).should.deep.equal([txid]);
+			qtumd.subscriptions.txconfirmations[txid][0].emitter.should.equal(emitter2);
+		});
+		it('will remove all without txids', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter = new EventEmitter();
+			qtumd.subscribeTxConfirmations(emitter, [txid, txid2], 3);
+			qtumd.unsubscribeTxConfirmations(emitter);
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+	});
+
+	describe('#_notifyTxConfirmationsSubscribers', function() {
+		var sandbox = sinon.sandbox.create();
+		var txid = '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49';
+		beforeEach(function() {
+			sandbox.stub(log, 'error');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will be called on tip', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.subscriptions.txconfirmations[txid] = [];
+			qtumd.getDetailedTransaction = sinon.stub();
+			qtumd.emit('tip', 10);
+			qtumd.getDetailedTransaction.args[0][0].should.equal(txid);
+		});
+		it('will notify with the transaction', function() {
+			var qtumd = new QtumService(baseConfig);
+			var transaction = {height: 10};
+			qtumd.subscriptions.txconfirmations[txid] = [];
+			qtumd.getDetailedTransaction = sinon.stub().callsArgWith(1, null, transaction);
+			qtumd._notifyTxConfirmationsSubscriber = sinon.stub();
+			qtumd._notifyTxConfirmationsSubscribers();
+			qtumd._notifyTxConfirmationsSubscriber.args[0].should.deep.equal([txid, transaction]);
+		});
+		it('will notify without a transaction that is not found', function() {
+			var qtumd = new QtumService(baseConfig);
+			var error = new errors.RPCError('No such mempool or blockchain transaction');
+			error.code = -5;
+			qtumd.subscriptions.txconfirmations[txid] = [];
+			qtumd.getDetailedTransaction = sinon.stub().callsArgWith(1, error);
+			qtumd._notifyTxConfirmationsSubscriber = sinon.stub();
+			qtumd._notifyTxConfirmationsSubscribers();
+			qtumd._notifyTxConfirmationsSubscriber.args[0].should.deep.equal([txid, null]);
+		});
+		it('will log other errors', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.subscriptions.txconfirmations[txid] = [];
+			qtumd.getDetailedTransaction = sinon.stub().callsArgWith(1, new Error('test'));
+			qtumd._notifyTxConfirmationsSubscriber = sinon.stub();
+			qtumd._notifyTxConfirmationsSubscribers();
+			qtumd._notifyTxConfirmationsSubscriber.callCount.should.equal(0);
+			log.error.callCount.should.equal(1);
+		});
+	});
+
+	describe('#_notifyTxConfirmationsSubscriber', function() {
+		var sandbox = sinon.sandbox.create();
+		var txid = '51b34cbcaf6fe3b687bf3d954f3baaeb377f5d0a3a8cdd29d899c049f6954a49';
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		function subscribe(qtumd, confirmations, blockHash, seen) {
+			var emitter = new EventEmitter();
+			emitter.emit = sinon.stub();
+			qtumd.subscriptions.txconfirmations[txid] = [{
+				emitter: emitter,
+				confirmations: confirmations,
+				blockHash: blockHash || null,
+				seen: seen || false
+			}];
+			return emitter;
+		}
+		it('will emit pending until the target is reached', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 11;
+			var emitter = subscribe(qtumd, 3);
+			qtumd._notifyTxConfirmationsSubscriber(txid, {height: 10, blockHash: 'blockhash'});
+			emitter.emit.args[0].should.deep.equal(['qtumd/txconfirmations', {
+				txid: txid,
+				status: 'pending',
+				confirmations: 2,
+				target: 3,
+				blockHash: 'blockhash',
+				height: 10
+			}]);
+			qtumd.subscriptions.txconfirmations[txid][0].blockHash.should.equal('blockhash');
+		});
+		it('will emit confirmed and remove the subscription', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			var emitter = subscribe(qtumd, 3);
+			qtumd._notifyTxConfirmationsSubscriber(txid, {height: 10, blockHash: 'blockhash'});
+			emitter.emit.args[0][1].status.should.equal('confirmed');
+			emitter.emit.args[0][1].confirmations.should.equal(3);
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+		it('will emit dropped and remove the subscription', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			var emitter = subscribe(qtumd, 3, null, true);
+			qtumd._notifyTxConfirmationsSubscriber(txid, null);
+			emitter.emit.args[0][1].status.should.equal('dropped');
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+		it('will emit pending for a transaction that is subscribed before it is known', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			var emitter = new EventEmitter();
+			emitter.emit = sinon.stub();
+			qtumd.subscribeTxConfirmations(emitter, [txid], 3);
+			qtumd._notifyTxConfirmationsSubscriber(txid, null);
+			emitter.emit.args[0][1].status.should.equal('pending');
+			emitter.emit.args[0][1].confirmations.should.equal(0);
+			qtumd._notifyTxConfirmationsSubscriber(txid, {height: -1});
+			emitter.emit.args[1][1].status.should.equal('pending');
+			qtumd._notifyTxConfirmationsSubscriber(txid, null);
+			emitter.emit.args[2][1].status.should.equal('dropped');
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+		it('will emit dropped for a transaction that was seen in the mempool', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			qtumd.mempool = {};
+			qtumd.nodes.push({
+				client: {
+					getMempoolEntry: sinon.stub().callsArgWith(1, null, {result: {size: 200, fee: 0.001, time: 1}})
+				}
+			});
+			var emitter = new EventEmitter();
+			emitter.emit = sinon.stub();
+			qtumd.subscribeTxConfirmations(emitter, [txid], 3);
+			qtumd.subscriptions.txconfirmations[txid][0].seen.should.equal(false);
+			qtumd._addMempoolTransaction(txid, function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._notifyTxConfirmationsSubscriber(txid, null);
+				emitter.emit.args[0][1].status.should.equal('dropped');
+				done();
+			});
+		});
+		it('will emit reorged for a confirmed transaction back in the mempool', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			var emitter = subscribe(qtumd, 3, 'blockhash');
+			qtumd._notifyTxConfirmationsSubscriber(txid, {height: -1});
+			emitter.emit.args[0][1].status.should.equal('reorged');
+			emitter.emit.args[0][1].confirmations.should.equal(0);
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+		it('will emit reorged for a confirmed transaction that is no longer known', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			var emitter = subscribe(qtumd, 3, 'blockhash', true);
+			qtumd._notifyTxConfirmationsSubscriber(txid, null);
+			emitter.emit.args[0][1].status.should.equal('reorged');
+			emitter.emit.args[0][1].confirmations.should.equal(0);
+			qtumd.subscriptions.txconfirmations.should.deep.equal({});
+		});
+	});
+
+	describe('#_initDiskCaches', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will do nothing without the disk cache option', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var transactionCache = qtumd.transactionCache;
+			qtumd._initDiskCaches(function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.transactionCache.should.equal(transactionCache);
+				done();
+			});
+		});
+		it('will add a disk tier to the configured caches and load them', function(done) {
+			var DiskCache = sinon.stub();
+			DiskCache.prototype.load = sinon.stub().callsArg(0);
+			var TestService = proxyquire('../../lib/services/qtumd', {
+				'../diskcache': DiskCache
+			});
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					disk: {
+						path: '/tmp/qtumcore-cache',
+						caches: ['transactionCache', 'rawBlockCache'],
+						maxItems: 1000
+					}
+				}
+			});
+			var qtumd = new TestService(config);
+			var transactionCache = qtumd.transactionCache;
+			var blockCache = qtumd.blockCache;
+			qtumd._initDiskCaches(function(err) {
+				if (err) {
+					return done(err);
+				}
+				DiskCache.callCount.should.equal(2);
+				DiskCache.args[0][0].memory.should.equal(transactionCache);
+				DiskCache.args[0][0].path.should.equal('/tmp/qtumcore-cache/transactionCache');
+				DiskCache.args[0][0].maxItems.should.equal(1000);
+				DiskCache.args[1][0].path.should.equal('/tmp/qtumcore-cache/rawBlockCache');
+				DiskCache.prototype.load.callCount.should.equal(2);
+				qtumd.transactionCache.should.be.an.instanceof(DiskCache);
+				qtumd.blockCache.should.equal(blockCache);
+				done();
+			});
+		});
+		it('will give an error for an unsupported cache', function(done) {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					disk: {
+						path: '/tmp/qtumcore-cache',
+						caches: ['utxosCache']
+					}
+				}
+			});
+			var qtumd = new QtumService(config);
+			qtumd._initDiskCaches(function(err) {
+				err.message.should.match(/Unsupported disk cache "utxosCache"/);
+				done();
+			});
+		});
+		it('will not add a disk tier to the block cache', function(done) {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					disk: {
+						path: '/tmp/qtumcore-cache',
+						caches: ['blockCache']
+					}
+				}
+			});
+			var qtumd = new QtumService(config);
+			qtumd._initDiskCaches(function(err) {
+				err.message.should.match(/Unsupported disk cache "blockCache"/);
+				done();
+			});
+		});
+	});
+
+	describe('#_getDiskCachePath', function() {
+		it('will give an absolute path', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._getDiskCachePath({path: '/tmp/cache'}).should.equal('/tmp/cache');
+		});
+		it('will default to a directory in the spawn datadir', function() {
+			var qtumd = new QtumService({
+				node: {
+					network: qtumcore.Networks.testnet
+				},
+				spawn: {
+					datadir: '/home/user/.qtum',
+					exec: 'testpath'
+				}
+			});
+			qtumd._getDiskCachePath({}).should.equal('/home/user/.qtum/qtumcore-cache');
+		});
+		it('will resolve relative to the config path without spawn', function() {
+			var qtumd = new QtumService({
+				node: {
+					network: qtumcore.Networks.testnet,
+					configPath: '/home/user/mynode/qtumcore-node.json'
+				},
+				connect: []
+			});
+			qtumd._getDiskCachePath({path: 'cache'}).should.equal('/home/user/mynode/cache');
+		});
+	});
+
+	describe('#_shouldPersistCacheItem', function() {
+		it('will only persist receipts with results deeper than the reorg window', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 10 + qtumd.reorgWindow;
+			qtumd._shouldPersistCacheItem('transactionReceiptCache', []).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionReceiptCache', [{}]).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionReceiptCache', [{blockNumber: 11}]).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionReceiptCache', [{blockNumber: 10}]).should.equal(true);
+		});
+		it('will only persist detailed transactions deeper than the reorg window with all outputs spent', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 10 + qtumd.reorgWindow;
+			var spent = {spentTxId: 'txid'};
+			qtumd._shouldPersistCacheItem('transactionDetailedCache', {height: -1, outputs: [spent]}).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionDetailedCache', {height: 10, outputs: [spent, {}]}).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionDetailedCache', {height: 11, outputs: [spent]}).should.equal(false);
+			qtumd._shouldPersistCacheItem('transactionDetailedCache', {height: 10, outputs: [spent]}).should.equal(true);
+		});
+		it('will persist other items', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._shouldPersistCacheItem('rawBlockCache', new Buffer(0)).should.equal(true);
+		});
+	});
+
+	describe('#_getDiskCacheCodec', function() {
+		it('will encode and decode transactions', function() {
+			var qtumd = new QtumService(baseConfig);
+			var codec = qtumd._getDiskCacheCodec('transaction');
+			var tx = new Transaction(txhex);
+			codec.decode(codec.encode(tx)).toString().should.equal(txhex);
+		});
+		it('will give the json codec', function() {
+			var qtumd = new QtumService(baseConfig);
+			var codec = qtumd._getDiskCacheCodec('json');
+			codec.decode(codec.encode({a: 1})).should.deep.equal({a: 1});
+		});
+	});
+
+	describe('#_createCache', function() {
+		it('will use the default size', function() {
+			var qtumd = new QtumService(baseConfig);
+			var cache = qtumd._createCache('testCache', 10);
+			cache.max.should.equal(10);
+			cache.maxAge.should.equal(0);
+			qtumd.cacheNames[qtumd.cacheNames.length - 1].should.equal('testCache');
+		});
+		it('will use the configured size and max-age', function() {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					lru: {
+						utxosCache: {max: 100, maxAge: 60000}
+					}
+				}
+			});
+			var qtumd = new QtumService(config);
+			qtumd.utxosCache.max.should.equal(100);
+			qtumd.utxosCache.maxAge.should.equal(60000);
+			qtumd.txidsCache.max.should.equal(50000);
+		});
+		it('will throw for an invalid size', function() {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					lru: {
+						utxosCache: {max: -1}
+					}
+				}
+			});
+			(function() {
+				new QtumService(config);
+			}).should.throw('Invalid "cache.lru.utxosCache.max"');
+		});
+		it('will throw for an invalid max-age', function() {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					lru: {
+						utxosCache: {maxAge: '1 minute'}
+					}
+				}
+			});
+			(function() {
+				new QtumService(config);
+			}).should.throw('Invalid "cache.lru.utxosCache.maxAge"');
+		});
+		it('will throw for an unknown cache', function() {
+			var config = _.extend({}, baseConfig, {
+				cache: {
+					lru: {
+						unknownCache: {max: 10}
+					}
+				}
+			});
+			(function() {
+				new QtumService(config);
+			}).should.throw('Unknown cache "unknownCache"');
+		});
+	});
+
+	describe('#getCacheStats', function() {
+		it('will give the stats of each cache', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.utxosCache.set('key', 'value');
+			qtumd.utxosCache.get('key');
+			qtumd.utxosCache.get('other');
+			qtumd.getCacheStats(function(err, stats) {
+				if (err) {
+					return done(err);
+				}
+				Object.keys(stats).should.deep.equal(qtumd.cacheNames);
+				stats.utxosCache.should.deep.equal({
+					hits: 1,
+					misses: 1,
+					evictions: 0,
+					size: 1,
+					max: 50000,
+					maxAge: 0
+				});
+				stats.blockCache.size.should.equal(0);
+				done();
+			});
+		});
+		it('will include the stats of a disk tier', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.transactionCache = {
+				getStats: sinon.stub().returns({hits: 1, diskHits: 2, diskMisses: 0})
+			};
+			qtumd.getCacheStats(function(err, stats) {
+				if (err) {
+					return done(err);
+				}
+				stats.transactionCache.should.deep.equal({hits: 1, diskHits: 2, diskMisses: 0});
+				done();
+			});
+		});
+	});
+
+	describe('#_initNodeHealth', function() {
+		it('will record the latency and errors of client requests', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var getBlockCount = sinon.stub().callsArgWith(0, new Error('test'));
+			var node = {
+				client: {
+					getBlockCount: getBlockCount
+				}
+			};
+			qtumd._initNodeHealth(node);
+			node.health.healthy.should.equal(true);
+			node.client.getBlockCount(function(err) {
+				err.message.should.equal('test');
+				getBlockCount.callCount.should.equal(1);
+				node.health.calls.should.equal(1);
+				node.health.errors.should.equal(1);
+				node.health.lastError.should.equal('test');
+				node.health.latency.should.be.a('number');
+				qtumd.rpcCalls.getBlockCount.calls.should.equal(1);
+				qtumd.rpcCalls.getBlockCount.errors.should.equal(1);
+				done();
+			});
+		});
+		it('will not record batched requests', function() {
+			var qtumd = new QtumService(baseConfig);
+			var getBlockCount = sinon.stub();
+			var node = {
+				client: {
+					batchedCalls: [],
+					getBlockCount: getBlockCount
+				}
+			};
+			qtumd._initNodeHealth(node);
+			node.client.getBlockCount();
+			getBlockCount.callCount.should.equal(1);
+			node.health.calls.should.equal(0);
+		});
+	});
+
+	describe('#_isNodeError', function() {
+		it('will not count request errors', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._isNodeError(null).should.equal(false);
+			qtumd._isNodeError({code: -5, message: 'No information available about transaction'}).should.equal(false);
+		});
+		it('will count connection errors, warm up and a full work queue', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._isNodeError(new Error('QTUM JSON-RPC: Request Error: connect ECONNREFUSED')).should.equal(true);
+			qtumd._isNodeError({code: -28, message: 'Loading block index...'}).should.equal(true);
+			qtumd._isNodeError({code: 429, message: 'Work queue depth exceeded'}).should.equal(true);
+		});
+	});
+
+	describe('#_recordNodeCall', function() {
+		it('will keep the errors of the most recent requests', function() {
+			var qtumd = new QtumService(_.extend({errorRateWindow: 4}, baseConfig));
+			var node = {client: {}};
+			qtumd._initNodeHealth(node);
+			qtumd._recordNodeCall(node, new Error('test'), 10);
+			qtumd._recordNodeCall(node, new Error('test'), 20);
+			qtumd._getNodeErrorRate(node).should.equal(1);
+			qtumd._recordNodeCall(node, null, 10);
+			qtumd._recordNodeCall(node, null, 10);
+			qtumd._recordNodeCall(node, null, 10);
+			node.health.recentErrors.should.deep.equal([true, false, false, false]);
+			qtumd._getNodeErrorRate(node).should.equal(0.25);
+			node.health.calls.should.equal(5);
+			node.health.errors.should.equal(2);
+		});
+		it('will keep a moving average of the latency', function() {
+			var qtumd = new QtumService(baseConfig);
+			var node = {client: {}};
+			qtumd._initNodeHealth(node);
+			qtumd._recordNodeCall(node, null, 100);
+			node.health.latency.should.equal(100);
+			qtumd._recordNodeCall(node, null, 200);
+			node.health.latency.should.equal(120);
+		});
+	});
+
+	describe('#_getNodesInRotation', function() {
+		it('will give healthy nodes and nodes without health', function() {
+			var qtumd = new QtumService(baseConfig);
+			var node1 = {client: {}, health: {healthy: true}};
+			var node2 = {client: {}, health: {healthy: false}};
+			var node3 = {client: {}};
+			qtumd.nodes.push(node1, node2, node3);
+			qtumd._getNodesInRotation().should.deep.equal([node1, node3]);
+		});
+		it('will give all nodes if none are healthy', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.nodes.push({client: {}, health: {healthy: false}});
+			qtumd.nodes.push({client: {}, health: {healthy: false}});
+			qtumd._getNodesInRotation().length.should.equal(2);
+		});
+		it('will skip nodes out of rotation for the client', function() {
+			var qtumd = new QtumService(baseConfig);
+			var client1 = {};
+			var client3 = {};
+			qtumd.nodes.push({client: client1, health: {healthy: true}});
+			qtumd.nodes.push({client: {}, health: {healthy: false}});
+			qtumd.nodes.push({client: client3, health: {healthy: true}});
+			qtumd.client.should.equal(client1);
+			qtumd.client.should.equal(client3);
+			qtumd.client.should.equal(client1);
+		});
+		it('will try nodes out of rotation last', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.tryAllInterval = 1;
+			qtumd.nodes.push({
+				client: {
+					getInfo: sinon.stub().callsArgWith(0, new Error('test'))
+				},
+				health: {healthy: false}
+			});
+			qtumd.nodes.push({
+				client: {
+					getInfo: sinon.stub().callsArgWith(0, new Error('test'))
+				}
+			});
+			var order = [];
+			qtumd._tryAllClients(function(client, next) {
+				order.push(client);
+				client.getInfo(next);
+			}, function(err) {
+				should.exist(err);
+				order.should.deep.equal([qtumd.nodes[1].client, qtumd.nodes[0].client]);
+				done();
+			});
+		});
+	});
+
+	describe('#_checkNodesHealth', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'warn');
+			sandbox.stub(log, 'info');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		function createNode(qtumd, port, getBlockCount) {
+			var node = {
+				client: {
+					host: '127.0.0.1',
+					port: port,
+					getBlockCount: getBlockCount
+				}
+			};
+			qtumd._initNodeHealth(node);
+			qtumd.nodes.push(node);
+			return node;
+		}
+		it('will take nodes that are behind or failing out of rotation', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node1 = createNode(qtumd, 30521, sinon.stub().callsArgWith(0, null, {result: 100}));
+			var node2 = createNode(qtumd, 30522, sinon.stub().callsArgWith(0, null, {result: 97}));
+			var node3 = createNode(qtumd, 30523, sinon.stub().callsArgWith(0, new Error('test')));
+			qtumd._checkNodesHealth(function() {
+				node1.health.healthy.should.equal(true);
+				node1.health.height.should.equal(100);
+				should.exist(node1.health.lastCheck);
+				node2.health.healthy.should.equal(false);
+				node2.health.reason.should.equal('3 blocks behind');
+				node3.health.healthy.should.equal(false);
+				node3.health.reason.should.equal('health check failed: test');
+				log.warn.callCount.should.equal(2);
+				done();
+			});
+		});
+		it('will take nodes with a high error rate out of rotation', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node = createNode(qtumd, 30521, sinon.stub().callsArgWith(0, null, {result: 100}));
+			qtumd._recordNodeCall(node, new Error('test'), 10);
+			qtumd._recordNodeCall(node, new Error('test'), 10);
+			qtumd._checkNodesHealth(function() {
+				node.health.healthy.should.equal(false);
+				node.health.reason.should.equal('error rate of 67%');
+				done();
+			});
+		});
+		it('will put nodes back in rotation once recovered', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var getBlockCount = sinon.stub();
+			getBlockCount.onFirstCall().callsArgWith(0, new Error('test'));
+			getBlockCount.onSecondCall().callsArgWith(0, null, {result: 100});
+			var node = createNode(qtumd, 30521, getBlockCount);
+			qtumd.errorRateWindow = 1;
+			qtumd._checkNodesHealth(function() {
+				node.health.healthy.should.equal(false);
+				qtumd._checkNodesHealth(function() {
+					node.health.healthy.should.equal(true);
+					should.equal(node.health.reason, null);
+					log.info.callCount.should.equal(1);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('#_startHealthChecks', function() {
+		it('will check the health of the nodes on an interval until stopping', function() {
+			var clock = sinon.useFakeTimers();
+			var qtumd = new QtumService(baseConfig);
+			qtumd._checkNodesHealth = sinon.stub();
+			qtumd._startHealthChecks();
+			clock.tick(10000);
+			qtumd._checkNodesHealth.callCount.should.equal(1);
+			qtumd.node.stopping = true;
+			clock.tick(20000);
+			qtumd._checkNodesHealth.callCount.should.equal(1);
+			clock.restore();
+		});
+	});
+
+	describe('#getNodesStatus', function() {
+		it('will give the health of each node', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node = {
+				client: {
+					host: '127.0.0.1',
+					port: 30521
+				}
+			};
+			qtumd._initNodeHealth(node);
+			qtumd._recordNodeCall(node, new Error('test'), 10);
+			qtumd.nodes.push(node);
+			qtumd.getNodesStatus(function(err, status) {
+				if (err) {
+					return done(err);
+				}
+				status.should.deep.equal([{
+					host: '127.0.0.1',
+					port: 30521,
+					healthy: true,
+					reason: null,
+					height: null,
+					latency: 10,
+					calls: 1,
+					errors: 1,
+					errorRate: 1,
+					lastError: 'test',
+					lastCheck: null
+				}]);
+				done();
+			});
+		});
+	});
+
+	describe('#_backfillZmqGap', function() {
+		var sandbox = sinon.sandbox.create();
+		beforeEach(function() {
+			sandbox.stub(log, 'info');
+			sandbox.stub(log, 'error');
+		});
+		afterEach(function() {
+			sandbox.restore();
+		});
+		it('will replay missed blocks and then the mempool', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node = {};
+			qtumd._getMissedBlockHashes = sinon.stub().callsArgWith(2, null, ['hash1', 'hash2'], false);
+			qtumd._replayZmqBlock = sinon.stub().callsArg(2);
+			qtumd._replayZmqMempool = sinon.stub().callsArg(1);
+			qtumd._backfillZmqGap(node, function() {
+				qtumd._replayZmqBlock.callCount.should.equal(2);
+				qtumd._replayZmqBlock.args[0][1].should.equal('hash1');
+				qtumd._replayZmqBlock.args[1][1].should.equal('hash2');
+				qtumd._replayZmqMempool.callCount.should.equal(1);
+				qtumd._replayZmqMempool.args[0][0].should.equal(node);
+				node._zmqBackfilling.should.equal(false);
+				done();
+			});
+		});
+		it('will replay the missed blocks in batches', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.node = {
+				stopping: false
+			};
+			qtumd.height = 10;
+			var node = {};
+			qtumd._getMissedBlockHashes = sinon.stub();
+			qtumd._getMissedBlockHashes.onFirstCall().callsArgWith(2, null, ['hash11', 'hash12'], true);
+			qtumd._getMissedBlockHashes.onSecondCall().callsArgWith(2, null, ['hash13'], false);
+			qtumd._replayZmqBlock = sinon.stub().callsArg(2);
+			qtumd._replayZmqMempool = sinon.stub().callsArg(1);
+			qtumd._backfillZmqGap(node, function() {
+				qtumd._getMissedBlockHashes.callCount.should.equal(2);
+				qtumd._getMissedBlockHashes.args[0][1].should.equal(10);
+				qtumd._getMissedBlockHashes.args[1][1].should.equal(12);
+				qtumd._replayZmqBlock.callCount.should.equal(3);
+				qtumd._replayZmqBlock.args[2][1].should.equal('hash13');
+				qtumd._replayZmqMempool.callCount.should.equal(1);
+				done();
+			});
+		});
+		it('will not replay more batches while stopping', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.node = {
+				stopping: true
+			};
+			var node = {};
+			qtumd._getMissedBlockHashes = sinon.stub().callsArgWith(2, null, ['hash1'], true);
+			qtumd._replayZmqBlock = sinon.stub().callsArg(2);
+			qtumd._replayZmqMempool = sinon.stub().callsArg(1);
+			qtumd._backfillZmqGap(node, function() {
+				qtumd._getMissedBlockHashes.callCount.should.equal(1);
+				qtumd._replayZmqMempool.callCount.should.equal(0);
+				node._zmqBackfilling.should.equal(false);
+				done();
+			});
+		});
+		it('will log an error', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd._getMissedBlockHashes = sinon.stub().callsArgWith(2, new Error('test'));
+			qtumd._replayZmqMempool = sinon.stub();
+			qtumd._backfillZmqGap({}, function() {
+				log.error.callCount.should.equal(1);
+				qtumd._replayZmqMempool.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will run again after the current backfill if requested meanwhile', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.node = {
+				stopping: false
+			};
+			var node = {};
+			var callback;
+			qtumd._getMissedBlockHashes = sinon.stub();
+			qtumd._getMissedBlockHashes.onFirstCall().callsArgWith(2, null, [], false);
+			qtumd._getMissedBlockHashes.onSecondCall().callsArgWith(2, null, [], false);
+			qtumd._replayZmqMempool = function(node, next) {
+				if (!callback) {
+					callback = next;
+					qtumd._backfillZmqGap(node);
+					node._zmqBackfillPending.should.equal(true);
+					return callback();
+				}
+				next();
+			};
+			qtumd._backfillZmqGap(node, function() {
+				qtumd._getMissedBlockHashes.callCount.should.equal(2);
+				node._zmqBackfillPending.should.equal(false);
+				done();
+			});
+		});
+	});
+
+	describe('#_getMissedBlockHashes', function() {
+		it('will give the blocks after the last known block (oldest first)', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.tiphash = 'hash2';
+			qtumd.recentBlocks = [{hash: 'hash1', height: 1}, {hash: 'hash2', height: 2}];
+			var getBlock = sinon.stub();
+			getBlock.withArgs('hash4').callsArgWith(1, null, {result: {height: 4, previousblockhash: 'hash3'}});
+			getBlock.withArgs('hash3').callsArgWith(1, null, {result: {height: 3, previousblockhash: 'hash2'}});
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, null, {result: 'hash4'}),
+					getBlock: getBlock
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 2, function(err, blockhashes, more) {
+				if (err) {
+					return done(err);
+				}
+				blockhashes.should.deep.equal(['hash3', 'hash4']);
+				more.should.equal(false);
+				getBlock.callCount.should.equal(2);
+				done();
+			});
+		});
+		it('will give no blocks if the tip is unchanged', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.tiphash = 'hash2';
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, null, {result: 'hash2'}),
+					getBlock: sinon.stub()
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 2, function(err, blockhashes, more) {
+				if (err) {
+					return done(err);
+				}
+				blockhashes.should.deep.equal([]);
+				more.should.equal(false);
+				node.client.getBlock.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will give the next batch by height if more than the reorg window of blocks were missed', function(done) {
+			var qtumd = new QtumService(_.extend({reorgWindow: 2}, baseConfig));
+			qtumd.tiphash = 'hash0';
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, null, {result: 'hash9'}),
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {height: 9, previousblockhash: 'hash8'}}),
+					getBlockHash: function(height, callback) {
+						callback(null, {result: 'hash' + height});
+					}
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 3, function(err, blockhashes, more) {
+				if (err) {
+					return done(err);
+				}
+				blockhashes.should.deep.equal(['hash4', 'hash5']);
+				more.should.equal(true);
+				node.client.getBlock.callCount.should.equal(1);
+				done();
+			});
+		});
+		it('will give at most the reorg window of blocks of a deeper reorganization', function(done) {
+			var sandbox = sinon.sandbox.create();
+			sandbox.stub(log, 'warn');
+			var qtumd = new QtumService(_.extend({reorgWindow: 2}, baseConfig));
+			qtumd.tiphash = 'hash0';
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, null, {result: 'hash9'}),
+					getBlock: function(blockhash, callback) {
+						var height = Number(blockhash.slice(4));
+						callback(null, {result: {height: height, previousblockhash: 'hash' + (height - 1)}});
+					}
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 8, function(err, blockhashes, more) {
+				var warnings = log.warn.callCount;
+				sandbox.restore();
+				if (err) {
+					return done(err);
+				}
+				blockhashes.should.deep.equal(['hash8', 'hash9']);
+				more.should.equal(false);
+				warnings.should.equal(1);
+				done();
+			});
+		});
+		it('will give rpc errors', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, {code: -1, message: 'test'})
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 2, function(err) {
+				err.should.be.instanceof(errors.RPCError);
+				done();
+			});
+		});
+		it('will give rpc errors of a batch', function(done) {
+			var qtumd = new QtumService(_.extend({reorgWindow: 2}, baseConfig));
+			var node = {
+				client: {
+					getBestBlockHash: sinon.stub().callsArgWith(0, null, {result: 'hash9'}),
+					getBlock: sinon.stub().callsArgWith(1, null, {result: {height: 9}}),
+					getBlockHash: sinon.stub().callsArgWith(1, {code: -1, message: 'test'})
+				}
+			};
+			qtumd._getMissedBlockHashes(node, 3, function(err) {
+				err.should.be.instanceof(errors.RPCError);
+				node.client.getBlockHash.callCount.should.equal(1);
+				done();
+			});
+		});
+	});
+
+	describe('#_replayZmqBlock', function() {
+		it('will replay the transactions and then the block', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var txBuffer = new Buffer(txhex, 'hex');
+			var blockhash = '00000000000000000000000000000000000000000000000000000000000000aa';
+			qtumd.getBlock = sinon.stub().callsArgWith(1, null, {
+				transactions: [{toBuffer: sinon.stub().returns(txBuffer)}]
+			});
+			qtumd._zmqTransactionHandler = sinon.stub();
+			qtumd._zmqBlockHandler = sinon.stub();
+			var node = {};
+			qtumd._replayZmqBlock(node, blockhash, function(err) {
+				if (err) {
+					return done(err);
+				}
+				qtumd._zmqTransactionHandler.callCount.should.equal(1);
+				qtumd._zmqTransactionHandler.args[0][1].should.equal(txBuffer);
+				qtumd._zmqTransactionHandler.args[0][2].should.equal(true);
+				qtumd._zmqBlockHandler.callCount.should.equal(1);
+				qtumd._zmqBlockHandler.args[0][0].should.equal(node);
+				qtumd._zmqBlockHandler.args[0][1].toString('hex').should.equal(blockhash);
+				qtumd._zmqBlockHandler.calledAfter(qtumd._zmqTransactionHandler).should.equal(true);
+				done();
+			});
+		});
+	});
+
+	describe('#_replayZmqMempool', function() {
+		it('will replay the mempool transactions that have not been seen', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var txBuffer = new Buffer(txhex, 'hex');
+			var knownTxid = '0000000000000000000000000000000000000000000000000000000000000001';
+			var goneTxid = '0000000000000000000000000000000000000000000000000000000000000002';
+			var newTxid = '0000000000000000000000000000000000000000000000000000000000000003';
+			var knownId = qtumcore.util.buffer.reverse(new Buffer(knownTxid, 'hex')).toString('binary');
+			qtumd.zmqKnownTransactions.set(knownId, true);
+			var getRawTransaction = sinon.stub();
+			getRawTransaction.withArgs(goneTxid).callsArgWith(1, {code: -5, message: 'test'});
+			getRawTransaction.withArgs(newTxid).callsArgWith(1, null, {result: txhex});
+			var node = {
+				client: {
+					getRawMemPool: sinon.stub().callsArgWith(0, null, {result: [knownTxid, goneTxid, newTxid]}),
+					getRawTransaction: getRawTransaction
+				}
+			};
+			qtumd._zmqTransactionHandler = sinon.stub();
+			qtumd._replayZmqMempool(node, function(err) {
+				if (err) {
+					return done(err);
+				}
+				getRawTransaction.callCount.should.equal(2);
+				qtumd._zmqTransactionHandler.callCount.should.equal(1);
+				qtumd._zmqTransactionHandler.args[0][1].should.deep.equal(txBuffer);
+				done();
+			});
+		});
+		it('will give rpc errors', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var node = {
+				client: {
+					getRawMemPool: sinon.stub().callsArgWith(0, {code: -1, message: 'test'})
+				}
+			};
+			qtumd._replayZmqMempool(node, function(err) {
+				err.should.be.instanceof(errors.RPCError);
+				done();
+			});
+		});
+	});
+
+	describe('mempool mirror', function() {
+		var txid1 = '0000000000000000000000000000000000000000000000000000000000000001';
+		var txid2 = '0000000000000000000000000000000000000000000000000000000000000002';
+		var txid3 = '0000000000000000000000000000000000000000000000000000000000000003';
+
+		function createMempool() {
+			var mempool = {};
+			mempool[txid1] = {txid: txid1, size: 200, fee: 90000, feeRate: 450, time: 1489485291};
+			mempool[txid2] = {txid: txid2, size: 300, fee: 120000, feeRate: 400, time: 1489485295};
+			mempool[txid3] = {txid: txid3, size: 250, fee: 300000, feeRate: 1200, time: 1489485293};
+			return mempool;
+		}
+
+		describe('#_addMempoolTransaction', function() {
+			it('will add the mempool entry', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				var getMempoolEntry = sinon.stub().callsArgWith(1, null, {
+					result: {size: 250, fee: 0.001, time: 1489485291}
+				});
+				qtumd.nodes.push({client: {getMempoolEntry: getMempoolEntry}});
+				qtumd._addMempoolTransaction(txid1, function(err) {
+					if (err) {
+						return done(err);
+					}
+					getMempoolEntry.args[0][0].should.equal(txid1);
+					qtumd.mempool[txid1].should.deep.equal({
+						txid: txid1,
+						size: 250,
+						fee: 100000,
+						feeRate: 400,
+						time: 1489485291
+					});
+					done();
+				});
+			});
+			it('will ignore transactions that are not in the mempool', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				qtumd.nodes.push({client: {getMempoolEntry: sinon.stub().callsArgWith(1, {code: -5, message: 'test'})}});
+				qtumd._addMempoolTransaction(txid1, function(err) {
+					if (err) {
+						return done(err);
+					}
+					qtumd.mempool.should.deep.equal({});
+					done();
+				});
+			});
+			it('will give rpc errors', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				qtumd.nodes.push({client: {getMempoolEntry: sinon.stub().callsArgWith(1, {code: -1, message: 'test'})}});
+				qtumd._addMempoolTransaction(txid1, function(err) {
+					err.should.be.instanceof(errors.RPCError);
+					done();
+				});
+			});
+		});
+
+		describe('#_syncMempool', function() {
+			it('will remove transactions no longer in the mempool and add missing ones', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.nodes.push({client: {getRawMemPool: sinon.stub().callsArgWith(0, null, {result: [txid1, 'txid4']})}});
+				qtumd._addMempoolTransaction = sinon.stub().callsArg(1);
+				qtumd._syncMempool(function() {
+					_.keys(qtumd.mempool).should.deep.equal([txid1]);
+					qtumd._addMempoolTransaction.callCount.should.equal(1);
+					qtumd._addMempoolTransaction.args[0][0].should.equal('txid4');
+					done();
+				});
+			});
+			it('will emit rpc errors', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				qtumd.nodes.push({client: {getRawMemPool: sinon.stub().callsArgWith(0, {code: -1, message: 'test'})}});
+				qtumd.on('error', function(err) {
+					err.should.be.instanceof(errors.RPCError);
+				});
+				qtumd._syncMempool(function() {
+					qtumd._mempoolSyncing.should.equal(false);
+					done();
+				});
+			});
+			it('will sync again after the current sync if requested meanwhile', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				var getRawMemPool = sinon.stub();
+				getRawMemPool.onFirstCall().callsArgWith(0, null, {result: []});
+				getRawMemPool.onSecondCall().callsArgWith(0, null, {result: []});
+				qtumd.nodes.push({client: {getRawMemPool: getRawMemPool}});
+				qtumd._addMempoolTransaction = sinon.stub().callsArg(1);
+				qtumd._mempoolSyncing = true;
+				qtumd._syncMempool();
+				qtumd._mempoolSyncPending.should.equal(true);
+				qtumd._mempoolSyncing = false;
+				qtumd._syncMempool(function() {
+					getRawMemPool.callCount.should.equal(2);
+					done();
+				});
+			});
+		});
+
+		describe('#_loadMempool', function() {
+			it('will start the mirror and sync it', function() {
+				var qtumd = new QtumService(baseConfig);
+				qtumd._syncMempool = sinon.stub();
+				var callback = sinon.stub();
+				qtumd._loadMempool(callback);
+				qtumd.mempool.should.deep.equal({});
+				qtumd._syncMempool.args[0][0].should.equal(callback);
+			});
+		});
+
+		describe('#getMempoolInfo', function() {
+			it('will give an error if the mempool is not loaded', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.getMempoolInfo(function(err) {
+					err.should.be.instanceof(errors.RPCError);
+					err.message.should.equal('Mempool is not loaded');
+					done();
+				});
+			});
+			it('will give a summary of the mempool', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolInfo(function(err, info) {
+					if (err) {
+						return done(err);
+					}
+					info.should.deep.equal({
+						size: 3,
+						bytes: 750,
+						fees: 510000,
+						minFeeRate: 400,
+						maxFeeRate: 1200
+					});
+					done();
+				});
+			});
+			it('will give a summary of an empty mempool', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = {};
+				qtumd.getMempoolInfo(function(err, info) {
+					if (err) {
+						return done(err);
+					}
+					info.size.should.equal(0);
+					should.equal(info.minFeeRate, null);
+					done();
+				});
+			});
+		});
+
+		describe('#getMempoolTxids', function() {
+			it('will give the most recent transactions first', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolTxids(function(err, txids) {
+					if (err) {
+						return done(err);
+					}
+					txids.should.deep.equal([txid2, txid3, txid1]);
+					done();
+				});
+			});
+			it('will sort by fee rate, filter and limit', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolTxids({sort: 'feeRate', minFeeRate: 450, limit: 1}, function(err, txids) {
+					if (err) {
+						return done(err);
+					}
+					txids.should.deep.equal([txid3]);
+					done();
+				});
+			});
+			it('will give an error for an unsupported sort', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolTxids({sort: 'size'}, function(err) {
+					err.should.be.instanceof(TypeError);
+					done();
+				});
+			});
+		});
+
+		describe('#getMempoolFeeHistogram', function() {
+			it('will group the transactions by fee rate', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolFeeHistogram(function(err, histogram) {
+					if (err) {
+						return done(err);
+					}
+					histogram.should.deep.equal([
+						{minFeeRate: 1000, maxFeeRate: 1500, count: 1, size: 250, fees: 300000},
+						{minFeeRate: 450, maxFeeRate: 500, count: 1, size: 200, fees: 90000},
+						{minFeeRate: 400, maxFeeRate: 450, count: 1, size: 300, fees: 120000}
+					]);
+					done();
+				});
+			});
+			it('will use the given buckets', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				qtumd.getMempoolFeeHistogram({buckets: [420, 1000]}, function(err, histogram) {
+					if (err) {
+						return done(err);
+					}
+					histogram.should.deep.equal([
+						{minFeeRate: 1000, maxFeeRate: null, count: 1, size: 250, fees: 300000},
+						{minFeeRate: 420, maxFeeRate: 1000, count: 1, size: 200, fees: 90000}
+					]);
+					done();
+				});
+			});
+			it('will give an error for invalid buckets', function(done) {
+				var qtumd = new QtumService(baseConfig);
+				qtumd.mempool = createMempool();
+				var invalid = ['420', [], [1000, 420], [420, 420], [-1, 420], ['a', 'b']];
+				var count = 0;
+				invalid.forEach(function(buckets) {
+					var sync = true;
+					qtumd.getMempoolFeeHistogram({buckets: buckets}, function(err) {
+						sync.should.equal(false);
+						err.should.be.an.instanceof(errors.Error);
+						err.message.should.match(/"buckets" is expected to be an array/);
+						count++;
+						if (count === invalid.length) {
+							done();
+						}
+					});
+					sync = false;
+				});
+			});
+		});
+	});
+
+	describe('#getAddressBalances', function() {
+		var address1 = 'qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME';
+		var address2 = 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R';
+		it('will give the balance of each address and cache each address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var getAddressBalance = sinon.stub();
+			getAddressBalance.onFirstCall().callsArgWith(1, null, {result: {balance: 100, received: 200}});
+			getAddressBalance.onSecondCall().callsArgWith(1, null, {result: {balance: 0, received: 50}});
+			qtumd.nodes.push({client: {getAddressBalance: getAddressBalance}});
+			qtumd.balanceCache.set(address2, {balance: 10, received: 10});
+			var address = qtumcore.Address(address1);
+			qtumd.getAddressBalances([address, address1, address2], {withoutCache: false}, function(err, balances) {
+				if (err) {
+					return done(err);
+				}
+				getAddressBalance.callCount.should.equal(1);
+				getAddressBalance.args[0][0].should.deep.equal({addresses: [address1]});
+				balances.should.deep.equal({
+					qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME: {balance: 100, received: 200},
+					qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R: {balance: 10, received: 10}
+				});
+				qtumd.balanceCache.get(address1).should.deep.equal({balance: 100, received: 200});
+				done();
+			});
+		});
+		it('will give an error if the maximum number of addresses is exceeded', function(done) {
+			var qtumd = new QtumService(_.extend({maxAddressesQuery: 1}, baseConfig));
+			qtumd.getAddressBalances([address1, address2], {}, function(err) {
+				err.should.be.instanceof(TypeError);
+				err.message.should.equal('Maximum number of addresses (1) exceeded');
+				done();
+			});
+		});
+		it('will give an error for an invalid address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getAddressBalances([{}], {}, function(err) {
+				err.should.be.instanceof(TypeError);
+				done();
+			});
+		});
+		it('will give rpc errors', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			var getAddressBalance = sinon.stub().callsArgWith(1, {code: -1, message: 'test'});
+			qtumd.nodes.push({client: {getAddressBalance: getAddressBalance}});
+			qtumd.getAddressBalances([address1], {}, function(err) {
+				err.should.be.instanceof(errors.RPCError);
+				done();
+			});
+		});
+	});
+
+	describe('#getAddressSummaries', function() {
+		it('will give the summary of each address', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getAddressSummary = sinon.stub();
+			qtumd.getAddressSummary.withArgs('qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME').callsArgWith(2, null, {balance: 1});
+			qtumd.getAddressSummary.withArgs('qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R').callsArgWith(2, null, {balance: 2});
+			var options = {noTxList: true};
+			var addresses = ['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME', 'qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R'];
+			qtumd.getAddressSummaries(addresses, options, function(err, summaries) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.getAddressSummary.args[0][1].should.equal(options);
+				summaries.should.deep.equal({
+					qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME: {balance: 1},
+					qHjzuvT4JtLRuxyLLZDVtkfJWukm9KqK8R: {balance: 2}
+				});
+				done();
+			});
+		});
+		it('will give errors', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.getAddressSummary = sinon.stub().callsArgWith(2, new Error('test'));
+			qtumd.getAddressSummaries(['qHeh2ycKFmUHXVMN8x6NYQAMXDqUneosME'], {}, function(err) {
+				err.message.should.equal('test');
+				done();
+			});
+		});
+	});
+
+	describe('#_recordRPCCall', function() {
+		it('will count the calls, errors and seconds by method', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.rpcCalls.should.deep.equal({});
+			qtumd._recordRPCCall('getBlock', null, 500);
+			qtumd._recordRPCCall('getBlock', {code: -5, message: 'test'}, 1500);
+			qtumd._recordRPCCall('getRawMemPool', null, 10);
+			qtumd.rpcCalls.should.deep.equal({
+				getBlock: {calls: 2, errors: 1, seconds: 2},
+				getRawMemPool: {calls: 1, errors: 0, seconds: 0.01}
+			});
+		});
+	});
+
+	describe('#getMetrics', function() {
+		function getMetric(metrics, name) {
+			return metrics.filter(function(metric) {
+				return metric.name === name;
+			})[0];
+		}
+		it('will give the tip, requests and zmq messages', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 120;
+			qtumd.lastSyncPercentage = 99.5;
+			qtumd._recordRPCCall('getBlock', new Error('test'), 500);
+			qtumd.zmqMessages = {rawtx: 10, hashblock: 2};
+			var metrics = qtumd.getMetrics();
+			getMetric(metrics, 'qtumd_tip_height').values.should.deep.equal([{labels: {}, value: 120}]);
+			getMetric(metrics, 'qtumd_sync_percentage').values.should.deep.equal([{labels: {}, value: 99.5}]);
+			getMetric(metrics, 'qtumd_rpc_calls_total').values.should.deep.equal([
+				{labels: {method: 'getBlock'}, value: 1}
+			]);
+			getMetric(metrics, 'qtumd_rpc_errors_total').values.should.deep.equal([
+				{labels: {method: 'getBlock'}, value: 1}
+			]);
+			getMetric(metrics, 'qtumd_rpc_duration_seconds_total').values.should.deep.equal([
+				{labels: {method: 'getBlock'}, value: 0.5}
+			]);
+			getMetric(metrics, 'qtumd_zmq_messages_total').values.should.deep.equal([
+				{labels: {topic: 'rawtx'}, value: 10},
+				{labels: {topic: 'hashblock'}, value: 2}
+			]);
+		});
+		it('will not give the tip before it is known', function() {
+			var qtumd = new QtumService(baseConfig);
+			var metrics = qtumd.getMetrics();
+			getMetric(metrics, 'qtumd_tip_height').values.should.deep.equal([]);
+			getMetric(metrics, 'qtumd_sync_percentage').values.should.deep.equal([]);
+		});
+		it('will give the stats of each cache', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.utxosCache.set('a', 1);
+			qtumd.utxosCache.get('a');
+			qtumd.utxosCache.get('a');
+			qtumd.utxosCache.get('a');
+			qtumd.utxosCache.get('b');
+			var metrics = qtumd.getMetrics();
+			var hits = getMetric(metrics, 'qtumd_cache_hits_total').values;
+			hits.length.should.equal(qtumd.cacheNames.length);
+			hits[qtumd.cacheNames.indexOf('utxosCache')].should.deep.equal({labels: {cache: 'utxosCache'}, value: 3});
+			var ratios = getMetric(metrics, 'qtumd_cache_hit_ratio').values;
+			ratios[qtumd.cacheNames.indexOf('utxosCache')].value.should.equal(0.75);
+			ratios[qtumd.cacheNames.indexOf('txidsCache')].value.should.equal(0);
+			getMetric(metrics, 'qtumd_cache_items').values[qtumd.cacheNames.indexOf('utxosCache')].value.should.equal(1);
+			getMetric(metrics, 'qtumd_cache_disk_hits_total').values.should.deep.equal([]);
+		});
+		it('will give the disk stats of caches with a disk tier', function() {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.cacheNames = ['blockCache'];
+			qtumd.blockCache = {
+				getStats: sinon.stub().returns({hits: 1, misses: 2, evictions: 0, size: 1, diskHits: 1, diskMisses: 1})
+			};
+			var metrics = qtumd.getMetrics();
+			getMetric(metrics, 'qtumd_cache_disk_hits_total').values.should.deep.equal([
+				{labels: {cache: 'blockCache'}, value: 1}
+			]);
+			getMetric(metrics, 'qtumd_cache_disk_misses_total').values.should.deep.equal([
+				{labels: {cache: 'blockCache'}, value: 1}
+			]);
+		});
+		it('will give the number of subscribers and items by event', function() {
+			var qtumd = new QtumService(baseConfig);
+			var emitter1 = new EventEmitter();
+			var emitter2 = new EventEmitter();
+			qtumd.subscriptions.hashblock = [emitter1, emitter2];
+			qtumd.subscriptions.address = {
+				a: [emitter1],
+				b: [emitter1, emitter2]
+			};
+			qtumd.subscriptions.tokenAddress = {
+				a: [emitter1]
+			};
+			qtumd.subscriptions.tokenContract = {
+				c: [emitter1]
+			};
+			qtumd.subscriptions.txconfirmations = {
+				d: [{emitter: emitter2, confirmations: 6, blockHash: null}]
+			};
+			var metrics = qtumd.getMetrics();
+			getMetric(metrics, 'qtumd_subscribers').values.should.deep.equal([
+				{labels: {event: 'qtumd/rawtransaction'}, value: 0},
+				{labels: {event: 'qtumd/hashblock'}, value: 2},
+				{labels: {event: 'qtumd/reorg'}, value: 0},
+				{labels: {event: 'qtumd/addresstxid'}, value: 2},
+				{labels: {event: 'qtumd/addressbalance'}, value: 0},
+				{labels: {event: 'qtumd/tokentransfer'}, value: 1},
+				{labels: {event: 'qtumd/txconfirmations'}, value: 1}
+			]);
+			getMetric(metrics, 'qtumd_subscription_items').values.should.deep.equal([
+				{labels: {event: 'qtumd/addresstxid'}, value: 2},
+				{labels: {event: 'qtumd/addressbalance'}, value: 0},
+				{labels: {event: 'qtumd/tokentransfer'}, value: 2},
+				{labels: {event: 'qtumd/txconfirmations'}, value: 1}
+			]);
+		});
+	});
+
+	describe('#checkReadiness', function() {
+		function createNode(options) {
+			return {
+				_zmqConnected: options.zmqConnected,
+				client: {
+					getBlockCount: sinon.stub().callsArgWith(0, options.blockCountError || null, {result: 120}),
+					getBlockchainInfo: sinon.stub().callsArgWith(0, options.blockchainInfoError || null, {
+						result: {
+							verificationprogress: options.progress
+						}
+					})
+				}
+			};
+		}
+		it('will be ready if synced and a node is connected and responds', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.nodes.push(createNode({zmqConnected: true, progress: 0.99999}));
+			qtumd.nodes.push(createNode({zmqConnected: false, blockCountError: {code: -1, message: 'test'}}));
+			qtumd.checkReadiness(function(err, checks) {
+				if (err) {
+					return done(err);
+				}
+				checks.should.deep.equal([
+					{name: 'qtumd/synced', ready: true, message: 'Synced 100.00%'},
+					{name: 'qtumd/zmq', ready: true, message: '1 of 2 ZMQ sockets connected'},
+					{name: 'qtumd/nodes', ready: true, message: '1 of 2 nodes responded'}
+				]);
+				done();
+			});
+		});
+		it('will not be ready while syncing', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.nodes.push(createNode({zmqConnected: true, progress: 0.5}));
+			qtumd.checkReadiness(function(err, checks) {
+				if (err) {
+					return done(err);
+				}
+				checks[0].should.deep.equal({name: 'qtumd/synced', ready: false, message: 'Synced 50.00%'});
+				done();
+			});
+		});
+		it('will not be ready without a connected zmq socket or a responding node', function(done) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.nodes.push(createNode({
+				zmqConnected: false,
+				blockCountError: {code: -1, message: 'test'},
+				blockchainInfoError: {code: -1, message: 'connect ECONNREFUSED'}
+			}));
+			qtumd.checkReadiness(function(err, checks) {
+				if (err) {
+					return done(err);
+				}
+				checks.should.deep.equal([
+					{name: 'qtumd/synced', ready: false, message: 'connect ECONNREFUSED'},
+					{name: 'qtumd/zmq', ready: false, message: '0 of 1 ZMQ sockets connected'},
+					{name: 'qtumd/nodes', ready: false, message: '0 of 1 nodes responded'}
+				]);
+				done();
+			});
+		});
+	});
+
+	describe('#_replayBlockEvents', function() {
+		var blockhash = '00000000000000000000000000000000000000000000000000000000000000aa';
+		function createQtumd(header) {
+			var qtumd = new QtumService(baseConfig);
+			qtumd.height = 12;
+			qtumd.getBlockHeader = sinon.stub().callsArgWith(1, null, header);
+			qtumd._maybeGetBlockHash = function(height, callback) {
+				callback(null, 'hash' + height);
+			};
+			return qtumd;
+		}
+		it('will give the blocks after the block', function(done) {
+			var qtumd = createQtumd({height: 10, confirmations: 3});
+			qtumd._replayBlockEvents(blockhash, function(err, events) {
+				if (err) {
+					return done(err);
+				}
+				qtumd.getBlockHeader.args[0][0].should.equal(blockhash);
+				events.should.deep.equal([['hash11'], ['hash12']]);
+				done();
+			});
+		});
+		it('will give no blocks for the tip', function(done) {
+			var qtumd = createQtumd({height: 12, confirmations: 1});
+			qtumd._replayBlockEvents(blockhash, function(err, events) {
+				if (err) {
+					return done(err);
+				}
+				events.should.deep.equal([]);
+				done();
+			});
+		});
+		it('will give the blocks from the height of a block that is not in the main chain', function(done) {
+			var qtumd = createQtumd({height: 11, confirmations: -1});
+			qtumd._replayBlockEvents(blockhash, function(err, events) {
+				if (err) {
+					return done(err);
+				}
+				events.should.deep.equal([['hash11'], ['hash12']]);
+				done();
+			});
+		});
+		it('will give an error for an invalid block hash', function(done) {
+			var qtumd = createQtumd({height: 10, confirmations: 3});
+			qtumd._replayBlockEvents('10', function(err) {
+				err.message.should.equal('Invalid block hash: 10');
+				qtumd.getBlockHeader.callCount.should.equal(0);
+				done();
+			});
+		});
+		it('will give an error for an unknown block', function(done) {
+			var qtumd = createQtumd();
+			qtumd.getBlockHeader = sinon.stub().callsArgWith(1, new Error('Block not found'));
+			qtumd._replayBlockEvents(blockhash, function(err) {
+				err.message.should.equal('Block not found');
+				done();
+			});
+		});
+		it('will give an error for too many blocks', function(done) {
+			var qtumd = createQtumd({height: 10, confirmations: 3});
+			qtumd.height = 10 + QtumService.MAX_EVENT_REPLAY_BLOCKS + 1;
+			qtumd._replayBlockEvents(blockhash, function(err) {
+				err.message.should.match(/^Too many blocks to replay/);
+				done();
+			});
+		});
+	});
 });
\ No newline at end of file
@@ -3,16 +3,25 @@
 var should = require('chai').should();
 var sinon = require('sinon');
 var EventEmitter = require('events').EventEmitter;
+var zlib = require('zlib');
 var proxyquire = require('proxyquire');
+var qtumcore = require('qtumcore-lib');
+var _ = qtumcore.deps._;
 
 var index = require('../../lib');
 var log = index.log;
+var AccessControl = require('../../lib/accesscontrol');
 
+function createFakeServer() {
+  var server = new EventEmitter();
+  server.listen = sinon.stub();
+  return server;
+}
 var httpStub = {
-  createServer: sinon.spy()
+  createServer: sinon.spy(createFakeServer)
 };
 var httpsStub = {
-  createServer: sinon.spy()
+  createServer: sinon.spy(createFakeServer)
 };
 var fsStub = {
   readFileSync: function(arg1) {
@@ -56,6 +65,491 @@ describe('WebService', function() {
       web.jsonRequestLimit.should.equal('200kb');
       web.port.should.equal(3000);
     });
+    it('will set rest api settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableRestAPI.should.equal(WebService.DEFAULT_REST_API);
+      web.restAPIPrefix.should.equal('api');
+
+      var web2 = new WebService({node: defaultNode, enableRestAPI: false, restAPIPrefix: 'rest'});
+      web2.enableRestAPI.should.equal(false);
+      web2.restAPIPrefix.should.equal('rest');
+    });
+    it('will set json-rpc settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableJsonRPC.should.equal(WebService.DEFAULT_JSON_RPC);
+      web.jsonRPCPath.should.equal('/rpc');
+
+      var web2 = new WebService({node: defaultNode, enableJsonRPC: false, jsonRPCPath: '/jsonrpc'});
+      web2.enableJsonRPC.should.equal(false);
+      web2.jsonRPCPath.should.equal('/jsonrpc');
+    });
+    it('will setup routes and methods when the node is ready', function() {
+      var node = new EventEmitter();
+      var web = new WebService({node: node, enableRestAPI: true});
+      web.getEventNames = sinon.stub().returns([]);
+      web.createMethodsMap = sinon.stub();
+      web.setupAllRoutes = sinon.stub();
+      web.setupRestRoutes = sinon.stub();
+      web.setupJsonRPC = sinon.stub();
+      web.setupMetrics = sinon.stub();
+      web.setupEventStream = sinon.stub();
+      web.setupIntrospection = sinon.stub();
+      node.emit('ready');
+      web.setupEventStream.callCount.should.equal(1);
+      web.setupIntrospection.callCount.should.equal(1);
+      web.createMethodsMap.callCount.should.equal(1);
+      web.setupAllRoutes.callCount.should.equal(1);
+      web.setupRestRoutes.callCount.should.equal(1);
+      web.setupJsonRPC.callCount.should.equal(1);
+      web.setupMetrics.callCount.should.equal(1);
+    });
+    it('will not setup rest routes, json-rpc, event stream, metrics or introspection if not enabled', function() {
+      var node = new EventEmitter();
+      var web = new WebService({
+        node: node,
+        enableRestAPI: false,
+        enableJsonRPC: false,
+        enableEventStream: false,
+        enableMetrics: false,
+        enableIntrospection: false
+      });
+      web.setupEventStream = sinon.stub();
+      web.setupIntrospection = sinon.stub();
+      web.getEventNames = sinon.stub().returns([]);
+      web.createMethodsMap = sinon.stub();
+      web.setupAllRoutes = sinon.stub();
+      web.setupRestRoutes = sinon.stub();
+      web.setupJsonRPC = sinon.stub();
+      web.setupMetrics = sinon.stub();
+      node.emit('ready');
+      web.setupEventStream.callCount.should.equal(0);
+      web.setupIntrospection.callCount.should.equal(0);
+      web.setupRestRoutes.callCount.should.equal(0);
+      web.setupJsonRPC.callCount.should.equal(0);
+      web.setupMetrics.callCount.should.equal(0);
+    });
+    it('will set metrics settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableMetrics.should.equal(WebService.DEFAULT_METRICS);
+      web.metricsPath.should.equal('/metrics');
+
+      var web2 = new WebService({node: defaultNode, enableMetrics: false, metricsPath: '/prometheus'});
+      web2.enableMetrics.should.equal(false);
+      web2.metricsPath.should.equal('/prometheus');
+    });
+    it('will set event stream settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableEventStream.should.equal(WebService.DEFAULT_EVENT_STREAM);
+      web.eventStreamPath.should.equal('/events');
+
+      var web2 = new WebService({node: defaultNode, enableEventStream: false, eventStreamPath: '/sse'});
+      web2.enableEventStream.should.equal(false);
+      web2.eventStreamPath.should.equal('/sse');
+    });
+    it('will set health check settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableHealthChecks.should.equal(WebService.DEFAULT_HEALTH_CHECKS);
+      web.healthPath.should.equal('/health');
+      web.readyPath.should.equal('/ready');
+
+      var web2 = new WebService({
+        node: defaultNode,
+        enableHealthChecks: false,
+        healthPath: '/healthz',
+        readyPath: '/readyz'
+      });
+      web2.enableHealthChecks.should.equal(false);
+      web2.healthPath.should.equal('/healthz');
+      web2.readyPath.should.equal('/readyz');
+    });
+    it('will set introspection settings', function() {
+      var web = new WebService({node: defaultNode});
+      web.enableIntrospection.should.equal(WebService.DEFAULT_INTROSPECTION);
+      web.introspectionPath.should.equal('/openapi.json');
+
+      var web2 = new WebService({node: defaultNode, enableIntrospection: false, introspectionPath: '/api.json'});
+      web2.enableIntrospection.should.equal(false);
+      web2.introspectionPath.should.equal('/api.json');
+    });
+  });
+
+  describe('#_initHttpOptions', function() {
+    it('will enable compression and security headers by default', function() {
+      var web = new WebService({node: defaultNode});
+      should.equal(web.corsOptions, null);
+      web.compressionOptions.threshold.should.equal(1024);
+      web.securityHeaders.should.deep.equal(WebService.DEFAULT_SECURITY_HEADERS);
+    });
+    it('will set cors and compression options', function() {
+      var web = new WebService({
+        node: defaultNode,
+        cors: {origins: ['https://explorer.example.com']},
+        compression: {threshold: 0}
+      });
+      web.corsOptions.origin.should.deep.equal(['https://explorer.example.com']);
+      web.compressionOptions.threshold.should.equal(0);
+    });
+    it('will disable compression and security headers', function() {
+      var web = new WebService({node: defaultNode, compression: false, securityHeaders: false});
+      should.equal(web.compressionOptions, null);
+      should.equal(web.securityHeaders, null);
+    });
+    it('will add, replace and remove security headers', function() {
+      var web = new WebService({
+        node: defaultNode,
+        https: true,
+        securityHeaders: {
+          'Content-Security-Policy': 'default-src \'none\'',
+          'X-Frame-Options': 'DENY',
+          'X-Download-Options': false
+        }
+      });
+      web.securityHeaders['Content-Security-Policy'].should.equal('default-src \'none\'');
+      web.securityHeaders['X-Frame-Options'].should.equal('DENY');
+      web.securityHeaders['Strict-Transport-Security'].should.equal(WebService.DEFAULT_HSTS);
+      should.not.exist(web.securityHeaders['X-Download-Options']);
+      WebService.DEFAULT_SECURITY_HEADERS['X-Frame-Options'].should.equal('SAMEORIGIN');
+    });
+  });
+
+  describe('#securityHeadersHandler', function() {
+    it('will set the security headers', function() {
+      var web = new WebService({node: defaultNode});
+      var res = {
+        set: sinon.stub()
+      };
+      var next = sinon.stub();
+      web.securityHeadersHandler({}, res, next);
+      res.set.args[0][0].should.equal(web.securityHeaders);
+      next.callCount.should.equal(1);
+    });
+  });
+
+  describe('#_getCorsOptions', function() {
+    var web = new WebService({node: defaultNode});
+    it('will give the options of the listed origins with the defaults', function() {
+      web._getCorsOptions({origins: ['https://explorer.example.com']}).should.deep.equal({
+        origin: ['https://explorer.example.com'],
+        origins: ['https://explorer.example.com'],
+        methods: ['GET', 'HEAD', 'POST', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+        credentials: false,
+        maxAge: 600
+      });
+    });
+    it('will allow any origin', function() {
+      web._getCorsOptions({origins: ['*']}).origin.should.equal('*');
+      var options = web._getCorsOptions({origins: ['*'], credentials: true, methods: ['GET'], maxAge: 60});
+      options.origin.should.equal(true);
+      options.credentials.should.equal(true);
+      options.methods.should.deep.equal(['GET']);
+      options.maxAge.should.equal(60);
+    });
+    it('will throw if a list is not an array', function() {
+      (function() {
+        web._getCorsOptions({origins: 'https://explorer.example.com'});
+      }).should.throw('Expected "cors.origins" to be an array');
+    });
+  });
+
+  describe('#_getCompressionOptions', function() {
+    var web = new WebService({node: defaultNode});
+    function createResponse(type) {
+      return {
+        getHeader: sinon.stub().withArgs('Content-Type').returns(type)
+      };
+    }
+    it('will give the threshold and level', function() {
+      var options = web._getCompressionOptions({threshold: 0, level: 9});
+      options.threshold.should.equal(0);
+      options.level.should.equal(9);
+      web._getCompressionOptions().threshold.should.equal(1024);
+      should.not.exist(web._getCompressionOptions().level);
+    });
+    it('will give the brotli quality', function() {
+      if (!zlib.constants) {
+        return;
+      }
+      var options = web._getCompressionOptions({brotliQuality: 11});
+      options.brotli.params[zlib.constants.BROTLI_PARAM_QUALITY].should.equal(11);
+    });
+    it('will not compress event streams', function() {
+      var filter = web._getCompressionOptions().filter;
+      filter({}, createResponse('application/json; charset=utf-8')).should.equal(true);
+      filter({}, createResponse('text/event-stream')).should.equal(false);
+      filter({}, createResponse('image/png')).should.equal(false);
+    });
+  });
+
+  describe('#socketOriginHandler', function() {
+    it('will allow the listed origins and clients without an origin', function() {
+      var web = new WebService({node: defaultNode, cors: {origins: ['https://explorer.example.com']}});
+      var callback = sinon.stub();
+      web.socketOriginHandler('https://explorer.example.com', callback);
+      web.socketOriginHandler('https://other.example.com', callback);
+      web.socketOriginHandler('*', callback);
+      callback.args.should.deep.equal([[null, true], [null, false], [null, true]]);
+    });
+  });
+
+  describe('#_initRateLimits', function() {
+    it('will not limit requests or connections by default', function() {
+      var web = new WebService({node: defaultNode});
+      should.equal(web.rateLimiter, null);
+      web.maxSocketsPerIP.should.equal(0);
+      web.maxSubscriptionAddresses.should.equal(WebService.DEFAULT_MAX_SUBSCRIPTION_ADDRESSES);
+      web.rateLimitWhitelist.should.deep.equal([]);
+      web.connections.should.deep.equal({});
+    });
+    it('will set the limits', function() {
+      var web = new WebService({
+        node: defaultNode,
+        rateLimit: {
+          requestsPerSecond: 5,
+          burst: 10,
+          maxSocketsPerIP: 2,
+          maxSubscriptionAddresses: 0,
+          whitelist: ['127.0.0.1']
+        }
+      });
+      web.rateLimiter.rate.should.equal(5);
+      web.rateLimiter.burst.should.equal(10);
+      web.maxSocketsPerIP.should.equal(2);
+      web.maxSubscriptionAddresses.should.equal(0);
+      web.rateLimitWhitelist.should.deep.equal(['127.0.0.1']);
+    });
+  });
+
+  describe('#_getRequestRemoteAddress', function() {
+    var web = new WebService({node: defaultNode});
+    it('will get remote address from cloudflare header', function() {
+      var req = {headers: {'cf-connecting-ip': '10.0.0.1'}, connection: {remoteAddress: '127.0.0.1'}};
+      web._getRequestRemoteAddress(req).should.equal('10.0.0.1');
+    });
+    it('will get remote address from the connection', function() {
+      var req = {headers: {}, connection: {remoteAddress: '127.0.0.1'}};
+      web._getRequestRemoteAddress(req).should.equal('127.0.0.1');
+      web._getRequestRemoteAddress(req, {remoteAddress: '10.0.0.2'}).should.equal('10.0.0.2');
+    });
+  });
+
+  describe('#_isRateLimited', function() {
+    it('will not limit without a rate', function() {
+      var web = new WebService({node: defaultNode});
+      web._isRateLimited('127.0.0.1').should.equal(false);
+    });
+    it('will limit requests over the rate by remote address', function() {
+      var web = new WebService({node: defaultNode, rateLimit: {requestsPerSecond: 1, whitelist: ['10.0.0.1']}});
+      web._isRateLimited('127.0.0.1').should.equal(false);
+      web._isRateLimited('127.0.0.1').should.equal(true);
+      web._isRateLimited('127.0.0.2').should.equal(false);
+      web._isRateLimited('10.0.0.1').should.equal(false);
+      web._isRateLimited('10.0.0.1').should.equal(false);
+    });
+  });
+
+  describe('#rateLimitHandler', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'debug');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will respond with 429 over the rate limit', function() {
+      var web = new WebService({node: defaultNode, rateLimit: {requestsPerSecond: 1}});
+      var req = {headers: {}, connection: {remoteAddress: '127.0.0.1'}, method: 'GET', path: '/api/getInfo'};
+      var res = {
+        set: sinon.stub(),
+        status: sinon.stub(),
+        jsonp: sinon.stub()
+      };
+      res.status.returns(res);
+      var next = sinon.stub();
+      web.rateLimitHandler(req, res, next);
+      next.callCount.should.equal(1);
+      web.rateLimitHandler(req, res, next);
+      next.callCount.should.equal(1);
+      res.set.args[0].should.deep.equal(['Retry-After', '1']);
+      res.status.args[0][0].should.equal(429);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'Too Many Requests'}});
+    });
+  });
+
+  describe('#_hasConnectionQuota', function() {
+    it('will not limit connections by default', function() {
+      var web = new WebService({node: defaultNode});
+      web._addConnection('127.0.0.1');
+      web._hasConnectionQuota('127.0.0.1').should.equal(true);
+    });
+    it('will limit connections by remote address', function() {
+      var web = new WebService({node: defaultNode, rateLimit: {maxSocketsPerIP: 2, whitelist: ['10.0.0.1']}});
+      web._addConnection('127.0.0.1');
+      web._hasConnectionQuota('127.0.0.1').should.equal(true);
+      web._addConnection('127.0.0.1');
+      web._hasConnectionQuota('127.0.0.1').should.equal(false);
+      web._hasConnectionQuota('127.0.0.2').should.equal(true);
+      web._removeConnection('127.0.0.1');
+      web._hasConnectionQuota('127.0.0.1').should.equal(true);
+      web._removeConnection('127.0.0.1');
+      web.connections.should.deep.equal({});
+      web._addConnection('10.0.0.1');
+      web._addConnection('10.0.0.1');
+      web._hasConnectionQuota('10.0.0.1').should.equal(true);
+    });
+  });
+
+  describe('#socketLimitHandler', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    it('will refuse connections over the limit', function() {
+      var web = new WebService({node: defaultNode, rateLimit: {maxSocketsPerIP: 1}});
+      var socket = {
+        client: {
+          request: {
+            headers: {}
+          }
+        },
+        conn: {
+          remoteAddress: '127.0.0.1'
+        }
+      };
+      var next = sinon.stub();
+      web.socketLimitHandler(socket, next);
+      next.args[0].length.should.equal(0);
+      web._addConnection('127.0.0.1');
+      web.socketLimitHandler(socket, next);
+      next.args[1][0].message.should.equal('Too many connections');
+    });
+  });
+
+  describe('#_addSubscriptionItems/#_removeSubscriptionItems', function() {
+    var web = new WebService({node: defaultNode, rateLimit: {maxSubscriptionAddresses: 3}});
+    it('will not count subscriptions without items', function() {
+      var subscriptions = {};
+      web._addSubscriptionItems(subscriptions, 'qtumd/hashblock').should.equal(true);
+      subscriptions.should.deep.equal({});
+    });
+    it('will add items up to the limit over all events', function() {
+      var subscriptions = {};
+      web._addSubscriptionItems(subscriptions, 'qtumd/addresstxid', ['a', 'b']).should.equal(true);
+      web._addSubscriptionItems(subscriptions, 'qtumd/addresstxid', ['a', 'b']).should.equal(true);
+      web._addSubscriptionItems(subscriptions, 'qtumd/addressbalance', ['a', 'b']).should.equal(false);
+      web._addSubscriptionItems(subscriptions, 'qtumd/addressbalance', ['c']).should.equal(true);
+      subscriptions.should.deep.equal({
+        'qtumd/addresstxid': ['a', 'b'],
+        'qtumd/addressbalance': ['c']
+      });
+    });
+    it('will remove items', function() {
+      var subscriptions = {
+        'qtumd/addresstxid': ['a', 'b'],
+        'qtumd/addressbalance': ['c']
+      };
+      web._removeSubscriptionItems(subscriptions, 'qtumd/addresstxid', ['a']);
+      web._removeSubscriptionItems(subscriptions, 'qtumd/addressbalance');
+      web._removeSubscriptionItems(subscriptions, 'qtumd/tokentransfer', ['d']);
+      subscriptions.should.deep.equal({
+        'qtumd/addresstxid': ['b']
+      });
+    });
+    it('will count the txids of subscriptions with an object', function() {
+      var subscriptions = {};
+      var params = {txids: ['t1', 't2'], confirmations: 6};
+      web._addSubscriptionItems(subscriptions, 'qtumd/txconfirmations', params).should.equal(true);
+      web._addSubscriptionItems(subscriptions, 'qtumd/addresstxid', ['a', 'b']).should.equal(false);
+      web._addSubscriptionItems(subscriptions, 'qtumd/txconfirmations', {txids: ['t3', 't4']}).should.equal(false);
+      subscriptions.should.deep.equal({
+        'qtumd/txconfirmations': ['t1', 't2']
+      });
+      web._removeSubscriptionItems(subscriptions, 'qtumd/txconfirmations', {txids: ['t1']});
+      subscriptions.should.deep.equal({
+        'qtumd/txconfirmations': ['t2']
+      });
+    });
+    it('will not limit items if the limit is 0', function() {
+      var web = new WebService({node: defaultNode, rateLimit: {maxSubscriptionAddresses: 0}});
+      var subscriptions = {};
+      web._addSubscriptionItems(subscriptions, 'qtumd/addresstxid', ['a', 'b', 'c', 'd']).should.equal(true);
+    });
+  });
+
+  describe('#_getApiKey', function() {
+    var web = new WebService({node: defaultNode});
+    it('will get the key from a bearer authorization header', function() {
+      web._getApiKey({headers: {authorization: 'Bearer secret'}, url: '/'}).should.equal('secret');
+    });
+    it('will get the key from an api key header', function() {
+      web._getApiKey({headers: {'x-api-key': 'secret'}, url: '/'}).should.equal('secret');
+    });
+    it('will get the key from the query of an express request', function() {
+      web._getApiKey({headers: {}, query: {apiKey: 'secret'}}).should.equal('secret');
+    });
+    it('will get the key from the query of the url', function() {
+      web._getApiKey({headers: {}, url: '/rpc?apiKey=secret'}).should.equal('secret');
+    });
+    it('will give undefined without a key', function() {
+      should.equal(web._getApiKey({headers: {authorization: 'Basic abc'}, url: '/'}), undefined);
+    });
+  });
+
+  describe('#socketReadyHandler', function() {
+    it('will refuse connections until the node is ready', function() {
+      var web = new WebService({node: defaultNode});
+      var next = sinon.stub();
+      web.socketReadyHandler({}, next);
+      next.args[0][0].message.should.equal('Service Unavailable');
+      web.methodsMap = {};
+      web.socketReadyHandler({}, next);
+      should.equal(next.args[1][0], undefined);
+    });
+  });
+
+  describe('#socketAuthHandler', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createSocket(headers) {
+      return {
+        request: {
+          headers: headers,
+          url: '/socket.io/'
+        },
+        client: {
+          request: {
+            headers: headers
+          }
+        },
+        conn: {
+          remoteAddress: '127.0.0.1'
+        }
+      };
+    }
+    var web = new WebService({node: defaultNode, accessControl: {keys: {secret: {}}, anonymous: false}});
+    it('will accept a connection with a valid key', function() {
+      var next = sinon.stub();
+      web.socketAuthHandler(createSocket({'x-api-key': 'secret'}), next);
+      next.args[0].length.should.equal(0);
+    });
+    it('will refuse a connection with an invalid key', function() {
+      var next = sinon.stub();
+      web.socketAuthHandler(createSocket({'x-api-key': 'other'}), next);
+      next.args[0][0].message.should.equal('Invalid API key');
+    });
+    it('will refuse a connection without a key if anonymous clients are disabled', function() {
+      var next = sinon.stub();
+      web.socketAuthHandler(createSocket({}), next);
+      next.args[0][0].message.should.equal('Invalid API key');
+    });
   });
 
   describe('#start', function() {
@@ -69,6 +563,8 @@ describe('WebService', function() {
       web.start(function(err) {
         should.not.exist(err);
         httpStub.createServer.called.should.equal(true);
+        web.server.listen.callCount.should.equal(1);
+        web.server.listen.args[0][0].should.equal(3456);
         done();
       });
     });
@@ -79,32 +575,150 @@ describe('WebService', function() {
 
       var web = new WebService({node: node});
       web.transformHttpsOptions = sinon.spy();
+      web._watchCertificates = sinon.spy();
       web.start(function(err) {
         should.not.exist(err);
         web.transformHttpsOptions.callCount.should.equal(1);
+        web._watchCertificates.callCount.should.equal(1);
         httpsStub.createServer.called.should.equal(true);
         done();
       });
     });
+    it('should setup the health checks before the node is ready', function(done) {
+      var web = new WebService({node: new EventEmitter()});
+      sinon.spy(web, 'setupHealthChecks');
+      web.nodeReadyHandler = sinon.stub();
+      web.start(function(err) {
+        should.not.exist(err);
+        web.setupHealthChecks.callCount.should.equal(1);
+        web.nodeReadyHandler.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('should setup the routes if the node is already ready', function(done) {
+      var node = new EventEmitter();
+      node.started = true;
+      var web = new WebService({node: node});
+      web.nodeReadyHandler = sinon.stub();
+      web.start(function(err) {
+        should.not.exist(err);
+        web.nodeReadyHandler.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('should not setup the health checks if not enabled', function(done) {
+      var web = new WebService({node: new EventEmitter(), enableHealthChecks: false});
+      sinon.spy(web, 'setupHealthChecks');
+      web.start(function(err) {
+        should.not.exist(err);
+        web.setupHealthChecks.callCount.should.equal(0);
+        done();
+      });
+    });
+    it('should add the middleware in order', function(done) {
+      var app = {
+        use: sinon.stub(),
+        get: sinon.stub(),
+        disable: sinon.stub()
+      };
+      var io = {
+        use: sinon.stub(),
+        on: sinon.stub(),
+        origins: sinon.stub()
+      };
+      var TestWebService = proxyquire('../../lib/services/web', {
+        http: httpStub,
+        express: sinon.stub().returns(app),
+        'socket.io': {
+          listen: sinon.stub().returns(io)
+        }
+      });
+      var web = new TestWebService({node: new EventEmitter(), cors: {origins: ['*']}});
+      web.start(function(err) {
+        if (err) {
+          return done(err);
+        }
+        app.disable.args[0][0].should.equal('x-powered-by');
+        app.use.callCount.should.equal(5);
+        io.origins.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('should setup the health checks before the rate limit', function(done) {
+      var app = {
+        use: sinon.stub(),
+        get: sinon.stub(),
+        disable: sinon.stub()
+      };
+      var TestWebService = proxyquire('../../lib/services/web', {
+        http: httpStub,
+        express: sinon.stub().returns(app),
+        'socket.io': {
+          listen: sinon.stub().returns({use: sinon.stub(), on: sinon.stub()})
+        }
+      });
+      var web = new TestWebService({node: new EventEmitter(), compression: false, securityHeaders: false});
+      web.start(function(err) {
+        if (err) {
+          return done(err);
+        }
+        app.get.args[0][0].should.equal('/health');
+        app.use.callCount.should.equal(2);
+        app.get.calledBefore(app.use).should.equal(true);
+        done();
+      });
+    });
+    it('should not add cors, compression or security headers if not enabled', function(done) {
+      var app = {
+        use: sinon.stub(),
+        get: sinon.stub(),
+        disable: sinon.stub()
+      };
+      var io = {
+        use: sinon.stub(),
+        on: sinon.stub(),
+        origins: sinon.stub()
+      };
+      var TestWebService = proxyquire('../../lib/services/web', {
+        http: httpStub,
+        express: sinon.stub().returns(app),
+        'socket.io': {
+          listen: sinon.stub().returns(io)
+        }
+      });
+      var web = new TestWebService({node: new EventEmitter(), compression: false, securityHeaders: false});
+      web.start(function(err) {
+        if (err) {
+          return done(err);
+        }
+        app.disable.callCount.should.equal(0);
+        app.use.callCount.should.equal(2);
+        io.origins.callCount.should.equal(0);
+        done();
+      });
+    });
     it('should pass json request limit to json body parser', function(done) {
       var node = new EventEmitter();
       var jsonStub = sinon.stub();
       var TestWebService = proxyquire('../../lib/services/web', {
         http: {
-          createServer: sinon.stub()
+          createServer: sinon.stub().returns({listen: sinon.stub()})
         },
         https: {
           createServer: sinon.stub()
         },
         fs: fsStub,
         express: sinon.stub().returns({
-          use: sinon.stub()
+          use: sinon.stub(),
+          get: sinon.stub(),
+          disable: sinon.stub()
         }),
         'body-parser': {
           json: jsonStub
         },
         'socket.io': {
           listen: sinon.stub().returns({
+            use: sinon.stub(),
             on: sinon.stub()
           })
         }
@@ -125,6 +739,44 @@ describe('WebService', function() {
   });
 
   describe('#stop', function() {
+    it('should stop listening to the events of the node', function(done) {
+      var node = new EventEmitter();
+      var web = new WebService({node: node});
+      node.listeners('ready').length.should.equal(1);
+      node.listeners('service:restarted').length.should.equal(1);
+      node.listeners('service:removed').length.should.equal(1);
+      web.stop(function(err) {
+        should.not.exist(err);
+        node.listeners('ready').length.should.equal(0);
+        node.listeners('service:restarted').length.should.equal(0);
+        node.listeners('service:removed').length.should.equal(0);
+        done();
+      });
+    });
+    it('should close the json-rpc web socket server if it exists', function(done) {
+      var web = new WebService({node: defaultNode});
+      web.wss = {
+        close: sinon.spy()
+      };
+      web.stop(function(err) {
+        should.not.exist(err);
+        web.wss.close.callCount.should.equal(1);
+        done();
+      });
+    });
+    it('should close the redirect server and stop watching the certificates', function(done) {
+      var web = new WebService({node: defaultNode});
+      web._unwatchCertificates = sinon.stub();
+      web.redirectServer = {
+        close: sinon.spy()
+      };
+      web.stop(function(err) {
+        should.not.exist(err);
+        web._unwatchCertificates.callCount.should.equal(1);
+        web.redirectServer.close.callCount.should.equal(1);
+        done();
+      });
+    });
     it('should close the server if it exists', function(done) {
       var web = new WebService({node: defaultNode});
       web.server = {
@@ -170,38 +822,165 @@ describe('WebService', function() {
     });
   });
 
-  describe('#createMethodsMap', function() {
-    it('should create the methodsMap correctly', function(done) {
-      var Module1 = function() {};
-      Module1.prototype.getAPIMethods = function() {
-        return [
-          ['one', this, this.one, 1],
-          ['two', this, this.two, 2]
-        ];
-      };
-      Module1.prototype.one = function(param1, callback) {
-        callback(null, param1);
-      };
-      Module1.prototype.two = function(param1, param2, callback) {
-        callback(null, param1 + param2);
-      };
-
-      var module1 = new Module1();
-      var getAllAPIMethods = sinon.stub().returns(module1.getAPIMethods());
-      var node = {
-        on: sinon.spy(),
-        getAllAPIMethods: getAllAPIMethods
+  describe('#setupServiceRoutes', function() {
+    var http = require('http');
+    var express = require('express');
+    function createService(body) {
+      return {
+        getRoutePrefix: sinon.stub().returns('one'),
+        setupRoutes: function(app) {
+          app.get('/test', function(req, res) {
+            res.send(body);
+          });
+        }
       };
-
+    }
+    it('will give the routes of the current instance of a restarted service', function(done) {
+      var node = new EventEmitter();
+      node.services = {one: createService('first')};
       var web = new WebService({node: node});
-      web.createMethodsMap();
-      getAllAPIMethods.callCount.should.equal(1);
-      Object.keys(web.methodsMap).length.should.equal(2);
-      web.methodsMap.one.args.should.equal(1);
-      web.methodsMap.two.args.should.equal(2);
-      web.methodsMap.one.fn(1, function(err, result) {
-        should.not.exist(err);
-        result.should.equal(1);
+      web.app = express();
+      web.setupServiceRoutes('one');
+      node.services.one = createService('second');
+      web.setupServiceRoutes('one');
+      var server = web.app.listen(0, '127.0.0.1', function() {
+        http.get('http://127.0.0.1:' + server.address().port + '/one/test', function(res) {
+          var body = '';
+          res.on('data', function(data) {
+            body += data;
+          });
+          res.on('end', function() {
+            server.close();
+            res.statusCode.should.equal(200);
+            body.should.equal('second');
+            done();
+          });
+        });
+      });
+    });
+    it('will mount the routes of a service once', function() {
+      var node = new EventEmitter();
+      node.services = {one: createService('first')};
+      var web = new WebService({node: node});
+      web.app = express();
+      sinon.spy(web.app, 'use');
+      web.setupServiceRoutes('one');
+      node.services.one = createService('second');
+      web.setupServiceRoutes('one');
+      web.app.use.callCount.should.equal(1);
+      web._serviceRoutes.one.service.should.equal(node.services.one);
+    });
+    it('will skip the routes of a removed service', function(done) {
+      var node = new EventEmitter();
+      node.services = {one: createService('first')};
+      var web = new WebService({node: node});
+      web.app = express();
+      web.setupServiceRoutes('one');
+      delete node.services.one;
+      var server = web.app.listen(0, '127.0.0.1', function() {
+        http.get('http://127.0.0.1:' + server.address().port + '/one/test', function(res) {
+          res.resume();
+          server.close();
+          res.statusCode.should.equal(404);
+          done();
+        });
+      });
+    });
+    it('will skip a service that is not running', function() {
+      var node = new EventEmitter();
+      node.services = {};
+      var web = new WebService({node: node});
+      web.app = {
+        use: sinon.spy()
+      };
+      sinon.stub(log, 'debug');
+      web.setupServiceRoutes('one');
+      log.debug.restore();
+      web.app.use.callCount.should.equal(0);
+    });
+  });
+
+  describe('#updateServices', function() {
+    it('will update the methods, events, catalogue and routes of restarted services', function() {
+      var node = new EventEmitter();
+      node.getAPIMethodsByService = sinon.stub().returns([]);
+      node.getAllPublishEvents = sinon.stub().returns([]);
+      var web = new WebService({node: node});
+      web.methodsMap = {};
+      web.introspection = {
+        getCatalogue: sinon.stub().returns({methods: [], events: []})
+      };
+      web.getEventNames = sinon.stub().returns(['qtumd/hashblock']);
+      web.createMethodsMap = sinon.stub();
+      web.setupServiceRoutes = sinon.stub();
+      node.emit('service:restarted', {name: 'qtumd', restarts: 1, dependents: ['insight-api']});
+      web.eventNames.should.deep.equal(['qtumd/hashblock']);
+      web.createMethodsMap.callCount.should.equal(1);
+      web.catalogue.should.deep.equal({methods: [], events: []});
+      web.setupServiceRoutes.args.should.deep.equal([['qtumd'], ['insight-api']]);
+    });
+    it('will not update before the node is ready', function() {
+      var node = new EventEmitter();
+      var web = new WebService({node: node});
+      web.createMethodsMap = sinon.stub();
+      node.emit('service:restarted', {name: 'qtumd', restarts: 1, dependents: []});
+      web.createMethodsMap.callCount.should.equal(0);
+    });
+    it('will update the methods and routes of added and removed services', function() {
+      var node = new EventEmitter();
+      var web = new WebService({node: node});
+      web.methodsMap = {};
+      web.getEventNames = sinon.stub().returns([]);
+      web.createMethodsMap = sinon.stub();
+      web.setupServiceRoutes = sinon.stub();
+      node.emit('service:added', {name: 'indexer'});
+      web.setupServiceRoutes.args.should.deep.equal([['indexer']]);
+      node.emit('service:removed', {name: 'indexer', dependents: ['insight-api']});
+      web.createMethodsMap.callCount.should.equal(2);
+      web.setupServiceRoutes.args.should.deep.equal([['indexer'], ['insight-api']]);
+    });
+  });
+
+  describe('#createMethodsMap', function() {
+    it('should create the methodsMap correctly', function(done) {
+      var Module1 = function() {};
+      Module1.prototype.getAPIMethods = function() {
+        return [
+          ['one', this, this.one, 1, {readOnly: true}],
+          ['two', this, this.two, 2, {restricted: true}]
+        ];
+      };
+      Module1.prototype.one = function(param1, callback) {
+        callback(null, param1);
+      };
+      Module1.prototype.two = function(param1, param2, callback) {
+        callback(null, param1 + param2);
+      };
+
+      var module1 = new Module1();
+      var getAPIMethodsByService = sinon.stub().returns([
+        {name: 'module1', methods: module1.getAPIMethods()}
+      ]);
+      var node = {
+        on: sinon.spy(),
+        getAPIMethodsByService: getAPIMethodsByService
+      };
+
+      var web = new WebService({node: node});
+      web.createMethodsMap();
+      getAPIMethodsByService.callCount.should.equal(1);
+      Object.keys(web.methodsMap).should.deep.equal(['module1.one', 'one', 'module1.two', 'two']);
+      web.methodsMap['module1.one'].args.should.equal(1);
+      web.methodsMap.one.args.should.equal(1);
+      web.methodsMap.two.args.should.equal(2);
+      web.methodsMap['module1.one'].readOnly.should.equal(true);
+      web.methodsMap.one.readOnly.should.equal(true);
+      web.methodsMap.two.readOnly.should.equal(false);
+      web.methodsMap.one.restricted.should.equal(false);
+      web.methodsMap.two.restricted.should.equal(true);
+      web.methodsMap.one.fn(1, function(err, result) {
+        should.not.exist(err);
+        result.should.equal(1);
 
         web.methodsMap.two.fn(1, 2, function(err, result) {
           should.not.exist(err);
@@ -212,6 +991,59 @@ describe('WebService', function() {
     });
   });
 
+  describe('#createMethodsMap with namespaces', function() {
+    function createNode() {
+      return {
+        on: sinon.spy(),
+        getAPIMethodsByService: sinon.stub().returns([
+          {name: 'qtumd', methods: [['getInfo', {}, sinon.stub().callsArgWith(0, null, 'qtumd'), 0]]},
+          {name: 'qtumd2', methods: [
+            ['getInfo', {}, sinon.stub().callsArgWith(0, null, 'qtumd2'), 0],
+            ['getPeers', {}, sinon.stub(), 0]
+          ]}
+        ])
+      };
+    }
+    it('will map the methods without a namespace to the service with the highest priority', function() {
+      var web = new WebService({node: createNode()});
+      web.createMethodsMap();
+      web.methodsMap.getInfo.name.should.equal('qtumd.getInfo');
+      web.methodsMap['qtumd2.getInfo'].name.should.equal('qtumd2.getInfo');
+      web.methodsMap.getPeers.name.should.equal('qtumd2.getPeers');
+      web.methodsMap.getInfo.fn(function(err, result) {
+        result.should.equal('qtumd');
+      });
+      web.methodsMap['qtumd2.getInfo'].fn(function(err, result) {
+        result.should.equal('qtumd2');
+      });
+    });
+    it('will give the methods with the names that they are called with', function() {
+      var web = new WebService({node: createNode()});
+      web.createMethodsMap();
+      _.pluck(web._getMethodDescriptors(), 0).should.deep.equal([
+        'qtumd.getInfo', 'getInfo', 'qtumd2.getInfo', 'qtumd2.getPeers', 'getPeers'
+      ]);
+      web._getMethodDescriptors()[1][3].should.equal(0);
+    });
+    it('will not give the methods of the other services as its own API methods', function() {
+      var web = new WebService({node: createNode()});
+      web.createMethodsMap();
+      web.getAPIMethods().should.deep.equal([]);
+    });
+    it('will check the access control of a method by its namespace', function() {
+      var web = new WebService({
+        node: createNode(),
+        accessControl: {anonymous: {denyMethods: ['qtumd.*']}}
+      });
+      web.createMethodsMap();
+      var policy = web.accessControl.getPolicy();
+      web._isMethodAllowed(policy, 'getInfo').should.equal(false);
+      web._isMethodAllowed(policy, 'qtumd.getInfo').should.equal(false);
+      web._isMethodAllowed(policy, 'qtumd2.getInfo').should.equal(true);
+      web._isMethodAllowed(policy, 'getPeers').should.equal(true);
+    });
+  });
+
   describe('#getEventNames', function() {
     it('should get event names', function() {
       var Module1 = function() {};
@@ -391,6 +1223,76 @@ describe('WebService', function() {
 
       socket.emit('disconnect');
     });
+
+    it('will not call methods or subscribe to events that are not allowed', function() {
+      var accessControl = {
+        anonymous: {
+          denyEvents: ['event1']
+        }
+      };
+      web = new WebService({node: node, accessControl: accessControl});
+      web.eventNames = web.getEventNames();
+      web.methodsMap = {generateBlock: {name: 'qtumd.generateBlock', restricted: true}};
+      web.socketMessageHandler = sinon.stub();
+      socket = new EventEmitter();
+      socket.conn = {};
+      socket.conn.remoteAddress = '127.0.0.1';
+      socket.client = {};
+      socket.client.request = {};
+      socket.client.request.headers = {};
+      web.socketHandler(socket);
+      var socketCallback = sinon.stub();
+      socket.emit('message', {method: 'generateBlock', params: [1]}, socketCallback);
+      web.socketMessageHandler.callCount.should.equal(0);
+      socketCallback.args[0][0].should.deep.equal({error: {message: 'Method Not Allowed'}});
+      bus.subscribe = sinon.stub();
+      var subscribeError = sinon.stub();
+      socket.on('subscribe:error', subscribeError);
+      socket.emit('subscribe', 'event1');
+      bus.subscribe.callCount.should.equal(0);
+      subscribeError.args[0].should.deep.equal(['event1', {message: 'Event Not Allowed'}]);
+      socket.emit('subscribe', 'event2');
+      bus.subscribe.callCount.should.equal(1);
+    });
+
+    it('will give errors over the rate and subscription limits', function() {
+      web = new WebService({node: node, rateLimit: {requestsPerSecond: 2, maxSubscriptionAddresses: 2}});
+      web.eventNames = web.getEventNames();
+      web.socketMessageHandler = sinon.stub();
+      socket = new EventEmitter();
+      socket.conn = {};
+      socket.conn.remoteAddress = '127.0.0.1';
+      socket.client = {};
+      socket.client.request = {};
+      socket.client.request.headers = {};
+      web.socketHandler(socket);
+      web.connections.should.deep.equal({'127.0.0.1': 1});
+      var subscribeError = sinon.stub();
+      socket.on('subscribe:error', subscribeError);
+      bus.subscribe = sinon.stub();
+      bus.unsubscribe = sinon.stub();
+      bus.close = sinon.stub();
+
+      socket.emit('subscribe', 'event1', ['a', 'b', 'c']);
+      bus.subscribe.callCount.should.equal(0);
+      subscribeError.args[0].should.deep.equal([
+        'event1',
+        {message: 'Subscription limit exceeded: at most 2 addresses per connection'}
+      ]);
+
+      var socketCallback = sinon.stub();
+      socket.emit('message', {method: 'getInfo', params: []}, socketCallback);
+      web.socketMessageHandler.callCount.should.equal(1);
+      socket.emit('message', {method: 'getInfo', params: []}, socketCallback);
+      web.socketMessageHandler.callCount.should.equal(1);
+      socketCallback.args[0][0].should.deep.equal({error: {message: 'Too Many Requests'}});
+      socket.emit('subscribe', 'event1', ['a']);
+      subscribeError.args[1].should.deep.equal(['event1', {message: 'Too Many Requests'}]);
+
+      socket.emit('disconnect');
+      web.connections.should.deep.equal({});
+      bus.close.callCount.should.equal(1);
+    });
   });
 
   describe('#socketMessageHandler', function() {
@@ -490,6 +1392,1405 @@ describe('WebService', function() {
         web.transformHttpsOptions();
       }).should.throw('Missing https options');
     });
+    it('should read the ca chain from the files specified', function() {
+      var web = new WebService({
+        node: defaultNode,
+        https: true,
+        httpsOptions: {
+          key: 'key',
+          cert: 'cert',
+          ca: 'chain'
+        }
+      });
+
+      web.transformHttpsOptions();
+      web.httpsOptions.ca.should.deep.equal(['chain-buffer']);
+      web.httpsFiles.should.deep.equal({key: 'key', cert: 'cert', ca: ['chain']});
+    });
+  });
+
+  describe('#_createServer', function() {
+    beforeEach(function() {
+      httpStub.createServer.reset();
+      httpsStub.createServer.reset();
+    });
+    function createWebService(options) {
+      var web = new WebService(_.extend({
+        node: defaultNode,
+        https: true,
+        httpsOptions: {
+          key: 'key',
+          cert: 'cert'
+        }
+      }, options));
+      web._watchCertificates = sinon.stub();
+      return web;
+    }
+    it('will watch the certificates and not redirect by default', function() {
+      var web = createWebService({});
+      web._createServer();
+      httpsStub.createServer.callCount.should.equal(1);
+      httpStub.createServer.callCount.should.equal(0);
+      web._watchCertificates.callCount.should.equal(1);
+      should.not.exist(web.redirectServer);
+    });
+    it('will not watch the certificates if not enabled', function() {
+      var web = createWebService({watchCertificates: false});
+      web._createServer();
+      web._watchCertificates.callCount.should.equal(0);
+    });
+    it('will listen on the redirect port', function() {
+      var web = createWebService({httpRedirectPort: 3080, host: '0.0.0.0'});
+      web._createServer();
+      httpStub.createServer.callCount.should.equal(1);
+      web.redirectServer.listen.args[0].should.deep.equal([3080, '0.0.0.0']);
+    });
+  });
+
+  describe('#_watchCertificates', function() {
+    var sandbox = sinon.sandbox.create();
+    var fs = {
+      readFileSync: sinon.stub(),
+      watchFile: sinon.stub(),
+      unwatchFile: sinon.stub()
+    };
+    var TestWebService = proxyquire('../../lib/services/web', {fs: fs});
+    var web;
+    var clock;
+    beforeEach(function() {
+      fs.watchFile.reset();
+      fs.unwatchFile.reset();
+      sandbox.stub(log, 'warn');
+      clock = sandbox.useFakeTimers();
+      web = new TestWebService({node: defaultNode, certificateWatchInterval: 100});
+      web.httpsFiles = {key: 'key', cert: 'cert', ca: ['chain']};
+      web.server = {
+        setSecureContext: sinon.stub()
+      };
+      web.reloadCertificates = sinon.stub();
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function stat(time, ino) {
+      return {mtime: new Date(time), ino: ino};
+    }
+    it('will watch the key, cert and ca chain', function() {
+      web._watchCertificates();
+      fs.watchFile.callCount.should.equal(3);
+      fs.watchFile.args[0][0].should.equal('key');
+      fs.watchFile.args[1][0].should.equal('cert');
+      fs.watchFile.args[2][0].should.equal('chain');
+      fs.watchFile.args[0][1].should.deep.equal({persistent: false, interval: 100});
+    });
+    it('will reload once after the files change', function() {
+      web._watchCertificates();
+      var listener = fs.watchFile.args[0][2];
+      listener(stat(1000, 1), stat(1000, 1));
+      clock.tick(WebService.CERTIFICATE_RELOAD_DELAY);
+      web.reloadCertificates.callCount.should.equal(0);
+      listener(stat(2000, 1), stat(1000, 1));
+      clock.tick(500);
+      listener(stat(1000, 2), stat(1000, 1));
+      clock.tick(WebService.CERTIFICATE_RELOAD_DELAY);
+      web.reloadCertificates.callCount.should.equal(1);
+    });
+    it('will not watch without support for replacing the context', function() {
+      web.server = {};
+      web._watchCertificates();
+      fs.watchFile.callCount.should.equal(0);
+      log.warn.callCount.should.equal(1);
+    });
+    it('will stop watching the files', function() {
+      web._watchCertificates();
+      var listener = fs.watchFile.args[0][2];
+      listener(stat(2000, 1), stat(1000, 1));
+      web._unwatchCertificates();
+      fs.unwatchFile.callCount.should.equal(3);
+      fs.unwatchFile.args[0].should.deep.equal(['key', listener]);
+      clock.tick(WebService.CERTIFICATE_RELOAD_DELAY);
+      web.reloadCertificates.callCount.should.equal(0);
+      web._unwatchCertificates();
+      fs.unwatchFile.callCount.should.equal(3);
+    });
+  });
+
+  describe('#reloadCertificates', function() {
+    var sandbox = sinon.sandbox.create();
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      sandbox.stub(log, 'error');
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createWebService() {
+      var web = new WebService({node: defaultNode});
+      web.httpsFiles = {key: 'key', cert: 'cert', ca: []};
+      web.server = {
+        setSecureContext: sinon.stub()
+      };
+      return web;
+    }
+    it('will replace the context of the server', function() {
+      var web = createWebService();
+      web.reloadCertificates().should.equal(true);
+      web.server.setSecureContext.args[0][0].should.deep.equal({key: 'key-buffer', cert: 'cert-buffer'});
+      web.httpsOptions.should.deep.equal({key: 'key-buffer', cert: 'cert-buffer'});
+    });
+    it('will keep the current certificate if the key does not match', function() {
+      var web = createWebService();
+      web.httpsOptions = {key: 'old-key', cert: 'old-cert'};
+      web.server.setSecureContext.throws(new Error('key values mismatch'));
+      web.reloadCertificates().should.equal(false);
+      web.httpsOptions.should.deep.equal({key: 'old-key', cert: 'old-cert'});
+      log.error.args[0][1].should.equal('key values mismatch');
+    });
+  });
+
+  describe('#redirectHandler', function() {
+    function createResponse() {
+      return {
+        writeHead: sinon.stub(),
+        end: sinon.stub()
+      };
+    }
+    it('will redirect to https', function() {
+      var web = new WebService({node: defaultNode, port: 3001});
+      var res = createResponse();
+      web.redirectHandler({method: 'GET', url: '/api/getInfo', headers: {host: 'example.com:3080'}}, res);
+      res.writeHead.args[0].should.deep.equal([301, {Location: 'https://example.com:3001/api/getInfo'}]);
+      res.end.callCount.should.equal(1);
+    });
+    it('will keep the method of a post and leave out the default port', function() {
+      var web = new WebService({node: defaultNode, port: 443});
+      var res = createResponse();
+      web.redirectHandler({method: 'POST', url: '/rpc', headers: {host: '[::1]:80'}}, res);
+      res.writeHead.args[0].should.deep.equal([308, {Location: 'https://[::1]/rpc'}]);
+    });
+    it('will leave out the default port given as a string', function() {
+      var web = new WebService({node: defaultNode, port: '443'});
+      var res = createResponse();
+      web.redirectHandler({method: 'GET', url: '/', headers: {host: 'example.com'}}, res);
+      res.writeHead.args[0].should.deep.equal([301, {Location: 'https://example.com/'}]);
+    });
+    it('will give 400 for an invalid host', function() {
+      var web = new WebService({node: defaultNode});
+      var res = createResponse();
+      web.redirectHandler({method: 'GET', url: '/', headers: {host: 'example.com/other'}}, res);
+      web.redirectHandler({method: 'GET', url: '/', headers: {}}, res);
+      res.writeHead.args.should.deep.equal([[400], [400]]);
+    });
+  });
+
+  describe('#setupRestRoutes', function() {
+    it('will mount the rest routes at the prefix', function() {
+      var web = new WebService({node: defaultNode, restAPIPrefix: 'rest'});
+      web.app = {
+        use: sinon.spy()
+      };
+      web.setupRestRoutes();
+      web.app.use.callCount.should.equal(1);
+      web.app.use.args[0][0].should.equal('/rest');
+      web.app.use.args[0][1].should.be.a('function');
+    });
+  });
+
+  describe('#_getRestParams', function() {
+    var web = new WebService({node: defaultNode});
+    it('will parse params from the query of a GET request', function() {
+      var req = {method: 'GET', query: {params: '["hash", 1]'}};
+      web._getRestParams(req, 2).should.deep.equal(['hash', 1]);
+    });
+    it('will give no params without the query parameter', function() {
+      web._getRestParams({method: 'GET', query: {}}, 0).should.deep.equal([]);
+    });
+    it('will use the body of a POST request', function() {
+      web._getRestParams({method: 'POST', body: ['hash']}, 1).should.deep.equal(['hash']);
+      web._getRestParams({method: 'POST', body: {params: ['hash']}}, 1).should.deep.equal(['hash']);
+      web._getRestParams({method: 'POST', body: {}}, 0).should.deep.equal([]);
+    });
+    it('will throw for invalid json', function() {
+      (function() {
+        web._getRestParams({method: 'GET', query: {params: '[hash'}}, 1);
+      }).should.throw(TypeError, 'Invalid JSON in "params"');
+    });
+    it('will throw if params are not an array', function() {
+      (function() {
+        web._getRestParams({method: 'POST', body: {params: 'hash'}}, 1);
+      }).should.throw(TypeError, 'Expected "params" to be an array');
+    });
+    it('will throw if the number of params does not match', function() {
+      (function() {
+        web._getRestParams({method: 'GET', query: {params: '[]'}}, 1);
+      }).should.throw(TypeError, 'Expected 1 parameter(s)');
+    });
+  });
+
+  describe('#_getErrorStatusCode', function() {
+    var web = new WebService({node: defaultNode});
+    it('will use the status code of the error', function() {
+      var err = new Error('test');
+      err.statusCode = 503;
+      web._getErrorStatusCode(err).should.equal(503);
+    });
+    it('will give 404 for unknown items', function() {
+      var err = new index.errors.RPCError('No information available about transaction');
+      err.code = -5;
+      web._getErrorStatusCode(err).should.equal(404);
+    });
+    it('will give 400 for invalid arguments', function() {
+      web._getErrorStatusCode(new TypeError('test')).should.equal(400);
+      var err = new index.errors.RPCError('Invalid parameter');
+      err.code = -8;
+      web._getErrorStatusCode(err).should.equal(400);
+    });
+    it('will give 500 for other errors', function() {
+      web._getErrorStatusCode(new Error('test')).should.equal(500);
+    });
+  });
+
+  describe('#restMethodHandler', function() {
+    var web = new WebService({node: defaultNode});
+    web.methodsMap = {
+      one: {
+        fn: function(param1, param2, callback) {
+          var result = param1 + param2;
+          if(result > 0) {
+            return callback(null, result);
+          } else {
+            var err = new Error('error');
+            err.code = -1;
+            return callback(err);
+          }
+        },
+        args: 2,
+        readOnly: true
+      },
+      raw: {
+        fn: function(callback) {
+          callback(null, new Buffer('abcdef', 'hex'));
+          callback(null, 'again');
+        },
+        args: 0,
+        readOnly: true
+      },
+      empty: {
+        fn: function(callback) {
+          callback();
+        },
+        args: 0,
+        readOnly: true
+      },
+      throws: {
+        fn: function() {
+          throw new TypeError('test');
+        },
+        args: 0,
+        readOnly: true
+      },
+      send: {
+        fn: sinon.stub().callsArgWith(0, null, 'sent'),
+        args: 0
+      }
+    };
+
+    function createResponse() {
+      var res = {
+        status: sinon.stub(),
+        set: sinon.stub(),
+        jsonp: sinon.stub()
+      };
+      res.status.returns(res);
+      return res;
+    }
+
+    it('will give 404 if the method does not exist', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'toString'}, query: {}}, res);
+      res.status.args[0][0].should.equal(404);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'Method Not Found'}});
+    });
+    it('will give 400 if there is a param count mismatch', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'one'}, query: {params: '[1]'}}, res);
+      res.status.args[0][0].should.equal(400);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'Expected 2 parameter(s)'}});
+    });
+    it('will call the method and respond with the result', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'POST', params: {method: 'one'}, body: {params: [1, 2]}}, res);
+      res.status.callCount.should.equal(0);
+      res.jsonp.args[0][0].should.deep.equal({result: 3});
+    });
+    it('will respond with the error of the method', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'POST', params: {method: 'one'}, body: [-1, -2]}, res);
+      res.status.args[0][0].should.equal(500);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'error', code: -1}});
+    });
+    it('will give 405 for a GET of a method that is not read-only', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'send'}, query: {}}, res);
+      web.methodsMap.send.fn.callCount.should.equal(0);
+      res.set.args[0].should.deep.equal(['Allow', 'POST']);
+      res.status.args[0][0].should.equal(405);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'Method requires POST'}});
+    });
+    it('will call a method that is not read-only with a POST', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'POST', params: {method: 'send'}, body: []}, res);
+      res.jsonp.args[0][0].should.deep.equal({result: 'sent'});
+    });
+    it('will give buffers as hex and respond only once', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'raw'}, query: {}}, res);
+      res.jsonp.callCount.should.equal(1);
+      res.jsonp.args[0][0].should.deep.equal({result: 'abcdef'});
+    });
+    it('will give null without a result', function() {
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'empty'}, query: {}}, res);
+      res.jsonp.args[0][0].should.deep.equal({result: null});
+    });
+    it('will give 500 if the method throws', function() {
+      var sandbox = sinon.sandbox.create();
+      sandbox.stub(log, 'error');
+      var res = createResponse();
+      web.restMethodHandler({method: 'GET', params: {method: 'throws'}, query: {}}, res);
+      sandbox.restore();
+      res.status.args[0][0].should.equal(500);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'test'}});
+    });
+    describe('with access control', function() {
+      var web2 = new WebService({
+        node: defaultNode,
+        accessControl: {
+          keys: {
+            secret: {}
+          },
+          anonymous: {
+            denyMethods: ['one']
+          }
+        }
+      });
+      web2.methodsMap = web.methodsMap;
+      it('will give 401 with an invalid key', function() {
+        var res = createResponse();
+        web2.restMethodHandler({method: 'GET', params: {method: 'raw'}, query: {apiKey: 'other'}}, res);
+        res.status.args[0][0].should.equal(401);
+        res.jsonp.args[0][0].should.deep.equal({error: {message: 'Invalid API key'}});
+      });
+      it('will give 403 if the method is not allowed', function() {
+        var res = createResponse();
+        web2.restMethodHandler({method: 'GET', params: {method: 'one'}, query: {params: '[1, 2]'}}, res);
+        res.status.args[0][0].should.equal(403);
+        res.jsonp.args[0][0].should.deep.equal({error: {message: 'Method Not Allowed'}});
+      });
+      it('will call the method with a key', function() {
+        var res = createResponse();
+        var req = {
+          method: 'GET',
+          headers: {
+            authorization: 'Bearer secret'
+          },
+          params: {
+            method: 'one'
+          },
+          query: {
+            params: '[1, 2]'
+          }
+        };
+        web2.restMethodHandler(req, res);
+        res.jsonp.args[0][0].should.deep.equal({result: 3});
+      });
+    });
+  });
+
+  describe('#setupJsonRPC', function() {
+    var WebSocketServer = sinon.stub().returns({on: sinon.stub()});
+    var TestWebService = proxyquire('../../lib/services/web', {
+      ws: {
+        Server: WebSocketServer
+      }
+    });
+    it('will add the http route and the web socket server', function() {
+      var web = new TestWebService({node: defaultNode});
+      web.server = {};
+      web.app = {
+        post: sinon.stub(),
+        use: sinon.stub()
+      };
+      web.setupJsonRPC();
+      web.app.post.args[0][0].should.equal('/rpc');
+      web.app.use.args[0][0].should.equal('/rpc');
+      WebSocketServer.args[0][0].server.should.equal(web.server);
+      WebSocketServer.args[0][0].path.should.equal('/rpc');
+      WebSocketServer.args[0][0].maxPayload.should.equal(WebService.DEFAULT_JSON_RPC_MAX_PAYLOAD);
+      web.wss.on.args[0][0].should.equal('connection');
+    });
+    it('will refuse web socket connections with an invalid key', function() {
+      var web = new TestWebService({node: defaultNode, accessControl: {keys: {secret: {}}}});
+      web.server = {};
+      web.app = {
+        post: sinon.stub(),
+        use: sinon.stub()
+      };
+      web.setupJsonRPC();
+      var verifyClient = WebSocketServer.lastCall.args[0].verifyClient;
+      var connection = {remoteAddress: '127.0.0.1'};
+      var callback = sinon.stub();
+      verifyClient({req: {headers: {}, url: '/rpc?apiKey=secret', connection: connection}}, callback);
+      verifyClient({req: {headers: {}, url: '/rpc', connection: connection}}, callback);
+      verifyClient({req: {headers: {}, url: '/rpc?apiKey=other', connection: connection}}, callback);
+      callback.args.should.deep.equal([[true], [true], [false, 401]]);
+    });
+    it('will refuse web socket connections over the limit of connections', function() {
+      var web = new TestWebService({node: defaultNode, rateLimit: {maxSocketsPerIP: 1}});
+      web.server = {};
+      web.app = {
+        post: sinon.stub(),
+        use: sinon.stub()
+      };
+      web.setupJsonRPC();
+      var verifyClient = WebSocketServer.lastCall.args[0].verifyClient;
+      var info = {req: {headers: {}, url: '/rpc', connection: {remoteAddress: '127.0.0.1'}}};
+      var callback = sinon.stub();
+      verifyClient(info, callback);
+      web._addConnection('127.0.0.1');
+      verifyClient(info, callback);
+      callback.args.should.deep.equal([[true], [false, 429]]);
+    });
+    it('will refuse web socket connections from origins that are not allowed', function() {
+      var web = new TestWebService({node: defaultNode, cors: {origins: ['https://explorer.example.com']}});
+      web.server = {};
+      web.app = {
+        post: sinon.stub(),
+        use: sinon.stub()
+      };
+      web.setupJsonRPC();
+      var verifyClient = WebSocketServer.lastCall.args[0].verifyClient;
+      var req = {headers: {}, url: '/rpc', connection: {remoteAddress: '127.0.0.1'}};
+      var callback = sinon.stub();
+      verifyClient({origin: 'https://explorer.example.com', req: req}, callback);
+      verifyClient({origin: 'https://other.example.com', req: req}, callback);
+      verifyClient({req: req}, callback);
+      callback.args.should.deep.equal([[true], [false, 403], [true]]);
+    });
+    it('will respond with a parse error for invalid json', function() {
+      var web = new TestWebService({node: defaultNode});
+      web.server = {};
+      web.app = {
+        post: sinon.stub(),
+        use: sinon.stub()
+      };
+      web.setupJsonRPC();
+      var errorHandler = web.app.use.args[0][1];
+      var res = {
+        jsonp: sinon.stub()
+      };
+      var next = sinon.stub();
+      errorHandler({type: 'entity.parse.failed'}, {}, res, next);
+      res.jsonp.args[0][0].should.deep.equal({
+        jsonrpc: '2.0',
+        id: null,
+        error: {
+          code: -32700,
+          message: 'Parse error'
+        }
+      });
+      var err = new Error('test');
+      errorHandler(err, {}, res, next);
+      next.args[0][0].should.equal(err);
+    });
   });
 
+  describe('json-rpc', function() {
+    var web = new WebService({node: defaultNode});
+    var session = {
+      policy: web.accessControl.getPolicy()
+    };
+    web.methodsMap = {
+      one: {
+        fn: function(param1, param2, callback) {
+          var result = param1 + param2;
+          if(result > 0) {
+            return callback(null, result);
+          } else {
+            var err = new Error('error');
+            if (result < 0) {
+              err.code = -5;
+            }
+            return callback(err);
+          }
+        },
+        args: 2
+      },
+      raw: {
+        fn: function(callback) {
+          callback(null, new Buffer('abcdef', 'hex'));
+        },
+        args: 0
+      },
+      throws: {
+        fn: function() {
+          throw new Error('test');
+        },
+        args: 0
+      }
+    };
+
+    describe('#_handleJsonRPC', function() {
+      it('will call the method and give the result', function(done) {
+        web._handleJsonRPC({jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}, session, function(response) {
+          response.should.deep.equal({jsonrpc: '2.0', id: 1, result: 3});
+          done();
+        });
+      });
+      it('will give buffers as hex', function(done) {
+        web._handleJsonRPC({jsonrpc: '2.0', id: 'a', method: 'raw'}, session, function(response) {
+          response.should.deep.equal({jsonrpc: '2.0', id: 'a', result: 'abcdef'});
+          done();
+        });
+      });
+      it('will handle a batch and leave out notifications', function(done) {
+        var payload = [
+          {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]},
+          {jsonrpc: '2.0', method: 'one', params: [1, 2]},
+          {jsonrpc: '2.0', id: 2, method: 'two'},
+          {foo: 'bar'}
+        ];
+        web._handleJsonRPC(payload, session, function(response) {
+          response.should.deep.equal([
+            {jsonrpc: '2.0', id: 1, result: 3},
+            {jsonrpc: '2.0', id: 2, error: {code: -32601, message: 'Method not found'}},
+            {jsonrpc: '2.0', id: null, error: {code: -32600, message: 'Invalid Request'}}
+          ]);
+          done();
+        });
+      });
+      it('will give no response for a batch of notifications', function(done) {
+        web._handleJsonRPC([{jsonrpc: '2.0', method: 'one', params: [1, 2]}], session, function(response) {
+          should.equal(response, undefined);
+          done();
+        });
+      });
+      it('will give an invalid request error for a batch larger than the maximum', function(done) {
+        web.jsonRPCMaxBatchSize = 2;
+        var request = {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]};
+        sinon.spy(web, '_handleJsonRPCRequest');
+        web._handleJsonRPC([request, request, request], session, function(response) {
+          web.jsonRPCMaxBatchSize = WebService.DEFAULT_JSON_RPC_MAX_BATCH_SIZE;
+          web._handleJsonRPCRequest.restore();
+          response.should.deep.equal({
+            jsonrpc: '2.0',
+            id: null,
+            error: {code: -32600, message: 'Invalid Request: a batch can have at most 2 requests'}
+          });
+          done();
+        });
+      });
+      it('will call at most the batch concurrency of requests at once', function(done) {
+        var callbacks = [];
+        var stub = sinon.stub(web, '_handleJsonRPCRequest', function(request, session, callback) {
+          callbacks.push(callback);
+        });
+        var payload = _.range(WebService.JSON_RPC_BATCH_CONCURRENCY + 1).map(function(id) {
+          return {jsonrpc: '2.0', id: id, method: 'one', params: [1, 2]};
+        });
+        web._handleJsonRPC(payload, session, function(response) {
+          response.length.should.equal(payload.length);
+          done();
+        });
+        stub.restore();
+        callbacks.length.should.equal(WebService.JSON_RPC_BATCH_CONCURRENCY);
+        while (callbacks.length) {
+          callbacks.shift()({});
+        }
+      });
+      it('will give an invalid request error for an empty batch', function(done) {
+        web._handleJsonRPC([], session, function(response) {
+          response.error.code.should.equal(-32600);
+          done();
+        });
+      });
+    });
+
+    describe('#_handleJsonRPCRequest', function() {
+      it('will give an invalid request error without the version', function(done) {
+        web._handleJsonRPCRequest({id: 3, method: 'one', params: [1, 2]}, session, function(response) {
+          response.should.deep.equal({jsonrpc: '2.0', id: 3, error: {code: -32600, message: 'Invalid Request'}});
+          done();
+        });
+      });
+      it('will give an invalid params error for named params', function(done) {
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'one', params: {a: 1}}, session, function(response) {
+          response.error.code.should.equal(-32602);
+          done();
+        });
+      });
+      it('will give an invalid params error for the wrong number of params', function(done) {
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'one', params: [1]}, session, function(response) {
+          response.error.should.deep.equal({code: -32602, message: 'Invalid params: expected 2 parameter(s)'});
+          done();
+        });
+      });
+      it('will give the error code of the method', function(done) {
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'one', params: [-1, -2]}, session, function(response) {
+          response.error.should.deep.equal({code: -5, message: 'error'});
+          done();
+        });
+      });
+      it('will give a server error for errors without a code', function(done) {
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'one', params: [0, 0]}, session, function(response) {
+          response.error.should.deep.equal({code: -32000, message: 'error'});
+          done();
+        });
+      });
+      it('will give an internal error if the method throws', function(done) {
+        var sandbox = sinon.sandbox.create();
+        sandbox.stub(log, 'error');
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'throws'}, session, function(response) {
+          sandbox.restore();
+          response.error.should.deep.equal({code: -32603, message: 'Internal error'});
+          done();
+        });
+      });
+      it('will subscribe and unsubscribe with a bus', function(done) {
+        var bus = {
+          subscribe: sinon.stub(),
+          unsubscribe: sinon.stub()
+        };
+        var request = {jsonrpc: '2.0', id: 1, method: 'subscribe', params: ['qtumd/addresstxid', ['address']]};
+        var busSession = {policy: session.policy, bus: bus, subscriptions: {}};
+        web._handleJsonRPCRequest(request, busSession, function(response) {
+          response.should.deep.equal({jsonrpc: '2.0', id: 1, result: true});
+          bus.subscribe.args[0].should.deep.equal(['qtumd/addresstxid', ['address']]);
+          request = {jsonrpc: '2.0', id: 2, method: 'unsubscribe', params: ['qtumd/addresstxid']};
+          web._handleJsonRPCRequest(request, busSession, function(response) {
+            response.result.should.equal(true);
+            bus.unsubscribe.args[0].should.deep.equal(['qtumd/addresstxid']);
+            done();
+          });
+        });
+      });
+      it('will give an invalid params error to subscribe without an event name', function(done) {
+        var bus = {
+          subscribe: sinon.stub()
+        };
+        var busSession = {policy: session.policy, bus: bus, subscriptions: {}};
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'subscribe'}, busSession, function(response) {
+          response.error.code.should.equal(-32602);
+          bus.subscribe.callCount.should.equal(0);
+          done();
+        });
+      });
+      it('will give an error for methods that are not allowed', function(done) {
+        var restricted = {
+          policy: new AccessControl({anonymous: {denyMethods: ['one']}}).getPolicy()
+        };
+        web._handleJsonRPCRequest({jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}, restricted, function(response) {
+          response.error.should.deep.equal({code: -32002, message: 'Method not allowed'});
+          done();
+        });
+      });
+      it('will give an error for events that are not allowed', function(done) {
+        var bus = {
+          subscribe: sinon.stub()
+        };
+        var restricted = {
+          policy: new AccessControl({anonymous: {denyEvents: ['qtumd/rawtransaction']}}).getPolicy(),
+          bus: bus
+        };
+        var request = {jsonrpc: '2.0', id: 1, method: 'subscribe', params: ['qtumd/rawtransaction']};
+        web._handleJsonRPCRequest(request, restricted, function(response) {
+          response.error.should.deep.equal({code: -32002, message: 'Event not allowed'});
+          bus.subscribe.callCount.should.equal(0);
+          done();
+        });
+      });
+      it('will give an error over the subscription limit', function(done) {
+        var bus = {
+          subscribe: sinon.stub(),
+          unsubscribe: sinon.stub()
+        };
+        var busSession = {policy: session.policy, bus: bus, subscriptions: {}};
+        var limited = new WebService({node: defaultNode, rateLimit: {maxSubscriptionAddresses: 1}});
+        limited.methodsMap = web.methodsMap;
+        var request = {jsonrpc: '2.0', id: 1, method: 'subscribe', params: ['qtumd/addresstxid', ['a', 'b']]};
+        limited._handleJsonRPCRequest(request, busSession, function(response) {
+          response.error.should.deep.equal({
+            code: -32004,
+            message: 'Subscription limit exceeded: at most 1 addresses per connection'
+          });
+          bus.subscribe.callCount.should.equal(0);
+          request = {jsonrpc: '2.0', id: 2, method: 'subscribe', params: ['qtumd/addresstxid', ['a']]};
+          limited._handleJsonRPCRequest(request, busSession, function(response) {
+            response.result.should.equal(true);
+            request = {jsonrpc: '2.0', id: 3, method: 'unsubscribe', params: ['qtumd/addresstxid', ['a']]};
+            limited._handleJsonRPCRequest(request, busSession, function() {
+              busSession.subscriptions.should.deep.equal({'qtumd/addresstxid': []});
+              done();
+            });
+          });
+        });
+      });
+      it('will not subscribe without a bus', function(done) {
+        var request = {jsonrpc: '2.0', id: 1, method: 'subscribe', params: ['qtumd/hashblock']};
+        web._handleJsonRPCRequest(request, session, function(response) {
+          response.error.code.should.equal(-32601);
+          done();
+        });
+      });
+    });
+
+    describe('#jsonRPCHttpHandler', function() {
+      it('will respond with the response', function() {
+        var res = {
+          jsonp: sinon.stub()
+        };
+        web.jsonRPCHttpHandler({body: {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}}, res);
+        res.jsonp.args[0][0].should.deep.equal({jsonrpc: '2.0', id: 1, result: 3});
+      });
+      it('will respond with 401 for an invalid key', function() {
+        var res = {
+          status: sinon.stub(),
+          jsonp: sinon.stub()
+        };
+        res.status.returns(res);
+        var req = {
+          headers: {
+            'x-api-key': 'unknown'
+          },
+          body: {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}
+        };
+        web.jsonRPCHttpHandler(req, res);
+        res.status.args[0][0].should.equal(401);
+        res.jsonp.args[0][0].error.should.deep.equal({code: -32001, message: 'Invalid API key'});
+      });
+      it('will respond with 204 for notifications', function() {
+        var res = {
+          status: sinon.stub(),
+          end: sinon.stub()
+        };
+        res.status.returns(res);
+        web.jsonRPCHttpHandler({body: {jsonrpc: '2.0', method: 'one', params: [1, 2]}}, res);
+        res.status.args[0][0].should.equal(204);
+        res.end.callCount.should.equal(1);
+      });
+      it('will take the other requests of a batch from the rate limit', function() {
+        var res = {
+          set: sinon.stub(),
+          status: sinon.stub(),
+          jsonp: sinon.stub()
+        };
+        res.status.returns(res);
+        web.rateLimiter = {
+          consume: sinon.stub().returns(false)
+        };
+        var request = {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]};
+        var req = {headers: {}, connection: {remoteAddress: '127.0.0.1'}, body: [request, request, request]};
+        web.jsonRPCHttpHandler(req, res);
+        web.jsonRPCHttpHandler({headers: {}, body: request}, res);
+        var consume = web.rateLimiter.consume;
+        web.rateLimiter = null;
+        consume.callCount.should.equal(1);
+        consume.args[0].should.deep.equal(['127.0.0.1', 2]);
+        res.set.args[0].should.deep.equal(['Retry-After', '1']);
+        res.status.args[0][0].should.equal(429);
+        res.jsonp.args[0][0].error.should.deep.equal({code: -32003, message: 'Too many requests'});
+        res.jsonp.args[1][0].should.deep.equal({jsonrpc: '2.0', id: 1, result: 3});
+      });
+    });
+
+    describe('#jsonRPCWebSocketHandler', function() {
+      var bus;
+      var ws;
+      var sandbox = sinon.sandbox.create();
+      beforeEach(function() {
+        sandbox.stub(log, 'info');
+        bus = new EventEmitter();
+        bus.subscribe = sinon.stub();
+        bus.close = sinon.stub();
+        web.node = {
+          openBus: sinon.stub().returns(bus)
+        };
+        web.eventNames = ['qtumd/hashblock'];
+        ws = new EventEmitter();
+        ws.OPEN = 1;
+        ws.readyState = 1;
+        ws.send = sinon.stub();
+        ws.upgradeReq = {
+          headers: {},
+          connection: {
+            remoteAddress: '127.0.0.1'
+          }
+        };
+        web.connections = {};
+        web.jsonRPCWebSocketHandler(ws);
+      });
+      afterEach(function() {
+        sandbox.restore();
+      });
+      it('will open a bus for the connection', function() {
+        web.node.openBus.args[0][0].should.deep.equal({remoteAddress: '127.0.0.1'});
+      });
+      it('will respond to requests', function() {
+        ws.emit('message', JSON.stringify({jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}));
+        JSON.parse(ws.send.args[0][0]).should.deep.equal({jsonrpc: '2.0', id: 1, result: 3});
+      });
+      it('will respond with a parse error', function() {
+        ws.emit('message', '{');
+        JSON.parse(ws.send.args[0][0]).error.code.should.equal(-32700);
+      });
+      it('will take each request of a batch from the rate limit', function() {
+        web.rateLimiter = {
+          consume: sinon.stub().returns(true)
+        };
+        var request = {jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]};
+        ws.emit('message', JSON.stringify([request, request, request]));
+        ws.emit('message', '{');
+        var consume = web.rateLimiter.consume;
+        web.rateLimiter = null;
+        consume.args.should.deep.equal([['127.0.0.1', 3], ['127.0.0.1', 1]]);
+      });
+      it('will not respond to notifications', function() {
+        ws.emit('message', JSON.stringify({jsonrpc: '2.0', method: 'one', params: [1, 2]}));
+        ws.send.callCount.should.equal(0);
+      });
+      it('will subscribe with the bus', function() {
+        ws.emit('message', JSON.stringify({jsonrpc: '2.0', id: 1, method: 'subscribe', params: ['qtumd/hashblock']}));
+        bus.subscribe.args[0][0].should.equal('qtumd/hashblock');
+      });
+      it('will send bus events as notifications', function() {
+        bus.emit('qtumd/hashblock', 'blockhash');
+        JSON.parse(ws.send.args[0][0]).should.deep.equal({
+          jsonrpc: '2.0',
+          method: 'qtumd/hashblock',
+          params: ['blockhash']
+        });
+      });
+      it('will not send if the connection is not open', function() {
+        ws.readyState = 3;
+        bus.emit('qtumd/hashblock', 'blockhash');
+        ws.send.callCount.should.equal(0);
+      });
+      it('will close the bus on close', function() {
+        web.connections.should.deep.equal({'127.0.0.1': 1});
+        ws.emit('close');
+        bus.close.callCount.should.equal(1);
+        web.connections.should.deep.equal({});
+      });
+      it('will give an error over the rate limit', function() {
+        web.rateLimiter = {
+          consume: sinon.stub().returns(false)
+        };
+        ws.emit('message', JSON.stringify({jsonrpc: '2.0', id: 1, method: 'one', params: [1, 2]}));
+        var consume = web.rateLimiter.consume;
+        web.rateLimiter = null;
+        consume.args[0].should.deep.equal(['127.0.0.1', 1]);
+        JSON.parse(ws.send.args[0][0]).should.deep.equal({
+          jsonrpc: '2.0',
+          id: null,
+          error: {
+            code: -32003,
+            message: 'Too many requests'
+          }
+        });
+      });
+    });
+  });
+
+  describe('#setupEventStream', function() {
+    it('will add the route of the event stream', function() {
+      var web = new WebService({node: defaultNode, eventStreamPath: '/sse'});
+      web.app = {
+        get: sinon.stub()
+      };
+      web.setupEventStream();
+      web.app.get.args[0][0].should.equal('/sse');
+    });
+  });
+
+  describe('#_getEventStreamParams', function() {
+    var web = new WebService({node: defaultNode});
+    it('will give the addresses separated by commas or repeated', function() {
+      web._getEventStreamParams({addresses: 'a,b'}).should.deep.equal([['a', 'b']]);
+      web._getEventStreamParams({addresses: ['a', 'b,c']}).should.deep.equal([['a', 'b', 'c']]);
+      web._getEventStreamParams({contracts: 'c'}).should.deep.equal([['c']]);
+    });
+    it('will give the txids and confirmations', function() {
+      web._getEventStreamParams({txids: 't1,t2', confirmations: '3'}).should.deep.equal([['t1', 't2'], 3]);
+    });
+    it('will give no params', function() {
+      web._getEventStreamParams({}).should.deep.equal([]);
+    });
+  });
+
+  describe('#_checkEventStreamSubscriptions', function() {
+    var web = new WebService({
+      node: defaultNode,
+      accessControl: {anonymous: {denyEvents: ['qtumd/rawtransaction']}},
+      rateLimit: {maxSubscriptionAddresses: 2}
+    });
+    web.eventNames = ['qtumd/hashblock', 'qtumd/rawtransaction', 'qtumd/addresstxid'];
+    var policy = web.accessControl.getPolicy();
+    it('will give no error for valid subscriptions', function() {
+      should.equal(web._checkEventStreamSubscriptions(['qtumd/hashblock'], [], policy), null);
+      should.equal(web._checkEventStreamSubscriptions(['qtumd/addresstxid'], [['a', 'b']], policy), null);
+    });
+    it('will give an error without an event name', function() {
+      web._checkEventStreamSubscriptions([], [], policy).should.deep.equal({
+        statusCode: 400,
+        message: 'Expected an event name'
+      });
+    });
+    it('will give an error for an unknown event', function() {
+      web._checkEventStreamSubscriptions(['unknown'], [], policy).should.deep.equal({
+        statusCode: 400,
+        message: 'Unknown event: unknown'
+      });
+    });
+    it('will give an error for an event that is not allowed', function() {
+      web._checkEventStreamSubscriptions(['qtumd/rawtransaction'], [], policy).statusCode.should.equal(403);
+    });
+    it('will give an error over the subscription limit', function() {
+      var error = web._checkEventStreamSubscriptions(['qtumd/addresstxid'], [['a', 'b', 'c']], policy);
+      error.statusCode.should.equal(400);
+      error.message.should.equal(web._getSubscriptionLimitMessage());
+    });
+  });
+
+  describe('#_formatEvent', function() {
+    var web = new WebService({node: defaultNode});
+    it('will format an event with an id', function() {
+      web._formatEvent('abc', 'qtumd/hashblock', ['abc']).should.equal(
+        'id: abc\nevent: qtumd/hashblock\ndata: ["abc"]\n\n'
+      );
+    });
+    it('will format an event without an id', function() {
+      web._formatEvent(null, 'qtumd/addresstxid', [{txid: 't'}]).should.equal(
+        'event: qtumd/addresstxid\ndata: [{"txid":"t"}]\n\n'
+      );
+    });
+  });
+
+  describe('#_replayEvents', function() {
+    var web = new WebService({node: defaultNode});
+    it('will give the replayed events and errors', function(done) {
+      var events = [
+        {
+          name: 'qtumd/hashblock',
+          replay: sinon.stub().callsArgWith(1, null, [['b2'], ['b3']])
+        },
+        {
+          name: 'other/event',
+          replay: sinon.stub().callsArgWith(1, new Error('test'))
+        }
+      ];
+      web._replayEvents(events, 'b1', function(replayed) {
+        events[0].replay.args[0][0].should.equal('b1');
+        replayed.should.deep.equal([
+          ['qtumd/hashblock', ['b2']],
+          ['qtumd/hashblock', ['b3']],
+          ['replay:error', ['other/event', {message: 'test'}]]
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('#eventStreamHandler', function() {
+    var sandbox = sinon.sandbox.create();
+    var clock;
+    var bus;
+    var replay;
+    var node;
+    beforeEach(function() {
+      sandbox.stub(log, 'info');
+      clock = sandbox.useFakeTimers();
+      bus = new EventEmitter();
+      bus.subscribe = sinon.stub();
+      bus.close = sinon.stub();
+      replay = sinon.stub();
+      node = new EventEmitter();
+      node.openBus = sinon.stub().returns(bus);
+      node.getAllPublishEvents = sinon.stub().returns([
+        {name: 'qtumd/hashblock', replay: replay},
+        {name: 'qtumd/addresstxid'}
+      ]);
+    });
+    afterEach(function() {
+      sandbox.restore();
+    });
+    function createWebService(options) {
+      var web = new WebService(_.extend({node: node}, options));
+      web.eventNames = ['qtumd/hashblock', 'qtumd/addresstxid'];
+      return web;
+    }
+    function createRequest(query, headers) {
+      return {
+        query: query,
+        headers: headers || {},
+        url: '/events',
+        connection: {remoteAddress: '127.0.0.1'}
+      };
+    }
+    function createResponse() {
+      var res = new EventEmitter();
+      res.writeHead = sinon.stub();
+      res.write = sinon.stub();
+      res.status = sinon.stub().returns(res);
+      res.jsonp = sinon.stub();
+      return res;
+    }
+    it('will stream the events of the subscriptions', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/addresstxid', addresses: 'a,b'}), res);
+      res.writeHead.args[0][0].should.equal(200);
+      res.writeHead.args[0][1]['Content-Type'].should.equal('text/event-stream');
+      bus.subscribe.args[0].should.deep.equal(['qtumd/addresstxid', ['a', 'b']]);
+      web.connections.should.deep.equal({'127.0.0.1': 1});
+      bus.emit('qtumd/addresstxid', {txid: 't'});
+      res.write.lastCall.args[0].should.equal('event: qtumd/addresstxid\ndata: [{"txid":"t"}]\n\n');
+    });
+    it('will give block events an id', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: ['qtumd/hashblock', 'qtumd/addresstxid']}), res);
+      bus.subscribe.args[0].should.deep.equal(['qtumd/hashblock']);
+      bus.subscribe.args[1].should.deep.equal(['qtumd/addresstxid']);
+      bus.emit('qtumd/hashblock', 'b1');
+      res.write.lastCall.args[0].should.equal('id: b1\nevent: qtumd/hashblock\ndata: ["b1"]\n\n');
+      replay.callCount.should.equal(0);
+    });
+    it('will send heartbeats', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock'}), res);
+      var count = res.write.callCount;
+      clock.tick(WebService.EVENT_STREAM_HEARTBEAT_INTERVAL);
+      res.write.callCount.should.equal(count + 1);
+      res.write.lastCall.args[0].should.equal(':\n\n');
+    });
+    it('will close the bus on disconnect', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock'}), res);
+      res.emit('close');
+      bus.close.callCount.should.equal(1);
+      web.connections.should.deep.equal({});
+      var count = res.write.callCount;
+      clock.tick(WebService.EVENT_STREAM_HEARTBEAT_INTERVAL);
+      bus.emit('qtumd/hashblock', 'b1');
+      res.write.callCount.should.equal(count);
+    });
+    it('will replay the events after the last event id before live events', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock'}, {'last-event-id': 'b1'}), res);
+      replay.args[0][0].should.equal('b1');
+      bus.emit('qtumd/hashblock', 'b3');
+      bus.emit('qtumd/hashblock', 'b4');
+      var count = res.write.callCount;
+      replay.args[0][1](null, [['b2'], ['b3']]);
+      res.write.args.slice(count).map(function(args) {
+        return args[0].split('\n')[0];
+      }).should.deep.equal(['id: b2', 'id: b3', 'id: b4']);
+      bus.emit('qtumd/hashblock', 'b5');
+      res.write.lastCall.args[0].split('\n')[0].should.equal('id: b5');
+    });
+    it('will replay from the last event id of the query', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock', lastEventId: 'b1'}), res);
+      replay.args[0][0].should.equal('b1');
+    });
+    it('will respond with 401 for an invalid key', function() {
+      var web = createWebService({accessControl: {anonymous: false}});
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock'}), res);
+      res.status.args[0][0].should.equal(401);
+      node.openBus.callCount.should.equal(0);
+    });
+    it('will respond with 400 for an unknown event', function() {
+      var web = createWebService();
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'unknown'}), res);
+      res.status.args[0][0].should.equal(400);
+      res.jsonp.args[0][0].should.deep.equal({error: {message: 'Unknown event: unknown'}});
+      node.openBus.callCount.should.equal(0);
+    });
+    it('will respond with 429 over the limit of connections', function() {
+      var web = createWebService({rateLimit: {maxSocketsPerIP: 1}});
+      web._addConnection('127.0.0.1');
+      var res = createResponse();
+      web.eventStreamHandler(createRequest({name: 'qtumd/hashblock'}), res);
+      res.status.args[0][0].should.equal(429);
+      node.openBus.callCount.should.equal(0);
+    });
+  });
+
+  describe('#setupHealthChecks', function() {
+    it('will add the routes of the health checks', function() {
+      var web = new WebService({node: defaultNode, healthPath: '/healthz', readyPath: '/readyz'});
+      web.app = {
+        get: sinon.stub()
+      };
+      web.setupHealthChecks();
+      web.app.get.args[0][0].should.equal('/healthz');
+      web.app.get.args[1][0].should.equal('/readyz');
+    });
+  });
+
+  describe('#healthHandler', function() {
+    it('will respond with the status', function() {
+      var web = new WebService({node: defaultNode});
+      var res = {
+        jsonp: sinon.stub()
+      };
+      web.healthHandler({}, res);
+      res.jsonp.args[0][0].status.should.equal('ok');
+      res.jsonp.args[0][0].uptime.should.be.a('number');
+    });
+  });
+
+  describe('#readyHandler', function() {
+    function createResponse() {
+      var res = {
+        status: sinon.stub(),
+        jsonp: sinon.stub()
+      };
+      res.status.returns(res);
+      return res;
+    }
+    it('will respond with 200 if the node is ready', function() {
+      var readiness = {
+        ready: true,
+        checks: [{name: 'service/web', ready: true, message: 'Started'}]
+      };
+      var node = new EventEmitter();
+      node.checkReadiness = sinon.stub().callsArgWith(0, null, readiness);
+      var web = new WebService({node: node});
+      var res = createResponse();
+      web.readyHandler({}, res);
+      res.status.args[0][0].should.equal(200);
+      res.jsonp.args[0][0].should.equal(readiness);
+    });
+    it('will respond with 503 and the checks if the node is not ready', function() {
+      var readiness = {
+        ready: false,
+        checks: [
+          {name: 'service/web', ready: true, message: 'Started'},
+          {name: 'qtumd/synced', ready: false, message: 'Synced 50.00%'}
+        ]
+      };
+      var node = new EventEmitter();
+      node.checkReadiness = sinon.stub().callsArgWith(0, null, readiness);
+      var web = new WebService({node: node});
+      var res = createResponse();
+      web.readyHandler({}, res);
+      res.status.args[0][0].should.equal(503);
+      res.jsonp.args[0][0].should.equal(readiness);
+    });
+    it('will respond with 503 on error', function() {
+      var node = new EventEmitter();
+      node.checkReadiness = sinon.stub().callsArgWith(0, new Error('test'));
+      var web = new WebService({node: node});
+      var res = createResponse();
+      web.readyHandler({}, res);
+      res.status.args[0][0].should.equal(503);
+      res.jsonp.args[0][0].should.deep.equal({
+        ready: false,
+        checks: [{name: 'node', ready: false, message: 'test'}]
+      });
+    });
+  });
+
+  describe('#setupMetrics', function() {
+    it('will add the route of the metrics', function() {
+      var web = new WebService({node: defaultNode, metricsPath: '/prometheus'});
+      web.app = {
+        get: sinon.stub()
+      };
+      web.setupMetrics();
+      web.app.get.args[0][0].should.equal('/prometheus');
+      web.app.get.args[0][1].should.be.a('function');
+    });
+  });
+
+  describe('#getMetrics', function() {
+    it('will give the number of connections', function() {
+      var web = new WebService({node: defaultNode});
+      web._addConnection('127.0.0.1');
+      web._addConnection('127.0.0.1');
+      web._addConnection('127.0.0.2');
+      var metrics = web.getMetrics();
+      metrics[0].name.should.equal('web_socket_connections');
+      metrics[0].values.should.deep.equal([{labels: {}, value: 3}]);
+    });
+  });
+
+  describe('#_formatMetrics', function() {
+    var web = new WebService({node: defaultNode});
+    it('will give the prometheus text format', function() {
+      var metrics = [
+        {
+          name: 'qtumd_tip_height',
+          help: 'The height of the current tip',
+          type: 'gauge',
+          values: [{labels: {}, value: 120}]
+        },
+        {
+          name: 'qtumd_rpc_calls_total',
+          help: 'The number of requests\nby method',
+          type: 'counter',
+          values: [
+            {labels: {method: 'getBlock', node: '127.0.0.1:3889'}, value: 2},
+            {labels: {method: 'a"b\\c\nd'}, value: Infinity}
+          ]
+        },
+        {
+          name: 'empty',
+          help: 'No values',
+          type: 'gauge',
+          values: []
+        }
+      ];
+      web._formatMetrics(metrics).should.equal([
+        '# HELP qtumd_tip_height The height of the current tip',
+        '# TYPE qtumd_tip_height gauge',
+        'qtumd_tip_height 120',
+        '# HELP qtumd_rpc_calls_total The number of requests\\nby method',
+        '# TYPE qtumd_rpc_calls_total counter',
+        'qtumd_rpc_calls_total{method="getBlock",node="127.0.0.1:3889"} 2',
+        'qtumd_rpc_calls_total{method="a\\"b\\\\c\\nd"} +Inf',
+        '# HELP empty No values',
+        '# TYPE empty gauge',
+        ''
+      ].join('\n'));
+    });
+    it('will format values', function() {
+      web._formatMetricValue(0.5).should.equal('0.5');
+      web._formatMetricValue(-Infinity).should.equal('-Inf');
+      web._formatMetricValue(NaN).should.equal('NaN');
+    });
+  });
+
+  describe('#metricsHandler', function() {
+    it('will respond with the metrics of the services', function() {
+      var node = new EventEmitter();
+      node.getAllMetrics = sinon.stub().returns([
+        {name: 'test', help: 'Test', type: 'gauge', values: [{labels: {}, value: 1}]}
+      ]);
+      var web = new WebService({node: node});
+      var res = {
+        set: sinon.stub(),
+        send: sinon.stub()
+      };
+      web.metricsHandler({headers: {}, query: {}}, res);
+      res.set.args[0].should.deep.equal(['Content-Type', 'text/plain; version=0.0.4; charset=utf-8']);
+      res.send.args[0][0].should.equal('# HELP test Test\n# TYPE test gauge\ntest 1\n');
+    });
+    it('will give 401 with an invalid key', function() {
+      var web = new WebService({node: defaultNode, accessControl: {anonymous: false}});
+      var res = {
+        status: sinon.stub(),
+        jsonp: sinon.stub()
+      };
+      res.status.returns(res);
+      web.metricsHandler({headers: {}, query: {}}, res);
+      res.status.args[0][0].should.equal(401);
+    });
+  });
+
+
+  describe('#setupIntrospection', function() {
+    function createNode() {
+      var node = new EventEmitter();
+      node.getAPIMethodsByService = sinon.stub().returns([
+        {name: 'qtumd', methods: [['getInfo', {}, function(callback) {}, 0]]}
+      ]);
+      node.getAllPublishEvents = sinon.stub().returns([{name: 'qtumd/hashblock'}]);
+      return node;
+    }
+    it('will add the route of the document with the enabled routes', function() {
+      var web = new WebService({
+        node: createNode(),
+        introspectionPath: '/api.json',
+        enableMetrics: false,
+        enableRestAPI: true
+      });
+      web.app = {
+        get: sinon.stub()
+      };
+      web.createMethodsMap();
+      web.setupIntrospection();
+      web.app.get.args[0][0].should.equal('/api.json');
+      web.app.get.args[0][1].should.be.a('function');
+      web.introspection.restAPIPrefix.should.equal('api');
+      web.introspection.eventStreamPath.should.equal('/events');
+      should.not.exist(web.introspection.metricsPath);
+      _.pluck(web.catalogue.methods, 'name').should.deep.equal(['qtumd.getInfo', 'getInfo']);
+      _.pluck(web.catalogue.events, 'name').should.deep.equal(['qtumd/hashblock']);
+    });
+  });
+
+  describe('#introspectionHandler', function() {
+    var node = new EventEmitter();
+    node.getAPIMethodsByService = sinon.stub().returns([{name: 'qtumd', methods: [
+      ['getInfo', {}, function(callback) {}, 0],
+      ['sendTransaction', {}, function(tx, options, callback) {}, 2]
+    ]}]);
+    node.getAllPublishEvents = sinon.stub().returns([{name: 'qtumd/hashblock'}, {name: 'qtumd/rawtransaction'}]);
+    var web = new WebService({
+      node: node,
+      enableRestAPI: true,
+      accessControl: {
+        anonymous: {denyMethods: ['sendTransaction'], denyEvents: ['qtumd/rawtransaction']},
+        keys: {admin: {}}
+      }
+    });
+    web.app = {
+      get: sinon.stub()
+    };
+    web.createMethodsMap();
+    web.setupIntrospection();
+    it('will respond with the allowed methods and events', function() {
+      var res = {
+        jsonp: sinon.stub()
+      };
+      web.introspectionHandler({headers: {}, query: {}}, res);
+      var document = res.jsonp.args[0][0];
+      document.openapi.should.equal('3.1.0');
+      _.pluck(document['x-rpc'].methods, 'name').should.deep.equal(['qtumd.getInfo', 'getInfo']);
+      _.pluck(document['x-rpc'].events, 'name').should.deep.equal(['qtumd/hashblock']);
+      should.exist(document.paths['/api/qtumd.getInfo']);
+      should.exist(document.paths['/api/getInfo']);
+      should.not.exist(document.paths['/api/qtumd.sendTransaction']);
+      should.not.exist(document.paths['/api/sendTransaction']);
+    });
+    it('will respond with all of the methods and events for an API key', function() {
+      var res = {
+        jsonp: sinon.stub()
+      };
+      web.introspectionHandler({headers: {'x-api-key': 'admin'}, query: {}}, res);
+      var document = res.jsonp.args[0][0];
+      _.pluck(document['x-rpc'].methods, 'name').should.deep.equal([
+        'qtumd.getInfo', 'getInfo', 'qtumd.sendTransaction', 'sendTransaction'
+      ]);
+      _.pluck(document['x-rpc'].methods[3].params, 'name').should.deep.equal(['tx', 'options']);
+      document['x-rpc'].events.length.should.equal(2);
+    });
+    it('will give 401 with an invalid key', function() {
+      var res = {
+        status: sinon.stub(),
+        jsonp: sinon.stub()
+      };
+      res.status.returns(res);
+      web.introspectionHandler({headers: {'x-api-key': 'unknown'}, query: {}}, res);
+      res.status.args[0][0].should.equal(401);
+    });
+  });
 });